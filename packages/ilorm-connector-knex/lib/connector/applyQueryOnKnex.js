@@ -1,6 +1,7 @@
 'use strict';
 
 const { OPERATIONS, SORT_BEHAVIOR, } = require('ilorm-constants').QUERY;
+const stringOperationConversion = require('./applyStringOperationOnKnex');
 
 const operatorConversion = {
   [OPERATIONS.IS]: '=',
@@ -13,9 +14,91 @@ const operatorConversion = {
   [OPERATIONS.LOWER_OR_EQUAL_THAN]: '<=',
 };
 
+const aggregateConversion = {
+  [OPERATIONS.AGGREGATE_SUM]: 'sum',
+  [OPERATIONS.AGGREGATE_AVG]: 'avg',
+  [OPERATIONS.AGGREGATE_MIN]: 'min',
+  [OPERATIONS.AGGREGATE_MAX]: 'max',
+};
+
 const ASCENDING = 'ASC';
 const DESCENDING = 'DESC';
 
+/**
+ * Get the primary keys of the elements linked with a reference field (instances, or directly their primary key)
+ * @param {Model|Array.<Model>|*} value The linked elements
+ * @returns {Array.<*>} The primary keys
+ */
+const getLinkedPrimaries = value => [].concat(value).map(element => {
+  if (element && typeof element.queryBuilder === 'function') {
+    throw new Error('connector.Knex: linkedWith on a field could not use a query, use query.linkedWith instead.');
+  }
+
+  return element && typeof element.getPrimary === 'function' ? element.getPrimary() : element;
+});
+
+/**
+ * Apply the conditions of the query (operators and groups of branches) on a knex query builder
+ * @param {Query} query The ilorm query you want to convert
+ * @param {Object} knex The knex query builder (could be a nested where builder)
+ * @returns {void} Return nothing
+ */
+const applyWhereOnKnex = (query, knex) => {
+  query.queryBuilder({
+    onOr: arrayOfQuery => {
+      // Every branch is grouped, to be combined with the others conditions of the query with a AND:
+      knex.where(orBuilder => {
+        arrayOfQuery.forEach(branchQuery => {
+          orBuilder.orWhere(branchBuilder => applyWhereOnKnex(branchQuery, branchBuilder));
+        });
+      });
+    },
+    onAnd: arrayOfQuery => {
+      knex.where(andBuilder => {
+        arrayOfQuery.forEach(branchQuery => {
+          andBuilder.where(branchBuilder => applyWhereOnKnex(branchQuery, branchBuilder));
+        });
+      });
+    },
+    onNot: arrayOfQuery => {
+      // NOT ((branch1) OR (branch2)), the query match only if none of the branches match:
+      knex.whereNot(notBuilder => {
+        arrayOfQuery.forEach(branchQuery => {
+          notBuilder.orWhere(branchBuilder => applyWhereOnKnex(branchQuery, branchBuilder));
+        });
+      });
+    },
+    onOperator: (key, operator, value) => {
+      if (operator === OPERATIONS.BETWEEN) {
+        knex.where(key, '>', value.min);
+        knex.where(key, '<', value.max);
+
+        return;
+      }
+
+      if (operator === OPERATIONS.LINKED_WITH) {
+        knex.whereIn(key, getLinkedPrimaries(value));
+
+        return;
+      }
+
+      if (stringOperationConversion[operator]) {
+        stringOperationConversion[operator](knex, key, value);
+
+        return;
+      }
+
+      // SQL never match "= NULL", a null value is converted to IS NULL / IS NOT NULL:
+      if (value === null && (operator === OPERATIONS.IS || operator === OPERATIONS.IS_NOT)) {
+        knex.where(key, operator === OPERATIONS.IS ? 'is' : 'is not', null);
+
+        return;
+      }
+      knex.where(key, operatorConversion[operator], value);
+    },
+  });
+};
+
 /**
  * Convert a valid inputQuery to a query
  * @param {Query} query The ilorm query you want to convert
@@ -28,33 +111,34 @@ function applyQueryOnKnex(query, knex) {
   }
   const selectFields = [];
 
+  applyWhereOnKnex(query, knex);
+
   query.queryBuilder({
-    onOptions: ({ skip, limit, }) => {
-      knex.limit(limit)
-        .offset(skip);
-    },
-    onOr: arrayOfQuery => {
-      arrayOfQuery.forEach(query => {
-        knex.orWhere(function orClause() {
-          arrayOfQuery(query, this); // eslint-disable-line
-        });
+    onAggregate: ({ groupBy, aggregates, }) => {
+      if (groupBy.length > 0) {
+        knex.select(...groupBy)
+          .groupBy(groupBy);
+      }
+
+      aggregates.forEach(({ field, operator, alias, }) => {
+        knex[aggregateConversion[operator]](`${field} as ${alias}`);
       });
     },
+    onOptions: ({ skip, limit, }) => {
+      if (limit !== undefined) {
+        knex.limit(limit);
+      }
+
+      if (skip !== undefined) {
+        knex.offset(skip);
+      }
+    },
     onSelect: ({ field, }) => {
       selectFields.push(field);
     },
     onSort: ({ key, behavior, }) => {
       knex.orderBy(key, behavior === SORT_BEHAVIOR.ASCENDING ? ASCENDING : DESCENDING);
     },
-    onOperator: (key, operator, value) => {
-      if (operator === OPERATIONS.BETWEEN) {
-        knex.where(key, '>', value.min);
-        knex.where(key, '<', value.max);
-
-        return;
-      }
-      knex.where(key, operatorConversion[operator], value);
-    },
   });
 
   if (selectFields.length > 0) {
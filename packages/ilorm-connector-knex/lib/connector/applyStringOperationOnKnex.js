@@ -0,0 +1,124 @@
+'use strict';
+
+const { OPERATIONS, } = require('ilorm-constants').QUERY;
+
+const POSTGRESQL = 'postgresql';
+const SQLITE = 'sqlite3';
+
+// The regex operator of each dialect (case sensitive, case insensitive):
+const regexOperators = {
+  [POSTGRESQL]: [ '~', '~*', ],
+  mysql: [ 'regexp', 'regexp', ],
+  mysql2: [ 'regexp', 'regexp', ],
+};
+
+// The LIKE statement of the dialects where LIKE is case insensitive (MySQL, and MSSQL with its default collation):
+const caseSensitiveLikeStatements = {
+  mysql: '?? like binary ? escape \'!\'',
+  mysql2: '?? like binary ? escape \'!\'',
+  mariadb: '?? like binary ? escape \'!\'',
+  mssql: '?? collate Latin1_General_CS_AS like ? escape \'!\'',
+};
+const LIKE_STATEMENT = '?? like ? escape \'!\'';
+
+/**
+ * Escape the LIKE wildcards of a string (% and _) with "!", to match it literally
+ * @param {String} value The value to escape
+ * @returns {String} The escaped value
+ */
+const escapeLike = value => String(value).replace(/[!%_]/g, '!$&');
+
+/**
+ * Escape the GLOB wildcards of a string (*, ? and [) in a character class, to match it literally
+ * @param {String} value The value to escape
+ * @returns {String} The escaped value
+ */
+const escapeGlob = value => String(value).replace(/[*?[]/g, '[$&]');
+
+/**
+ * Create a case sensitive condition on a part of the string, the value is escaped and the pattern built with it
+ * SQLite use GLOB (its LIKE is case insensitive), the other dialects a case sensitive LIKE.
+ * @param {Boolean} isAnyBefore True if any characters could be before the value
+ * @param {Boolean} isAnyAfter True if any characters could be after the value
+ * @returns {Function} Apply the condition on the knex query builder
+ */
+const search = ({ isAnyBefore, isAnyAfter, }) => {
+
+  /**
+   * Build the pattern, with the wildcard matching any characters before and after the escaped value
+   * @param {String} wildcard The wildcard of the pattern
+   * @param {String} escapedValue The escaped value
+   * @returns {String} The pattern
+   */
+  const toPattern = (wildcard, escapedValue) =>
+    `${isAnyBefore ? wildcard : ''}${escapedValue}${isAnyAfter ? wildcard : ''}`;
+
+  return (knex, key, value) => {
+    const { dialect, } = knex.client;
+
+    if (dialect === SQLITE) {
+      knex.whereRaw('?? glob ?', [ key, toPattern('*', escapeGlob(value)), ]);
+    } else {
+      const likeStatement = caseSensitiveLikeStatements[dialect] || LIKE_STATEMENT;
+
+      knex.whereRaw(likeStatement, [ key, toPattern('%', escapeLike(value)), ]);
+    }
+  };
+};
+
+/**
+ * Apply a case insensitive equality, ILIKE with PostgreSQL, LOWER on both sides with the other dialects
+ * @param {Object} knex The knex query builder
+ * @param {String} key The column to filter
+ * @param {String} value The value to compare with
+ * @returns {void} Return nothing
+ */
+const isCaseInsensitive = (knex, key, value) => {
+  if (knex.client.dialect === POSTGRESQL) {
+    knex.whereRaw('?? ilike ? escape \'!\'', [ key, escapeLike(value), ]);
+  } else {
+    knex.whereRaw('lower(??) = lower(?)', [ key, value, ]);
+  }
+};
+
+/**
+ * Apply a regex, only PostgreSQL (POSIX regex) and MySQL (REGEXP) are supported
+ * The only flag used is "i" (case insensitive) with PostgreSQL.
+ * @param {Object} knex The knex query builder
+ * @param {String} key The column to filter
+ * @param {RegExp|String} value The regex to match
+ * @returns {void} Return nothing
+ */
+const matches = (knex, key, value) => {
+  const { dialect, } = knex.client;
+  const operators = regexOperators[dialect];
+
+  if (!operators) {
+    throw new Error(`connector.Knex: the operation ${OPERATIONS.MATCHES} is not supported by ${dialect}.`);
+  }
+
+  const [ caseSensitive, caseInsensitive, ] = operators;
+  const regex = value instanceof RegExp ? value : new RegExp(value);
+  const operator = regex.flags.includes('i') ? caseInsensitive : caseSensitive;
+
+  knex.whereRaw(`?? ${operator} ?`, [ key, regex.source, ]);
+};
+
+const stringOperationConversion = {
+  [OPERATIONS.CONTAINS]: search({
+    isAnyBefore: true,
+    isAnyAfter: true,
+  }),
+  [OPERATIONS.STARTS_WITH]: search({
+    isAnyBefore: false,
+    isAnyAfter: true,
+  }),
+  [OPERATIONS.ENDS_WITH]: search({
+    isAnyBefore: true,
+    isAnyAfter: false,
+  }),
+  [OPERATIONS.MATCHES]: matches,
+  [OPERATIONS.IS_CASE_INSENSITIVE]: isCaseInsensitive,
+};
+
+module.exports = stringOperationConversion;
@@ -4,27 +4,30 @@ const { OPERATIONS, } = require('ilorm-constants').QUERY;
 
 
 /**
- * Convert a valid update ilorm query to an update mongo query.
+ * Convert a valid update ilorm query to a knex update.
+ * Every operator is set in one update object, knex keep only the last call to update (or increment).
  * @param {Query} query The ilorm query you want to convert
  * @param {Object} knex To apply query
+ * @param {Object} [rawUpdate] Fields to set in addition of the query update (used by the instance save)
  * @returns {Object} Return knex parameter to chain call
  */
-function applyUpdateOnKnex(query, knex) {
+function applyUpdateOnKnex(query, knex, rawUpdate) {
   if (!query) {
     return knex;
   }
 
+  const update = Object.assign({}, rawUpdate);
 
   query.updateBuilder({
     onOperator: (key, operator, value) => {
-      if (operator === OPERATIONS.SET) {
-        knex.update(key, value);
-      } else {
-        knex.increment(knex, value);
-      }
+      update[key] = operator === OPERATIONS.SET ? value : knex.client.raw('?? + ?', [ key, value, ]);
     },
   });
 
+  if (Object.keys(update).length > 0) {
+    knex.update(update);
+  }
+
   return knex;
 }
 
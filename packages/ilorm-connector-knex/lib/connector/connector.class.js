@@ -1,11 +1,24 @@
 'use strict';
 
+const { Transform, } = require('stream');
+
 const applyQueryOnKnex = require('./applyQueryOnKnex');
 const applyUpdateOnKnex = require('./applyUpdateOnKnex');
 const modelFactory = require('../model/model.factory');
 const queryFactory = require('../query/query.factory');
-const { KNEX, } = require('../query/fields');
-const initTable = require('./initTable');
+const tableClassFactory = require('./table.classFactory');
+const transactionClassFactory = require('./transaction.classFactory');
+const writeClassFactory = require('./write.classFactory');
+
+// The statement returning the explain plan of a query, per dialect (MSSQL and Oracle have none):
+const EXPLAIN_STATEMENTS = {
+  mariadb: 'EXPLAIN',
+  mysql: 'EXPLAIN',
+  mysql2: 'EXPLAIN',
+  postgresql: 'EXPLAIN',
+  redshift: 'EXPLAIN',
+  sqlite3: 'EXPLAIN QUERY PLAN',
+};
 
 /**
  * Generate a KnexConnector by injecting the knex instance
@@ -17,30 +30,32 @@ const injectDb = ({ knex, }) => {
   /**
    * Class representing a ilorm connector binded with knex
    */
-  class KnexConnector {
+  class KnexConnector extends writeClassFactory({
+    knex,
+    ParentConnector: tableClassFactory({
+      knex,
+      ParentConnector: transactionClassFactory(knex),
+    }),
+  }) {
     /**
-     * Bind current connector with the given table
-     * @param {String} tableName The table name
+     * Get the row identified by the primary key
+     * @param {*|Object} id The primary key (an object with the value of each key for a composite primary key)
+     * @returns {Promise.<Object|null>} The row, null if no row has the primary key
      */
-    constructor({ tableName, }) {
-      this.tableName = tableName;
-    }
+    async getById(id) {
+      const primaryKeys = this.getPrimaryKeys();
+      const where = primaryKeys.reduce((primaryWhere, key) => {
+        primaryWhere[key] = primaryKeys.length === 1 ? id : id[key];
 
-    /**
-     * Generate a knex targeting the current table
-     * @returns {Object} Knex connector
-     */
-    getKnex() {
-      return knex(this.tableName);
-    }
+        return primaryWhere;
+      }, {});
 
-    /**
-     * Create one or more docs into the database.
-     * @param {Object} items The object you want to create in the database
-     * @returns {*} The result of the operation
-     */
-    create(items) {
-      return this.getKnex().insert(items);
+      await this.waitTable();
+      const row = await this.getKnex()
+        .where(where)
+        .first();
+
+      return row ? this.castRow(row) : null;
     }
 
     /**
@@ -48,8 +63,10 @@ const injectDb = ({ knex, }) => {
      * @param {Query} query The ilorm query you want to run on your Database.
      * @returns {Promise} Every documents who match the query
      */
-    find(query) {
-      return applyQueryOnKnex(query, query[KNEX]);
+    async find(query) {
+      const rows = await this.runKnex(query, knexQuery => applyQueryOnKnex(query, knexQuery));
+
+      return rows.map(row => this.castRow(row));
     }
 
     /**
@@ -57,10 +74,11 @@ const injectDb = ({ knex, }) => {
      * @param {Query} query The ilorm query you want to run on your Database.
      * @returns {*|Promise.<Model>|*} The document first found
      */
-    findOne(query) {
-      return applyQueryOnKnex(query, query[KNEX])
-        .limit(1)
-        .then(items => (items && items.length ? items[0] : null));
+    async findOne(query) {
+      const items = await this.runKnex(query, knexQuery => applyQueryOnKnex(query, knexQuery)
+        .limit(1));
+
+      return items && items.length ? this.castRow(items[0]) : null;
     }
 
     /**
@@ -68,82 +86,130 @@ const injectDb = ({ knex, }) => {
      * @param {Query} query The ilorm query you want to run on your Database.
      * @returns {Promise.<Number>} The number of document found
      */
-    count(query) {
-      return applyQueryOnKnex(query, query[KNEX])
-        .count('*');
+    async count(query) {
+      const rows = await this.runKnex(query, knexQuery => applyQueryOnKnex(query, knexQuery)
+        .count('* as count'));
+
+      // PostgreSQL return the count (a bigint) as a string:
+      return Number(rows[0].count);
     }
 
     /**
-     * Update one or more document who match query
+     * Get the unique values of a column for the rows who match the query, with a SELECT DISTINCT
      * @param {Query} query The ilorm query you want to run on your Database.
-     * @returns {*} The number of document updated
+     * @param {String} field The column to get the values of
+     * @returns {Promise.<Array.<*>>} The unique values
      */
-    update(query) {
-      applyQueryOnKnex(query, query[KNEX]);
+    async distinct(query, field) {
+      const rows = await this.runKnex(query, knexQuery => applyQueryOnKnex(query, knexQuery)
+        .distinct(field));
 
-      return applyUpdateOnKnex(query, query[KNEX]);
+      return rows.map(row => row[field]);
     }
 
     /**
-     * Update one document who match query
+     * Check if at least one row match the query, the database stop at the first matching row (LIMIT 1)
      * @param {Query} query The ilorm query you want to run on your Database.
-     * @returns {*} Return true if a document was updated
+     * @returns {Promise.<Boolean>} Return true if a row match the query
      */
-    updateOne(query) {
-      query[KNEX]
-        .limit(1);
-
-      applyQueryOnKnex(query, query[KNEX]);
+    async exists(query) {
+      const rows = await this.runKnex(query, knexQuery => applyQueryOnKnex(query, knexQuery)
+        .select(knex.raw('1'))
+        .limit(1));
 
-      return applyUpdateOnKnex(query, query[KNEX]);
+      return rows.length > 0;
     }
 
     /**
-     * Remove one or document who match the query
+     * Aggregate the rows who match the query, with a GROUP BY on the query group by fields
      * @param {Query} query The ilorm query you want to run on your Database.
-     * @returns {Promise.<Number>} The number of document removed
+     * @returns {Promise.<Array.<Object>>} One plain row per group, with the group fields and the aggregated values
      */
-    remove(query) {
-      applyQueryOnKnex(query, query[KNEX]);
+    aggregate(query) {
+      return this.runKnex(query, knexQuery => applyQueryOnKnex(query, knexQuery));
+    }
 
-      return query[KNEX].del();
+    /**
+     * Convert the query to the native SQL, without running it
+     * @param {Query} query The ilorm query you want to convert
+     * @returns {Object} The SQL and the bindings of the select, and of the update if the query declare one
+     */
+    toNative(query) {
+      const native = applyQueryOnKnex(query, this.getKnex())
+        .toSQL()
+        .toNative();
+      let hasUpdate = false;
+
+      query.updateBuilder({
+        onOperator: () => {
+          hasUpdate = true;
+        },
+      });
+
+      if (hasUpdate) {
+        native.update = applyUpdateOnKnex(query, applyQueryOnKnex(query, this.getKnex()))
+          .toSQL()
+          .toNative();
+      }
+
+      return native;
     }
 
     /**
-     * Remove one document who match the query
-     * @param {Query} query The ilorm query you want to run on your Database.
-     * @returns {Promise.<Boolean>} Return true if a document was removed
+     * Run the EXPLAIN of the database on the query select (EXPLAIN QUERY PLAN with SQLite)
+     * @param {Query} query The ilorm query you want to explain
+     * @returns {Promise.<*>} The explain plan returned by the database
      */
-    removeOne(query) {
-      query[KNEX]
-        .limit(1);
+    async explain(query) {
+      const explainStatement = EXPLAIN_STATEMENTS[knex.client.dialect];
 
-      applyQueryOnKnex(query, query[KNEX]);
+      if (!explainStatement) {
+        throw new Error(`connector.Knex: The explain plan is not supported with ${knex.client.dialect}.`);
+      }
 
-      return query[KNEX].del();
+      const { sql, bindings, } = applyQueryOnKnex(query, this.getKnex()).toSQL();
+
+      await this.waitTable();
+
+      return knex.raw(`${explainStatement} ${sql}`, bindings);
     }
 
     /**
      * Create a stream object from the query
      * @param {Query} query The ilorm query you want to use to generate the stream
-     * @returns {Stream} The stream associated with the query/
+     * @returns {Promise.<Stream>} The stream associated with the query, the rows are casted with the schema
      */
-    stream(query) {
-      return applyQueryOnKnex(query, query[KNEX])
-        .stream();
+    async stream(query) {
+      const stream = await this.runKnex(query, knexQuery => applyQueryOnKnex(query, knexQuery)
+        .stream());
+
+      return stream.pipe(new Transform({
+        objectMode: true,
+
+        /**
+         * Cast each row of the knex stream
+         * @param {Object} row The row loaded from the database
+         * @param {String} encoding The encoding of the row (not used in object mode)
+         * @param {Function} callback Called with the casted row
+         * @returns {void} Return nothing
+         */
+        transform: (row, encoding, callback) => {
+          callback(null, this.castRow(row));
+        },
+      }));
     }
 
     /**
-     * Create a new KnexModel from the given params
+     * Create a new KnexModel from the given params, and start the creation of its table
      * @param {Model} ParentModel The ilorm global Model used as parent of ModelConnector
+     * @param {Schema} schema The schema of the model, used to create the table
+     * @param {String} name The name of the model
      * @returns {KnexModel} The result KnexModel
      */
-    modelFactory({ ParentModel, schema, }) {
-      initTable({
-        connector: this,
-        knex,
-        ParentModel,
+    modelFactory({ ParentModel, schema, name, }) {
+      this.initTable({
         schema,
+        name,
       });
 
       return modelFactory({
@@ -159,9 +225,6 @@ const injectDb = ({ knex, }) => {
     queryFactory({ ParentQuery, }) {
       return queryFactory({ ParentQuery, });
     }
-
-
-
   }
 
   return KnexConnector;
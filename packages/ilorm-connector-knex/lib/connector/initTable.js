@@ -1,22 +1,278 @@
 'use strict';
 
+// The dialects which could not alter an existing column :
+const DIALECTS_WITHOUT_ALTER_COLUMN = [ 'sqlite3', ];
+
+/**
+ * Warn about a change of the schema which could not be applied on the existing table
+ * @param {String} message The message of the warning
+ * @returns {void} Return nothing
+ */
+const warn = message => {
+  process.emitWarning(`connector.Knex: ${message}`);
+};
+
 /**
- * Init model knex
- * @return {Promise} Resolve when is finished
+ * Get the connectors of the tables referenced by the reference fields of the schema
+ * A model is referenced with a foreign key only if it's already declared (or if it's the model itself).
+ * @param {KnexConnector} connector The connector of the table
+ * @param {Schema} schema The schema of the model
+ * @param {String} name The name of the model
+ * @returns {Object} The referenced connector of each reference field (key is the field name)
  */
-const initModel = async ({ connector, knex, }) => {
-  const { tableName, } = connector;
+const getReferencedConnectors = ({ connector, schema, name, }) => schema.getStoredProperties()
+  .filter(property => schema.definition[property].getReferencedConnector)
+  .reduce((referencedConnectors, property) => {
+    const field = schema.definition[property];
+    const referencedConnector = field.getReferencedModelName() === name ?
+      connector :
+      field.getReferencedConnector();
+
+    if (referencedConnector) {
+      referencedConnectors[property] = referencedConnector;
+    }
 
-  const tableExists = await knex.schema.hasTable(tableName);
+    return referencedConnectors;
+  }, {});
 
-  // If the table does not exists, create one from nothing
-  if (!tableExists) {
-    return knex.schema.createTable(tableName, () => {
+/**
+ * Declare the columns of the properties, and the foreign keys of the new columns
+ * @param {Object} table knex object (use to create or alter table)
+ * @param {Schema} schema The schema of the model
+ * @param {Array.<String>} properties The properties to declare
+ * @param {Object} referencedConnectors The referenced connector of each reference field
+ * @param {Boolean} [isAltered=false] True to alter existing columns (their foreign key already exists)
+ * @param {Boolean} [isNullable] Declare every column as nullable (the nullability of the schema per default)
+ * @returns {void} Return nothing
+ */
+const declareColumns = (table, { schema, properties, referencedConnectors, isAltered = false, isNullable, }) => {
+  properties.forEach(property => {
+    const field = schema.definition[property];
+    const column = field.initKnexColumn(table, isNullable ? { isNullable, } : {});
 
+    if (column && isAltered) {
+      column.alter();
+    }
+    if (column && !isAltered && referencedConnectors[property]) {
+      field.initKnexForeignKey(table, referencedConnectors[property]);
+    }
+  });
+};
+
+/**
+ * Build the CREATE TABLE of the schema, with the primary key of the schema (the auto increment column is declared as
+ * primary key by itself)
+ * @param {KnexConnector} connector The connector of the table
+ * @param {Object} knex knex object
+ * @param {Schema} schema The schema of the model
+ * @param {Object} referencedConnectors The referenced connector of each reference field
+ * @returns {SchemaBuilder} The knex schema builder (run by the await)
+ */
+const buildCreateTable = ({ connector, knex, schema, referencedConnectors, }) => knex.schema
+  .createTable(connector.tableName, table => {
+    declareColumns(table, {
+      schema,
+      properties: schema.primaryKeys.concat(schema.getStoredProperties()
+        .filter(property => !schema.primaryKeys.includes(property))),
+      referencedConnectors,
     });
+
+    if (!schema.getAutoIncrementKey()) {
+      table.primary(schema.primaryKeys);
+    }
+  });
+
+/**
+ * Compare the columns of an existing table with the schema
+ * @param {Schema} schema The schema of the model
+ * @param {Object} columns The columns of the existing table (knex columnInfo)
+ * @returns {Object} The properties without column, with a NOT NULL column not required anymore, with a nullable column
+ * now required, and with a column of another type
+ */
+const getDifferences = ({ schema, columns, }) => {
+  const properties = schema.getStoredProperties()
+    .filter(property => !schema.primaryKeys.includes(property));
+
+  return {
+    missingProperties: properties.filter(property => !columns[property]),
+    notNullProperties: properties.filter(property => columns[property] && !columns[property].nullable &&
+      schema.definition[property].isKnexNullable()),
+    nullableProperties: properties.filter(property => columns[property] && columns[property].nullable &&
+      !schema.definition[property].isKnexNullable()),
+    mistypedProperties: schema.getStoredProperties().filter(property => {
+      const types = schema.definition[property].getKnexColumnTypes();
+
+      return columns[property] && types.length > 0 && !types.includes(String(columns[property].type).toLowerCase());
+    }),
+  };
+};
+
+/**
+ * Warn about the differences between the existing table and the schema which are not applied on the table
+ * The type of a column and a nullable column are never altered, the other differences are applied only with the sync
+ * option 'alter'.
+ * @param {KnexConnector} connector The connector of the table
+ * @param {Schema} schema The schema of the model
+ * @param {Object} columns The columns of the existing table (knex columnInfo)
+ * @param {Object} differences The differences between the table and the schema
+ * @returns {void} Return nothing
+ */
+const reportDifferences = ({ connector, schema, columns, differences, }) => {
+  const { tableName, sync, } = connector;
+
+  differences.mistypedProperties.forEach(property => warn(`The column ${tableName}.${property} has the ` +
+    `type ${columns[property].type}, the field expect one of ` +
+    `${schema.definition[property].getKnexColumnTypes().join(', ')} (the type of a column is never altered).`));
+  differences.nullableProperties.forEach(property => warn(`The column ${tableName}.${property} is kept nullable, the ` +
+    'existing rows could have no value.'));
+
+  if (sync !== 'alter') {
+    differences.missingProperties.forEach(property => warn(`The column ${tableName}.${property} is missing, the ` +
+      'table is altered only with the sync option alter.'));
+    differences.notNullProperties.forEach(property => warn(`The column ${tableName}.${property} is kept NOT NULL, ` +
+      'the table is altered only with the sync option alter.'));
+  }
+};
+
+/**
+ * Build the ALTER TABLE adding the missing columns, and altering the NOT NULL columns of the fields which are not
+ * required anymore (the column is declared again, with the type of the schema). The primary key and the columns
+ * unknown by the schema are kept.
+ * The existing rows have no value for the added columns, and could have none for the existing nullable columns : the
+ * columns are never altered to NOT NULL (the required fields are still checked by the validation of ilorm).
+ * SQLite could not alter a column, its columns are kept unchanged (with a warning).
+ * @param {KnexConnector} connector The connector of the table
+ * @param {Object} knex knex object
+ * @param {Schema} schema The schema of the model
+ * @param {Object} referencedConnectors The referenced connector of each reference field
+ * @param {Object} differences The differences between the table and the schema
+ * @returns {SchemaBuilder} The knex schema builder (run by the await)
+ */
+const buildAlterTable = ({ connector, knex, schema, referencedConnectors, differences, }) => {
+  const { missingProperties, notNullProperties, } = differences;
+  const isAlterSupported = !DIALECTS_WITHOUT_ALTER_COLUMN.includes(knex.client.dialect);
+
+  missingProperties
+    .filter(property => !schema.definition[property].isKnexNullable())
+    .forEach(property => warn(`The column ${connector.tableName}.${property} is added as nullable, the existing rows ` +
+      'have no value.'));
+
+  if (!isAlterSupported) {
+    notNullProperties.forEach(property => warn(`The column ${connector.tableName}.${property} is kept unchanged, ` +
+      `${knex.client.dialect} could not alter a column.`));
+  }
+
+  return knex.schema.alterTable(connector.tableName, table => {
+    declareColumns(table, {
+      schema,
+      properties: missingProperties,
+      referencedConnectors,
+      isNullable: true,
+    });
+    declareColumns(table, {
+      schema,
+      properties: isAlterSupported ? notNullProperties : [],
+      referencedConnectors,
+      isAltered: true,
+    });
+  });
+};
+
+/**
+ * Build the DDL synchronizing the table with the schema, following the sync option of the connector
+ * The differences between an existing table and the schema are reported, a missing table is reported with the sync
+ * option 'none'.
+ * @param {KnexConnector} connector The connector of the table
+ * @param {Object} knex knex object
+ * @param {Schema} schema The schema of the model
+ * @param {Object} referencedConnectors The referenced connector of each reference field
+ * @param {Object|null} columns The columns of the existing table (knex columnInfo), null if the table does not exist
+ * @returns {SchemaBuilder|null} The knex schema builder, null if the table is not changed
+ */
+const buildSynchronization = ({ connector, knex, schema, referencedConnectors, columns, }) => {
+  const { tableName, sync, } = connector;
+
+  if (!columns) {
+    if (sync === 'none') {
+      warn(`The table ${tableName} does not exist, the table is created only with the sync option create or alter.`);
+
+      return null;
+    }
+
+    return buildCreateTable({
+      connector,
+      knex,
+      schema,
+      referencedConnectors,
+    });
+  }
+
+  const differences = getDifferences({
+    schema,
+    columns,
+  });
+
+  reportDifferences({
+    connector,
+    schema,
+    columns,
+    differences,
+  });
+
+  return sync === 'alter' ? buildAlterTable({
+    connector,
+    knex,
+    schema,
+    referencedConnectors,
+    differences,
+  }) : null;
+};
+
+/**
+ * Create the table of the model from its schema (columns, types, nullability and foreign keys), or alter the existing
+ * table to add the missing columns with the sync option 'alter'. In dry run, the DDL is printed instead of being run.
+ * @param {KnexConnector} connector The connector of the table
+ * @param {Object} knex knex object
+ * @param {Schema} schema The schema of the model
+ * @param {String} name The name of the model
+ * @return {Promise.<String|null>} Resolve the DDL run (or printed) when the table is ready, null if nothing changed
+ */
+const initTable = async ({ connector, knex, schema, name, }) => {
+  const { tableName, dryRun, printDdl, } = connector;
+  const referencedConnectors = getReferencedConnectors({
+    connector,
+    schema,
+    name,
+  });
+
+  // The referenced tables are created before the foreign keys:
+  await Promise.all(Object.keys(referencedConnectors)
+    .map(property => referencedConnectors[property])
+    .filter(referencedConnector => referencedConnector !== connector)
+    .map(referencedConnector => referencedConnector.waitTable()));
+
+  const schemaBuilder = buildSynchronization({
+    connector,
+    knex,
+    schema,
+    referencedConnectors,
+    columns: await knex.schema.hasTable(tableName) ? await knex(tableName).columnInfo() : null,
+  });
+
+  // An alter table without any change has no statement:
+  if (!schemaBuilder || schemaBuilder.toSQL().length === 0) {
+    return null;
+  }
+
+  const ddl = schemaBuilder.toString();
+
+  if (dryRun) {
+    printDdl(ddl);
+  } else {
+    await schemaBuilder;
   }
 
-  return null;
+  return ddl;
 };
 
-module.exports = initModel;
+module.exports = initTable;
@@ -0,0 +1,85 @@
+'use strict';
+
+// The dialects returning the generated ids of a multi rows INSERT (with RETURNING, or OUTPUT for MSSQL) :
+const RETURNING_DIALECTS = [ 'postgresql', 'mssql', 'oracle', 'oracledb', ];
+
+/**
+ * Check if the value is missing, the database generate it
+ * @param {*} value The value to check
+ * @returns {Boolean} Return true if the value is null or undefined
+ */
+const isMissing = value => value === undefined || value === null;
+
+/**
+ * Insert the rows one by one, to read the last insert id of each row
+ * @param {Function} getKnex Return the knex query targeting the table, bind with the given knex transaction
+ * @param {Array.<Object>} rows The rows to insert
+ * @param {Transaction} trx The knex transaction running the inserts
+ * @returns {Promise.<Array.<*>>} The id generated for each row
+ */
+const insertEachRow = ({ getKnex, rows, trx, }) => rows.reduce(async (previousIds, row) => {
+  const ids = await previousIds;
+  const [ id, ] = await getKnex(trx).insert(row);
+
+  return ids.concat([ id, ]);
+}, Promise.resolve([]));
+
+/**
+ * Insert the rows, and set the value generated by the database to the auto increment key of each row
+ * The generated ids are read with RETURNING if the dialect support it, else the rows are inserted one by one (in a
+ * transaction) to read the last insert id.
+ * @param {Object} knex knex object
+ * @param {String} tableName The table name
+ * @param {Array.<Object>} rows The rows to insert
+ * @param {String|null} autoIncrementKey The auto increment column, null if the database generate no id
+ * @param {Transaction} [trx] The knex transaction to run the query into
+ * @returns {Promise.<Array.<Object>>} The inserted rows, with their generated id
+ */
+const insertOnKnex = async ({ knex, tableName, rows, autoIncrementKey, trx, }) => {
+
+  /**
+   * Generate a knex query targeting the table
+   * @param {Transaction} [transaction] The knex transaction to run the query into
+   * @returns {Object} The knex query
+   */
+  const getKnex = transaction => (transaction ? knex(tableName).transacting(transaction) : knex(tableName));
+
+  if (!autoIncrementKey || rows.every(row => !isMissing(row[autoIncrementKey]))) {
+    await getKnex(trx).insert(rows);
+
+    return rows;
+  }
+
+  // The missing ids are not sent, the database generate them:
+  const insertedRows = rows.map(row => Object.keys(row)
+    .filter(key => key !== autoIncrementKey || !isMissing(row[key]))
+    .reduce((insertedRow, key) => {
+      insertedRow[key] = row[key];
+
+      return insertedRow;
+    }, {}));
+
+  let ids;
+
+  if (RETURNING_DIALECTS.includes(knex.client.dialect)) {
+    ids = await getKnex(trx).insert(insertedRows, autoIncrementKey);
+  } else {
+    ids = await (trx ?
+      insertEachRow({
+        getKnex,
+        rows: insertedRows,
+        trx,
+      }) :
+      knex.transaction(newTrx => insertEachRow({
+        getKnex,
+        rows: insertedRows,
+        trx: newTrx,
+      })));
+  }
+
+  return insertedRows.map((row, index) => Object.assign(row, {
+    [autoIncrementKey]: isMissing(row[autoIncrementKey]) ? ids[index] : row[autoIncrementKey],
+  }));
+};
+
+module.exports = insertOnKnex;
@@ -0,0 +1,139 @@
+'use strict';
+
+const initTable = require('./initTable');
+const { TRANSACTION, } = require('ilorm-constants').QUERY.FIELDS;
+
+// The synchronization of the table with the schema : no DDL, create the missing table, or create and alter the table
+const SYNC_MODES = [ 'none', 'create', 'alter', ];
+
+/**
+ * Print the DDL of the dry run on the standard output
+ * @param {String} ddl The DDL which would be run
+ * @returns {void} Return nothing
+ */
+const printOnStdout = ddl => {
+  process.stdout.write(`${ddl};\n`);
+};
+
+/**
+ * Inject the knex instance in the table part of the Knex connector
+ * @param {Object} knex knex object
+ * @param {Class} ParentConnector The connector class to extend
+ * @returns {KnexTableConnector} The class handling the table of the connector
+ */
+const injectKnex = ({ knex, ParentConnector, }) => {
+  /**
+   * Class handling the table of the KnexConnector, created (or altered) from the schema of the model
+   */
+  class KnexTableConnector extends ParentConnector {
+    /**
+     * Bind current connector with the given table
+     * @param {String} tableName The table name
+     * @param {String} [sync='create'] 'create' to create a missing table, 'alter' to also add the missing columns of an
+     * existing table, 'none' to run no DDL (the differences with the schema are reported in each mode)
+     * @param {Boolean} [dryRun=false] Set to true to print the DDL creating (or altering) the table without running it
+     * @param {Function} [printDdl] Called with the DDL of the dry run (print it on the standard output per default)
+     */
+    constructor({ tableName, sync = 'create', dryRun = false, printDdl = printOnStdout, }) {
+      super();
+
+      if (!SYNC_MODES.includes(sync)) {
+        throw new Error(`connector.Knex: The sync option ${sync} is not supported, use one of ` +
+          `${SYNC_MODES.join(', ')}.`);
+      }
+
+      this.tableName = tableName;
+      this.sync = sync;
+      this.dryRun = dryRun;
+      this.printDdl = printDdl;
+      this.schema = null;
+      this.tableInitialization = Promise.resolve(null);
+    }
+
+    /**
+     * Generate a knex targeting the current table
+     * @param {Transaction} [trx] The knex transaction to run the query into
+     * @returns {Object} Knex connector
+     */
+    getKnex(trx) {
+      const knexQuery = knex(this.tableName);
+
+      return trx ? knexQuery.transacting(trx) : knexQuery;
+    }
+
+    /**
+     * Run the knex query built by the handler, bind with the knex transaction of the ilorm query (if any)
+     * The query is run once the table is ready.
+     * @param {Query} query The ilorm query
+     * @param {Function} handler Called with the knex query targeting the current table, return the knex query to run
+     * @returns {Promise.<*>} The result of the knex query
+     */
+    async runKnex(query, handler) {
+      await this.waitTable();
+
+      return handler(this.getKnex(await this.getKnexTransaction(query[TRANSACTION])));
+    }
+
+    /**
+     * Get the primary key of the table, declared by the schema of the model
+     * @returns {Array.<String>} The primary key columns
+     */
+    getPrimaryKeys() {
+      return this.schema ? this.schema.primaryKeys : [];
+    }
+
+    /**
+     * Cast the values of a row loaded from the database with the schema (ie: SQLite return a date as a timestamp)
+     * @param {Object|null} row The row
+     * @returns {Object|null} The row, with the casted values
+     */
+    castRow(row) {
+      if (!row || !this.schema) {
+        return row;
+      }
+
+      return Object.keys(row).reduce((castedRow, column) => {
+        const schemaField = this.schema.definition[column];
+        const value = row[column];
+
+        castedRow[column] = schemaField && value !== null && value !== undefined ? schemaField.castValue(value) : value;
+
+        return castedRow;
+      }, {});
+    }
+
+    /**
+     * Create the table from the schema of the model, or alter it if it already exists.
+     * Every operation of the connector wait the end of the initialization, an error is thrown by the next operation.
+     * @param {Schema} schema The schema of the model
+     * @param {String} name The name of the model
+     * @returns {Promise.<String|null>} Resolve the DDL run (or printed) when the table is ready
+     */
+    initTable({ schema, name, }) {
+      this.schema = schema;
+      this.tableInitialization = initTable({
+        connector: this,
+        knex,
+        schema,
+        name,
+      });
+
+      // The error is handled by the operations waiting the table:
+      this.tableInitialization.catch(() => null);
+
+      return this.tableInitialization;
+    }
+
+    /**
+     * Wait the table to be created (or altered)
+     * @returns {Promise.<String|null>} Resolve the DDL run (or printed) when the table is ready
+     */
+    waitTable() {
+      return this.tableInitialization;
+    }
+  }
+
+  return KnexTableConnector;
+};
+
+module.exports = injectKnex;
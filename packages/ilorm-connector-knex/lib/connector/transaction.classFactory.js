@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * Inject the knex instance in the transaction part of the Knex connector
+ * @param {Object} knex knex object
+ * @returns {KnexTransactionConnector} The class handling the transactions of the connector
+ */
+const injectKnex = knex => {
+  /**
+   * Class handling the transactions of the KnexConnector, each transaction use a knex transaction
+   */
+  class KnexTransactionConnector {
+    /**
+     * Start a knex transaction
+     * @returns {Promise.<Transaction>} The knex transaction used by every operation of the ilorm transaction
+     */
+    beginTransaction() {
+      return new Promise((resolve, reject) => {
+        knex.transaction(trx => {
+          resolve(trx);
+        })
+
+          // A transaction which could not start (no connection acquired) reject the begin. Once started, the rollback
+          // reject the transaction promise, the error is already handled by ilorm.transaction (the reject is ignored):
+          .catch(reject);
+      });
+    }
+
+    /**
+     * Commit the knex transaction
+     * @param {Transaction} trx The knex transaction
+     * @returns {Promise.<void>} Resolve when the transaction is commit
+     */
+    commitTransaction(trx) {
+      return trx.commit();
+    }
+
+    /**
+     * Rollback the knex transaction
+     * @param {Transaction} trx The knex transaction
+     * @returns {Promise.<void>} Resolve when the transaction is rollback
+     */
+    rollbackTransaction(trx) {
+      return trx.rollback();
+    }
+
+    /**
+     * Get the knex transaction of the ilorm transaction, started at the first use of the transaction by the connector
+     * The knex query could not be returned by an async function, a knex query is a thenable run by the await.
+     * @param {Transaction} [transaction] The ilorm transaction
+     * @returns {Promise.<Transaction|null>} The knex transaction, null if the operation is not run in a transaction
+     */
+    getKnexTransaction(transaction) {
+      return transaction ? transaction.getConnectorTransaction(this) : Promise.resolve(null);
+    }
+  }
+
+  return KnexTransactionConnector;
+};
+
+module.exports = injectKnex;
@@ -0,0 +1,242 @@
+'use strict';
+
+const { OPERATIONS, } = require('ilorm-constants').QUERY;
+const applyQueryOnKnex = require('./applyQueryOnKnex');
+const applyUpdateOnKnex = require('./applyUpdateOnKnex');
+
+const POSTGRESQL = 'postgresql';
+const SQLITE = 'sqlite3';
+const MYSQL_DIALECTS = [ 'mysql', 'mysql2', ];
+
+// Column returned by PostgreSQL, true if the row was inserted (xmax is 0 for a new row) :
+const CREATED_COLUMN = 'ilorm_created';
+
+// The UPDATE clause of each dialect, per update operator, with the bindings of the clause :
+const updateClauses = {
+  [POSTGRESQL]: {
+    [OPERATIONS.SET]: ({ key, }) => ({
+      sql: '?? = excluded.??',
+      bindings: [ key, key, ],
+    }),
+    [OPERATIONS.ADD]: ({ key, value, tableName, }) => ({
+      sql: '?? = ??.?? + ?',
+      bindings: [ key, tableName, key, value, ],
+    }),
+  },
+  mysql: {
+    [OPERATIONS.SET]: ({ key, }) => ({
+      sql: '?? = values(??)',
+      bindings: [ key, key, ],
+    }),
+    [OPERATIONS.ADD]: ({ key, value, }) => ({
+      sql: '?? = ?? + ?',
+      bindings: [ key, key, value, ],
+    }),
+  },
+};
+
+/**
+ * Get the row inserted if no row match : the is filters of the query, the values of the update and the raw insert
+ * @param {Query} query The ilorm query to upsert
+ * @param {Object} [rawInsert={}] Fields to set only if the row is created
+ * @returns {Object} The row and the conflict keys (the fields of the is filters)
+ */
+const getInsertedRow = (query, rawInsert = {}) => {
+  const row = {};
+  const conflictKeys = [];
+
+  query.queryBuilder({
+    onOperator: (key, operator, value) => {
+      if (operator === OPERATIONS.IS) {
+        row[key] = value;
+        conflictKeys.push(key);
+      }
+    },
+  });
+
+  query.updateBuilder({
+    onOperator: (key, operator, value) => {
+      row[key] = value;
+    },
+  });
+
+  return {
+    row: Object.assign(row, rawInsert),
+    conflictKeys,
+  };
+};
+
+/**
+ * Get the UPDATE clauses of the query update, applied when the row already exists
+ * @param {Query} query The ilorm query to upsert
+ * @param {String} dialect The dialect of the database
+ * @param {String} tableName The table of the row
+ * @returns {Object} The sql of the clauses and their bindings
+ */
+const getUpdateClauses = ({ query, dialect, tableName, }) => {
+  const clauses = updateClauses[MYSQL_DIALECTS.includes(dialect) ? 'mysql' : dialect];
+  const sql = [];
+  const bindings = [];
+
+  query.updateBuilder({
+    onOperator: (key, operator, value) => {
+      const clause = clauses[operator]({
+        key,
+        value,
+        tableName,
+      });
+
+      sql.push(clause.sql);
+      bindings.push(...clause.bindings);
+    },
+  });
+
+  return {
+    sql,
+    bindings,
+  };
+};
+
+/**
+ * Build the INSERT ... ON CONFLICT of PostgreSQL, the conflict target need a unique index
+ * @param {Object} insert The sql and bindings of the INSERT
+ * @param {Array.<String>} conflictKeys The columns identifying the row
+ * @param {Object} updates The UPDATE clauses
+ * @returns {Object} The sql and the bindings of the upsert
+ */
+const buildPostgresqlUpsert = ({ insert, conflictKeys, updates, }) => {
+  const action = updates.sql.length > 0 ? `do update set ${updates.sql.join(', ')}` : 'do nothing';
+
+  return {
+    sql: `${insert.sql} on conflict (${conflictKeys.map(() => '??').join(', ')}) ${action} returning (xmax = 0) as ??`,
+    bindings: [ ...insert.bindings, ...conflictKeys, ...updates.bindings, CREATED_COLUMN, ],
+  };
+};
+
+/**
+ * Build the INSERT ... ON DUPLICATE KEY UPDATE of MySQL, the row need a unique index on the conflict keys
+ * @param {Object} insert The sql and bindings of the INSERT
+ * @param {Array.<String>} conflictKeys The columns identifying the row
+ * @param {Object} updates The UPDATE clauses
+ * @returns {Object} The sql and the bindings of the upsert
+ */
+const buildMysqlUpsert = ({ insert, conflictKeys, updates, }) => {
+  // Without update, the first key is set to itself to ignore the duplicate row:
+  const [ firstKey, ] = conflictKeys;
+  const sql = updates.sql.length > 0 ? updates.sql.join(', ') : '?? = ??';
+  const bindings = updates.sql.length > 0 ? updates.bindings : [ firstKey, firstKey, ];
+
+  return {
+    sql: `${insert.sql} on duplicate key update ${sql}`,
+    bindings: [ ...insert.bindings, ...bindings, ],
+  };
+};
+
+/**
+ * Insert the row with INSERT ... ON CONFLICT DO NOTHING of SQLite (3.24 or newer), then update the row if it was not
+ * inserted. SQLite could not return if the row was inserted by an upsert, the statements are run in a transaction.
+ * @param {Object} knex The knex instance
+ * @param {String} tableName The table of the row
+ * @param {Query} query The ilorm query to upsert
+ * @param {Object} insert The sql and bindings of the INSERT
+ * @param {Array.<String>} conflictKeys The columns identifying the row
+ * @param {Transaction} trx The knex transaction to run the statements into
+ * @returns {Promise.<Boolean>} Return true if the row was created, false if it was updated
+ */
+const upsertOnSqlite = async ({ knex, tableName, query, insert, conflictKeys, trx, }) => {
+  await knex.raw(`${insert.sql} on conflict (${conflictKeys.map(() => '??').join(', ')}) do nothing`, [
+    ...insert.bindings,
+    ...conflictKeys,
+  ]).transacting(trx);
+
+  const [ changes, ] = await knex.raw('select changes() as ??', [ 'insertedRows', ]).transacting(trx);
+
+  if (changes.insertedRows > 0) {
+    return true;
+  }
+
+  let hasUpdate = false;
+
+  query.updateBuilder({
+    onOperator: () => {
+      hasUpdate = true;
+    },
+  });
+
+  // Without update, the existing row is kept unchanged:
+  if (hasUpdate) {
+    await applyUpdateOnKnex(query, applyQueryOnKnex(query, knex(tableName).transacting(trx)));
+  }
+
+  return false;
+};
+
+/**
+ * Insert the row matching the query, or update it if it already exists
+ * PostgreSQL (ON CONFLICT) and MySQL (ON DUPLICATE KEY UPDATE) run one statement, SQLite an insert then an update in a
+ * transaction.
+ * @param {Object} knex The knex instance
+ * @param {String} tableName The table of the row
+ * @param {Query} query The ilorm query to upsert, filtering with is operations
+ * @param {Object} [rawInsert] Fields to set only if the row is created
+ * @param {Transaction} [trx] The knex transaction to run the upsert into
+ * @returns {Promise.<Boolean>} Return true if the row was created, false if it was updated
+ */
+const upsertOnKnex = async ({ knex, tableName, query, rawInsert, trx, }) => {
+  const { dialect, } = knex.client;
+  const isMysql = MYSQL_DIALECTS.includes(dialect);
+
+  if (dialect !== POSTGRESQL && dialect !== SQLITE && !isMysql) {
+    throw new Error(`connector.Knex: the upsert is not supported by ${dialect}.`);
+  }
+
+  const { row, conflictKeys, } = getInsertedRow(query, rawInsert);
+
+  if (dialect === SQLITE) {
+    const params = {
+      knex,
+      tableName,
+      query,
+      insert: knex(tableName).insert(row)
+        .toSQL(),
+      conflictKeys,
+    };
+
+    return trx ?
+      upsertOnSqlite({
+        ...params,
+        trx,
+      }) :
+      knex.transaction(newTrx => upsertOnSqlite({
+        ...params,
+        trx: newTrx,
+      }));
+  }
+  const params = {
+    insert: knex(tableName).insert(row)
+      .toSQL(),
+    conflictKeys,
+    updates: getUpdateClauses({
+      query,
+      dialect,
+      tableName,
+    }),
+  };
+  const { sql, bindings, } = isMysql ? buildMysqlUpsert(params) : buildPostgresqlUpsert(params);
+  const rawQuery = knex.raw(sql, bindings);
+
+  if (trx) {
+    rawQuery.transacting(trx);
+  }
+
+  const result = await rawQuery;
+
+  // MySQL affect 1 row for an insert, 2 for an update and 0 if the row is unchanged:
+  if (isMysql) {
+    return result[0].affectedRows === 1;
+  }
+
+  return result.rows.length > 0 && result.rows[0][CREATED_COLUMN];
+};
+
+module.exports = upsertOnKnex;
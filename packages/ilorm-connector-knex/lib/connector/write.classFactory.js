@@ -0,0 +1,136 @@
+'use strict';
+
+const applyQueryOnKnex = require('./applyQueryOnKnex');
+const applyUpdateOnKnex = require('./applyUpdateOnKnex');
+const insertOnKnex = require('./insertOnKnex');
+const upsertOnKnex = require('./upsertOnKnex');
+const { TRANSACTION, } = require('ilorm-constants').QUERY.FIELDS;
+
+/**
+ * Inject the knex instance in the write part of the Knex connector
+ * @param {Object} knex knex object
+ * @param {Class} ParentConnector The connector class to extend
+ * @returns {KnexWriteConnector} The class handling the writes of the connector
+ */
+const injectKnex = ({ knex, ParentConnector, }) => {
+  /**
+   * Class handling the writes of the KnexConnector (create, update, upsert, remove)
+   */
+  class KnexWriteConnector extends ParentConnector {
+    /**
+     * Create one or more rows into the database, the id generated by the database is set to each instance.
+     * @param {Model|Array.<Model>} items The instances you want to create in the database
+     * @param {Object} [options] Options of the creation
+     * @param {Transaction} [options.transaction] The transaction to use
+     * @returns {Promise.<null>} Resolve once the rows are created
+     */
+    async create(items, { transaction, } = {}) {
+      const instances = [].concat(items);
+      const autoIncrementKey = this.schema.getAutoIncrementKey();
+
+      await this.waitTable();
+
+      // Every instance of the batch is inserted with one multi rows INSERT (if the ids could be read back):
+      const rows = await insertOnKnex({
+        knex,
+        tableName: this.tableName,
+        rows: await Promise.all(instances.map(instance => instance.getJson())),
+        autoIncrementKey,
+        trx: await this.getKnexTransaction(transaction),
+      });
+
+      if (autoIncrementKey) {
+        rows.forEach((row, index) => {
+          instances[index][autoIncrementKey] = row[autoIncrementKey];
+        });
+      }
+
+      return null;
+    }
+
+    /**
+     * Update one or more document who match query
+     * @param {Query} query The ilorm query you want to run on your Database.
+     * @returns {*} The number of document updated
+     */
+    update(query) {
+      return this.runKnex(query, knexQuery => applyUpdateOnKnex(query, applyQueryOnKnex(query, knexQuery)));
+    }
+
+    /**
+     * Run the handler on the first row who match the query only, targeted by its primary key
+     * Most of the databases could not limit an UPDATE or a DELETE, the primary key of the row is selected first.
+     * @param {Query} query The ilorm query you want to run on your Database.
+     * @param {Function} handler Called with the knex query targeting the row, return the knex query to run
+     * @returns {Promise.<Number>} The number of rows affected by the handler query, 0 if no row match
+     */
+    async runOnFirstRow(query, handler) {
+      await this.waitTable();
+
+      const trx = await this.getKnexTransaction(query[TRANSACTION]);
+      const primaryRow = await applyQueryOnKnex(query, this.getKnex(trx))
+        .first(...this.getPrimaryKeys());
+
+      if (!primaryRow) {
+        return 0;
+      }
+
+      return handler(this.getKnex(trx).where(primaryRow));
+    }
+
+    /**
+     * Update one document who match query
+     * @param {Query} query The ilorm query you want to run on your Database.
+     * @param {Object} [rawUpdate] Fields to set in addition of the query update (used by the instance save)
+     * @returns {Promise.<Boolean>} Return true if a document was updated
+     */
+    async updateOne(query, rawUpdate) {
+      const updatedRows = await this.runOnFirstRow(query, knexQuery => applyUpdateOnKnex(query, knexQuery, rawUpdate));
+
+      return updatedRows > 0;
+    }
+
+    /**
+     * Insert the row who match the query, or update it if it already exists (need a unique index on the filters)
+     * @param {Query} query The ilorm query you want to run on your Database.
+     * @param {Object} [rawInsert] Fields to set only if the row is created (used by Model.findOrCreate)
+     * @returns {Promise.<Boolean>} Return true if the row was created, false if it was updated
+     */
+    async upsert(query, rawInsert) {
+      await this.waitTable();
+
+      return upsertOnKnex({
+        knex,
+        tableName: this.tableName,
+        query,
+        rawInsert,
+        trx: await this.getKnexTransaction(query[TRANSACTION]),
+      });
+    }
+
+    /**
+     * Remove one or document who match the query
+     * @param {Query} query The ilorm query you want to run on your Database.
+     * @returns {Promise.<Number>} The number of document removed
+     */
+    remove(query) {
+      return this.runKnex(query, knexQuery => applyQueryOnKnex(query, knexQuery)
+        .del());
+    }
+
+    /**
+     * Remove one document who match the query
+     * @param {Query} query The ilorm query you want to run on your Database.
+     * @returns {Promise.<Boolean>} Return true if a document was removed
+     */
+    async removeOne(query) {
+      const removedRows = await this.runOnFirstRow(query, knexQuery => knexQuery.del());
+
+      return removedRows > 0;
+    }
+  }
+
+  return KnexWriteConnector;
+};
+
+module.exports = injectKnex;
@@ -1,4 +1,37 @@
 'use strict';
 
+const knexFactory = require('knex');
 
-module.exports = {};
+const connector = require('./connector');
+const schemaFactory = require('./schema');
+const { schemaFieldFactory, schemaFields, } = require('./schemaField');
+
+/**
+ * Create the Connector from the given knex instance
+ * @param {Object} knex The knex instance to use
+ * @returns {Connector} The Knex connector object
+ */
+const fromKnex = knex => connector({
+  knex,
+});
+
+/**
+ * Create the Connector from the given knex configuration
+ * @param {Object} config The knex configuration (ie: { client: 'pg', connection: 'postgres://localhost/ilorm' })
+ * @returns {Connector} The Knex connector object
+ */
+const fromConfig = config => connector({
+  knex: knexFactory(config),
+});
+
+module.exports = {
+  plugins: {
+    core: {
+      schemaFactory,
+      schemaFieldFactory,
+      schemaFields,
+    },
+  },
+  fromConfig,
+  fromKnex,
+};
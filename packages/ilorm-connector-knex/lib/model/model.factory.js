@@ -1,11 +1,43 @@
+'use strict';
 
 /**
- * Create a new Mongo Model class.
+ * Create a new Knex Model class.
  * @param {Model} ParentModel The Model used as Parent
  * @returns {KnexModel} The KnexModel created
  */
-const mongoModelFactory = ({ ParentModel, }) => (
-  class KnexModel extends ParentModel {}
+const knexModelFactory = ({ ParentModel, }) => (
+  class KnexModel extends ParentModel {
+    /**
+     * Generate a query targeting the primary key of the instance
+     * @returns {Object} Return the query to use to target the current instance
+     */
+    getQueryPrimary() {
+      const query = this.constructor.query();
+
+      query.restrictToPrimary(this.getPrimary());
+
+      return query;
+    }
+
+    /**
+     * Return a unique key to identify the current instance, an object with the value of each key if the primary key
+     * is composite
+     * @returns {*|Object} Current primary key
+     */
+    getPrimary() {
+      const { primaryKeys, } = this.constructor.getSchema();
+
+      if (primaryKeys.length === 1) {
+        return this[primaryKeys[0]];
+      }
+
+      return primaryKeys.reduce((primary, key) => {
+        primary[key] = this[key];
+
+        return primary;
+      }, {});
+    }
+  }
 );
 
-module.exports = mongoModelFactory;
+module.exports = knexModelFactory;
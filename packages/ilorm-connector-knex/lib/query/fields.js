@@ -1,5 +0,0 @@
-'use strict';
-
-module.exports = {
-  KNEX: Symbol('knex'),
-};
@@ -1,11 +1,11 @@
-const { KNEX, } = require('./fields');
-const { CONNECTOR, } = require('ilorm-constants').QUERY.FIELDS;
+'use strict';
 
+const { MODEL, } = require('ilorm-constants').QUERY.FIELDS;
 
 /**
  * Inject dependencies to query
  * @param {Query} ParentQuery class Query to overload
- * @returns {KnexQuery} The query returned by a mongo model
+ * @returns {KnexQuery} The query returned by a knex model
  */
 const injectDependencies = ({ ParentQuery, }) => {
 
@@ -14,12 +14,50 @@ const injectDependencies = ({ ParentQuery, }) => {
    */
   class KnexQuery extends ParentQuery {
     /**
-     * Instantiate a KnexQuery
-     * @param {Object} params parameter transmit to parent
+     * Apply the primary key of the current query
+     * A composite primary key is an object with the value of each key.
+     * @param {*|Object|Array.<*|Object>} primary The key to apply (or the list of keys)
+     * @returns {Void} Return nothing
      */
-    constructor(...params) {
-      super(...params);
-      this[KNEX] = this[CONNECTOR].getKnex();
+    restrictToPrimary(primary) {
+      const primaryKeys = this.getPrimaryKeys();
+
+      if (primaryKeys.length === 1) {
+        if (Array.isArray(primary)) {
+          this[primaryKeys[0]].isIn(primary);
+
+          return null;
+        }
+
+        this[primaryKeys[0]].is(primary);
+
+        return null;
+      }
+
+      const primaries = [].concat(primary);
+
+      // No row match an empty list of keys:
+      if (primaries.length === 0) {
+        this[primaryKeys[0]].isIn([]);
+
+        return null;
+      }
+
+      this.or(branch => primaries.forEach(compositePrimary => {
+        const query = branch();
+
+        primaryKeys.forEach(key => query[key].is(compositePrimary[key]));
+      }));
+
+      return null;
+    }
+
+    /**
+     * Return the fields of the primary key, declared by the schema of the model
+     * @returns {Array.<String>} The primary key fields
+     */
+    getPrimaryKeys() {
+      return this[MODEL].getSchema().primaryKeys;
     }
   }
 
@@ -1,12 +1,62 @@
 'use strict';
 
+// The primary key added to a schema without primary key :
+const DEFAULT_PRIMARY_KEY = 'id';
+
+/**
+ * Copy a field, to declare it as primary without changing the field given by the caller
+ * @param {SchemaField} field The field to copy
+ * @returns {SchemaField} The copy of the field
+ */
+const copyField = field => Object.assign(Object.create(Object.getPrototypeOf(field)), field);
+
 /**
  * Class schema
  * Instantiate a knex schema
  * @param {Schema} Schema schema to extends
  * @returns {KnexSchema} The knex schema to use
  */
-const injectSchema = Schema => class KnexSchema extends Schema {};
+const injectSchema = Schema => class KnexSchema extends Schema {
+
+  /**
+   * Constructor for Schema
+   * Without field declared as primary, the id field is the primary key (added as an auto increment if missing)
+   * The given schema is copied, the primary key is declared on the copy.
+   * @param {Object} schema The given schema
+   * @param {Object} [options] Options to apply to the schema
+   */
+  constructor(schema, options) {
+    const definition = { ...schema, };
+    const hasPrimary = Object.keys(definition).some(property => definition[property].isKnexPrimary &&
+      definition[property].isKnexPrimary());
+
+    if (!hasPrimary) {
+      definition[DEFAULT_PRIMARY_KEY] = definition[DEFAULT_PRIMARY_KEY] ?
+        copyField(definition[DEFAULT_PRIMARY_KEY]).primary() :
+        new.target.number().autoIncrement();
+    }
+
+    super(definition, options);
+
+    this.primaryKeys = this.getStoredProperties()
+      .filter(property => this.definition[property].isKnexPrimary());
+
+    const autoIncrementKey = this.getAutoIncrementKey();
+
+    // The auto increment column is always declared alone as primary key by the database:
+    if (autoIncrementKey && this.primaryKeys.length > 1) {
+      throw new Error(`connector.Knex: The auto increment field ${autoIncrementKey} should be the only primary key ` +
+        'of the schema.');
+    }
+  }
 
+  /**
+   * Get the field generated by the database at the insertion
+   * @returns {String|null} The auto increment field, null if the primary key is not auto incremented
+   */
+  getAutoIncrementKey() {
+    return this.primaryKeys.find(property => this.definition[property].isKnexAutoIncrement()) || null;
+  }
+};
 
 module.exports = injectSchema;
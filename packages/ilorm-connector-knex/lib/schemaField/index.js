@@ -0,0 +1,21 @@
+'use strict';
+
+const knexBooleanFactory = require('./knexBoolean.factory');
+const knexDateFactory = require('./knexDate.factory');
+const knexNumberFactory = require('./knexNumber.factory');
+const knexReferenceFactory = require('./knexReference.factory');
+const knexSchemaFieldFactory = require('./knexSchemaField.factory');
+const knexStringFactory = require('./knexString.factory');
+
+module.exports = {
+  schemaFieldFactory: knexSchemaFieldFactory,
+
+  // Overload of each field class built by ilorm, key is the ilorm field factory :
+  schemaFields: {
+    booleanFieldFactory: knexBooleanFactory,
+    dateFieldFactory: knexDateFactory,
+    numberFieldFactory: knexNumberFactory,
+    referenceFieldFactory: knexReferenceFactory,
+    stringFieldFactory: knexStringFactory,
+  },
+};
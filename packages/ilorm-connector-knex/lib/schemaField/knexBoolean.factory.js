@@ -14,10 +14,18 @@ const knexBooleanFactory = Boolean => {
     /**
      * Method called to init a Knex type table
      * @param {Object} table knex object (use to create table)
-     * @returns {void} Return nothing
+     * @returns {ColumnBuilder} The knex column
      */
     initKnexTable(table) {
-      table.boolean(this._name);
+      return table.boolean(this._name);
+    }
+
+    /**
+     * Get the types of the column accepted for the field, as read from an existing table (a boolean per dialect)
+     * @returns {Array.<String>} The accepted column types
+     */
+    getKnexColumnTypes() {
+      return [ 'boolean', 'tinyint', 'bit', 'number', ];
     }
   }
 
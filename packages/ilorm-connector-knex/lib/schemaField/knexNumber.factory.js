@@ -11,13 +11,31 @@ const knexNumberFactory = Number => {
    * Create a KnexNumber (overload basic number with knex init)
    */
   class KnexNumber extends Number {
+    /**
+     * Declare the field as the auto increment primary key of the table, its value is generated at the insertion
+     * @return {SchemaField} Return the field (to chainable definition)
+     */
+    autoIncrement() {
+      this._isAutoIncrement = true;
+
+      return this.primary();
+    }
+
     /**
      * Method called to init a Knex type table
      * @param {Object} table knex object (use to create table)
-     * @returns {void} Return nothing
+     * @returns {ColumnBuilder} The knex column
      */
     initKnexTable(table) {
-      table.integer(this._name);
+      return this._isAutoIncrement ? table.increments(this._name) : table.integer(this._name);
+    }
+
+    /**
+     * Get the types of the column accepted for the field, as read from an existing table (an integer per dialect)
+     * @returns {Array.<String>} The accepted column types
+     */
+    getKnexColumnTypes() {
+      return [ 'integer', 'int', 'number', ];
     }
   }
 
@@ -3,21 +3,60 @@
 /**
  * Inject Reference class to create a KnexReference
  * @param {Reference} Reference The class Reference to overload
+ * @param {Ilorm} ilorm The ilorm context, used to find the referenced model
  * @returns {KnexReference} Returns the knex Reference class
  */
-const knexReferenceFactory = Reference => {
+const knexReferenceFactory = (Reference, { ilorm, }) => {
 
   /**
    * Create a KnexReference (overload basic Reference with knex init)
    */
   class KnexReference extends Reference {
+    /**
+     * Get the knex connector of the referenced model
+     * @returns {KnexConnector|null} The connector, null if the model is not declared yet or is not bound with a table
+     */
+    getReferencedConnector() {
+      const ReferencedModel = ilorm.modelsIndex.get(this.getReferencedModelName());
+      const connector = ReferencedModel ? ReferencedModel.getConnector() : null;
+
+      return connector && connector.tableName ? connector : null;
+    }
+
     /**
      * Method called to init a Knex type table
      * @param {Object} table knex object (use to create table)
-     * @returns {void} Return nothing
+     * @returns {ColumnBuilder} The knex column
      */
     initKnexTable(table) {
-      table.references(this._name);
+      return table.integer(this._name).unsigned();
+    }
+
+    /**
+     * Get the types of the column accepted for the field, read from an existing table (an unsigned integer per dialect)
+     * @returns {Array.<String>} The accepted column types
+     */
+    getKnexColumnTypes() {
+      return [ 'integer', 'int', 'number', ];
+    }
+
+    /**
+     * Declare the foreign key to the primary key of the referenced table
+     * @param {Object} table knex object (use to create or alter table)
+     * @param {KnexConnector} connector The connector of the referenced table
+     * @returns {void} Return nothing
+     */
+    initKnexForeignKey(table, connector) {
+      const primaryKeys = connector.getPrimaryKeys();
+
+      if (primaryKeys.length !== 1) {
+        throw new Error(`connector.Knex: The field ${this._name} could not reference the table ${connector.tableName}` +
+          ', a reference need a primary key of one column.');
+      }
+
+      table.foreign(this._name)
+        .references(primaryKeys[0])
+        .inTable(connector.tableName);
     }
   }
 
@@ -0,0 +1,104 @@
+'use strict';
+
+/**
+ * Inject the base SchemaField class to create a KnexSchemaField
+ * @param {SchemaField} SchemaField The base class of every field to overload
+ * @returns {KnexSchemaField} Returns the knex base field class
+ */
+const knexSchemaFieldFactory = SchemaField => {
+
+  /**
+   * Create a KnexSchemaField (overload the base field with the column declaration)
+   */
+  class KnexSchemaField extends SchemaField {
+    /**
+     * Create a new Schema field
+     * @param {...*} params The params of the field
+     */
+    constructor(...params) {
+      super(...params);
+      this._isPrimary = false;
+      this._isAutoIncrement = false;
+    }
+
+    /**
+     * Declare the field as a part of the primary key (several fields declare a composite primary key)
+     * @return {SchemaField} Return the field (to chainable definition)
+     */
+    primary() {
+      this._isPrimary = true;
+
+      return this;
+    }
+
+    /**
+     * Check if the field is a part of the primary key
+     * @returns {Boolean} Return true if the field is in the primary key
+     */
+    isKnexPrimary() {
+      return this._isPrimary;
+    }
+
+    /**
+     * Check if the value of the field is generated by the database at the insertion
+     * @returns {Boolean} Return true if the field is auto incremented
+     */
+    isKnexAutoIncrement() {
+      return this._isAutoIncrement;
+    }
+
+    /**
+     * Method called to init a Knex type table, a field without column type is not stored in the table
+     * @returns {ColumnBuilder|null} The knex column, null if the field has no column
+     */
+    initKnexTable() {
+      return null;
+    }
+
+    /**
+     * Get the types of the column accepted for the field, as read from an existing table (knex columnInfo)
+     * @returns {Array.<String>} The accepted column types, empty if the type of the column is not checked
+     */
+    getKnexColumnTypes() {
+      return [];
+    }
+
+    /**
+     * Check if the column of the field accept null (the field is not required, and not in the primary key)
+     * @returns {Boolean} Return true if the column is nullable
+     */
+    isKnexNullable() {
+      return !this._isRequired && !this._isPrimary;
+    }
+
+    /**
+     * Declare the column of the field, the column is nullable if the field is not required
+     * @param {Object} table knex object (use to create or alter table)
+     * @param {Boolean} [isNullable] Force the nullability of the column (ie: a column added to a table with rows)
+     * @returns {ColumnBuilder|null} The knex column, null if the field has no column
+     */
+    initKnexColumn(table, { isNullable = this.isKnexNullable(), } = {}) {
+      const column = this.initKnexTable(table);
+
+      if (column) {
+        if (isNullable) {
+          column.nullable();
+        } else {
+          column.notNullable();
+        }
+      }
+
+      return column;
+    }
+
+    /**
+     * Declare the foreign key of the column (only the reference fields declare one)
+     * @returns {void} Return nothing
+     */
+    initKnexForeignKey() {}
+  }
+
+  return KnexSchemaField;
+};
+
+module.exports = knexSchemaFieldFactory;
@@ -14,10 +14,18 @@ const knexStringFactory = String => {
     /**
      * Method called to init a Knex type table
      * @param {Object} table knex object (use to create table)
-     * @returns {void} Return nothing
+     * @returns {ColumnBuilder} The knex column
      */
     initKnexTable(table) {
-      table.string(this._name);
+      return table.string(this._name);
+    }
+
+    /**
+     * Get the types of the column accepted for the field, as read from an existing table (a varchar per dialect)
+     * @returns {Array.<String>} The accepted column types
+     */
+    getKnexColumnTypes() {
+      return [ 'varchar', 'character varying', 'nvarchar', 'varchar2', ];
     }
   }
 
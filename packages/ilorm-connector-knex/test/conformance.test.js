@@ -0,0 +1,52 @@
+/* eslint-disable */
+
+const knexFactory = require('knex');
+const { FEATURES, testConnector, } = require('ilorm-connector-test-suite');
+const ilormKnex = require('../index');
+
+// Run the suite against another database with KNEX_CLIENT and KNEX_CONNECTION (the tables are dropped), ie:
+// KNEX_CLIENT=pg KNEX_CONNECTION=postgres://localhost/ilorm
+const client = process.env.KNEX_CLIENT || 'sqlite3';
+const isSqlite = client === 'sqlite3';
+
+// SQLite has no regex operator:
+const unsupportedFeatures = isSqlite ? [ FEATURES.MATCHES, ] : [];
+
+describe('ilorm-connector-knex', () => {
+  describe('test/conformance', () => {
+    let knex;
+    let KnexConnector;
+
+    before(() => {
+      knex = knexFactory({
+        client,
+        connection: isSqlite ? { filename: ':memory:', } : process.env.KNEX_CONNECTION,
+        useNullAsDefault: isSqlite,
+      });
+      KnexConnector = ilormKnex.fromKnex(knex);
+    });
+
+    // Every scenario start without table, the tables are created by the models:
+    beforeEach(async () => {
+      await knex.schema.dropTableIfExists('invoices');
+      await knex.schema.dropTableIfExists('users');
+    });
+
+    after(() => knex.destroy());
+
+    testConnector({
+      name: `ilorm-connector-knex (${client})`,
+      plugin: ilormKnex,
+      createConnector: tableName => new KnexConnector({ tableName, }),
+
+      // The upsert need a unique index on the filtered fields:
+      createUniqueIndex: async ({ Model, fields, }) => {
+        const connector = Model.getConnector();
+
+        await connector.waitTable();
+        await knex.schema.alterTable(connector.tableName, table => table.unique(fields));
+      },
+      unsupportedFeatures,
+    });
+  });
+});
@@ -0,0 +1,78 @@
+/* eslint-disable */
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const knexFactory = require('knex');
+const Ilorm = require('ilorm').constructor;
+
+const ilormKnex = require('../index');
+
+chai.use(chaiAsPromised);
+const { expect, } = chai;
+
+describe('ilorm-connector-knex', () => {
+  describe('test/explain', () => {
+    let knex;
+    let User;
+
+    before(async () => {
+      knex = knexFactory({
+        client: 'sqlite3',
+        connection: { filename: ':memory:', },
+        useNullAsDefault: true,
+      });
+
+      const ilorm = new Ilorm();
+
+      ilorm.use(ilormKnex);
+
+      const { Schema, newModel, } = ilorm;
+      const KnexConnector = ilormKnex.fromKnex(knex);
+
+      User = newModel({
+        name: 'users',
+        schema: new Schema({
+          name: Schema.string().required(),
+          isActive: Schema.boolean(),
+        }),
+        connector: new KnexConnector({ tableName: 'users', }),
+        scopes: {
+          active: {
+            handler: query => query.isActive.is(true),
+            isDefault: true,
+          },
+        },
+      });
+      ilorm.declareModel(User);
+    });
+
+    after(() => knex.destroy());
+
+    it('Should convert the query with its default scopes to SQL', async () => {
+      const native = await User.query()
+        .name.is('Smith')
+        .toNative();
+
+      expect(native.sql).to.equal('select * from `users` where `name` = ? and `isActive` = ?');
+      expect(native.bindings).to.deep.equal([ 'Smith', true, ]);
+    });
+
+    it('Should run EXPLAIN QUERY PLAN with SQLite', async () => {
+      const plan = await User.query()
+        .name.is('Smith')
+        .explain();
+
+      expect(plan).to.be.an('array');
+      expect(plan[0].detail).to.match(/SCAN/);
+    });
+
+    it('Should reject the explain with a dialect without explain statement', async () => {
+      const mssqlKnex = knexFactory({ client: 'mssql', });
+      const MssqlConnector = ilormKnex.fromKnex(mssqlKnex);
+      const query = User.query().name.is('Smith');
+
+      await expect(new MssqlConnector({ tableName: 'users', }).explain(query))
+        .to.be.rejectedWith('connector.Knex: The explain plan is not supported with mssql.');
+    });
+  });
+});
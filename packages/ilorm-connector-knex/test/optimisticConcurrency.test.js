@@ -0,0 +1,87 @@
+/* eslint-disable */
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const knexFactory = require('knex');
+const Ilorm = require('ilorm').constructor;
+const ilormOptimisticConcurrency = require('ilorm-plugin-optimisticconcurrency');
+
+const ilormKnex = require('../index');
+
+chai.use(chaiAsPromised);
+const { expect, } = chai;
+
+const { ConcurrencyError, } = ilormOptimisticConcurrency;
+
+describe('ilorm-connector-knex', () => {
+  describe('test/optimisticConcurrency', () => {
+    let knex;
+    let User;
+
+    before(() => {
+      knex = knexFactory({
+        client: 'sqlite3',
+        connection: { filename: ':memory:', },
+        useNullAsDefault: true,
+      });
+    });
+
+    beforeEach(async () => {
+      await knex.schema.dropTableIfExists('users');
+
+      const ilorm = new Ilorm();
+
+      ilorm.use(ilormKnex);
+      ilorm.use(ilormOptimisticConcurrency());
+
+      const { Schema, } = ilorm;
+      const KnexConnector = ilormKnex.fromKnex(knex);
+      const connector = new KnexConnector({ tableName: 'users', });
+
+      User = ilorm.newModel({
+        name: 'users',
+        schema: new Schema({
+          name: Schema.string(),
+        }),
+        connector,
+      });
+
+      ilorm.declareModel(User);
+      await connector.waitTable();
+    });
+
+    after(() => knex.destroy());
+
+    const getRows = () => knex('users').select('id', 'name', 'version').orderBy('id');
+
+    it('Should increment the version at each save, and reject the save of an outdated instance', async () => {
+      await new User({ name: 'Thibauld', }).save();
+
+      const firstWorkerUser = await User.getById(1);
+      const secondWorkerUser = await User.getById(1);
+
+      firstWorkerUser.name = 'Guillaume';
+      await firstWorkerUser.save();
+
+      secondWorkerUser.name = 'Smith';
+      await expect(secondWorkerUser.save()).to.be.rejectedWith(ConcurrencyError);
+
+      expect(firstWorkerUser.version).to.be.equal(1);
+      expect(await getRows()).to.be.deep.equal([ { id: 1, name: 'Guillaume', version: 1, }, ]);
+    });
+
+    it('Should increment the version of the rows updated by a query', async () => {
+      await new User({ name: 'Thibauld', }).save();
+      await new User({ name: 'Guillaume', }).save();
+
+      await User.query().name.set('Smith').update();
+      await User.query().id.is(1).name.set('John').updateOne();
+      await User.query().id.is(2).name.set('Doe').upsert();
+
+      expect(await getRows()).to.be.deep.equal([
+        { id: 1, name: 'John', version: 2, },
+        { id: 2, name: 'Doe', version: 2, },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,270 @@
+/* eslint-disable */
+
+const { expect, } = require('chai');
+const { spy, } = require('sinon');
+const knexFactory = require('knex');
+const Ilorm = require('ilorm').constructor;
+
+const ilormKnex = require('../index');
+const insertOnKnex = require('../lib/connector/insertOnKnex');
+
+describe('ilorm-connector-knex', () => {
+  describe('test/primaryKey', () => {
+    let knex;
+    let KnexConnector;
+    let ilorm;
+
+    /**
+     * Declare a model bound with a table, and wait its table
+     */
+    const declareModel = async ({ name, schema, }) => {
+      const connector = new KnexConnector({ tableName: name, });
+      const Model = ilorm.newModel({
+        name,
+        schema,
+        connector,
+      });
+
+      ilorm.declareModel(Model);
+      await connector.waitTable();
+
+      return Model;
+    };
+
+    /**
+     * Get the columns of the primary key of the table, in the key order
+     */
+    const getPrimaryColumns = async tableName => {
+      const columns = await knex.raw(`PRAGMA table_info(${tableName})`);
+
+      return columns
+        .filter(column => column.pk > 0)
+        .sort((a, b) => a.pk - b.pk)
+        .map(column => column.name);
+    };
+
+    before(() => {
+      knex = knexFactory({
+        client: 'sqlite3',
+        connection: { filename: ':memory:', },
+        useNullAsDefault: true,
+      });
+      KnexConnector = ilormKnex.fromKnex(knex);
+    });
+
+    beforeEach(async () => {
+      await knex.schema.dropTableIfExists('memberships');
+      await knex.schema.dropTableIfExists('tags');
+      await knex.schema.dropTableIfExists('users');
+
+      ilorm = new Ilorm();
+      ilorm.use(ilormKnex);
+    });
+
+    after(() => knex.destroy());
+
+    describe('Schema without declared primary', () => {
+      it('Should add an auto increment id, without changing the given definition', async () => {
+        const { Schema, } = ilorm;
+        const definition = {
+          email: Schema.string().required(),
+        };
+
+        const User = await declareModel({
+          name: 'users',
+          schema: new Schema(definition),
+        });
+
+        expect(Object.keys(definition)).to.deep.equal([ 'email', ]);
+        expect(User.getSchema().primaryKeys).to.deep.equal([ 'id', ]);
+        expect(await getPrimaryColumns('users')).to.deep.equal([ 'id', ]);
+
+        const user = new User();
+
+        user.email = 'anna@ilorm.io';
+        await user.save();
+
+        expect(user.id).to.be.a('number');
+        expect((await User.getById(user.id)).email).to.be.equal('anna@ilorm.io');
+      });
+
+      it('Should use the declared id field as primary key, without changing the given field', async () => {
+        const { Schema, } = ilorm;
+        const idField = Schema.string();
+
+        const User = await declareModel({
+          name: 'users',
+          schema: new Schema({
+            id: idField,
+            email: Schema.string(),
+          }),
+        });
+
+        expect(idField.isKnexPrimary()).to.be.equal(false);
+        expect(User.getSchema().definition.id.isKnexPrimary()).to.be.equal(true);
+        expect(await getPrimaryColumns('users')).to.deep.equal([ 'id', ]);
+
+        const user = new User();
+
+        user.id = 'anna';
+        user.email = 'anna@ilorm.io';
+        await user.save();
+
+        expect((await User.getById('anna')).email).to.be.equal('anna@ilorm.io');
+      });
+    });
+
+    describe('autoIncrement()', () => {
+      it('Should set the generated id of every instance created in one batch', async () => {
+        const { Schema, } = ilorm;
+
+        const Tag = await declareModel({
+          name: 'tags',
+          schema: new Schema({
+            tagId: Schema.number().autoIncrement(),
+            label: Schema.string().required(),
+          }),
+        });
+
+        expect(await getPrimaryColumns('tags')).to.deep.equal([ 'tagId', ]);
+
+        const { instances, errors, } = await Tag.createMany([
+          { label: 'orm', },
+          { tagId: 10, label: 'sql', },
+          { label: 'node', },
+        ]);
+
+        expect(errors).to.deep.equal([]);
+        expect(instances.map(tag => tag.tagId)).to.deep.equal([ 1, 10, 11, ]);
+        expect((await Tag.getById(11)).label).to.be.equal('node');
+      });
+
+      it('Should reject an auto increment field in a composite primary key', () => {
+        const { Schema, } = ilorm;
+
+        expect(() => new Schema({
+          tagId: Schema.number().autoIncrement(),
+          label: Schema.string().primary(),
+        })).to.throw('connector.Knex: The auto increment field tagId should be the only primary key of the schema.');
+      });
+    });
+
+    describe('Composite primary key', () => {
+      it('Should declare the composite key and target the row with the value of each key', async () => {
+        const { Schema, } = ilorm;
+
+        const Membership = await declareModel({
+          name: 'memberships',
+          schema: new Schema({
+            userId: Schema.number().primary(),
+            groupId: Schema.number().primary(),
+            role: Schema.string(),
+          }),
+        });
+
+        expect(await getPrimaryColumns('memberships')).to.deep.equal([ 'userId', 'groupId', ]);
+
+        await Membership.createMany([
+          { userId: 1, groupId: 1, role: 'owner', },
+          { userId: 1, groupId: 2, role: 'member', },
+          { userId: 2, groupId: 1, role: 'member', },
+        ]);
+
+        const membership = await Membership.getById({ userId: 1, groupId: 2, });
+
+        expect(membership.role).to.be.equal('member');
+        expect(membership.getPrimary()).to.deep.equal({ userId: 1, groupId: 2, });
+
+        membership.role = 'owner';
+        await membership.save();
+        await membership.remove();
+
+        expect(await Membership.query().userId.is(1).groupId.is(2).count()).to.be.equal(0);
+        expect((await Membership.getById({ userId: 1, groupId: 1, })).role).to.be.equal('owner');
+        expect(await Membership.query().count()).to.be.equal(2);
+      });
+    });
+
+    describe('insertOnKnex', () => {
+      /**
+       * Create a fake knex, recording the insert of each query
+       */
+      const fakeKnexFactory = ({ dialect, returnedIds, }) => {
+        const insertedRows = [];
+        const insert = spy(rows => {
+          insertedRows.push(JSON.parse(JSON.stringify(rows)));
+
+          return Promise.resolve(returnedIds());
+        });
+        const fakeKnex = () => ({ insert, });
+
+        fakeKnex.client = { dialect, };
+
+        return {
+          fakeKnex,
+          insert,
+          insertedRows,
+        };
+      };
+
+      it('Should read the generated ids with RETURNING in one INSERT', async () => {
+        const { fakeKnex, insert, insertedRows, } = fakeKnexFactory({
+          dialect: 'postgresql',
+          returnedIds: () => [ 4, 5, ],
+        });
+
+        const rows = await insertOnKnex({
+          knex: fakeKnex,
+          tableName: 'tags',
+          rows: [ { label: 'orm', }, { id: null, label: 'sql', }, ],
+          autoIncrementKey: 'id',
+        });
+
+        expect(insert.calledOnce).to.be.equal(true);
+        expect(insert.firstCall.args[1]).to.be.equal('id');
+        expect(insertedRows).to.deep.equal([ [ { label: 'orm', }, { label: 'sql', }, ], ]);
+        expect(rows).to.deep.equal([ { id: 4, label: 'orm', }, { id: 5, label: 'sql', }, ]);
+      });
+
+      it('Should insert the rows one by one to read the last insert id, in the given transaction', async () => {
+        let lastId = 0;
+        const { fakeKnex, insert, insertedRows, } = fakeKnexFactory({
+          dialect: 'mysql',
+          returnedIds: () => [ ++lastId, ],
+        });
+        const transacting = spy(() => ({ insert, }));
+        const trx = {};
+
+        const rows = await insertOnKnex({
+          knex: Object.assign(() => ({ transacting, }), { client: fakeKnex.client, }),
+          tableName: 'tags',
+          rows: [ { label: 'orm', }, { label: 'sql', }, ],
+          autoIncrementKey: 'id',
+          trx,
+        });
+
+        expect(insert.callCount).to.be.equal(2);
+        expect(insertedRows).to.deep.equal([ { label: 'orm', }, { label: 'sql', }, ]);
+        expect(transacting.alwaysCalledWith(trx)).to.be.equal(true);
+        expect(rows).to.deep.equal([ { id: 1, label: 'orm', }, { id: 2, label: 'sql', }, ]);
+      });
+
+      it('Should insert the rows without reading the ids when every id is given', async () => {
+        const { fakeKnex, insert, } = fakeKnexFactory({
+          dialect: 'mysql',
+          returnedIds: () => [ 0, ],
+        });
+
+        const rows = await insertOnKnex({
+          knex: fakeKnex,
+          tableName: 'tags',
+          rows: [ { id: 3, label: 'orm', }, { id: 7, label: 'sql', }, ],
+          autoIncrementKey: 'id',
+        });
+
+        expect(insert.calledOnce).to.be.equal(true);
+        expect(rows).to.deep.equal([ { id: 3, label: 'orm', }, { id: 7, label: 'sql', }, ]);
+      });
+    });
+  });
+});
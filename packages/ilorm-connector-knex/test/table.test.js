@@ -0,0 +1,285 @@
+/* eslint-disable */
+
+const { expect, } = require('chai');
+const { stub, } = require('sinon');
+const knexFactory = require('knex');
+const Ilorm = require('ilorm').constructor;
+
+const ilormKnex = require('../index');
+
+describe('ilorm-connector-knex', () => {
+  describe('test/table', () => {
+    let knex;
+    let KnexConnector;
+    let ilorm;
+
+    /**
+     * Declare a model bound with a table, and wait its table
+     */
+    const declareModel = async ({ name, schema, connectorOptions = {}, }) => {
+      const connector = new KnexConnector(Object.assign({ tableName: name, }, connectorOptions));
+      const Model = ilorm.newModel({
+        name,
+        schema,
+        connector,
+      });
+
+      ilorm.declareModel(Model);
+
+      return {
+        Model,
+        ddl: await connector.waitTable(),
+      };
+    };
+
+    before(() => {
+      knex = knexFactory({
+        client: 'sqlite3',
+        connection: { filename: ':memory:', },
+        useNullAsDefault: true,
+      });
+      KnexConnector = ilormKnex.fromKnex(knex);
+    });
+
+    beforeEach(async () => {
+      await knex.schema.dropTableIfExists('invoices');
+      await knex.schema.dropTableIfExists('users');
+
+      ilorm = new Ilorm();
+      ilorm.use(ilormKnex);
+      stub(process, 'emitWarning');
+    });
+
+    afterEach(() => {
+      process.emitWarning.restore();
+    });
+
+    after(() => knex.destroy());
+
+    it('Should create the table with the columns of the schema', async () => {
+      const { Schema, } = ilorm;
+
+      await declareModel({
+        name: 'users',
+        schema: new Schema({
+          email: Schema.string().required(),
+          age: Schema.number(),
+          isAdmin: Schema.boolean(),
+          birthday: Schema.date(),
+          displayName: Schema.virtual(() => 'name'),
+        }),
+      });
+
+      const columns = await knex('users').columnInfo();
+
+      expect(Object.keys(columns).sort()).to.deep.equal([ 'age', 'birthday', 'email', 'id', 'isAdmin', ]);
+      expect(columns.email.nullable).to.be.equal(false);
+      expect(columns.age.nullable).to.be.equal(true);
+      expect(columns.id.type).to.be.equal('integer');
+      expect(columns.birthday.type).to.be.equal('datetime');
+    });
+
+    it('Should declare the foreign key of a reference to a declared model', async () => {
+      const { Schema, } = ilorm;
+
+      await declareModel({
+        name: 'users',
+        schema: new Schema({
+          email: Schema.string().required(),
+        }),
+      });
+      await declareModel({
+        name: 'invoices',
+        schema: new Schema({
+          user: Schema.reference('users').required(),
+        }),
+      });
+
+      const foreignKeys = await knex.raw('PRAGMA foreign_key_list(invoices)');
+
+      expect(foreignKeys.map(({ table, from, to, }) => ({ table, from, to, }))).to.deep.equal([
+        { table: 'users', from: 'user', to: 'id', },
+      ]);
+    });
+
+    it('Should add the missing columns as nullable to a table with rows', async () => {
+      const { Schema, } = ilorm;
+
+      await knex.schema.createTable('users', table => {
+        table.increments('id');
+        table.string('email').notNullable();
+      });
+      await knex('users').insert({ email: 'guillaume@ilorm.com', });
+
+      const { Model: User, ddl, } = await declareModel({
+        name: 'users',
+        schema: new Schema({
+          email: Schema.string().required(),
+          age: Schema.number().required(),
+        }),
+        connectorOptions: {
+          sync: 'alter',
+        },
+      });
+
+      const columns = await knex('users').columnInfo();
+
+      expect(ddl).to.match(/alter table `users` add column `age` integer/);
+      expect(columns.age.nullable).to.be.equal(true);
+      expect(process.emitWarning.calledWith('connector.Knex: The column users.age is added as nullable, ' +
+        'the existing rows have no value.')).to.be.equal(true);
+
+      const user = await User.query().findOne();
+
+      expect(user.email).to.be.equal('guillaume@ilorm.com');
+    });
+
+    it('Should keep unchanged the columns SQLite could not alter', async () => {
+      const { Schema, } = ilorm;
+
+      await knex.schema.createTable('users', table => {
+        table.increments('id');
+        table.string('email').notNullable();
+      });
+
+      const { Model: User, ddl, } = await declareModel({
+        name: 'users',
+        schema: new Schema({
+          email: Schema.string(),
+        }),
+        connectorOptions: {
+          sync: 'alter',
+        },
+      });
+
+      expect(ddl).to.be.equal(null);
+      expect(process.emitWarning.calledWith('connector.Knex: The column users.email is kept unchanged, sqlite3 ' +
+        'could not alter a column.')).to.be.equal(true);
+      expect(await User.query().count()).to.be.equal(0);
+    });
+
+    it('Should only report the differences with an existing table without the sync option alter', async () => {
+      const { Schema, } = ilorm;
+
+      await knex.schema.createTable('users', table => {
+        table.increments('id');
+        table.string('email').notNullable();
+        table.string('age');
+      });
+
+      const { ddl, } = await declareModel({
+        name: 'users',
+        schema: new Schema({
+          email: Schema.string(),
+          age: Schema.number(),
+          birthday: Schema.date(),
+        }),
+      });
+
+      expect(ddl).to.be.equal(null);
+      expect(Object.keys(await knex('users').columnInfo())).to.deep.equal([ 'id', 'email', 'age', ]);
+      expect(process.emitWarning.args.map(([ message, ]) => message)).to.deep.equal([
+        'connector.Knex: The column users.age has the type varchar, the field expect one of integer, int, ' +
+        'number (the type of a column is never altered).',
+        'connector.Knex: The column users.birthday is missing, the table is altered only with the sync option alter.',
+        'connector.Knex: The column users.email is kept NOT NULL, the table is altered only with the sync option ' +
+        'alter.',
+      ]);
+    });
+
+    it('Should report the type of a column with the sync option alter', async () => {
+      const { Schema, } = ilorm;
+
+      await knex.schema.createTable('users', table => {
+        table.increments('id');
+        table.integer('email');
+      });
+
+      const { ddl, } = await declareModel({
+        name: 'users',
+        schema: new Schema({
+          email: Schema.string(),
+        }),
+        connectorOptions: {
+          sync: 'alter',
+        },
+      });
+
+      expect(ddl).to.be.equal(null);
+      expect(process.emitWarning.calledOnceWith('connector.Knex: The column users.email has the type integer, ' +
+        'the field expect one of varchar, character varying, nvarchar, varchar2 (the type of a column is never altered).'))
+        .to.be.equal(true);
+    });
+
+    it('Should run no DDL with the sync option none', async () => {
+      const { Schema, } = ilorm;
+
+      const { ddl, } = await declareModel({
+        name: 'users',
+        schema: new Schema({
+          email: Schema.string().required(),
+        }),
+        connectorOptions: {
+          sync: 'none',
+        },
+      });
+
+      expect(ddl).to.be.equal(null);
+      expect(await knex.schema.hasTable('users')).to.be.equal(false);
+      expect(process.emitWarning.calledOnceWith('connector.Knex: The table users does not exist, the table is ' +
+        'created only with the sync option create or alter.')).to.be.equal(true);
+    });
+
+    it('Should refuse an unknown sync option', () => {
+      expect(() => new KnexConnector({ tableName: 'users', sync: 'drop', })).to.throw('connector.Knex: The sync ' +
+        'option drop is not supported, use one of none, create, alter.');
+    });
+
+    it('Should print the DDL of the dry run without running it', async () => {
+      const { Schema, } = ilorm;
+      const printDdl = stub();
+
+      const { ddl, } = await declareModel({
+        name: 'users',
+        schema: new Schema({
+          email: Schema.string().required(),
+        }),
+        connectorOptions: {
+          dryRun: true,
+          printDdl,
+        },
+      });
+
+      expect(ddl).to.match(/^create table `users`/);
+      expect(printDdl.calledOnceWith(ddl)).to.be.equal(true);
+      expect(await knex.schema.hasTable('users')).to.be.equal(false);
+    });
+
+    it('Should not fail the dry run of an alter SQLite could not run', async () => {
+      const { Schema, } = ilorm;
+      const printDdl = stub();
+
+      await knex.schema.createTable('users', table => {
+        table.increments('id');
+        table.string('email').notNullable();
+      });
+
+      const { ddl, } = await declareModel({
+        name: 'users',
+        schema: new Schema({
+          email: Schema.string(),
+          age: Schema.number(),
+        }),
+        connectorOptions: {
+          sync: 'alter',
+          dryRun: true,
+          printDdl,
+        },
+      });
+
+      expect(ddl).to.be.equal('alter table `users` add column `age` integer null');
+      expect(printDdl.calledOnceWith(ddl)).to.be.equal(true);
+      expect(Object.keys(await knex('users').columnInfo())).to.deep.equal([ 'id', 'email', ]);
+    });
+  });
+});
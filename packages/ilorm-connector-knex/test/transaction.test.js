@@ -0,0 +1,43 @@
+/* eslint-disable */
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const knexFactory = require('knex');
+const ilorm = require('ilorm');
+
+const transactionClassFactory = require('../lib/connector/transaction.classFactory');
+
+chai.use(chaiAsPromised);
+const { expect, } = chai;
+
+describe('ilorm-connector-knex', () => {
+  describe('test/transaction', () => {
+    let knex;
+
+    before(() => {
+      // The database could not be open, no connection could be acquired:
+      knex = knexFactory({
+        client: 'sqlite3',
+        connection: { filename: '/missing/directory/ilorm.sqlite', },
+        useNullAsDefault: true,
+        acquireConnectionTimeout: 100,
+      });
+    });
+
+    after(() => knex.destroy());
+
+    it('Should reject the begin of a transaction which could not start', async () => {
+      const KnexTransactionConnector = transactionClassFactory(knex);
+
+      await expect(new KnexTransactionConnector().beginTransaction()).to.be.rejectedWith(/Timeout acquiring a connection/);
+    });
+
+    it('Should reject the ilorm transaction instead of waiting forever', async () => {
+      const KnexTransactionConnector = transactionClassFactory(knex);
+      const connector = new KnexTransactionConnector();
+
+      await expect(ilorm.transaction(transaction => connector.getKnexTransaction(transaction)))
+        .to.be.rejectedWith(/Timeout acquiring a connection/);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+const { copyValue, isEqual, isMissing, } = require('ilorm-rows');
+
+/**
+ * Inject the collections in the collection part of the Memory connector
+ * @param {Object.<String, Array.<Object>>} collections The rows of each collection
+ * @returns {MemoryCollectionConnector} The class handling the rows of the collection
+ */
+const injectCollections = collections => {
+  /**
+   * Class handling the rows stored in the collection of the MemoryConnector
+   */
+  class MemoryCollectionConnector {
+    /**
+     * Bind current connector with the given collection
+     * @param {String} collectionName The collection name
+     */
+    constructor({ collectionName, }) {
+      this.collectionName = collectionName;
+    }
+
+    /**
+     * Get the rows stored in the current collection, create the collection if needed
+     * @returns {Array.<Object>} The stored rows
+     */
+    getRows() {
+      if (!collections[this.collectionName]) {
+        collections[this.collectionName] = [];
+      }
+
+      return collections[this.collectionName];
+    }
+
+    /**
+     * Run the handler with the stored rows, an error thrown by the handler reject the promise
+     * @param {Function} handler Called with the stored rows of the collection
+     * @returns {Promise.<*>} The result of the handler
+     */
+    runOnRows(handler) {
+      return new Promise(resolve => resolve(handler(this.getRows())));
+    }
+
+    /**
+     * Insert the rows, the rows without id get the next id of the collection (as an auto increment)
+     * Every id is checked before the insertion, to never insert a part of the rows.
+     * @param {Array.<Object>} rows The stored rows of the collection
+     * @param {Array.<Object>} newRows The rows to insert
+     * @returns {Array.<Object>} The inserted rows
+     */
+    insertRows(rows, newRows) {
+      let lastId = rows.reduce((maxId, { id, }) => (typeof id === 'number' && id > maxId ? id : maxId), 0);
+
+      newRows.forEach((newRow, index) => {
+        if (isMissing(newRow.id)) {
+          lastId += 1;
+          newRow.id = lastId;
+        } else if (typeof newRow.id === 'number' && newRow.id > lastId) {
+          lastId = newRow.id;
+        }
+
+        const isDuplicated = rows.concat(newRows.slice(0, index))
+          .some(({ id, }) => isEqual(id, newRow.id));
+
+        if (isDuplicated) {
+          throw new Error(`connector.memory: The id ${newRow.id} already exists ` +
+            `in the collection ${this.collectionName}.`);
+        }
+      });
+
+      newRows.forEach(newRow => rows.push(copyValue(newRow)));
+
+      return newRows;
+    }
+  }
+
+  return MemoryCollectionConnector;
+};
+
+module.exports = injectCollections;
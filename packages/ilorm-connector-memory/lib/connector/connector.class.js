@@ -0,0 +1,151 @@
+'use strict';
+
+const modelFactory = require('../model/model.factory');
+const queryFactory = require('../query/query.factory');
+const {
+  aggregateRows, applyOptionsOnRows, copyValue, createRowStream, filterRows, findRows, hasUpdate, isEqual, selectRow,
+} = require('ilorm-rows');
+const collectionClassFactory = require('./collection.classFactory');
+const writeClassFactory = require('./write.classFactory');
+
+/**
+ * Generate a MemoryConnector bound with the collections storing the rows
+ * @param {Object.<String, Array.<Object>>} collections The rows of each collection
+ * @returns {MemoryConnector} The resulting Connector
+ */
+const injectDependencies = ({ collections, }) => {
+
+  /**
+   * Class representing a ilorm connector storing the rows in memory
+   * The transactions are emulated by ilorm (the write operations are run at the commit).
+   */
+  class MemoryConnector extends writeClassFactory(collectionClassFactory(collections)) {
+    /**
+     * Get the collections storing the rows
+     * @returns {Object.<String, Array.<Object>>} The rows of each collection
+     */
+    static getDatabase() {
+      return collections;
+    }
+
+    /**
+     * Get the row identified by the id
+     * @param {*} id The id of the row
+     * @returns {Promise.<Object|null>} A copy of the row, null if no row has the id
+     */
+    getById(id) {
+      return this.runOnRows(rows => {
+        const row = rows.find(storedRow => isEqual(storedRow.id, id));
+
+        return row ? copyValue(row) : null;
+      });
+    }
+
+    /**
+     * Find the rows who match the query
+     * @param {Query} query The ilorm query you want to run on the collection.
+     * @returns {Promise.<Array.<Object>>} A copy of every row who match the query
+     */
+    find(query) {
+      return this.runOnRows(rows => findRows(query, rows).map(row => selectRow(query, row)));
+    }
+
+    /**
+     * Find the first row who match the query
+     * @param {Query} query The ilorm query you want to run on the collection.
+     * @returns {Promise.<Object|null>} A copy of the row first found
+     */
+    findOne(query) {
+      return this.runOnRows(rows => {
+        const [ row, ] = findRows(query, rows);
+
+        return row ? selectRow(query, row) : null;
+      });
+    }
+
+    /**
+     * Count the number of rows who match the query
+     * @param {Query} query The ilorm query you want to run on the collection.
+     * @returns {Promise.<Number>} The number of rows found
+     */
+    count(query) {
+      return this.runOnRows(rows => findRows(query, rows).length);
+    }
+
+    /**
+     * Get the unique values of a field for the rows who match the query
+     * @param {Query} query The ilorm query you want to run on the collection.
+     * @param {String} field The field to get the values of
+     * @returns {Promise.<Array.<*>>} The unique values
+     */
+    distinct(query, field) {
+      return this.runOnRows(rows => findRows(query, rows)
+        .map(row => row[field])
+        .filter((value, index, values) => values.findIndex(otherValue => isEqual(value, otherValue)) === index)
+        .map(copyValue));
+    }
+
+    /**
+     * Check if at least one row match the query
+     * @param {Query} query The ilorm query you want to run on the collection.
+     * @returns {Promise.<Boolean>} Return true if a row match the query
+     */
+    exists(query) {
+      return this.runOnRows(rows => findRows(query, rows).length > 0);
+    }
+
+    /**
+     * Aggregate the rows who match the query, the sort, skip and limit are applied on the aggregated rows
+     * @param {Query} query The ilorm query you want to run on the collection.
+     * @returns {Promise.<Array.<Object>>} One row per group, with the group fields and the aggregated values
+     */
+    aggregate(query) {
+      return this.runOnRows(rows => applyOptionsOnRows(query, aggregateRows(query, filterRows(query, rows))));
+    }
+
+    /**
+     * Get the rows the query would return, and the update declared by the query, without running it
+     * @param {Query} query The ilorm query you want to convert
+     * @returns {Object} The collection, the rows who match the query, and if the query has an update
+     */
+    toNative(query) {
+      return {
+        collection: this.collectionName,
+        rows: findRows(query, this.getRows()).map(row => selectRow(query, row)),
+        hasUpdate: hasUpdate(query),
+      };
+    }
+
+    /**
+     * Create a stream object from the query
+     * @param {Query} query The ilorm query you want to use to generate the stream
+     * @returns {Promise.<Stream>} The stream associated with the query
+     */
+    stream(query) {
+      return this.find(query)
+        .then(createRowStream);
+    }
+
+    /**
+     * Create a new MemoryModel from the given params
+     * @param {Model} ParentModel The ilorm global Model used as parent of ModelConnector
+     * @returns {MemoryModel} The result MemoryModel
+     */
+    modelFactory({ ParentModel, }) {
+      return modelFactory({ ParentModel, });
+    }
+
+    /**
+     * Create a new MemoryQuery from the given params
+     * @param {Query} ParentQuery The ilorm global Query used as parent of QueryConnector
+     * @returns {MemoryQuery} The result MemoryQuery
+     */
+    queryFactory({ ParentQuery, }) {
+      return queryFactory({ ParentQuery, });
+    }
+  }
+
+  return MemoryConnector;
+};
+
+module.exports = injectDependencies;
@@ -0,0 +1,125 @@
+'use strict';
+
+const { applyUpdateOnRow, filterRows, findRows, getUpsertedRow, } = require('ilorm-rows');
+
+/**
+ * Add the write operations to the Memory connector
+ * @param {MemoryCollectionConnector} ParentConnector The connector class to extend
+ * @returns {MemoryWriteConnector} The class handling the writes of the connector
+ */
+const writeClassFactory = ParentConnector => {
+  /**
+   * Class handling the writes of the MemoryConnector (create, update, upsert, remove)
+   */
+  class MemoryWriteConnector extends ParentConnector {
+    /**
+     * Create one or more rows into the collection.
+     * @param {Model|Array.<Model>} items The instances you want to create in the collection
+     * @returns {Promise.<null>} Resolve once the rows are created
+     */
+    async create(items) {
+      const instances = [].concat(items);
+      const newRows = await Promise.all(instances.map(instance => instance.getJson()));
+
+      return this.runOnRows(rows => {
+        this.insertRows(rows, newRows).forEach(({ id, }, index) => {
+          instances[index].id = id;
+        });
+
+        return null;
+      });
+    }
+
+    /**
+     * Update the rows who match the query
+     * @param {Query} query The ilorm query you want to run on the collection.
+     * @returns {Promise.<Number>} The number of rows updated
+     */
+    update(query) {
+      return this.runOnRows(rows => {
+        const updatedRows = findRows(query, rows);
+
+        updatedRows.forEach(row => applyUpdateOnRow(query, row));
+
+        return updatedRows.length;
+      });
+    }
+
+    /**
+     * Update the first row who match the query
+     * @param {Query} query The ilorm query you want to run on the collection.
+     * @param {Object} [rawUpdate] Fields to set in addition of the query update (used by the instance save)
+     * @returns {Promise.<Boolean>} Return true if a row was updated
+     */
+    updateOne(query, rawUpdate) {
+      return this.runOnRows(rows => {
+        const [ row, ] = findRows(query, rows);
+
+        if (row) {
+          applyUpdateOnRow(query, row, rawUpdate);
+        }
+
+        return Boolean(row);
+      });
+    }
+
+    /**
+     * Update the row who match the query, or insert it with the is filters of the query if it does not exist
+     * @param {Query} query The ilorm query you want to run on the collection.
+     * @param {Object} [rawInsert] Fields to set only if the row is created (used by Model.findOrCreate)
+     * @returns {Promise.<Boolean>} Return true if the row was created, false if it was updated
+     */
+    upsert(query, rawInsert) {
+      return this.runOnRows(rows => {
+        const [ row, ] = filterRows(query, rows);
+
+        if (row) {
+          applyUpdateOnRow(query, row);
+
+          return false;
+        }
+
+        this.insertRows(rows, [ getUpsertedRow(query, rawInsert), ]);
+
+        return true;
+      });
+    }
+
+    /**
+     * Remove the rows who match the query
+     * @param {Query} query The ilorm query you want to run on the collection.
+     * @returns {Promise.<Number>} The number of rows removed
+     */
+    remove(query) {
+      return this.runOnRows(rows => {
+        const removedRows = findRows(query, rows);
+
+        removedRows.forEach(row => rows.splice(rows.indexOf(row), 1));
+
+        return removedRows.length;
+      });
+    }
+
+    /**
+     * Remove the first row who match the query
+     * @param {Query} query The ilorm query you want to run on the collection.
+     * @returns {Promise.<Boolean>} Return true if a row was removed
+     */
+    removeOne(query) {
+      return this.runOnRows(rows => {
+        const [ row, ] = findRows(query, rows);
+
+        if (row) {
+          rows.splice(rows.indexOf(row), 1);
+        }
+
+        return Boolean(row);
+      });
+    }
+
+  }
+
+  return MemoryWriteConnector;
+};
+
+module.exports = writeClassFactory;
@@ -0,0 +1,84 @@
+'use strict';
+
+// Shared by the tests of ilorm and of its plugins : the models are bound with the memory connector, the tests assert
+// on the stored rows or spy the connector methods instead of writing their own fake connector.
+const Ilorm = require('ilorm').constructor;
+
+const ilormMemory = require('./index');
+
+/**
+ * Create a new ilorm using the memory connector (and the given plugins)
+ * @param {Object.<String, Array.<Object>>} [collections={}] The rows of each collection (by model name)
+ * @param {Array.<Object>} [plugins=[]] The plugins to use, after the memory connector
+ * @returns {Object} The ilorm, and declareModel to declare a model bound with its collection
+ */
+const initIlorm = ({ collections = {}, plugins = [], } = {}) => {
+  const ilorm = new Ilorm();
+
+  ilorm.use(ilormMemory);
+  plugins.forEach(plugin => ilorm.use(plugin));
+
+  const MemoryConnector = ilormMemory.fromMemory(collections);
+
+  /**
+   * Declare a model, bound with the collection of its name
+   * @param {String} name The name of the model (and of its collection)
+   * @param {Function} schema Called with the Schema class, return the definition of the schema
+   * @param {Object} [connectorMethods] Replace the methods of the connector (ie: a sinon stub)
+   * @param {Object} params The other params of newModel (hooks, pluginsOptions, scopes)
+   * @returns {Object} The model, and its connector
+   */
+  const declareModel = ({ name, schema, connectorMethods = {}, ...params }) => {
+    const connector = Object.assign(new MemoryConnector({ collectionName: name, }), connectorMethods);
+    const Model = ilorm.newModel({
+      ...params,
+      name,
+      connector,
+      schema: new ilorm.Schema(schema(ilorm.Schema)),
+    });
+
+    ilorm.declareModel(Model);
+
+    return {
+      Model,
+      connector,
+    };
+  };
+
+  return {
+    ilorm,
+    declareModel,
+    getRows: name => MemoryConnector.getDatabase()[name] || [],
+  };
+};
+
+/**
+ * Create a new ilorm using the memory connector, and declare one model
+ * @param {String} [name='user'] The name of the model (and of its collection)
+ * @param {Array.<Object>} [rows=[]] The rows stored before the test
+ * @param {Array.<Object>} [plugins] The plugins to use
+ * @param {Object} params The params of the model (see declareModel)
+ * @returns {Object} The ilorm, the model, its connector, and getRows to read the stored rows
+ */
+const initModel = ({ name = 'user', rows = [], plugins, ...params }) => {
+  const { ilorm, declareModel, getRows, } = initIlorm({
+    collections: { [name]: rows, },
+    plugins,
+  });
+  const { Model, connector, } = declareModel({
+    ...params,
+    name,
+  });
+
+  return {
+    ilorm,
+    Model,
+    connector,
+    getRows: () => getRows(name),
+  };
+};
+
+module.exports = {
+  initIlorm,
+  initModel,
+};
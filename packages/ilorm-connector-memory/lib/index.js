@@ -0,0 +1,22 @@
+'use strict';
+
+const connector = require('./connector');
+const schemaFactory = require('./schema.factory');
+
+/**
+ * Create the Connector storing the rows in memory
+ * @param {Object.<String, Array.<Object>>} [collections={}] The rows of each collection (by collection name)
+ * @returns {Connector} The memory connector object
+ */
+const fromMemory = (collections = {}) => connector({
+  collections,
+});
+
+module.exports = {
+  plugins: {
+    core: {
+      schemaFactory,
+    },
+  },
+  fromMemory,
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * Create a new Memory Model class.
+ * @param {Model} ParentModel The Model used as Parent
+ * @returns {MemoryModel} The MemoryModel created
+ */
+const memoryModelFactory = ({ ParentModel, }) => (
+  class MemoryModel extends ParentModel {
+    /**
+     * Generate a query targeting the primary key of the instance
+     * @returns {Object} Return the query to use to target the current instance
+     */
+    getQueryPrimary() {
+      return this.constructor.query()
+        .id.is(this.id);
+    }
+
+    /**
+     * Return a unique key to identify the current instance
+     * @returns {*} Current primary key
+     */
+    getPrimary() {
+      return this.id;
+    }
+  }
+);
+
+module.exports = memoryModelFactory;
@@ -0,0 +1,25 @@
+'use strict';
+
+/**
+ * Class schema
+ * Instantiate a memory schema
+ * @param {Schema} Schema schema to extends
+ * @returns {MemorySchema} The memory schema to use
+ */
+const injectSchema = Schema => class MemorySchema extends Schema {
+
+  /**
+   * Constructor for Schema
+   * Add an id field if missing, the connector generate it at the creation
+   * @param {Object} schema The given schema
+   */
+  constructor(schema) {
+    if (!schema.id) {
+      schema.id = Schema.number();
+    }
+
+    super(schema);
+  }
+};
+
+module.exports = injectSchema;
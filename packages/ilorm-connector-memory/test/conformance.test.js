@@ -0,0 +1,21 @@
+/* eslint-disable */
+
+const { testConnector, } = require('ilorm-connector-test-suite');
+const ilormMemory = require('../index');
+
+describe('ilorm-connector-memory', () => {
+  describe('test/conformance', () => {
+    let MemoryConnector;
+
+    // Every scenario start with empty collections:
+    beforeEach(() => {
+      MemoryConnector = ilormMemory.fromMemory();
+    });
+
+    testConnector({
+      name: 'ilorm-connector-memory',
+      plugin: ilormMemory,
+      createConnector: collectionName => new MemoryConnector({ collectionName, }),
+    });
+  });
+});
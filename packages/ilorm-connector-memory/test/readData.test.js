@@ -0,0 +1,202 @@
+/* eslint-disable */
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+chai.use(chaiAsPromised);
+
+const { expect, } = chai;
+const { QUERY, } = require('ilorm-constants').QUERY.FIELDS;
+
+const Ilorm = require('ilorm').constructor;
+const ilormMemory = require('../index');
+
+const initModel = () => {
+  const ilorm = new Ilorm();
+
+  ilorm.use(ilormMemory);
+
+  const { Schema, newModel, } = ilorm;
+  const MemoryConnector = ilormMemory.fromMemory({
+    users: [
+      { id: 1, name: 'Guillaume', gender: 'M', weight: 80, birthday: new Date('1988-01-01'), },
+      { id: 2, name: 'Kathy', gender: 'F', weight: 55, birthday: new Date('1992-06-01'), },
+      { id: 3, name: 'Benjamin', gender: 'M', weight: 70, birthday: new Date('1990-03-01'), },
+      { id: 4, name: 'Anna', gender: 'F', weight: null, birthday: new Date('1995-09-01'), },
+    ],
+  });
+
+  const User = newModel({
+    name: 'users',
+    schema: new Schema({
+      name: Schema.string(),
+      gender: Schema.string(),
+      weight: Schema.number(),
+      birthday: Schema.date(),
+    }),
+    connector: new MemoryConnector({
+      collectionName: 'users',
+    }),
+  });
+
+  return {
+    User,
+    MemoryConnector,
+  };
+};
+
+const getNames = instances => instances.map(instance => instance.name);
+
+describe('ilorm-connector-memory', () => {
+  describe('test/readData', () => {
+    it('Should add an id field to the schema', () => {
+      const { User, } = initModel();
+
+      expect(User.getSchema().definition.id).to.exist;
+    });
+
+    it('Should find the rows with the basic and comparison operations', async () => {
+      const { User, } = initModel();
+
+      expect(getNames(await User.query().gender.is('F').find())).to.deep.equal([ 'Kathy', 'Anna', ]);
+      expect(getNames(await User.query().gender.isNot('F').find())).to.deep.equal([ 'Guillaume', 'Benjamin', ]);
+      expect(getNames(await User.query().id.isIn([ 1, 3, ]).find())).to.deep.equal([ 'Guillaume', 'Benjamin', ]);
+      expect(getNames(await User.query().id.isNotIn([ 1, 3, ]).find())).to.deep.equal([ 'Kathy', 'Anna', ]);
+      expect(getNames(await User.query().weight.is(null).find())).to.deep.equal([ 'Anna', ]);
+      expect(getNames(await User.query().weight.between(55, 80).find())).to.deep.equal([ 'Benjamin', ]);
+      expect(getNames(await User.query().weight.greaterThan(70).find())).to.deep.equal([ 'Guillaume', ]);
+      expect(getNames(await User.query().weight.greaterOrEqualThan(70).find())).to.deep.equal([ 'Guillaume', 'Benjamin', ]);
+      expect(getNames(await User.query().weight.lowerThan(70).find())).to.deep.equal([ 'Kathy', ]);
+      expect(getNames(await User.query().weight.lowerOrEqualThan(70).find())).to.deep.equal([ 'Kathy', 'Benjamin', ]);
+      expect(getNames(await User.query().birthday.greaterThan(new Date('1991-01-01')).find()))
+        .to.deep.equal([ 'Kathy', 'Anna', ]);
+    });
+
+    it('Should find the rows with the string operations', async () => {
+      const { User, } = initModel();
+
+      expect(getNames(await User.query().name.contains('nn').find())).to.deep.equal([ 'Anna', ]);
+      expect(getNames(await User.query().name.startsWith('Be').find())).to.deep.equal([ 'Benjamin', ]);
+      expect(getNames(await User.query().name.endsWith('me').find())).to.deep.equal([ 'Guillaume', ]);
+      expect(getNames(await User.query().name.matches(/^[gk]/i).find())).to.deep.equal([ 'Guillaume', 'Kathy', ]);
+      expect(getNames(await User.query().name.isCaseInsensitive('KATHY').find())).to.deep.equal([ 'Kathy', ]);
+    });
+
+    it('Should evaluate the or, and, not groups', async () => {
+      const { User, } = initModel();
+
+      const orUsers = await User.query()
+        .or(branch => {
+          branch().name.is('Kathy');
+          branch().weight.greaterThan(75);
+        })
+        .find();
+      const notUsers = await User.query()
+        .gender.is('M')
+        .not(branch => {
+          branch().name.startsWith('G');
+        })
+        .find();
+      const andUsers = await User.query()
+        .and(branch => {
+          branch().gender.is('F');
+          branch().weight.isNot(null);
+        })
+        .find();
+
+      expect(getNames(orUsers)).to.deep.equal([ 'Guillaume', 'Kathy', ]);
+      expect(getNames(notUsers)).to.deep.equal([ 'Benjamin', ]);
+      expect(getNames(andUsers)).to.deep.equal([ 'Kathy', ]);
+    });
+
+    it('Should sort, skip and limit the rows', async () => {
+      const { User, } = initModel();
+
+      const users = await User.query()
+        .gender.useAsSortAsc()
+        .weight.useAsSortDesc()
+        .skip(1)
+        .limit(2)
+        .find();
+
+      expect(getNames(users)).to.deep.equal([ 'Anna', 'Guillaume', ]);
+    });
+
+    it('Should return only the selected fields', async () => {
+      const { User, } = initModel();
+
+      const users = await User.query()
+        .id.is(2)
+        .name.select()
+        .find();
+      const name = await User.query()
+        .id.is(2)
+        .name.selectOnly()
+        .findOne();
+
+      expect(users[0].name).to.equal('Kathy');
+      expect(users[0].gender).to.be.undefined;
+      expect(name).to.equal('Kathy');
+    });
+
+    it('Should find one row, count, check existence and get the distinct values', async () => {
+      const { User, } = initModel();
+
+      expect((await User.query().weight.useAsSortAsc().findOne()).name).to.equal('Anna');
+      expect(await User.query().name.is('Nobody').findOne()).to.equal(null);
+      expect(await User.query().gender.is('M').count()).to.equal(2);
+      expect(await User.query().name.is('Kathy').exists()).to.equal(true);
+      expect(await User.query().name.is('Nobody').exists()).to.equal(false);
+      expect(await User.query().gender.distinct()).to.deep.equal([ 'M', 'F', ]);
+    });
+
+    it('Should aggregate the rows', async () => {
+      const { User, } = initModel();
+
+      const rows = await User.query()
+        .groupBy('gender')
+        .weight.avg('averageWeight')
+        .weight.max()
+        .birthday.min()
+        .aggregate();
+
+      expect(rows).to.deep.equal([
+        { gender: 'M', averageWeight: 75, maxWeight: 80, minBirthday: new Date('1988-01-01'), },
+        { gender: 'F', averageWeight: 55, maxWeight: 55, minBirthday: new Date('1992-06-01'), },
+      ]);
+    });
+
+    it('Should stream the instances', async () => {
+      const { User, } = initModel();
+      const stream = await User.query().gender.is('M').stream();
+      const names = [];
+
+      await new Promise((resolve, reject) => {
+        stream.on('data', user => names.push(user.name));
+        stream.on('end', resolve);
+        stream.on('error', reject);
+      });
+
+      expect(names).to.deep.equal([ 'Guillaume', 'Benjamin', ]);
+    });
+
+    it('Should never share the stored rows', async () => {
+      const { User, MemoryConnector, } = initModel();
+      const user = await User.query().id.is(1).findOne();
+
+      user.birthday.setFullYear(2000);
+
+      expect(MemoryConnector.getDatabase().users[0].birthday).to.deep.equal(new Date('1988-01-01'));
+    });
+
+    it('Should reject an unknown operator', async () => {
+      const { User, } = initModel();
+      const query = User.query();
+
+      query.name.is('Kathy');
+      query[QUERY][0].operator = 'unknown';
+
+      await expect(query.find()).to.be.rejectedWith('connector.memory: UNDEFINED OPERATOR : unknown');
+    });
+  });
+});
@@ -0,0 +1,172 @@
+/* eslint-disable */
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+chai.use(chaiAsPromised);
+
+const { expect, } = chai;
+
+const Ilorm = require('ilorm').constructor;
+const ilormMemory = require('../index');
+
+const initModel = (collections = {}) => {
+  const ilorm = new Ilorm();
+
+  ilorm.use(ilormMemory);
+
+  const { Schema, newModel, } = ilorm;
+  const MemoryConnector = ilormMemory.fromMemory(collections);
+
+  const User = newModel({
+    name: 'users',
+    schema: new Schema({
+      email: Schema.string(),
+      name: Schema.string(),
+      weight: Schema.number(),
+    }),
+    connector: new MemoryConnector({
+      collectionName: 'users',
+    }),
+  });
+
+  return {
+    ilorm,
+    User,
+    rows: MemoryConnector.getDatabase().users || [],
+    getRows: () => MemoryConnector.getDatabase().users,
+  };
+};
+
+const initUsers = () => initModel({
+  users: [
+    { id: 1, email: 'guillaume@ilorm.com', name: 'Guillaume', weight: 80, },
+    { id: 2, email: 'kathy@ilorm.com', name: 'Kathy', weight: 55, },
+    { id: 3, email: 'benjamin@ilorm.com', name: 'Benjamin', weight: 70, },
+  ],
+});
+
+describe('ilorm-connector-memory', () => {
+  describe('test/writeData', () => {
+    it('Should create the instances with the next id of the collection', async () => {
+      const { User, getRows, } = initModel();
+      const user = new User({ name: 'Guillaume', });
+
+      await user.save();
+      const { instances, } = await User.createMany([ { name: 'Kathy', }, { id: 10, name: 'Benjamin', }, { name: 'Anna', }, ]);
+
+      expect(user.id).to.equal(1);
+      expect(instances.map(instance => instance.id)).to.deep.equal([ 2, 10, 11, ]);
+      expect(getRows().map(row => row.name)).to.deep.equal([ 'Guillaume', 'Kathy', 'Benjamin', 'Anna', ]);
+      expect(await User.getById(10)).to.have.property('name', 'Benjamin');
+    });
+
+    it('Should reject the creation of an existing id', async () => {
+      const { User, rows, } = initUsers();
+
+      await expect(new User({ id: 2, name: 'Anna', }).save())
+        .to.be.rejectedWith('connector.memory: The id 2 already exists in the collection users.');
+      expect(rows.length).to.equal(3);
+    });
+
+    it('Should save the changes of a loaded instance', async () => {
+      const { User, rows, } = initUsers();
+      const user = await User.getById(2);
+
+      user.weight = 56;
+      await user.save();
+
+      expect(rows[1].weight).to.equal(56);
+    });
+
+    it('Should update the rows with set and add', async () => {
+      const { User, rows, } = initUsers();
+
+      const updatedRows = await User.query()
+        .weight.greaterThan(60)
+        .weight.add(5)
+        .update();
+      const isUpdated = await User.query()
+        .name.is('Kathy')
+        .name.set('Katherine')
+        .updateOne();
+
+      expect(updatedRows).to.equal(2);
+      expect(rows.map(row => row.weight)).to.deep.equal([ 85, 55, 75, ]);
+      expect(isUpdated).to.equal(true);
+      expect(rows[1].name).to.equal('Katherine');
+      expect(await User.query().name.is('Nobody').name.set('Somebody').updateOne()).to.equal(false);
+    });
+
+    it('Should remove the rows', async () => {
+      const { User, getRows, } = initUsers();
+
+      expect(await User.query().name.is('Kathy').removeOne()).to.equal(true);
+      expect(await User.query().name.is('Kathy').removeOne()).to.equal(false);
+      expect(getRows().map(row => row.name)).to.deep.equal([ 'Guillaume', 'Benjamin', ]);
+
+      await (await User.getById(3)).remove();
+      expect(getRows().map(row => row.name)).to.deep.equal([ 'Guillaume', ]);
+
+      expect(await User.query().remove()).to.equal(1);
+      expect(getRows()).to.deep.equal([]);
+    });
+
+    it('Should upsert the row', async () => {
+      const { User, rows, } = initUsers();
+
+      const isCreated = await User.query()
+        .email.is('anna@ilorm.com')
+        .name.set('Anna')
+        .upsert();
+      const isUpdateCreated = await User.query()
+        .email.is('kathy@ilorm.com')
+        .weight.add(1)
+        .upsert();
+
+      expect(isCreated).to.equal(true);
+      expect(rows[3]).to.deep.equal({ id: 4, email: 'anna@ilorm.com', name: 'Anna', });
+      expect(isUpdateCreated).to.equal(false);
+      expect(rows[1].weight).to.equal(56);
+    });
+
+    it('Should find or create the instance', async () => {
+      const { User, rows, } = initUsers();
+
+      const { created, instance, } = await User.findOrCreate({ email: 'anna@ilorm.com', }, { name: 'Anna', });
+      const { created: isCreatedAgain, } = await User.findOrCreate({ email: 'anna@ilorm.com', }, { name: 'Anna', });
+
+      expect(created).to.equal(true);
+      expect(instance.id).to.equal(4);
+      expect(instance.name).to.equal('Anna');
+      expect(isCreatedAgain).to.equal(false);
+      expect(rows.length).to.equal(4);
+    });
+
+    it('Should run the writes of a transaction only at the commit', async () => {
+      const { ilorm, User, rows, } = initUsers();
+
+      await expect(ilorm.transaction(async transaction => {
+        await User.query()
+          .transaction(transaction)
+          .name.is('Kathy')
+          .weight.set(40)
+          .update();
+
+        expect(rows[1].weight).to.equal(55);
+
+        throw new Error('Rollback');
+      })).to.be.rejectedWith('Rollback');
+
+      expect(rows[1].weight).to.equal(55);
+
+      await ilorm.transaction(transaction => User.query()
+        .transaction(transaction)
+        .name.is('Kathy')
+        .weight.set(40)
+        .update());
+
+      expect(rows[1].weight).to.equal(40);
+    });
+  });
+});
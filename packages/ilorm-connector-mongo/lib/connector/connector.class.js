@@ -3,8 +3,12 @@
  */
 const modelFactory = require('../model/model.factory');
 const queryFactory = require('../query/query.factory');
+const convertQueryToMongoPipeline = require('./convertQueryToMongoPipeline');
 const convertQueryToMongoQuery = require('./convertQueryToMongoQuery');
 const convertUpdateToMongoUpdate = require('./convertUpdateToMongoUpdate');
+const transactionClassFactory = require('./transaction.classFactory');
+const updateClassFactory = require('./update.classFactory');
+const { TRANSACTION, } = require('ilorm-constants').QUERY.FIELDS;
 
 /**
  * Inject your mongo db in the Mongo connector
@@ -15,12 +19,13 @@ const injectDependencies = ({ db, mongoClient, }) => {
   /**
    * The Mongo MongoConnector class
    */
-  class MongoConnector {
+  class MongoConnector extends updateClassFactory(transactionClassFactory(mongoClient)) {
     /**
      * Instantiate a new MongoConnector
      * @param {String} collection : The target collection name to use
      */
     constructor({ collectionName, }) {
+      super();
       this.collectionName = collectionName;
     }
 
@@ -57,15 +62,18 @@ const injectDependencies = ({ db, mongoClient, }) => {
     /**
      * Create one or more docs into the database.
      * @param {Object} items The object you want to create in the database
+     * @param {Object} [options] Options of the creation
+     * @param {Transaction} [options.transaction] The transaction to use
      * @returns {*} The result of the operation
      */
-    async create(items) {
+    async create(items, { transaction, } = {}) {
       const instances = [].concat(items);
       const collection = await this.getCollection();
 
       const rawJson = await Promise.all(instances.map(doc => doc.getJson()));
+      const mongoOptions = await this.applyTransaction(transaction);
 
-      const { insertedIds, } = await collection.insertMany(rawJson);
+      const { insertedIds, } = await collection.insertMany(rawJson, mongoOptions);
 
       for (let docIndex = 0; docIndex < instances.length; docIndex++) {
         instances[docIndex]._id = insertedIds[docIndex];
@@ -74,6 +82,17 @@ const injectDependencies = ({ db, mongoClient, }) => {
       return null;
     }
 
+    /**
+     * Get the document identified by the _id
+     * @param {ObjectId} id The _id of the document
+     * @returns {Promise.<Object|null>} The document, null if no document has the _id
+     */
+    async getById(id) {
+      const collection = await this.getCollection();
+
+      return collection.findOne({ _id: id, });
+    }
+
     /**
      * Find one or more document into your mongoDb database.
      * @param {Query} query The ilorm query you want to run on your Database.
@@ -103,59 +122,62 @@ const injectDependencies = ({ db, mongoClient, }) => {
     }
 
     /**
-     * Prepare update by converting raw query to mongo query, and raw update to mongo update
+     * Get the unique values of a field for the documents who match the query
      * @param {Query} query The ilorm query you want to run on your Database.
-     * @returns {{query: ({}|{$and}|*), update: ({}|*)}} The query and update you want to run
+     * @param {String} field The field to get the values of
+     * @returns {Promise.<Array.<*>>} The unique values
      */
-    prepareUpdate(query) {
-      return {
-        queryResults: convertQueryToMongoQuery(query),
-        mongoUpdate: convertUpdateToMongoUpdate(query),
-      };
-    }
+    async distinct(query, field) {
+      const { mongoQuery, } = convertQueryToMongoQuery(query);
+      const collection = await this.getCollection();
+      const options = await this.applyTransaction(query[TRANSACTION]);
 
-    /**
-     * Update one or more document who match query
-     * @param {Query} query The ilorm query you want to run on your Database.
-     * @returns {*} The number of document updated
-     */
-    update(query) {
-      return this.runUpdate('updateMany', query);
+      return collection.distinct(field, mongoQuery, options);
     }
 
     /**
-     * Update one document who match query
+     * Check if at least one document match the query, only the _id of the first document found is loaded
      * @param {Query} query The ilorm query you want to run on your Database.
-     * @returns {*} Return true if a document was updated
+     * @returns {Promise.<Boolean>} Return true if a document match the query
      */
-    updateOne(query) {
-      return this.runUpdate('findOneAndUpdate', query);
+    async exists(query) {
+      const document = await this.applyBasicQuery('findOne', query, ilormQuery => {
+        const { mongoQuery, mongoOptions, } = convertQueryToMongoQuery(ilormQuery);
+
+        mongoOptions.projection = { _id: 1, };
+
+        return {
+          mongoQuery,
+          mongoOptions,
+        };
+      });
+
+      return document !== null;
     }
 
     /**
-     * Run specific update operator on linked collection
-     * @param {String} operator function to run on the collection
-     * @param {Query} ilormQuery The ilorm query you want to run on your Database.
-     * @returns {Promise.<*>} Return operator result
+     * Aggregate the documents who match the query with an aggregation pipeline
+     * @param {Query} query The ilorm query you want to run on your Database.
+     * @returns {Promise.<Array.<Object>>} One plain row per group, with the group fields and the aggregated values
      */
-    async runUpdate(operator, ilormQuery) {
-      const { queryResults: { mongoQuery, mongoOptions, }, mongoUpdate, } = this.prepareUpdate(ilormQuery);
-      const collection = await this.getCollection();
-
-      return collection[operator](mongoQuery, mongoUpdate, mongoOptions);
+    async aggregate(query) {
+      return (await this.applyBasicQuery('aggregate', query, convertQueryToMongoPipeline))
+        .toArray();
     }
 
     /**
      * Apply basic query with the given mongo function
      * @param {String} mongoOperation The name of the operation to invoke on the mongo collection
      * @param {Query} ilormQuery The ilorm query you want to run on your Database.
+     * @param {Function} [convertQuery=convertQueryToMongoQuery] Convert the ilorm query to the mongo query and options
      * @returns {Promise} Return mixed result based on the Mongo operation
      */
-    async applyBasicQuery(mongoOperation, ilormQuery) {
-      const { mongoQuery, mongoOptions, } = convertQueryToMongoQuery(ilormQuery);
+    async applyBasicQuery(mongoOperation, ilormQuery, convertQuery = convertQueryToMongoQuery) {
+      const { mongoQuery, mongoOptions, } = convertQuery(ilormQuery);
       const collection = await this.getCollection();
+      const options = await this.applyTransaction(ilormQuery[TRANSACTION], mongoOptions);
 
-      return collection[mongoOperation](mongoQuery, mongoOptions);
+      return collection[mongoOperation](mongoQuery, options);
     }
 
     /**
@@ -163,8 +185,10 @@ const injectDependencies = ({ db, mongoClient, }) => {
      * @param {Query} query The ilorm query you want to run on your Database.
      * @returns {Promise.<Number>} The number of document removed
      */
-    remove(query) {
-      return this.applyBasicQuery('deleteMany', query);
+    async remove(query) {
+      const { deletedCount, } = await this.applyBasicQuery('deleteMany', query);
+
+      return deletedCount;
     }
 
     /**
@@ -172,8 +196,37 @@ const injectDependencies = ({ db, mongoClient, }) => {
      * @param {Query} query The ilorm query you want to run on your Database.
      * @returns {Promise.<Boolean>} Return true if a document was removed
      */
-    removeOne(query) {
-      return this.applyBasicQuery('findOneAndDelete', query);
+    async removeOne(query) {
+      // findOneAndDelete (instead of deleteOne) apply the sort of the query:
+      const { value, } = await this.applyBasicQuery('findOneAndDelete', query);
+
+      return value !== null;
+    }
+
+    /**
+     * Convert the query to the native mongo query, without running it
+     * @param {Query} query The ilorm query you want to convert
+     * @returns {Object} The mongo filter, the options and the update document
+     */
+    toNative(query) {
+      const { mongoQuery, mongoOptions, } = convertQueryToMongoQuery(query);
+
+      return {
+        collection: this.collectionName,
+        filter: mongoQuery,
+        options: mongoOptions,
+        update: convertUpdateToMongoUpdate(query),
+      };
+    }
+
+    /**
+     * Run the mongo explain on the query find
+     * @param {Query} query The ilorm query you want to explain
+     * @returns {Promise.<Object>} The explain plan returned by MongoDB
+     */
+    async explain(query) {
+      return (await this.applyBasicQuery('find', query))
+        .explain();
     }
 
     /**
@@ -184,8 +237,9 @@ const injectDependencies = ({ db, mongoClient, }) => {
     async stream(query) {
       const { mongoQuery, } = convertQueryToMongoQuery(query);
       const collection = await this.getCollection();
+      const options = await this.applyTransaction(query[TRANSACTION]);
 
-      return collection.find(mongoQuery).stream();
+      return collection.find(mongoQuery, options).stream();
     }
 
     /**
@@ -0,0 +1,83 @@
+'use strict';
+
+const { OPERATIONS, } = require('ilorm-constants').QUERY;
+const convertQueryToMongoQuery = require('./convertQueryToMongoQuery');
+
+const aggregateConversion = {
+  [OPERATIONS.AGGREGATE_SUM]: '$sum',
+  [OPERATIONS.AGGREGATE_AVG]: '$avg',
+  [OPERATIONS.AGGREGATE_MIN]: '$min',
+  [OPERATIONS.AGGREGATE_MAX]: '$max',
+};
+
+/**
+ * Convert the group by fields and the aggregates of the query to a $group and a $project stage
+ * The $project stage flatten the group _id, to return the group by fields next to the aggregated values.
+ * @param {Query} query The ilorm query you want to convert
+ * @returns {Array.<Object>} The $group and $project stages
+ */
+const convertAggregateToStages = query => {
+  const $group = { _id: null, };
+  const $project = { _id: 0, };
+
+  query.queryBuilder({
+    onAggregate: ({ groupBy, aggregates, }) => {
+      if (groupBy.length > 0) {
+        $group._id = {};
+      }
+
+      groupBy.forEach(field => {
+        $group._id[field] = `$${field}`;
+        $project[field] = `$_id.${field}`;
+      });
+
+      aggregates.forEach(({ field, operator, alias, }) => {
+        $group[alias] = { [aggregateConversion[operator]]: `$${field}`, };
+        $project[alias] = 1;
+      });
+    },
+  });
+
+  return [
+    { $group, },
+    { $project, },
+  ];
+};
+
+/**
+ * Convert a query with aggregates to a mongo aggregation pipeline
+ * The sort, skip and limit options are applied on the aggregated rows.
+ * @param {Query} query The ilorm query you want to convert
+ * @returns {Object} The mongo pipeline (as mongoQuery) and the mongo options
+ */
+function convertQueryToMongoPipeline(query) {
+  const { mongoQuery, mongoOptions: { sort, skip, limit, }, } = convertQueryToMongoQuery(query);
+  const pipeline = [
+    { $match: mongoQuery, },
+  ].concat(convertAggregateToStages(query));
+
+  if (sort) {
+    const $sort = {};
+
+    sort.forEach(([ key, direction, ]) => {
+      $sort[key] = direction;
+    });
+
+    pipeline.push({ $sort, });
+  }
+
+  if (skip) {
+    pipeline.push({ $skip: skip, });
+  }
+
+  if (limit) {
+    pipeline.push({ $limit: limit, });
+  }
+
+  return {
+    mongoQuery: pipeline,
+    mongoOptions: {},
+  };
+}
+
+module.exports = convertQueryToMongoPipeline;
@@ -16,6 +16,37 @@ const operatorConversion = {
 const ASCENDING = 1;
 const DESCENDING = -1;
 
+/**
+ * Escape the regex special characters of a string, to match it literally
+ * @param {String} value The value to escape
+ * @returns {String} The escaped value
+ */
+const escapeRegex = value => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const stringOperatorConversion = {
+  [OPERATIONS.CONTAINS]: value => ({ $regex: escapeRegex(value), }),
+  [OPERATIONS.STARTS_WITH]: value => ({ $regex: `^${escapeRegex(value)}`, }),
+  [OPERATIONS.ENDS_WITH]: value => ({ $regex: `${escapeRegex(value)}$`, }),
+  [OPERATIONS.MATCHES]: value => ({ $regex: value, }),
+  [OPERATIONS.IS_CASE_INSENSITIVE]: value => ({
+    $regex: `^${escapeRegex(value)}$`,
+    $options: 'i',
+  }),
+};
+
+/**
+ * Get the _id of the documents linked with a reference field (instances, or directly their _id)
+ * @param {Model|Array.<Model>|ObjectId} value The linked documents
+ * @returns {Array.<ObjectId>} The _id of each document
+ */
+const getLinkedPrimaries = value => [].concat(value).map(element => {
+  if (element && typeof element.queryBuilder === 'function') {
+    throw new Error('connector.MongoDB: linkedWith on a field could not use a query, use query.linkedWith instead.');
+  }
+
+  return element && typeof element.getPrimary === 'function' ? element.getPrimary() : element;
+});
+
 /**
  * Convert a valid inputQuery to a query
  * @param {Query} query The ilorm query you want to convert
@@ -39,7 +70,17 @@ function convertQueryToMongoQuery(query) {
     },
     onOr: arrayOfQuery => {
       $and.push({
-        $or: arrayOfQuery.map(query => convertQueryToMongoQuery(query)),
+        $or: arrayOfQuery.map(query => convertQueryToMongoQuery(query).mongoQuery),
+      });
+    },
+    onAnd: arrayOfQuery => {
+      $and.push({
+        $and: arrayOfQuery.map(query => convertQueryToMongoQuery(query).mongoQuery),
+      });
+    },
+    onNot: arrayOfQuery => {
+      $and.push({
+        $nor: arrayOfQuery.map(query => convertQueryToMongoQuery(query).mongoQuery),
       });
     },
     onSelect: ({ field, }) => {
@@ -60,7 +101,7 @@ function convertQueryToMongoQuery(query) {
       ]);
     },
     onOperator: (key, operator, value) => {
-      if (!keys[key]) {
+      if (!keys[key] && !stringOperatorConversion[operator]) {
         keys[key] = {};
       }
 
@@ -69,10 +110,19 @@ function convertQueryToMongoQuery(query) {
 
         keys[key][mongoOperator] = value;
 
+      } else if (stringOperatorConversion[operator]) {
+        // Every string operation use $regex, each one is a distinct condition to apply many of them on the same key:
+        $and.push({
+          [key]: stringOperatorConversion[operator](value),
+        });
+
       } else if (operator === OPERATIONS.BETWEEN) {
         keys[key].$gt = value.min;
         keys[key].$lt = value.max;
 
+      } else if (operator === OPERATIONS.LINKED_WITH) {
+        keys[key].$in = getLinkedPrimaries(value);
+
       } else {
         throw new Error(`connector.MongoDB: UNDEFINED OPERATOR : ${operator}`);
       }
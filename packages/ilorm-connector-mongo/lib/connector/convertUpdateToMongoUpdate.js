@@ -12,9 +12,10 @@ const convert = {
 /**
  * Convert a valid update ilorm query to an update mongo query.
  * @param {Query} query The ilorm query you want to convert
+ * @param {Object} [rawUpdate={}] Fields to set in addition of the query update (used by the instance save)
  * @returns {Object} The result mongo Query.
  */
-function convertQueryToMongoQuery(query) {
+function convertQueryToMongoQuery(query, rawUpdate = {}) {
   if (!query) {
     return {};
   }
@@ -37,6 +38,10 @@ function convertQueryToMongoQuery(query) {
     },
   });
 
+  if (Object.keys(rawUpdate).length > 0) {
+    updateMongo.$set = Object.assign({}, updateMongo.$set, rawUpdate);
+  }
+
   return updateMongo;
 }
 
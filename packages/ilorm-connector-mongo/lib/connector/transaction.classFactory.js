@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * Inject the mongo client in the transaction part of the Mongo connector
+ * @param {MongoClient} [mongoClient] The mongo client, required to start a session (else the transactions are emulated)
+ * @returns {MongoTransactionConnector|MongoSessionConnector} The class handling the transactions of the connector
+ */
+const injectMongoClient = mongoClient => {
+  /**
+   * Class handling the transactions of the MongoConnector, without mongo client the transactions are emulated by ilorm
+   */
+  class MongoTransactionConnector {
+    /**
+     * Add the session of the transaction (if any) to the mongo options
+     * @param {Transaction} [transaction] The ilorm transaction
+     * @param {Object} [mongoOptions={}] The options to give to the mongo operation
+     * @returns {Promise.<Object>} The mongo options with the session
+     */
+    async applyTransaction(transaction, mongoOptions = {}) {
+      if (!transaction || !mongoClient) {
+        return mongoOptions;
+      }
+
+      return Object.assign({}, mongoOptions, {
+        session: await transaction.getConnectorTransaction(this),
+      });
+    }
+  }
+
+  if (!mongoClient) {
+    return MongoTransactionConnector;
+  }
+
+  /**
+   * Class handling the native transactions of the MongoConnector, each transaction use a mongo session
+   */
+  class MongoSessionConnector extends MongoTransactionConnector {
+    /**
+     * Start a mongo session with a transaction (require a MongoDB replica set)
+     * @returns {ClientSession} The session used by every operation of the transaction
+     */
+    beginTransaction() {
+      const session = mongoClient.startSession();
+
+      session.startTransaction();
+
+      return session;
+    }
+
+    /**
+     * Commit the transaction and close the session
+     * @param {ClientSession} session The session of the transaction
+     * @returns {Promise.<void>} Resolve when the transaction is commit
+     */
+    async commitTransaction(session) {
+      await session.commitTransaction();
+
+      session.endSession();
+    }
+
+    /**
+     * Abort the transaction and close the session
+     * @param {ClientSession} session The session of the transaction
+     * @returns {Promise.<void>} Resolve when the transaction is abort
+     */
+    async rollbackTransaction(session) {
+      await session.abortTransaction();
+
+      session.endSession();
+    }
+  }
+
+  return MongoSessionConnector;
+};
+
+module.exports = injectMongoClient;
@@ -0,0 +1,82 @@
+'use strict';
+
+const convertQueryToMongoQuery = require('./convertQueryToMongoQuery');
+const convertUpdateToMongoUpdate = require('./convertUpdateToMongoUpdate');
+const { TRANSACTION, } = require('ilorm-constants').QUERY.FIELDS;
+
+/**
+ * Add the update operations to the Mongo connector
+ * @param {MongoTransactionConnector} ParentConnector The connector class to extend
+ * @returns {MongoUpdateConnector} The class handling the updates of the connector
+ */
+const updateClassFactory = ParentConnector => {
+  /**
+   * Class handling the updates of the MongoConnector (update, updateOne, upsert)
+   */
+  class MongoUpdateConnector extends ParentConnector {
+    /**
+     * Update one or more document who match query
+     * @param {Query} query The ilorm query you want to run on your Database.
+     * @returns {Promise.<Number>} The number of document updated
+     */
+    async update(query) {
+      const { matchedCount, } = await this.runUpdate('updateMany', query);
+
+      return matchedCount;
+    }
+
+    /**
+     * Update one document who match query
+     * @param {Query} query The ilorm query you want to run on your Database.
+     * @param {Object} [rawUpdate] Fields to set in addition of the query update (used by the instance save)
+     * @returns {*} Return true if a document was updated
+     */
+    async updateOne(query, rawUpdate) {
+      const { matchedCount, } = await this.runUpdate('updateOne', query, rawUpdate);
+
+      return matchedCount > 0;
+    }
+
+    /**
+     * Run specific update operator on linked collection
+     * @param {String} operator function to run on the collection
+     * @param {Query} ilormQuery The ilorm query you want to run on your Database.
+     * @param {Object} [rawUpdate] Fields to set in addition of the query update
+     * @returns {Promise.<*>} Return operator result
+     */
+    async runUpdate(operator, ilormQuery, rawUpdate) {
+      const { mongoQuery, mongoOptions, } = convertQueryToMongoQuery(ilormQuery);
+      const mongoUpdate = convertUpdateToMongoUpdate(ilormQuery, rawUpdate);
+      const collection = await this.getCollection();
+      const options = await this.applyTransaction(ilormQuery[TRANSACTION], mongoOptions);
+
+      return collection[operator](mongoQuery, mongoUpdate, options);
+    }
+
+    /**
+     * Update the document who match the query, or create it if none match (updateOne with upsert)
+     * The created document contains the fields of the query filters, the query update and the raw insert.
+     * @param {Query} query The ilorm query you want to run on your Database.
+     * @param {Object} [rawInsert] Fields to set only if the document is created (used by Model.findOrCreate)
+     * @returns {Promise.<Boolean>} Return true if the document was created, false if it was updated
+     */
+    async upsert(query, rawInsert) {
+      const { mongoQuery, } = convertQueryToMongoQuery(query);
+      const mongoUpdate = convertUpdateToMongoUpdate(query);
+      const collection = await this.getCollection();
+      const options = await this.applyTransaction(query[TRANSACTION], { upsert: true, });
+
+      if (rawInsert) {
+        mongoUpdate.$setOnInsert = rawInsert;
+      }
+
+      const { upsertedCount, } = await collection.updateOne(mongoQuery, mongoUpdate, options);
+
+      return upsertedCount > 0;
+    }
+  }
+
+  return MongoUpdateConnector;
+};
+
+module.exports = updateClassFactory;
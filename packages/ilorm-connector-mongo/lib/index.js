@@ -7,10 +7,14 @@ const schemaFactory = require('./schema.factory');
 
 /**
  * Create the Connector from the given database
- * @param {MongoClient} database The database to use
+ * @param {Db} database The database to use
+ * @param {MongoClient} [mongoClient] The client of the database, required to use transaction
  * @returns {Connector} The MongoDB connector object
  */
-const fromClient = database => connector({ db: database, });
+const fromClient = (database, mongoClient) => connector({
+  db: database,
+  mongoClient,
+});
 
 /**
  * Create the Connector from the given database
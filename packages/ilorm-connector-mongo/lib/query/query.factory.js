@@ -25,6 +25,14 @@ const injectDependencies = ({ ParentQuery, }) => {
 
       return null;
     }
+
+    /**
+     * Return the fields of the primary key, every mongo document is identified by its _id
+     * @returns {Array.<String>} The primary key fields
+     */
+    getPrimaryKeys() {
+      return [ '_id', ];
+    }
   }
 
   return MongoQuery;
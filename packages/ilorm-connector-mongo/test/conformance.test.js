@@ -0,0 +1,40 @@
+/* eslint-disable */
+
+const { MongoClient, } = require('mongodb');
+const { FEATURES, testConnector, } = require('ilorm-connector-test-suite');
+const ilormMongo = require('../index');
+
+const DB_URL = 'mongodb://localhost:27017/ilorm';
+
+describe('ilorm-connector-mongodb', () => {
+  describe('test/conformance', () => {
+    let mongoClient;
+    let database;
+    let MongoConnector;
+
+    before(async () => {
+      mongoClient = await MongoClient.connect(DB_URL);
+      database = await mongoClient.db('ilorm');
+      MongoConnector = ilormMongo.fromClient(database, mongoClient);
+    });
+
+    // Every scenario start with empty collections:
+    beforeEach(async () => {
+      await database.collection('users').deleteMany({});
+      await database.collection('invoices').deleteMany({});
+    });
+
+    after(() => mongoClient.close());
+
+    testConnector({
+      name: 'ilorm-connector-mongo',
+      plugin: ilormMongo,
+      createConnector: collectionName => new MongoConnector({ collectionName, }),
+      createUniqueIndex: ({ Model, fields, }) => database.collection(Model.getName())
+        .createIndex(fields.reduce((index, field) => Object.assign(index, { [field]: 1, }), {}), { unique: true, }),
+
+      // The transactions need a replica set, the tests run on a standalone server:
+      unsupportedFeatures: [ FEATURES.TRANSACTION, ],
+    });
+  });
+});
@@ -0,0 +1,32 @@
+/* eslint-disable */
+
+const { expect, } = require('chai');
+
+const transactionClassFactory = require('../lib/connector/transaction.classFactory');
+
+describe('ilorm-connector-mongodb', () => {
+  describe('test/transaction', () => {
+    it('Should let ilorm emulate the transactions without mongo client', async () => {
+      const MongoTransactionConnector = transactionClassFactory();
+      const connector = new MongoTransactionConnector();
+
+      expect(connector.beginTransaction).to.be.equal(undefined);
+      expect(await connector.applyTransaction({}, { upsert: true, })).to.deep.equal({ upsert: true, });
+    });
+
+    it('Should start a session per transaction with a mongo client', async () => {
+      const session = {
+        startTransaction: () => null,
+      };
+      const MongoSessionConnector = transactionClassFactory({
+        startSession: () => session,
+      });
+      const connector = new MongoSessionConnector();
+      const transaction = {
+        getConnectorTransaction: target => Promise.resolve(target.beginTransaction()),
+      };
+
+      expect(await connector.applyTransaction(transaction)).to.deep.equal({ session, });
+    });
+  });
+});
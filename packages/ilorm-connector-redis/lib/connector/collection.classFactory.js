@@ -0,0 +1,184 @@
+'use strict';
+
+const { findRows, } = require('ilorm-rows');
+const convertQueryToRedisRange = require('./convertQueryToRedisRange');
+const { deserializeRow, } = require('./serialize');
+const { REDIS_SORTED_FIELD, } = require('../fields');
+const { PRIMARY_FIELD, getIndexKey, getRowKey, } = require('./keys');
+
+/**
+ * Inject the redis client in the collection part of the Redis connector
+ * @param {Redis} client The redis client (ioredis)
+ * @returns {RedisCollectionConnector} The class handling the rows of the collection
+ */
+const injectClient = client => {
+  // The hash read for each loaded row, a write check the row was not modified since its load:
+  const loadedHashes = new WeakMap();
+
+  /**
+   * Check the results of a pipeline (or a multi), each result is an array with the error and the reply
+   * @param {Array.<Array>} results The results of the pipeline
+   * @returns {Array.<*>} The replies
+   */
+  const getReplies = results => results.map(([ error, reply, ]) => {
+    if (error) {
+      throw error;
+    }
+
+    return reply;
+  });
+
+  /**
+   * Class handling the rows stored in the collection of the RedisConnector (hashes and sorted sets)
+   */
+  class RedisCollectionConnector {
+    /**
+     * Bind current connector with the given collection
+     * @param {String} collectionName The collection name
+     */
+    constructor({ collectionName, }) {
+      this.collectionName = collectionName;
+      this.schema = null;
+      this.sortedFields = [ PRIMARY_FIELD, ];
+    }
+
+    /**
+     * Bind the connector with the schema of the model, to index the sorted fields and cast the loaded values
+     * @param {Schema} schema The schema of the model
+     * @returns {void} Return nothing
+     */
+    bindSchema(schema) {
+      this.schema = schema;
+      this.sortedFields = [ PRIMARY_FIELD, ].concat(schema.properties
+        .filter(property => property !== PRIMARY_FIELD && schema.definition[property][REDIS_SORTED_FIELD]));
+    }
+
+    /**
+     * Get the redis client of the connector
+     * @returns {Redis} The redis client
+     */
+    getClient() {
+      return client;
+    }
+
+    /**
+     * Run the commands added by the handler in a MULTI (the commands are run atomically)
+     * @param {Function} handler Called with the multi, add the commands to run
+     * @returns {Promise.<Array.<*>>} The replies of the commands
+     */
+    async runMulti(handler) {
+      const multi = client.multi();
+
+      handler(multi);
+
+      return getReplies(await multi.exec());
+    }
+
+    /**
+     * Get the key of the sorted set indexing the field
+     * @param {String} field The field indexed
+     * @returns {String} The redis key
+     */
+    getIndexKey(field) {
+      return getIndexKey(this.collectionName, field);
+    }
+
+    /**
+     * Get the key of the hash storing a row
+     * @param {*} id The id of the row
+     * @returns {String} The redis key
+     */
+    getRowKey(id) {
+      return getRowKey(this.collectionName, id);
+    }
+
+    /**
+     * Convert the query to a range, a sorted set missing some rows (with a missing value) could only be used
+     * to filter these rows, else the query use the primary key index
+     * @param {Query} query The ilorm query you want to convert
+     * @param {Array.<String>} [sortedFields] The sorted fields which could be used
+     * @returns {Promise.<Object>} The range to read
+     */
+    async getRange(query, sortedFields = this.sortedFields) {
+      const range = convertQueryToRedisRange(query, sortedFields);
+
+      if (!range.isPartialIndex) {
+        return range;
+      }
+
+      const [ fieldCount, rowCount, ] = await Promise.all([
+        client.zcard(this.getIndexKey(range.field)),
+        client.zcard(this.getIndexKey(PRIMARY_FIELD)),
+      ]);
+
+      if (fieldCount === rowCount) {
+        return range;
+      }
+
+      return this.getRange(query, sortedFields.filter(field => field !== range.field));
+    }
+
+    /**
+     * Read the ids of the rows of the range, from its sorted set
+     * @param {Object} range The range to read
+     * @param {Boolean} [isLimited=true] False to read the whole range, without the limit of the query
+     * @returns {Promise.<Array.<String>>} The ids
+     */
+    readIds(range, isLimited = true) {
+      if (range.ids) {
+        return Promise.resolve(range.ids);
+      }
+
+      return isLimited ?
+        client[range.command](this.getIndexKey(range.field), ...range.args) :
+        client.zrangebyscore(this.getIndexKey(range.field), range.min, range.max);
+    }
+
+    /**
+     * Load the rows of the given ids, with one HGETALL per row sent in a pipeline
+     * @param {Array.<String>} ids The ids of the rows
+     * @returns {Promise.<Array.<Object>>} The rows, in the order of the ids
+     */
+    async loadRowsById(ids) {
+      const pipeline = client.pipeline();
+
+      ids.forEach(id => pipeline.hgetall(this.getRowKey(id)));
+
+      return getReplies(await pipeline.exec())
+        .filter(hash => Object.keys(hash).length > 0)
+        .map(hash => {
+          const row = deserializeRow(this.schema, hash);
+
+          loadedHashes.set(row, hash);
+
+          return row;
+        });
+    }
+
+    /**
+     * Get the hash read at the load of the row
+     * @param {Object} row The row returned by loadRows
+     * @returns {Object} The fields of the hash
+     */
+    getLoadedHash(row) {
+      return loadedHashes.get(row);
+    }
+
+    /**
+     * Load the rows who match the query, the rows of the range are filtered and sorted in process if the range
+     * does not match exactly the query
+     * @param {Query} query The ilorm query you want to run on the collection.
+     * @returns {Promise.<Array.<Object>>} The rows
+     */
+    async loadRows(query) {
+      const range = await this.getRange(query);
+      const rows = await this.loadRowsById(await this.readIds(range));
+
+      return range.isLimited ? rows : findRows(query, rows);
+    }
+  }
+
+  return RedisCollectionConnector;
+};
+
+module.exports = injectClient;
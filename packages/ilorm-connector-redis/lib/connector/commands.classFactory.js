@@ -0,0 +1,138 @@
+'use strict';
+
+const { OPERATIONS, } = require('ilorm-constants').QUERY;
+const { isMissing, } = require('ilorm-rows');
+const { PRIMARY_FIELD, } = require('./keys');
+const { serializeRow, serializeValue, toScore, } = require('./serialize');
+
+/**
+ * Get the score of the id in the primary key index, an id which is not a number is only indexed
+ * @param {*} id The id of the row
+ * @returns {Number} The score
+ */
+const getIdScore = id => (typeof id === 'number' ? id : 0);
+
+/**
+ * Add the creation of the write commands to the Redis connector
+ * @param {RedisCollectionConnector} ParentConnector The connector class to extend
+ * @returns {RedisCommandsConnector} The class creating the write commands of the connector
+ */
+const commandsClassFactory = ParentConnector => {
+  /**
+   * Class creating the commands writing the rows of the RedisConnector (hashes and sorted sets), each command is an
+   * array with the name of the command followed by its arguments
+   */
+  class RedisCommandsConnector extends ParentConnector {
+    /**
+     * Add the command indexing the value of a field in its sorted set, a missing value is removed of the index
+     * @param {Array.<Array>} commands The commands to fill
+     * @param {String} field The sorted field
+     * @param {Object} row The row indexed (id and value of the field)
+     * @returns {void} Return nothing
+     */
+    indexValue(commands, field, row) {
+      if (isMissing(row[field])) {
+        commands.push([ 'zrem', this.getIndexKey(field), row.id, ]);
+
+        return;
+      }
+
+      commands.push([ 'zadd', this.getIndexKey(field), toScore(row[field]), row.id, ]);
+    }
+
+    /**
+     * Add the commands creating the hash of the row, and indexing it in the sorted sets
+     * @param {Array.<Array>} commands The commands to fill
+     * @param {Object} row The row to create
+     * @returns {void} Return nothing
+     */
+    addInsertCommands(commands, row) {
+      const hash = serializeRow(row);
+
+      Object.keys(hash).forEach(field => commands.push([ 'hset', this.getRowKey(row.id), field, hash[field], ]));
+      commands.push([ 'zadd', this.getIndexKey(PRIMARY_FIELD), getIdScore(row.id), row.id, ]);
+
+      this.sortedFields
+        .filter(field => field !== PRIMARY_FIELD && !isMissing(row[field]))
+        .forEach(field => this.indexValue(commands, field, row));
+    }
+
+    /**
+     * Check if the field is indexed in a sorted set (in addition of the primary key index)
+     * @param {String} field The field to check
+     * @returns {Boolean} Return true if the field is sorted
+     */
+    isSortedField(field) {
+      return field !== PRIMARY_FIELD && this.sortedFields.includes(field);
+    }
+
+    /**
+     * Add the commands setting the value of a field, a missing value is removed of the hash
+     * @param {Array.<Array>} commands The commands to fill
+     * @param {*} id The id of the row
+     * @param {String} field The field to set
+     * @param {*} value The new value
+     * @returns {void} Return nothing
+     */
+    addSetCommands(commands, { id, field, value, }) {
+      if (isMissing(value)) {
+        commands.push([ 'hdel', this.getRowKey(id), field, ]);
+      } else {
+        commands.push([ 'hset', this.getRowKey(id), field, serializeValue(value), ]);
+      }
+
+      if (this.isSortedField(field)) {
+        this.indexValue(commands, field, {
+          id,
+          [field]: value,
+        });
+      }
+    }
+
+    /**
+     * Add the commands updating the row (and the sorted sets) with the update of the query
+     * The add operation is run with HINCRBYFLOAT and ZINCRBY, to never lose a concurrent increment.
+     * @param {Array.<Array>} commands The commands to fill
+     * @param {Query} query The ilorm query declaring the update
+     * @param {Object} row The row to update
+     * @param {Object} [rawUpdate={}] Fields to set in addition of the query update (used by the instance save)
+     * @returns {void} Return nothing
+     */
+    addUpdateCommands(commands, { query, row, rawUpdate = {}, }) {
+      const { id, } = row;
+
+      Object.keys(rawUpdate).forEach(field => this.addSetCommands(commands, {
+        id,
+        field,
+        value: rawUpdate[field],
+      }));
+
+      query.updateBuilder({
+        onOperator: (key, operator, value) => {
+          if (operator === OPERATIONS.SET) {
+            this.addSetCommands(commands, {
+              id,
+              field: key,
+              value,
+            });
+          } else if (operator === OPERATIONS.ADD) {
+            commands.push([ 'hincrbyfloat', this.getRowKey(id), key, value, ]);
+
+            if (this.isSortedField(key)) {
+              // A missing value is not indexed, there is no score to increment:
+              commands.push(isMissing(row[key]) ?
+                [ 'zadd', this.getIndexKey(key), value, id, ] :
+                [ 'zincrby', this.getIndexKey(key), value, id, ]);
+            }
+          } else {
+            throw new Error(`connector.redis: UNDEFINED OPERATOR : ${operator}`);
+          }
+        },
+      });
+    }
+  }
+
+  return RedisCommandsConnector;
+};
+
+module.exports = commandsClassFactory;
@@ -0,0 +1,179 @@
+'use strict';
+
+const modelFactory = require('../model/model.factory');
+const queryFactory = require('../query/query.factory');
+const collectionClassFactory = require('./collection.classFactory');
+const commandsClassFactory = require('./commands.classFactory');
+const convertQueryToRedisRange = require('./convertQueryToRedisRange');
+const writeClassFactory = require('./write.classFactory');
+const {
+  aggregateRows, applyOptionsOnRows, copyValue, createRowStream, filterRows, isEqual, selectRow,
+} = require('ilorm-rows');
+
+/**
+ * Generate a RedisConnector by injecting the redis client
+ * @param {Redis} client The redis client (ioredis)
+ * @returns {RedisConnector} The resulting Connector
+ */
+const injectDependencies = ({ client, }) => {
+
+  /**
+   * Class representing a ilorm connector binded with redis
+   * Each row is stored in a hash, the primary key and the sorted fields are indexed in sorted sets.
+   * The transactions are emulated by ilorm (the write operations are run at the commit).
+   */
+  class RedisConnector extends writeClassFactory(commandsClassFactory(collectionClassFactory(client))) {
+    /**
+     * Get the redis client
+     * @returns {Redis} The redis client
+     */
+    static getDatabase() {
+      return client;
+    }
+
+    /**
+     * Close the connection with redis
+     * @returns {Promise} Resolve when the connection is closed
+     */
+    static close() {
+      return client.quit();
+    }
+
+    /**
+     * Get the row identified by the id
+     * @param {*} id The id of the row
+     * @returns {Promise.<Object|null>} The row, null if no row has the id
+     */
+    async getById(id) {
+      const [ row, ] = await this.loadRowsById([ id, ]);
+
+      return row || null;
+    }
+
+    /**
+     * Find the rows who match the query
+     * @param {Query} query The ilorm query you want to run on the collection.
+     * @returns {Promise.<Array.<Object>>} Every row who match the query
+     */
+    async find(query) {
+      return (await this.loadRows(query)).map(row => selectRow(query, row));
+    }
+
+    /**
+     * Find the first row who match the query
+     * @param {Query} query The ilorm query you want to run on the collection.
+     * @returns {Promise.<Object|null>} The row first found
+     */
+    async findOne(query) {
+      const [ row, ] = await this.loadRows(query);
+
+      return row ? selectRow(query, row) : null;
+    }
+
+    /**
+     * Count the number of rows who match the query, with ZCOUNT if the range match exactly the query
+     * @param {Query} query The ilorm query you want to run on the collection.
+     * @returns {Promise.<Number>} The number of rows found
+     */
+    async count(query) {
+      const range = await this.getRange(query);
+
+      if (range.isCountable) {
+        return client.zcount(this.getIndexKey(range.field), range.min, range.max);
+      }
+
+      return (await this.loadRows(query)).length;
+    }
+
+    /**
+     * Get the unique values of a field for the rows who match the query
+     * @param {Query} query The ilorm query you want to run on the collection.
+     * @param {String} field The field to get the values of
+     * @returns {Promise.<Array.<*>>} The unique values
+     */
+    async distinct(query, field) {
+      return (await this.loadRows(query))
+        .map(row => row[field])
+        .filter((value, index, values) => values.findIndex(otherValue => isEqual(value, otherValue)) === index)
+        .map(copyValue);
+    }
+
+    /**
+     * Check if at least one row match the query
+     * @param {Query} query The ilorm query you want to run on the collection.
+     * @returns {Promise.<Boolean>} Return true if a row match the query
+     */
+    async exists(query) {
+      return await this.count(query) > 0;
+    }
+
+    /**
+     * Aggregate the rows who match the query, the sort, skip and limit are applied on the aggregated rows
+     * @param {Query} query The ilorm query you want to run on the collection.
+     * @returns {Promise.<Array.<Object>>} One row per group, with the group fields and the aggregated values
+     */
+    async aggregate(query) {
+      const range = await this.getRange(query);
+      const rows = filterRows(query, await this.loadRowsById(await this.readIds(range, false)));
+
+      return applyOptionsOnRows(query, aggregateRows(query, rows));
+    }
+
+    /**
+     * Convert the query to the redis command reading the ids of the rows, without running it
+     * @param {Query} query The ilorm query you want to convert
+     * @returns {Object} The command, its arguments, and if the rows are filtered and sorted in process
+     */
+    toNative(query) {
+      const range = convertQueryToRedisRange(query, this.sortedFields);
+
+      if (range.ids) {
+        return {
+          command: 'HGETALL',
+          args: range.ids.map(id => this.getRowKey(id)),
+          isFilteredInProcess: true,
+        };
+      }
+
+      return {
+        command: range.command.toUpperCase(),
+        args: [ this.getIndexKey(range.field), ].concat(range.args),
+        isFilteredInProcess: !range.isComplete,
+      };
+    }
+
+    /**
+     * Create a stream object from the query
+     * @param {Query} query The ilorm query you want to use to generate the stream
+     * @returns {Promise.<Stream>} The stream associated with the query
+     */
+    async stream(query) {
+      return createRowStream(await this.find(query));
+    }
+
+    /**
+     * Create a new RedisModel from the given params
+     * @param {Model} ParentModel The ilorm global Model used as parent of ModelConnector
+     * @param {Schema} schema The schema of the model, used to index the sorted fields
+     * @returns {RedisModel} The result RedisModel
+     */
+    modelFactory({ ParentModel, schema, }) {
+      this.bindSchema(schema);
+
+      return modelFactory({ ParentModel, });
+    }
+
+    /**
+     * Create a new RedisQuery from the given params
+     * @param {Query} ParentQuery The ilorm global Query used as parent of QueryConnector
+     * @returns {RedisQuery} The result RedisQuery
+     */
+    queryFactory({ ParentQuery, }) {
+      return queryFactory({ ParentQuery, });
+    }
+  }
+
+  return RedisConnector;
+};
+
+module.exports = injectDependencies;
@@ -0,0 +1,200 @@
+'use strict';
+
+const { OPERATIONS, SORT_BEHAVIOR, } = require('ilorm-constants').QUERY;
+const { isMissing, } = require('ilorm-rows');
+const { PRIMARY_FIELD, } = require('./keys');
+const { isScore, toScore, } = require('./serialize');
+
+const MIN_SCORE = '-inf';
+const MAX_SCORE = '+inf';
+const KEEP_GREATER = 1;
+const KEEP_LOWER = -1;
+
+/**
+ * Create a bound of the range
+ * @param {Number|Date} value The value of the bound
+ * @param {Boolean} isExclusive True if the value itself is excluded of the range
+ * @returns {Object} The bound
+ */
+const bound = (value, isExclusive) => ({
+  score: toScore(value),
+  isExclusive,
+});
+
+// The bounds of the range (min and max) matching each operator :
+const rangeConversion = {
+  [OPERATIONS.IS]: value => ({
+    min: bound(value, false),
+    max: bound(value, false),
+  }),
+  [OPERATIONS.BETWEEN]: value => ({
+    min: bound(value.min, true),
+    max: bound(value.max, true),
+  }),
+  [OPERATIONS.GREATER_THAN]: value => ({ min: bound(value, true), }),
+  [OPERATIONS.GREATER_OR_EQUAL_THAN]: value => ({ min: bound(value, false), }),
+  [OPERATIONS.LOWER_THAN]: value => ({ max: bound(value, true), }),
+  [OPERATIONS.LOWER_OR_EQUAL_THAN]: value => ({ max: bound(value, false), }),
+};
+
+/**
+ * Check if the operator could be converted to a range, only a value with a score (a number or a date) is stored in a
+ * sorted set (a missing value is never stored, an id which is not a number is stored with the score 0)
+ * @param {String} operator The operator of the query
+ * @param {*} value The value of the operator
+ * @returns {Boolean} Return true if the operator is a range
+ */
+const isRangeOperation = (operator, value) => {
+  if (!rangeConversion[operator] || isMissing(value)) {
+    return false;
+  }
+
+  return operator === OPERATIONS.BETWEEN ? isScore(value.min) && isScore(value.max) : isScore(value);
+};
+
+/**
+ * Keep the most restrictive bound
+ * @param {Object} [currentBound] The current bound
+ * @param {Object} [newBound] The new bound
+ * @param {Number} direction 1 to keep the greater bound (min), -1 to keep the lower bound (max)
+ * @returns {Object} The most restrictive bound
+ */
+const restrictBound = (currentBound, newBound, direction) => {
+  if (!currentBound || !newBound) {
+    return currentBound || newBound;
+  }
+
+  if (newBound.score === currentBound.score) {
+    return newBound.isExclusive ? newBound : currentBound;
+  }
+
+  return (newBound.score - currentBound.score) * direction > 0 ? newBound : currentBound;
+};
+
+/**
+ * Format a bound to a ZRANGEBYSCORE argument (an exclusive bound start with a parenthesis)
+ * @param {Object} [rangeBound] The bound to format
+ * @param {String} defaultScore The score to use without bound (-inf or +inf)
+ * @returns {String} The argument
+ */
+const formatBound = (rangeBound, defaultScore) => {
+  if (!rangeBound) {
+    return defaultScore;
+  }
+
+  return `${rangeBound.isExclusive ? '(' : ''}${rangeBound.score}`;
+};
+
+/**
+ * Read the operators, the groups, the sort and the options of the query
+ * @param {Query} query The ilorm query to read
+ * @returns {Object} The operators, the sorts, the options, and if the query has a group (or, and, not)
+ */
+const readQuery = query => {
+  const result = {
+    operators: [],
+    sorts: [],
+    options: {},
+    hasGroup: false,
+  };
+
+  /**
+   * Flag the query as containing a group
+   * @returns {void} Return nothing
+   */
+  const onGroup = () => {
+    result.hasGroup = true;
+  };
+
+  query.queryBuilder({
+    onOperator: (key, operator, value) => result.operators.push({
+      key,
+      operator,
+      value,
+    }),
+    onOr: onGroup,
+    onAnd: onGroup,
+    onNot: onGroup,
+    onSort: sort => result.sorts.push(sort),
+    onOptions: ({ skip, limit, }) => {
+      result.options = {
+        skip,
+        limit,
+      };
+    },
+  });
+
+  return result;
+};
+
+/**
+ * Convert the query to the range of a sorted set, read with ZRANGEBYSCORE (or ZREVRANGEBYSCORE), or to the id of the
+ * row if the query filter it.
+ * The sorted set used is the first sort field if it's sorted, else the first sorted field filtered with a range,
+ * else the primary key index. If the range match exactly the query, the limit and the skip are run by redis,
+ * else the rows of the range are filtered and sorted in process.
+ * @param {Query} query The ilorm query you want to convert
+ * @param {Array.<String>} sortedFields The fields indexed in a sorted set
+ * @returns {Object} The field of the sorted set, the command and its arguments (or the ids to load), and how to finish
+ * the query
+ */
+const convertQueryToRedisRange = (query, sortedFields) => {
+  const { operators, sorts, options, hasGroup, } = readQuery(query);
+  const primaryOperator = operators.find(({ key, operator, value, }) => key === PRIMARY_FIELD &&
+    operator === OPERATIONS.IS && !isMissing(value));
+
+  // A query filtering the id (ie: the query of an instance) load the hash of the row by its key:
+  if (primaryOperator) {
+    return {
+      field: PRIMARY_FIELD,
+      ids: [ primaryOperator.value, ],
+      isComplete: false,
+      isLimited: false,
+      isCountable: false,
+      isPartialIndex: false,
+    };
+  }
+
+  const rangeOperators = operators.filter(({ key, operator, value, }) => sortedFields.includes(key) &&
+    isRangeOperation(operator, value));
+  const [ firstSort, ] = sorts;
+  const field = [
+    firstSort && sortedFields.includes(firstSort.key) ? firstSort.key : null,
+    rangeOperators.length > 0 ? rangeOperators[0].key : null,
+    PRIMARY_FIELD,
+  ].find(candidate => candidate);
+
+  const fieldOperators = rangeOperators.filter(({ key, }) => key === field);
+  const range = fieldOperators.reduce((currentRange, { operator, value, }) => {
+    const { min, max, } = rangeConversion[operator](value);
+
+    return {
+      min: restrictBound(currentRange.min, min, KEEP_GREATER),
+      max: restrictBound(currentRange.max, max, KEEP_LOWER),
+    };
+  }, {});
+
+  const isComplete = !hasGroup && fieldOperators.length === operators.length &&
+    sorts.every(({ key, }, index) => index === 0 && key === field);
+  const isLimited = isComplete && options.limit !== undefined;
+  const isReversed = Boolean(firstSort && firstSort.key === field && firstSort.behavior === SORT_BEHAVIOR.DESCENDING);
+  const min = formatBound(range.min, MIN_SCORE);
+  const max = formatBound(range.max, MAX_SCORE);
+  const limit = isLimited ? [ 'LIMIT', options.skip || 0, options.limit, ] : [];
+
+  return {
+    field,
+    min,
+    max,
+    command: isReversed ? 'zrevrangebyscore' : 'zrangebyscore',
+    args: (isReversed ? [ max, min, ] : [ min, max, ]).concat(limit),
+    isComplete,
+    isLimited,
+    isCountable: isComplete && options.skip === undefined && options.limit === undefined,
+
+    // Without range on the field, the rows with a missing value (not in the sorted set) need to be read too :
+    isPartialIndex: field !== PRIMARY_FIELD && fieldOperators.length === 0,
+  };
+};
+
+module.exports = convertQueryToRedisRange;
@@ -0,0 +1,34 @@
+'use strict';
+
+// The primary key is indexed in a sorted set as the sorted fields, every row is in this index :
+const PRIMARY_FIELD = 'id';
+
+/**
+ * Get the key of the hash storing a row
+ * @param {String} collectionName The name of the collection
+ * @param {*} id The id of the row
+ * @returns {String} The redis key
+ */
+const getRowKey = (collectionName, id) => `${collectionName}:row:${id}`;
+
+/**
+ * Get the key of the sorted set indexing a field, the members are the ids and the scores the values of the field
+ * @param {String} collectionName The name of the collection
+ * @param {String} field The field indexed
+ * @returns {String} The redis key
+ */
+const getIndexKey = (collectionName, field) => `${collectionName}:index:${field}`;
+
+/**
+ * Get the key of the counter generating the ids of the collection
+ * @param {String} collectionName The name of the collection
+ * @returns {String} The redis key
+ */
+const getLastIdKey = collectionName => `${collectionName}:lastId`;
+
+module.exports = {
+  PRIMARY_FIELD,
+  getIndexKey,
+  getLastIdKey,
+  getRowKey,
+};
@@ -0,0 +1,68 @@
+'use strict';
+
+// Run the commands only if every guarded hash still contains the expected fields (the script is run atomically by
+// redis), return the position of the first modified hash (1 based) or 0 once the commands are run.
+// ARGV contains for each guarded hash the number of its arguments then its fields and values (none : the hash must not
+// exist), then for each command the number of its arguments then the command and its arguments:
+const GUARDED_COMMANDS_SCRIPT = `
+local unpack = unpack or table.unpack
+local position = 1
+
+for index, key in ipairs(KEYS) do
+  local count = tonumber(ARGV[position])
+
+  if redis.call('HLEN', key) * 2 ~= count then
+    return index
+  end
+
+  for offset = position + 1, position + count, 2 do
+    if redis.call('HGET', key, ARGV[offset]) ~= ARGV[offset + 1] then
+      return index
+    end
+  end
+
+  position = position + count + 1
+end
+
+while position <= #ARGV do
+  local count = tonumber(ARGV[position])
+
+  redis.call(unpack(ARGV, position + 1, position + count))
+  position = position + count + 1
+end
+
+return 0
+`;
+
+/**
+ * Convert a hash to the arguments of the script : the number of arguments, then each field followed by its value
+ * @param {Object} hash The fields of the hash
+ * @returns {Array.<String|Number>} The arguments
+ */
+const toHashArgs = hash => {
+  const hashArgs = Object.keys(hash).reduce((args, field) => args.concat(field, hash[field]), []);
+
+  return [ hashArgs.length, ].concat(hashArgs);
+};
+
+/**
+ * Run the commands in one script, only if none of the guarded hashes was modified (ie: by a concurrent write)
+ * @param {Redis} client The redis client
+ * @param {Array.<Object>} guards The key of each guarded hash, its expected fields (an empty object if the hash must
+ *  not exist) and its row
+ * @param {Array.<Array>} commands The commands to run, each one the command name followed by its arguments
+ * @returns {Promise.<Object|null>} The row of the first modified guard, null if the commands were run
+ */
+const runGuardedCommands = async (client, { guards, commands, }) => {
+  const modifiedPosition = await client.eval(
+    GUARDED_COMMANDS_SCRIPT,
+    guards.length,
+    ...guards.map(({ key, }) => key),
+    ...guards.reduce((args, { hash, }) => args.concat(toHashArgs(hash)), []),
+    ...commands.reduce((args, command) => args.concat(command.length, command), [])
+  );
+
+  return modifiedPosition > 0 ? guards[modifiedPosition - 1].row : null;
+};
+
+module.exports = runGuardedCommands;
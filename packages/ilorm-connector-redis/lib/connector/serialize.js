@@ -0,0 +1,60 @@
+'use strict';
+
+const { isMissing, } = require('ilorm-rows');
+
+/**
+ * Serialize the value of a field, every value of the hash is stored as json
+ * @param {*} value The value to serialize
+ * @returns {String} The json of the value
+ */
+const serializeValue = value => JSON.stringify(value);
+
+/**
+ * Serialize a row to the fields of its hash, the missing values are not stored
+ * @param {Object} row The row to serialize
+ * @returns {Object} The fields of the hash
+ */
+const serializeRow = row => Object.keys(row).reduce((hash, field) => {
+  if (!isMissing(row[field])) {
+    hash[field] = serializeValue(row[field]);
+  }
+
+  return hash;
+}, {});
+
+/**
+ * Deserialize the fields of a hash, the values are casted with the schema (ie: a date serialized to a string)
+ * @param {Schema} schema The schema of the model
+ * @param {Object} hash The fields of the hash
+ * @returns {Object} The row
+ */
+const deserializeRow = (schema, hash) => Object.keys(hash).reduce((row, field) => {
+  const value = JSON.parse(hash[field]);
+  const schemaField = schema.definition[field];
+
+  row[field] = schemaField && !isMissing(value) ? schemaField.castValue(value) : value;
+
+  return row;
+}, {});
+
+/**
+ * Convert a value to the score of a sorted set (a date is converted to its timestamp)
+ * @param {Number|Date} value The value to convert
+ * @returns {Number} The score
+ */
+const toScore = value => (value instanceof Date ? value.getTime() : value);
+
+/**
+ * Check if the value could be used as a score (or a bound of a range), ie: a string is only stored in the hash
+ * @param {*} value The value to check
+ * @returns {Boolean} Return true if the score of the value is a finite number
+ */
+const isScore = value => Number.isFinite(toScore(value));
+
+module.exports = {
+  deserializeRow,
+  isScore,
+  serializeRow,
+  serializeValue,
+  toScore,
+};
@@ -0,0 +1,208 @@
+'use strict';
+
+const { getUpsertedRow, isEqual, isMissing, } = require('ilorm-rows');
+const { getLastIdKey, } = require('./keys');
+const runGuardedCommands = require('./runGuardedCommands');
+
+// A row modified between its load and its update is loaded again, until this number of attempts:
+const MAX_UPDATE_ATTEMPTS = 10;
+
+/**
+ * Add the write operations to the Redis connector
+ * @param {RedisCommandsConnector} ParentConnector The connector class to extend
+ * @returns {RedisWriteConnector} The class handling the writes of the connector
+ */
+const writeClassFactory = ParentConnector => {
+  /**
+   * Class handling the writes of the RedisConnector (create, update, upsert, remove)
+   */
+  class RedisWriteConnector extends ParentConnector {
+    /**
+     * Insert the rows, the rows without id get the next id of the collection (INCR of the collection counter)
+     * The hashes and the sorted sets are written by one script checking every id before, to never insert a part of
+     * the rows or overwrite a row created concurrently with the same id.
+     * @param {Array.<Object>} rows The rows to insert
+     * @returns {Promise.<Array.<Object>>} The inserted rows
+     */
+    async insertRows(rows) {
+      const client = this.getClient();
+
+      await Promise.all(rows
+        .filter(row => isMissing(row.id))
+        .map(async row => {
+          row.id = await client.incr(getLastIdKey(this.collectionName));
+        }));
+
+      const commands = [];
+
+      rows.forEach(row => this.addInsertCommands(commands, row));
+
+      const duplicatedRow = rows.find(({ id, }, index) => rows.slice(0, index).some(row => isEqual(row.id, id)));
+      const existingRow = duplicatedRow || await runGuardedCommands(client, {
+        guards: rows.map(row => ({
+          key: this.getRowKey(row.id),
+          hash: {},
+          row,
+        })),
+        commands,
+      });
+
+      if (existingRow) {
+        throw new Error(`connector.redis: The id ${existingRow.id} already exists in the collection ` +
+          `${this.collectionName}.`);
+      }
+
+      return rows;
+    }
+
+    /**
+     * Load the rows who match the query then update them, with one script run only if none of the rows was
+     * modified since its load (the rows are loaded again if one was modified)
+     * @param {Query} query The ilorm query declaring the update
+     * @param {Boolean} [isSingle=false] Update only the first row who match the query
+     * @param {Object} [rawUpdate] Fields to set in addition of the query update (used by the instance save)
+     * @param {Number} [attempt=1] The number of the attempt
+     * @returns {Promise.<Number>} The number of rows updated
+     */
+    async updateRows({ query, isSingle = false, rawUpdate, attempt = 1, }) {
+      const loadedRows = await this.loadRows(query);
+      const rows = isSingle ? loadedRows.slice(0, 1) : loadedRows;
+
+      if (rows.length === 0) {
+        return 0;
+      }
+
+      const commands = [];
+
+      rows.forEach(row => this.addUpdateCommands(commands, {
+        query,
+        row,
+        rawUpdate,
+      }));
+
+      const modifiedRow = await runGuardedCommands(this.getClient(), {
+        guards: rows.map(row => ({
+          key: this.getRowKey(row.id),
+          hash: this.getLoadedHash(row),
+          row,
+        })),
+        commands,
+      });
+
+      if (!modifiedRow) {
+        return rows.length;
+      }
+
+      if (attempt >= MAX_UPDATE_ATTEMPTS) {
+        throw new Error(`connector.redis: The row ${modifiedRow.id} of the collection ${this.collectionName} was ` +
+          `modified during each of the ${MAX_UPDATE_ATTEMPTS} attempts of the update.`);
+      }
+
+      return this.updateRows({
+        query,
+        isSingle,
+        rawUpdate,
+        attempt: attempt + 1,
+      });
+    }
+
+    /**
+     * Create one or more rows into the collection (a hash per row, and the sorted sets).
+     * @param {Model|Array.<Model>} items The instances you want to create in the collection
+     * @returns {Promise.<null>} Resolve once the rows are created
+     */
+    async create(items) {
+      const instances = [].concat(items);
+      const rows = await this.insertRows(await Promise.all(instances.map(instance => instance.getJson())));
+
+      rows.forEach(({ id, }, index) => {
+        instances[index].id = id;
+      });
+
+      return null;
+    }
+
+    /**
+     * Update the rows who match the query
+     * @param {Query} query The ilorm query you want to run on the collection.
+     * @returns {Promise.<Number>} The number of rows updated
+     */
+    update(query) {
+      return this.updateRows({ query, });
+    }
+
+    /**
+     * Update the first row who match the query
+     * @param {Query} query The ilorm query you want to run on the collection.
+     * @param {Object} [rawUpdate] Fields to set in addition of the query update (used by the instance save)
+     * @returns {Promise.<Boolean>} Return true if a row was updated
+     */
+    async updateOne(query, rawUpdate) {
+      return await this.updateRows({
+        query,
+        isSingle: true,
+        rawUpdate,
+      }) > 0;
+    }
+
+    /**
+     * Update the row who match the query, or insert it with the is filters of the query if it does not exist
+     * Redis has no unique index, two concurrent upserts could both insert the row.
+     * @param {Query} query The ilorm query you want to run on the collection.
+     * @param {Object} [rawInsert] Fields to set only if the row is created (used by Model.findOrCreate)
+     * @returns {Promise.<Boolean>} Return true if the row was created, false if it was updated
+     */
+    async upsert(query, rawInsert) {
+      const updatedCount = await this.updateRows({
+        query,
+        isSingle: true,
+      });
+
+      if (updatedCount > 0) {
+        return false;
+      }
+
+      await this.insertRows([ getUpsertedRow(query, rawInsert), ]);
+
+      return true;
+    }
+
+    /**
+     * Remove the rows (the hashes and the members of the sorted sets)
+     * @param {Array.<Object>} rows The rows to remove
+     * @returns {Promise.<Number>} The number of rows removed
+     */
+    async removeRows(rows) {
+      await this.runMulti(multi => rows.forEach(({ id, }) => {
+        multi.del(this.getRowKey(id));
+        this.sortedFields.forEach(field => multi.zrem(this.getIndexKey(field), id));
+      }));
+
+      return rows.length;
+    }
+
+    /**
+     * Remove the rows who match the query
+     * @param {Query} query The ilorm query you want to run on the collection.
+     * @returns {Promise.<Number>} The number of rows removed
+     */
+    async remove(query) {
+      return this.removeRows(await this.loadRows(query));
+    }
+
+    /**
+     * Remove the first row who match the query
+     * @param {Query} query The ilorm query you want to run on the collection.
+     * @returns {Promise.<Boolean>} Return true if a row was removed
+     */
+    async removeOne(query) {
+      const rows = await this.loadRows(query);
+
+      return await this.removeRows(rows.slice(0, 1)) > 0;
+    }
+  }
+
+  return RedisWriteConnector;
+};
+
+module.exports = writeClassFactory;
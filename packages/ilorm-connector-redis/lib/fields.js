@@ -0,0 +1,6 @@
+'use strict';
+
+module.exports = {
+  // The field is indexed in a sorted set, to filter and sort the rows with ZRANGEBYSCORE :
+  REDIS_SORTED_FIELD: Symbol('redisSortedField'),
+};
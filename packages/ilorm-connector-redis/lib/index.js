@@ -0,0 +1,36 @@
+'use strict';
+
+const Redis = require('ioredis');
+
+const connector = require('./connector');
+const schemaFactory = require('./schema.factory');
+const schemaFieldFactory = require('./schemaField.factory');
+
+/**
+ * Create the Connector from the given redis client
+ * @param {Redis} client The redis client (ioredis) to use
+ * @returns {Connector} The Redis connector object
+ */
+const fromClient = client => connector({
+  client,
+});
+
+/**
+ * Create the Connector from the given url
+ * @param {String} url The url of the redis server (ie: redis://localhost:6379/0)
+ * @returns {Connector} The Redis connector object
+ */
+const fromUrl = url => connector({
+  client: new Redis(url),
+});
+
+module.exports = {
+  plugins: {
+    core: {
+      schemaFieldFactory,
+      schemaFactory,
+    },
+  },
+  fromClient,
+  fromUrl,
+};
@@ -0,0 +1,43 @@
+'use strict';
+
+/**
+ * Inject dependencies to query
+ * @param {Query} ParentQuery class Query to overload
+ * @returns {RedisQuery} The query returned by a redis model
+ */
+const injectDependencies = ({ ParentQuery, }) => {
+
+  /**
+   * The query overload Query object
+   */
+  class RedisQuery extends ParentQuery {
+    /**
+     * Apply the primary key of the current query
+     * @param {*|Array.<*>} primary The key to apply
+     * @returns {Void} Return nothing
+     */
+    restrictToPrimary(primary) {
+      if (Array.isArray(primary)) {
+        this.id.isIn(primary);
+
+        return null;
+      }
+
+      this.id.is(primary);
+
+      return null;
+    }
+
+    /**
+     * Return the fields of the primary key, every row is identified by its id
+     * @returns {Array.<String>} The primary key fields
+     */
+    getPrimaryKeys() {
+      return [ 'id', ];
+    }
+  }
+
+  return RedisQuery;
+};
+
+module.exports = injectDependencies;
@@ -0,0 +1,39 @@
+'use strict';
+
+const { REDIS_SORTED_FIELD, } = require('../fields');
+
+/**
+ * Class schema
+ * Instantiate a redis schema
+ * @param {Schema} Schema schema to extends
+ * @returns {RedisSchema} The redis schema to use
+ */
+const injectSchema = Schema => class RedisSchema extends Schema {
+
+  /**
+   * Constructor for Schema
+   * Add an id field if missing, the connector generate it at the creation
+   * Only the number and date fields could be sorted (the score of a sorted set is a number).
+   * @param {Object} schema The given schema
+   */
+  constructor(schema) {
+    if (!schema.id) {
+      schema.id = Schema.number();
+    }
+
+    super(schema);
+
+    const { Types, } = this.constructor;
+
+    this.properties.forEach(property => {
+      const field = this.definition[property];
+
+      if (field[REDIS_SORTED_FIELD] && !(field instanceof Types.Number || field instanceof Types.Date)) {
+        throw new Error(`connector.redis: The field ${property} could not be sorted, ` +
+          'only the number and date fields could be sorted.');
+      }
+    });
+  }
+};
+
+module.exports = injectSchema;
@@ -0,0 +1,31 @@
+'use strict';
+
+const { REDIS_SORTED_FIELD, } = require('./fields');
+
+/**
+ * Create SchemaFieldRedis this plugin add the sorted sets to schemaField
+ * @param {SchemaField} SchemaField The schemaField to overload
+ * @return {SchemaFieldRedis} Return a SchemaFieldRedis ready to use
+ */
+const injectSchemaField = SchemaField => class SchemaFieldRedis extends SchemaField {
+  /**
+   * Add the sorted attribute, false per default
+   * @param {...*} params The parameters of the schema field
+   */
+  constructor(...params) {
+    super(...params);
+    this[REDIS_SORTED_FIELD] = false;
+  }
+
+  /**
+   * Define this field (number or date) as indexed in a sorted set
+   * @return {SchemaField} Return the field (to chainable definition)
+   */
+  sort() {
+    this[REDIS_SORTED_FIELD] = true;
+
+    return this;
+  }
+};
+
+module.exports = injectSchemaField;
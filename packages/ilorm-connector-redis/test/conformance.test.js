@@ -0,0 +1,22 @@
+/* eslint-disable */
+
+const { testConnector, } = require('ilorm-connector-test-suite');
+const ilormRedis = require('../index');
+const { createClient, } = require('./fixture');
+
+describe('ilorm-connector-redis', () => {
+  describe('test/conformance', () => {
+    let RedisConnector;
+
+    // Every scenario start with an empty database (flushed with REDIS_URL, see test/fixture.js):
+    beforeEach(async () => {
+      RedisConnector = ilormRedis.fromClient(await createClient());
+    });
+
+    testConnector({
+      name: 'ilorm-connector-redis',
+      plugin: ilormRedis,
+      createConnector: collectionName => new RedisConnector({ collectionName, }),
+    });
+  });
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const Redis = require('ioredis');
+const RedisMock = require('ioredis-mock');
+const Ilorm = require('ilorm').constructor;
+const ilormRedis = require('../index');
+
+const { REDIS_URL, } = process.env; // eslint-disable-line no-process-env
+
+/**
+ * Create the redis client of a test, a mock of redis per default
+ * Run the tests against a redis-server with REDIS_URL=redis://localhost:6379/15 (the database is flushed).
+ * @returns {Promise.<Redis>} The redis client
+ */
+const createClient = async () => {
+  if (!REDIS_URL) {
+    return new RedisMock();
+  }
+
+  const client = new Redis(REDIS_URL);
+
+  await client.flushdb();
+
+  return client;
+};
+
+/**
+ * Create a new ilorm using the Redis connector, and declare one model bound with its collection
+ * @param {String} [name='users'] The name of the model (and of its collection)
+ * @param {Function} schema Called with the Schema class, return the definition of the schema
+ * @param {Array.<Object>} [rows=[]] The rows created before the test
+ * @returns {Promise.<Object>} The ilorm, the model and the redis client
+ */
+const initModel = async ({ name = 'users', schema, rows = [], }) => {
+  const ilorm = new Ilorm();
+
+  ilorm.use(ilormRedis);
+
+  const client = await createClient();
+  const RedisConnector = ilormRedis.fromClient(client);
+  const Model = ilorm.newModel({
+    name,
+    schema: new ilorm.Schema(schema(ilorm.Schema)),
+    connector: new RedisConnector({
+      collectionName: name,
+    }),
+  });
+
+  if (rows.length > 0) {
+    await Model.createMany(rows);
+  }
+
+  return {
+    ilorm,
+    Model,
+    client,
+  };
+};
+
+module.exports = {
+  createClient,
+  initModel,
+};
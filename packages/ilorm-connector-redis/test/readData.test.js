@@ -0,0 +1,194 @@
+/* eslint-disable */
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+chai.use(chaiAsPromised);
+
+const { expect, } = chai;
+
+const Ilorm = require('ilorm').constructor;
+const ilormRedis = require('../index');
+const fixture = require('./fixture');
+
+const initModel = async () => {
+  const { ilorm, Model, client, } = await fixture.initModel({
+    schema: Schema => ({
+      name: Schema.string(),
+      gender: Schema.string(),
+      weight: Schema.number().sort(),
+      birthday: Schema.date().sort(),
+    }),
+    rows: [
+      { name: 'Guillaume', gender: 'M', weight: 80, birthday: new Date('1988-01-01'), },
+      { name: 'Kathy', gender: 'F', weight: 55, birthday: new Date('1992-06-01'), },
+      { name: 'Benjamin', gender: 'M', weight: 70, birthday: new Date('1990-03-01'), },
+      { name: 'Anna', gender: 'F', birthday: new Date('1995-09-01'), },
+    ],
+  });
+
+  return {
+    ilorm,
+    User: Model,
+    client,
+  };
+};
+
+const getNames = instances => instances.map(instance => instance.name);
+
+describe('ilorm-connector-redis', () => {
+  describe('test/readData', () => {
+    it('Should add an id field to the schema', async () => {
+      const { User, } = await initModel();
+
+      expect(User.getSchema().definition.id).to.exist;
+    });
+
+    it('Should reject a sorted field which is not a number or a date', () => {
+      const ilorm = new Ilorm();
+
+      ilorm.use(ilormRedis);
+
+      const { Schema, } = ilorm;
+
+      expect(() => new Schema({ name: Schema.string().sort(), }))
+        .to.throw('connector.redis: The field name could not be sorted, only the number and date fields could be sorted.');
+    });
+
+    it('Should store the rows in hashes and the sorted fields in sorted sets', async () => {
+      const { client, } = await initModel();
+
+      expect(await client.hgetall('users:row:2')).to.deep.equal({
+        id: '2',
+        name: '"Kathy"',
+        gender: '"F"',
+        weight: '55',
+        birthday: '"1992-06-01T00:00:00.000Z"',
+      });
+      expect(await client.zrange('users:index:id', 0, -1)).to.deep.equal([ '1', '2', '3', '4', ]);
+      expect(await client.zrange('users:index:weight', 0, -1)).to.deep.equal([ '2', '3', '1', ]);
+      expect(await client.zrangebyscore('users:index:birthday', 0, new Date('1991-01-01').getTime()))
+        .to.deep.equal([ '1', '3', ]);
+    });
+
+    it('Should translate the range, the sort and the limit to ZRANGEBYSCORE', async () => {
+      const { User, } = await initModel();
+
+      const rangeQuery = User.query()
+        .weight.between(55, 80);
+      const sortQuery = User.query()
+        .weight.greaterThan(55)
+        .weight.useAsSortDesc()
+        .skip(1)
+        .limit(1);
+      const dateQuery = User.query()
+        .birthday.greaterOrEqualThan(new Date('1990-03-01'))
+        .limit(2);
+
+      expect(await rangeQuery.toNative()).to.deep.equal({
+        command: 'ZRANGEBYSCORE',
+        args: [ 'users:index:weight', '(55', '(80', ],
+        isFilteredInProcess: false,
+      });
+      expect(await sortQuery.toNative()).to.deep.equal({
+        command: 'ZREVRANGEBYSCORE',
+        args: [ 'users:index:weight', '+inf', '(55', 'LIMIT', 1, 1, ],
+        isFilteredInProcess: false,
+      });
+      expect(await dateQuery.toNative()).to.deep.equal({
+        command: 'ZRANGEBYSCORE',
+        args: [ 'users:index:birthday', `${new Date('1990-03-01').getTime()}`, '+inf', 'LIMIT', 0, 2, ],
+        isFilteredInProcess: false,
+      });
+      expect(getNames(await rangeQuery.find())).to.deep.equal([ 'Benjamin', ]);
+      expect(getNames(await sortQuery.find())).to.deep.equal([ 'Benjamin', ]);
+      expect(getNames(await dateQuery.find())).to.deep.equal([ 'Benjamin', 'Kathy', ]);
+    });
+
+    it('Should filter and sort in process the part of the query not matching a range', async () => {
+      const { User, } = await initModel();
+
+      const query = User.query()
+        .weight.lowerOrEqualThan(80)
+        .gender.is('M')
+        .name.useAsSortAsc()
+        .limit(1);
+      const orUsers = await User.query()
+        .or(branch => {
+          branch().name.is('Kathy');
+          branch().weight.greaterThan(75);
+        })
+        .find();
+
+      expect(await query.toNative()).to.deep.equal({
+        command: 'ZRANGEBYSCORE',
+        args: [ 'users:index:weight', '-inf', '80', ],
+        isFilteredInProcess: true,
+      });
+      expect(getNames(await query.find())).to.deep.equal([ 'Benjamin', ]);
+      expect(getNames(orUsers)).to.deep.equal([ 'Guillaume', 'Kathy', ]);
+      expect(getNames(await User.query().name.contains('nn').find())).to.deep.equal([ 'Anna', ]);
+    });
+
+    it('Should keep the rows with a missing value when sorting on a sorted field', async () => {
+      const { User, } = await initModel();
+
+      const users = await User.query()
+        .weight.useAsSortAsc()
+        .find();
+
+      expect(getNames(users)).to.deep.equal([ 'Anna', 'Kathy', 'Benjamin', 'Guillaume', ]);
+      expect(getNames(await User.query().weight.is(null).find())).to.deep.equal([ 'Anna', ]);
+    });
+
+    it('Should cast the loaded values with the schema', async () => {
+      const { User, } = await initModel();
+      const user = await User.getById(2);
+
+      expect(user.id).to.equal(2);
+      expect(user.weight).to.equal(55);
+      expect(user.birthday).to.deep.equal(new Date('1992-06-01'));
+    });
+
+    it('Should find one row, count, check existence and get the distinct values', async () => {
+      const { User, } = await initModel();
+
+      expect((await User.query().weight.useAsSortDesc().findOne()).name).to.equal('Guillaume');
+      expect(await User.query().name.is('Nobody').findOne()).to.equal(null);
+      expect(await User.query().weight.greaterThan(60).count()).to.equal(2);
+      expect(await User.query().gender.is('M').count()).to.equal(2);
+      expect(await User.query().name.is('Kathy').exists()).to.equal(true);
+      expect(await User.query().weight.greaterThan(100).exists()).to.equal(false);
+      expect(await User.query().gender.distinct()).to.deep.equal([ 'M', 'F', ]);
+    });
+
+    it('Should aggregate the rows', async () => {
+      const { User, } = await initModel();
+
+      const rows = await User.query()
+        .groupBy('gender')
+        .weight.max()
+        .birthday.min()
+        .aggregate();
+
+      expect(rows).to.deep.equal([
+        { gender: 'M', maxWeight: 80, minBirthday: new Date('1988-01-01'), },
+        { gender: 'F', maxWeight: 55, minBirthday: new Date('1992-06-01'), },
+      ]);
+    });
+
+    it('Should stream the instances', async () => {
+      const { User, } = await initModel();
+      const stream = await User.query().gender.is('M').stream();
+      const names = [];
+
+      await new Promise((resolve, reject) => {
+        stream.on('data', user => names.push(user.name));
+        stream.on('end', resolve);
+        stream.on('error', reject);
+      });
+
+      expect(names).to.deep.equal([ 'Guillaume', 'Benjamin', ]);
+    });
+  });
+});
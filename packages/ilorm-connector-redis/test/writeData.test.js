@@ -0,0 +1,265 @@
+/* eslint-disable */
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const { spy, } = require('sinon');
+
+chai.use(chaiAsPromised);
+
+const { expect, } = chai;
+
+const fixture = require('./fixture');
+
+const initModel = async (users = []) => {
+  const { ilorm, Model, client, } = await fixture.initModel({
+    schema: Schema => ({
+      email: Schema.string(),
+      name: Schema.string(),
+      weight: Schema.number().sort(),
+    }),
+    rows: users,
+  });
+
+  return {
+    ilorm,
+    User: Model,
+    client,
+    getWeights: () => client.zrange('users:index:weight', 0, -1),
+  };
+};
+
+const initUsers = () => initModel([
+  { email: 'guillaume@ilorm.com', name: 'Guillaume', weight: 80, },
+  { email: 'kathy@ilorm.com', name: 'Kathy', weight: 55, },
+  { email: 'benjamin@ilorm.com', name: 'Benjamin', weight: 70, },
+]);
+
+const getNames = instances => instances.map(instance => instance.name);
+
+describe('ilorm-connector-redis', () => {
+  describe('test/writeData', () => {
+    it('Should create the instances with the next id of the collection', async () => {
+      const { User, client, } = await initModel();
+      const user = new User({ name: 'Guillaume', });
+
+      await user.save();
+      const { instances, } = await User.createMany([ { name: 'Kathy', }, { id: 10, name: 'Benjamin', }, ]);
+
+      expect(user.id).to.equal(1);
+      expect(instances.map(instance => instance.id)).to.deep.equal([ 2, 10, ]);
+      expect(await client.get('users:lastId')).to.equal('2');
+      expect(await User.getById(10)).to.have.property('name', 'Benjamin');
+    });
+
+    it('Should reject the creation of an existing id', async () => {
+      const { User, } = await initUsers();
+
+      await expect(new User({ id: 2, name: 'Anna', }).save())
+        .to.be.rejectedWith('connector.redis: The id 2 already exists in the collection users.');
+      expect(await User.query().count()).to.equal(3);
+    });
+
+    it('Should reject the concurrent creations of the same id', async () => {
+      const { User, } = await initModel();
+      const results = await Promise.all([ 'Guillaume', 'Kathy', ].map(name => new User({ id: 5, name, })
+        .save()
+        .then(() => name, err => err)));
+      const createdName = results.find(result => typeof result === 'string');
+      const error = results.find(result => result instanceof Error);
+
+      expect(error.message).to.equal('connector.redis: The id 5 already exists in the collection users.');
+      expect((await User.getById(5)).name).to.equal(createdName);
+      expect(await User.query().count()).to.equal(1);
+    });
+
+    it('Should write the hashes and the sorted sets of the created rows in one script', async () => {
+      const { User, client, getWeights, } = await initModel();
+      const multi = spy(client, 'multi');
+      const evalScript = spy(client, 'eval');
+
+      await User.createMany([ { name: 'Guillaume', weight: 80, }, { name: 'Kathy', weight: 55, }, ]);
+
+      expect(multi.notCalled).to.equal(true);
+      expect(evalScript.calledOnce).to.equal(true);
+      expect(await getWeights()).to.deep.equal([ '2', '1', ]);
+      expect(await client.zrange('users:index:id', 0, -1)).to.deep.equal([ '1', '2', ]);
+    });
+
+    it('Should load, save and remove a row with an id which is not a number by its key', async () => {
+      const { Model: Tag, } = await fixture.initModel({
+        name: 'tags',
+        schema: Schema => ({
+          id: Schema.string(),
+          label: Schema.string(),
+        }),
+      });
+
+      await new Tag({ id: 'orm', label: 'ORM', }).save();
+      await new Tag({ id: 'redis', label: 'Redis', }).save();
+
+      const tag = await Tag.getById('orm');
+
+      tag.label = 'Object relational mapping';
+      await tag.save();
+
+      expect(await Tag.query().id.is('orm').toNative()).to.deep.equal({
+        command: 'HGETALL',
+        args: [ 'tags:row:orm', ],
+        isFilteredInProcess: true,
+      });
+      expect((await Tag.query().id.is('orm').findOne()).label).to.equal('Object relational mapping');
+      expect(await Tag.query().id.is('redis').label.set('Key value store').update()).to.equal(1);
+
+      await tag.remove();
+
+      expect((await Tag.query().find()).map(({ label, }) => label)).to.deep.equal([ 'Key value store', ]);
+    });
+
+    it('Should save the changes of a loaded instance', async () => {
+      const { User, getWeights, } = await initUsers();
+      const user = await User.getById(2);
+
+      user.weight = 90;
+      await user.save();
+
+      expect((await User.getById(2)).weight).to.equal(90);
+      expect(await getWeights()).to.deep.equal([ '3', '1', '2', ]);
+    });
+
+    it('Should update the rows and the sorted sets with set and add', async () => {
+      const { User, getWeights, } = await initUsers();
+
+      const updatedRows = await User.query()
+        .weight.greaterThan(60)
+        .weight.add(-20)
+        .update();
+      const isUpdated = await User.query()
+        .name.is('Kathy')
+        .name.set('Katherine')
+        .weight.set(null)
+        .updateOne();
+
+      expect(updatedRows).to.equal(2);
+      expect(getNames(await User.query().weight.useAsSortAsc().find()))
+        .to.deep.equal([ 'Katherine', 'Benjamin', 'Guillaume', ]);
+      expect(await getWeights()).to.deep.equal([ '3', '1', ]);
+      expect((await User.getById(3)).weight).to.equal(50);
+      expect(isUpdated).to.equal(true);
+      expect(await User.query().name.is('Nobody').name.set('Somebody').updateOne()).to.equal(false);
+    });
+
+    it('Should load again the rows modified between their load and their update', async () => {
+      const { User, client, } = await initUsers();
+      const connector = User.getConnector();
+      const loadRows = connector.loadRows.bind(connector);
+      let loadCount = 0;
+
+      // A concurrent client rename Kathy, after the first load of the rows to update:
+      connector.loadRows = async query => {
+        const rows = await loadRows(query);
+
+        loadCount += 1;
+
+        if (loadCount === 1) {
+          await client.hset('users:row:2', 'name', JSON.stringify('Katherine'));
+        }
+
+        return rows;
+      };
+
+      expect(await User.query().name.is('Kathy').weight.set(40).update()).to.equal(0);
+      expect(loadCount).to.equal(2);
+      expect(await User.getById(2)).to.include({ name: 'Katherine', weight: 55, });
+    });
+
+    it('Should reject the update of rows modified at each attempt', async () => {
+      const { User, client, } = await initUsers();
+      const connector = User.getConnector();
+      const loadRows = connector.loadRows.bind(connector);
+      let weight = 55;
+
+      connector.loadRows = async query => {
+        const rows = await loadRows(query);
+
+        weight += 1;
+        await client.hset('users:row:2', 'weight', JSON.stringify(weight));
+
+        return rows;
+      };
+
+      await expect(User.query().name.is('Kathy').name.set('Katherine').updateOne())
+        .to.be.rejectedWith('connector.redis: The row 2 of the collection users was modified during each of the 10 ' +
+          'attempts of the update.');
+      expect((await User.getById(2)).name).to.equal('Kathy');
+    });
+
+    it('Should remove the rows and their indexes', async () => {
+      const { User, client, getWeights, } = await initUsers();
+
+      expect(await User.query().name.is('Kathy').removeOne()).to.equal(true);
+      expect(await User.query().name.is('Kathy').removeOne()).to.equal(false);
+      expect(await client.exists('users:row:2')).to.equal(0);
+      expect(await getWeights()).to.deep.equal([ '3', '1', ]);
+
+      expect(await User.query().weight.greaterThan(75).remove()).to.equal(1);
+      expect(getNames(await User.query().find())).to.deep.equal([ 'Benjamin', ]);
+    });
+
+    it('Should upsert the row', async () => {
+      const { User, } = await initUsers();
+
+      const isCreated = await User.query()
+        .email.is('anna@ilorm.com')
+        .name.set('Anna')
+        .upsert();
+      const isUpdateCreated = await User.query()
+        .email.is('kathy@ilorm.com')
+        .weight.add(1)
+        .upsert();
+
+      expect(isCreated).to.equal(true);
+      expect(await User.getById(4)).to.include({ email: 'anna@ilorm.com', name: 'Anna', });
+      expect(isUpdateCreated).to.equal(false);
+      expect((await User.getById(2)).weight).to.equal(56);
+    });
+
+    it('Should find or create the instance', async () => {
+      const { User, } = await initUsers();
+
+      const { created, instance, } = await User.findOrCreate({ email: 'anna@ilorm.com', }, { name: 'Anna', });
+      const { created: isCreatedAgain, } = await User.findOrCreate({ email: 'anna@ilorm.com', }, { name: 'Anna', });
+
+      expect(created).to.equal(true);
+      expect(instance.id).to.equal(4);
+      expect(instance.name).to.equal('Anna');
+      expect(isCreatedAgain).to.equal(false);
+      expect(await User.query().count()).to.equal(4);
+    });
+
+    it('Should run the writes of a transaction only at the commit', async () => {
+      const { ilorm, User, } = await initUsers();
+
+      await expect(ilorm.transaction(async transaction => {
+        await User.query()
+          .transaction(transaction)
+          .name.is('Kathy')
+          .weight.set(40)
+          .update();
+
+        expect((await User.getById(2)).weight).to.equal(55);
+
+        throw new Error('Rollback');
+      })).to.be.rejectedWith('Rollback');
+
+      expect((await User.getById(2)).weight).to.equal(55);
+
+      await ilorm.transaction(transaction => User.query()
+        .transaction(transaction)
+        .name.is('Kathy')
+        .weight.set(40)
+        .update());
+
+      expect((await User.getById(2)).weight).to.equal(40);
+    });
+  });
+});
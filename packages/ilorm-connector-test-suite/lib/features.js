@@ -0,0 +1,45 @@
+'use strict';
+
+// Every feature checked by the suite, a connector declare the features it does not support :
+module.exports = {
+  // Create the instances (save, createMany), and read them back by primary key :
+  CREATE: 'create',
+  GET_BY_ID: 'getById',
+
+  // Run the queries :
+  FIND: 'find',
+  COUNT: 'count',
+  EXISTS: 'exists',
+  DISTINCT: 'distinct',
+  AGGREGATE: 'aggregate',
+
+  // The filters : is, isNot, isIn, isNotIn (and null values), comparisons on numbers and dates, string operations :
+  BASIC_FILTERS: 'basicFilters',
+  COMPARISON_FILTERS: 'comparisonFilters',
+  STRING_FILTERS: 'stringFilters',
+  MATCHES: 'matches',
+
+  // The groups of branches :
+  OR: 'or',
+  AND: 'and',
+  NOT: 'not',
+
+  // The options of the query :
+  SORT: 'sort',
+  SKIP_LIMIT: 'skipLimit',
+  SELECT: 'select',
+
+  // The writes :
+  UPDATE: 'update',
+  UPDATE_ONE: 'updateOne',
+  SAVE: 'save',
+  REMOVE: 'remove',
+  REMOVE_ONE: 'removeOne',
+  UPSERT: 'upsert',
+  TRANSACTION: 'transaction',
+
+  // The streams and the links between models :
+  STREAM: 'stream',
+  LINKED_WITH: 'linkedWith',
+  LINKED_WITH_STREAM: 'linkedWithStream',
+};
@@ -0,0 +1,87 @@
+'use strict';
+
+// The rows created before each scenario, the scenarios build their filters and expectations from these values :
+const WEIGHT = {
+  GUILLAUME: 80,
+  KATHY: 55,
+  BENJAMIN: 70,
+};
+
+const AMOUNT = {
+  LARGE: 400,
+  MEDIUM: 55,
+  SMALL: 30,
+};
+
+// Anna has no weight, Guillaume and Benjamin are the only males, Benjamin and Kathy have a large invoice :
+const USERS_COUNT = 4;
+const MALES_COUNT = 2;
+const LARGE_INVOICES_COUNT = 2;
+
+// An amount used by no invoice :
+const UNKNOWN_AMOUNT = 1000;
+
+/**
+ * Get the users created before each scenario
+ * @returns {Array.<Object>} The raw users
+ */
+const getUsers = () => [
+  {
+    name: 'Guillaume',
+    gender: 'M',
+    weight: WEIGHT.GUILLAUME,
+    birthday: new Date('1988-01-01'),
+  },
+  {
+    name: 'Kathy',
+    gender: 'F',
+    weight: WEIGHT.KATHY,
+    birthday: new Date('1992-06-01'),
+  },
+  {
+    name: 'Benjamin',
+    gender: 'M',
+    weight: WEIGHT.BENJAMIN,
+    birthday: new Date('1990-03-01'),
+  },
+  {
+    name: 'Anna',
+    gender: 'F',
+    weight: null,
+    birthday: new Date('1995-09-01'),
+  },
+];
+
+/**
+ * Get the invoices created before each scenario, linked with their user by name (Guillaume has no invoice)
+ * @returns {Array.<Object>} The raw invoices
+ */
+const getInvoices = () => [
+  {
+    userName: 'Benjamin',
+    amount: AMOUNT.LARGE,
+  },
+  {
+    userName: 'Kathy',
+    amount: AMOUNT.LARGE,
+  },
+  {
+    userName: 'Kathy',
+    amount: AMOUNT.MEDIUM,
+  },
+  {
+    userName: 'Anna',
+    amount: AMOUNT.SMALL,
+  },
+];
+
+module.exports = {
+  AMOUNT,
+  LARGE_INVOICES_COUNT,
+  MALES_COUNT,
+  UNKNOWN_AMOUNT,
+  USERS_COUNT,
+  WEIGHT,
+  getInvoices,
+  getUsers,
+};
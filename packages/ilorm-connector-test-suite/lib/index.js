@@ -0,0 +1,11 @@
+'use strict';
+
+const FEATURES = require('./features');
+const Report = require('./report.class');
+const testConnector = require('./testConnector');
+
+module.exports = {
+  FEATURES,
+  Report,
+  testConnector,
+};
@@ -0,0 +1,89 @@
+'use strict';
+
+const Ilorm = require('ilorm').constructor;
+
+const { getInvoices, getUsers, } = require('./fixtures');
+
+/**
+ * Create the instances of the model, an invalid or a failed instance fail the scenario
+ * @param {Model} Model The model of the instances
+ * @param {Array.<Object>} rawObjects The raw objects to create
+ * @returns {Promise.<Array.<Model>>} The created instances
+ */
+const createInstances = async (Model, rawObjects) => {
+  const { instances, errors, } = await Model.createMany(rawObjects);
+
+  if (errors.length > 0) {
+    throw errors[0].error;
+  }
+
+  return instances;
+};
+
+/**
+ * Declare the models of the suite with the connector to test, then create the users and their invoices
+ * @param {Object} plugin The ilorm plugin of the connector
+ * @param {Function} createConnector Called with the name of the collection (or table), return the connector
+ * @param {Function} [createUniqueIndex] Called with the model and the fields of the unique index to create
+ * @returns {Promise.<Object>} The ilorm context, the models and the created users (by name)
+ */
+const initModels = async ({ plugin, createConnector, createUniqueIndex, }) => {
+  const ilorm = new Ilorm();
+
+  ilorm.use(plugin);
+
+  const { Schema, newModel, } = ilorm;
+
+  const User = newModel({
+    name: 'users',
+    schema: new Schema({
+      name: Schema.string().required(),
+      gender: Schema.string(),
+      weight: Schema.number(),
+      birthday: Schema.date(),
+    }),
+    connector: await createConnector('users'),
+  });
+
+  ilorm.declareModel(User);
+
+  // The upsert scenarios identify the users by name:
+  if (createUniqueIndex) {
+    await createUniqueIndex({
+      Model: User,
+      fields: [ 'name', ],
+    });
+  }
+
+  // The invoices are declared after the users, a connector could need the referenced model (foreign key):
+  const Invoice = newModel({
+    name: 'invoices',
+    schema: new Schema({
+      user: Schema.reference('users').required(),
+      amount: Schema.number().required(),
+    }),
+    connector: await createConnector('invoices'),
+  });
+
+  ilorm.declareModel(Invoice);
+
+  const users = (await createInstances(User, getUsers())).reduce((usersByName, user) => {
+    usersByName[user.name] = user;
+
+    return usersByName;
+  }, {});
+
+  await createInstances(Invoice, getInvoices().map(({ userName, amount, }) => ({
+    user: users[userName].getPrimary(),
+    amount,
+  })));
+
+  return {
+    ilorm,
+    User,
+    Invoice,
+    users,
+  };
+};
+
+module.exports = initModels;
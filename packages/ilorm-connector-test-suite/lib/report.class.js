@@ -0,0 +1,105 @@
+'use strict';
+
+const FEATURES = require('./features');
+
+const STATUS = {
+  SUPPORTED: 'supported',
+  FAILED: 'failed',
+  NOT_SUPPORTED: 'not supported',
+
+  // Every scenario of the feature was filtered out of the run (mocha --grep) :
+  NOT_TESTED: 'not tested',
+};
+
+const KNOWN_FEATURES = Object.keys(FEATURES).map(key => FEATURES[key]);
+
+/**
+ * Class representing the report of the suite : the status of each feature for the tested connector
+ */
+class Report {
+  /**
+   * Create the report of a connector
+   * @param {String} name The name of the tested connector
+   * @param {Array.<String>} [unsupportedFeatures=[]] The features the connector does not support
+   */
+  constructor({ name, unsupportedFeatures = [], }) {
+    const unknownFeature = unsupportedFeatures.find(feature => !KNOWN_FEATURES.includes(feature));
+
+    if (unknownFeature) {
+      throw new Error(`The feature ${unknownFeature} is not checked by the suite, use the features of FEATURES.`);
+    }
+
+    this.name = name;
+    this.unsupportedFeatures = unsupportedFeatures;
+    this.passedFeatures = new Set();
+    this.failedFeatures = new Set();
+  }
+
+  /**
+   * Check if the connector declare the feature as supported
+   * @param {String} feature The feature to check
+   * @returns {Boolean} Return true if the scenarios of the feature should be run
+   */
+  isSupported(feature) {
+    return !this.unsupportedFeatures.includes(feature);
+  }
+
+  /**
+   * Save the result of a scenario, one failed scenario fail the whole feature
+   * @param {String} feature The feature of the scenario
+   * @param {Boolean} isPassed True if the scenario passed
+   * @returns {void} Return nothing
+   */
+  addResult(feature, isPassed) {
+    if (isPassed) {
+      this.passedFeatures.add(feature);
+    } else {
+      this.failedFeatures.add(feature);
+    }
+  }
+
+  /**
+   * Get the status of the feature
+   * @param {String} feature The feature
+   * @returns {String} The status (supported, failed, not supported or not tested)
+   */
+  getStatus(feature) {
+    if (!this.isSupported(feature)) {
+      return STATUS.NOT_SUPPORTED;
+    }
+
+    if (this.failedFeatures.has(feature)) {
+      return STATUS.FAILED;
+    }
+
+    return this.passedFeatures.has(feature) ? STATUS.SUPPORTED : STATUS.NOT_TESTED;
+  }
+
+  /**
+   * Get the status of every feature checked by the suite
+   * @returns {Object.<String, String>} The status of each feature, by feature name
+   */
+  getFeatures() {
+    return KNOWN_FEATURES.reduce((features, feature) => {
+      features[feature] = this.getStatus(feature);
+
+      return features;
+    }, {});
+  }
+
+  /**
+   * Format the report, one line per feature
+   * @returns {String} The report
+   */
+  toString() {
+    const features = this.getFeatures();
+
+    return [ `Features of ${this.name} :`, ]
+      .concat(KNOWN_FEATURES.map(feature => `  ${feature} : ${features[feature]}`))
+      .join('\n');
+  }
+}
+
+Report.STATUS = STATUS;
+
+module.exports = Report;
@@ -0,0 +1,66 @@
+'use strict';
+
+const { expect, } = require('chai');
+
+const FEATURES = require('../features');
+const { AMOUNT, USERS_COUNT, WEIGHT, } = require('../fixtures');
+const { getNames, } = require('./helpers');
+
+// The weight of the created user :
+const PAUL_WEIGHT = 90;
+
+module.exports = [
+  {
+    feature: FEATURES.CREATE,
+    title: 'Should create an instance with save, and set its primary key',
+    run: async ({ User, }) => {
+      const user = new User({
+        name: 'Paul',
+        gender: 'M',
+        weight: PAUL_WEIGHT,
+      });
+
+      await user.save();
+
+      expect(user.getPrimary()).to.not.equal(null);
+      expect(user.getPrimary()).to.not.equal(undefined);
+      expect(getNames(await User.query().name.is('Paul').find())).to.deep.equal([ 'Paul', ]);
+    },
+  },
+  {
+    feature: FEATURES.CREATE,
+    title: 'Should create many instances, each one with its own primary key',
+    run: async ({ User, users, }) => {
+      const { instances, errors, } = await User.createMany([
+        { name: 'Paul', },
+        { name: 'Lucie', },
+      ]);
+      const primaries = Object.keys(users)
+        .map(name => users[name])
+        .concat(instances)
+        .map(instance => String(instance.getPrimary()));
+
+      expect(errors).to.deep.equal([]);
+      expect(new Set(primaries).size).to.equal(USERS_COUNT + instances.length);
+      expect(getNames(await User.query().find())).to.deep.equal([
+        'Anna', 'Benjamin', 'Guillaume', 'Kathy', 'Lucie', 'Paul',
+      ]);
+    },
+  },
+  {
+    feature: FEATURES.GET_BY_ID,
+    title: 'Should get an instance by its primary key, with the value of each field type',
+    run: async ({ User, Invoice, users, }) => {
+      const user = await User.getById(users.Kathy.getPrimary());
+      const [ invoice, ] = await Invoice.query().amount.is(AMOUNT.SMALL).find();
+
+      expect(user).to.be.an.instanceOf(User);
+      expect(user.name).to.equal('Kathy');
+      expect(user.gender).to.equal('F');
+      expect(user.weight).to.equal(WEIGHT.KATHY);
+      expect(user.birthday).to.deep.equal(new Date('1992-06-01'));
+      expect(String(user.getPrimary())).to.equal(String(users.Kathy.getPrimary()));
+      expect(String(invoice.user)).to.equal(String(users.Anna.getPrimary()));
+    },
+  },
+];
@@ -0,0 +1,108 @@
+'use strict';
+
+const { expect, } = require('chai');
+
+const FEATURES = require('../features');
+const { WEIGHT, } = require('../fixtures');
+const { getNames, } = require('./helpers');
+
+module.exports = [
+  {
+    feature: FEATURES.BASIC_FILTERS,
+    title: 'Should filter with is, isNot, isIn and isNotIn',
+    run: async ({ User, }) => {
+      expect(getNames(await User.query().gender.is('F').find())).to.deep.equal([ 'Anna', 'Kathy', ]);
+      expect(getNames(await User.query().gender.isNot('F').find())).to.deep.equal([ 'Benjamin', 'Guillaume', ]);
+      expect(getNames(await User.query().name.isIn([ 'Kathy', 'Anna', 'Nobody', ]).find()))
+        .to.deep.equal([ 'Anna', 'Kathy', ]);
+      expect(getNames(await User.query().name.isNotIn([ 'Kathy', 'Anna', ]).find()))
+        .to.deep.equal([ 'Benjamin', 'Guillaume', ]);
+    },
+  },
+  {
+    feature: FEATURES.BASIC_FILTERS,
+    title: 'Should filter the missing values with is(null) and isNot(null)',
+    run: async ({ User, }) => {
+      expect(getNames(await User.query().weight.is(null).find())).to.deep.equal([ 'Anna', ]);
+      expect(getNames(await User.query().weight.isNot(null).find()))
+        .to.deep.equal([ 'Benjamin', 'Guillaume', 'Kathy', ]);
+    },
+  },
+  {
+    feature: FEATURES.BASIC_FILTERS,
+    title: 'Should combine the filters of several fields',
+    run: async ({ User, }) => {
+      const users = await User.query()
+        .gender.is('M')
+        .weight.is(WEIGHT.BENJAMIN)
+        .find();
+
+      expect(getNames(users)).to.deep.equal([ 'Benjamin', ]);
+    },
+  },
+  {
+    feature: FEATURES.COMPARISON_FILTERS,
+    title: 'Should compare the numbers, between excluding the bounds',
+    run: async ({ User, }) => {
+      expect(getNames(await User.query().weight.between(WEIGHT.KATHY, WEIGHT.GUILLAUME).find()))
+        .to.deep.equal([ 'Benjamin', ]);
+      expect(getNames(await User.query().weight.greaterThan(WEIGHT.BENJAMIN).find())).to.deep.equal([ 'Guillaume', ]);
+      expect(getNames(await User.query().weight.greaterOrEqualThan(WEIGHT.BENJAMIN).find()))
+        .to.deep.equal([ 'Benjamin', 'Guillaume', ]);
+      expect(getNames(await User.query().weight.lowerThan(WEIGHT.BENJAMIN).find())).to.deep.equal([ 'Kathy', ]);
+      expect(getNames(await User.query().weight.lowerOrEqualThan(WEIGHT.BENJAMIN).find()))
+        .to.deep.equal([ 'Benjamin', 'Kathy', ]);
+    },
+  },
+  {
+    feature: FEATURES.COMPARISON_FILTERS,
+    title: 'Should compare the dates',
+    run: async ({ User, }) => {
+      expect(getNames(await User.query().birthday.greaterThan(new Date('1991-01-01')).find()))
+        .to.deep.equal([ 'Anna', 'Kathy', ]);
+      expect(getNames(await User.query().birthday.between(new Date('1989-01-01'), new Date('1993-01-01')).find()))
+        .to.deep.equal([ 'Benjamin', 'Kathy', ]);
+      expect(getNames(await User.query().birthday.lowerOrEqualThan(new Date('1990-03-01')).find()))
+        .to.deep.equal([ 'Benjamin', 'Guillaume', ]);
+    },
+  },
+  {
+    feature: FEATURES.STRING_FILTERS,
+    title: 'Should filter with contains, startsWith, endsWith and isCaseInsensitive',
+    run: async ({ User, }) => {
+      expect(getNames(await User.query().name.contains('nn').find())).to.deep.equal([ 'Anna', ]);
+      expect(getNames(await User.query().name.startsWith('Be').find())).to.deep.equal([ 'Benjamin', ]);
+      expect(getNames(await User.query().name.endsWith('me').find())).to.deep.equal([ 'Guillaume', ]);
+      expect(getNames(await User.query().name.isCaseInsensitive('KATHY').find())).to.deep.equal([ 'Kathy', ]);
+    },
+  },
+  {
+    feature: FEATURES.STRING_FILTERS,
+    title: 'Should match the case of the value with contains, startsWith and endsWith',
+    run: async ({ User, }) => {
+      expect(await User.query().name.contains('NN').find()).to.deep.equal([]);
+      expect(await User.query().name.startsWith('be').find()).to.deep.equal([]);
+      expect(await User.query().name.endsWith('ME').find()).to.deep.equal([]);
+      expect(getNames(await User.query().name.contains('K').find())).to.deep.equal([ 'Kathy', ]);
+    },
+  },
+  {
+    feature: FEATURES.STRING_FILTERS,
+    title: 'Should match the special characters of the value literally',
+    run: async ({ User, }) => {
+      expect(await User.query().name.contains('%').find()).to.deep.equal([]);
+      expect(await User.query().name.startsWith('_').find()).to.deep.equal([]);
+      expect(await User.query().name.endsWith('.*').find()).to.deep.equal([]);
+      expect(await User.query().name.contains('?').find()).to.deep.equal([]);
+      expect(await User.query().name.startsWith('[A-Z]').find()).to.deep.equal([]);
+    },
+  },
+  {
+    feature: FEATURES.MATCHES,
+    title: 'Should filter with a regular expression',
+    run: async ({ User, }) => {
+      expect(getNames(await User.query().name.matches(/^B/).find())).to.deep.equal([ 'Benjamin', ]);
+      expect(getNames(await User.query().name.matches(/^[gk]/i).find())).to.deep.equal([ 'Guillaume', 'Kathy', ]);
+    },
+  },
+];
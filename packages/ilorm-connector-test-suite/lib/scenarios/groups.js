@@ -0,0 +1,90 @@
+'use strict';
+
+const { expect, } = require('chai');
+
+const FEATURES = require('../features');
+const { WEIGHT, } = require('../fixtures');
+const { getNames, } = require('./helpers');
+
+module.exports = [
+  {
+    feature: FEATURES.OR,
+    title: 'Should match the rows matching at least one branch',
+    run: async ({ User, }) => {
+      const users = await User.query()
+        .or(branch => {
+          branch().name.is('Kathy');
+          branch().weight.greaterThan(WEIGHT.BENJAMIN);
+        })
+        .find();
+
+      expect(getNames(users)).to.deep.equal([ 'Guillaume', 'Kathy', ]);
+    },
+  },
+  {
+    feature: FEATURES.OR,
+    title: 'Should combine the or branches with the other filters of the query',
+    run: async ({ User, }) => {
+      const users = await User.query()
+        .gender.is('M')
+        .or(branch => {
+          branch().name.is('Kathy');
+          branch().name.is('Benjamin');
+        })
+        .find();
+
+      expect(getNames(users)).to.deep.equal([ 'Benjamin', ]);
+    },
+  },
+  {
+    feature: FEATURES.OR,
+    title: 'Should match every filter of a branch',
+    run: async ({ User, }) => {
+      const users = await User.query()
+        .or(branch => {
+          branch()
+            .gender.is('F')
+            .weight.isNot(null);
+          branch().name.is('Guillaume');
+        })
+        .find();
+
+      expect(getNames(users)).to.deep.equal([ 'Guillaume', 'Kathy', ]);
+    },
+  },
+  {
+    feature: FEATURES.AND,
+    title: 'Should match the rows matching every branch',
+    run: async ({ User, }) => {
+      const users = await User.query()
+        .and(branch => {
+          branch().gender.is('F');
+          branch().weight.isNot(null);
+        })
+        .find();
+
+      expect(getNames(users)).to.deep.equal([ 'Kathy', ]);
+    },
+  },
+  {
+    feature: FEATURES.NOT,
+    title: 'Should match the rows matching none of the branches',
+    run: async ({ User, }) => {
+      const males = await User.query()
+        .gender.is('M')
+        .not(branch => {
+          branch().name.is('Guillaume');
+        })
+        .find();
+      const users = await User.query()
+        .not(branch => {
+          branch().name.is('Kathy');
+          branch().name.is('Anna');
+        })
+        .find();
+
+      expect(getNames(males)).to.deep.equal([ 'Benjamin', ]);
+      expect(getNames(users)).to.deep.equal([ 'Benjamin', 'Guillaume', ]);
+    },
+  },
+];
@@ -0,0 +1,42 @@
+'use strict';
+
+/**
+ * Get the names of the instances, sorted : the order of the rows without sort depends on the database
+ * @param {Array.<Model>} instances The instances (or rows) with a name
+ * @returns {Array.<String>} The sorted names
+ */
+const getNames = instances => instances.map(({ name, }) => name).sort();
+
+/**
+ * Get the names of the instances, in the order returned by the query
+ * @param {Array.<Model>} instances The instances (or rows) with a name
+ * @returns {Array.<String>} The names
+ */
+const getOrderedNames = instances => instances.map(({ name, }) => name);
+
+/**
+ * Get the amounts of the invoices, sorted from the lowest
+ * @param {Array.<Model>} invoices The invoices
+ * @returns {Array.<Number>} The sorted amounts
+ */
+const getAmounts = invoices => invoices.map(({ amount, }) => amount).sort((amountA, amountB) => amountA - amountB);
+
+/**
+ * Read every item of the stream
+ * @param {Stream} stream The readable stream
+ * @returns {Promise.<Array>} Resolve the items once the stream end
+ */
+const readStream = stream => new Promise((resolve, reject) => {
+  const items = [];
+
+  stream.on('data', item => items.push(item));
+  stream.on('end', () => resolve(items));
+  stream.on('error', reject);
+});
+
+module.exports = {
+  getAmounts,
+  getNames,
+  getOrderedNames,
+  readStream,
+};
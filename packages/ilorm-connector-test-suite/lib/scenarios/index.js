@@ -0,0 +1,15 @@
+'use strict';
+
+// Every scenario of the suite, each one check a feature on the models and rows created by initModels :
+module.exports = [].concat(
+  require('./create'),
+  require('./read'),
+  require('./filters'),
+  require('./groups'),
+  require('./options'),
+  require('./write'),
+  require('./upsert'),
+  require('./transaction'),
+  require('./stream'),
+  require('./linkedWith')
+);
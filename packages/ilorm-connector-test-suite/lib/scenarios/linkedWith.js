@@ -0,0 +1,89 @@
+'use strict';
+
+const { expect, } = require('chai');
+
+const FEATURES = require('../features');
+const { AMOUNT, UNKNOWN_AMOUNT, } = require('../fixtures');
+const { getAmounts, getNames, readStream, } = require('./helpers');
+
+module.exports = [
+  {
+    feature: FEATURES.LINKED_WITH,
+    title: 'Should restrict the query to the rows referencing the result of another query',
+    run: async ({ User, Invoice, }) => {
+      const invoices = await Invoice.query()
+        .linkedWith(User.query().gender.is('F'))
+        .find();
+
+      expect(getAmounts(invoices)).to.deep.equal([ AMOUNT.SMALL, AMOUNT.MEDIUM, AMOUNT.LARGE, ]);
+    },
+  },
+  {
+    feature: FEATURES.LINKED_WITH,
+    title: 'Should restrict the query to the rows referenced by the result of another query',
+    run: async ({ User, Invoice, }) => {
+      const users = await User.query()
+        .linkedWith(Invoice.query().amount.is(AMOUNT.LARGE))
+        .gender.is('F')
+        .find();
+
+      expect(getNames(users)).to.deep.equal([ 'Kathy', ]);
+    },
+  },
+  {
+    feature: FEATURES.LINKED_WITH,
+    title: 'Should match no row if the linked query match no row',
+    run: async ({ User, Invoice, }) => {
+      const invoices = await Invoice.query()
+        .linkedWith(User.query().name.is('Nobody'))
+        .find();
+      const users = await User.query()
+        .linkedWith(Invoice.query().amount.is(UNKNOWN_AMOUNT))
+        .find();
+
+      expect(invoices).to.deep.equal([]);
+      expect(users).to.deep.equal([]);
+    },
+  },
+  {
+    feature: FEATURES.LINKED_WITH,
+    title: 'Should restrict the query to the rows referencing an instance',
+    run: async ({ Invoice, users, }) => {
+      const invoices = await Invoice.query()
+        .linkedWith(users.Kathy)
+        .find();
+
+      expect(getAmounts(invoices)).to.deep.equal([ AMOUNT.MEDIUM, AMOUNT.LARGE, ]);
+    },
+  },
+  {
+    feature: FEATURES.LINKED_WITH,
+    title: 'Should filter the reference field with instances or primary keys',
+    run: async ({ Invoice, users, }) => {
+      const kathyInvoices = await Invoice.query()
+        .user.linkedWith(users.Kathy)
+        .find();
+      const invoices = await Invoice.query()
+        .user.linkedWith([ users.Benjamin, users.Anna, ])
+        .find();
+      const annaInvoices = await Invoice.query()
+        .user.linkedWith(users.Anna.getPrimary())
+        .find();
+
+      expect(getAmounts(kathyInvoices)).to.deep.equal([ AMOUNT.MEDIUM, AMOUNT.LARGE, ]);
+      expect(getAmounts(invoices)).to.deep.equal([ AMOUNT.SMALL, AMOUNT.LARGE, ]);
+      expect(getAmounts(annaInvoices)).to.deep.equal([ AMOUNT.SMALL, ]);
+    },
+  },
+  {
+    feature: FEATURES.LINKED_WITH_STREAM,
+    title: 'Should stream the rows referencing the result of another query',
+    run: async ({ User, Invoice, }) => {
+      const invoices = await readStream(await Invoice.query()
+        .linkedWith(User.query().gender.is('F'))
+        .stream());
+
+      expect(getAmounts(invoices)).to.deep.equal([ AMOUNT.SMALL, AMOUNT.MEDIUM, AMOUNT.LARGE, ]);
+    },
+  },
+];
@@ -0,0 +1,93 @@
+'use strict';
+
+const { expect, } = require('chai');
+
+const FEATURES = require('../features');
+const { USERS_COUNT, WEIGHT, } = require('../fixtures');
+const { getOrderedNames, } = require('./helpers');
+
+// The size of the page loaded after skipping the first user :
+const PAGE_SIZE = 2;
+
+module.exports = [
+  {
+    feature: FEATURES.SORT,
+    title: 'Should sort the rows ascending or descending',
+    run: async ({ User, }) => {
+      expect(getOrderedNames(await User.query().name.useAsSortAsc().find()))
+        .to.deep.equal([ 'Anna', 'Benjamin', 'Guillaume', 'Kathy', ]);
+      expect(getOrderedNames(await User.query().birthday.useAsSortDesc().find()))
+        .to.deep.equal([ 'Anna', 'Kathy', 'Benjamin', 'Guillaume', ]);
+      expect(getOrderedNames(await User.query().weight.greaterThan(0).weight.useAsSortAsc().find()))
+        .to.deep.equal([ 'Kathy', 'Benjamin', 'Guillaume', ]);
+    },
+  },
+  {
+    feature: FEATURES.SORT,
+    title: 'Should sort the rows by several fields, in the declaration order',
+    run: async ({ User, }) => {
+      const users = await User.query()
+        .gender.useAsSortAsc()
+        .name.useAsSortDesc()
+        .find();
+
+      expect(getOrderedNames(users)).to.deep.equal([ 'Kathy', 'Anna', 'Guillaume', 'Benjamin', ]);
+    },
+  },
+  {
+    feature: FEATURES.SKIP_LIMIT,
+    title: 'Should skip and limit the sorted rows',
+    run: async ({ User, }) => {
+      const users = await User.query()
+        .name.useAsSortAsc()
+        .skip(1)
+        .limit(PAGE_SIZE)
+        .find();
+      const firstUsers = await User.query()
+        .name.useAsSortAsc()
+        .limit(USERS_COUNT - 1)
+        .find();
+      const lastUsers = await User.query()
+        .name.useAsSortAsc()
+        .skip(USERS_COUNT - 1)
+        .find();
+
+      expect(getOrderedNames(users)).to.deep.equal([ 'Benjamin', 'Guillaume', ]);
+      expect(getOrderedNames(firstUsers)).to.deep.equal([ 'Anna', 'Benjamin', 'Guillaume', ]);
+      expect(getOrderedNames(lastUsers)).to.deep.equal([ 'Kathy', ]);
+    },
+  },
+  {
+    feature: FEATURES.SELECT,
+    title: 'Should load only the selected fields',
+    run: async ({ User, }) => {
+      const [ user, ] = await User.query()
+        .name.is('Kathy')
+        .name.select()
+        .weight.select()
+        .find();
+
+      expect(user.name).to.equal('Kathy');
+      expect(user.weight).to.equal(WEIGHT.KATHY);
+      expect(user.gender).to.equal(undefined);
+      expect(user.birthday).to.equal(undefined);
+    },
+  },
+  {
+    feature: FEATURES.SELECT,
+    title: 'Should return only the value of the field with selectOnly',
+    run: async ({ User, }) => {
+      const name = await User.query()
+        .weight.is(WEIGHT.BENJAMIN)
+        .name.selectOnly()
+        .findOne();
+      const names = await User.query()
+        .gender.is('F')
+        .name.selectOnly()
+        .find();
+
+      expect(name).to.equal('Benjamin');
+      expect(names.sort()).to.deep.equal([ 'Anna', 'Kathy', ]);
+    },
+  },
+];
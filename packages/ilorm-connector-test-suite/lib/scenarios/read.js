@@ -0,0 +1,104 @@
+'use strict';
+
+const { expect, } = require('chai');
+
+const FEATURES = require('../features');
+const { AMOUNT, LARGE_INVOICES_COUNT, MALES_COUNT, USERS_COUNT, WEIGHT, } = require('../fixtures');
+const { getNames, } = require('./helpers');
+
+module.exports = [
+  {
+    feature: FEATURES.FIND,
+    title: 'Should find the instances matching the query',
+    run: async ({ User, }) => {
+      const users = await User.query()
+        .gender.is('M')
+        .find();
+
+      expect(getNames(users)).to.deep.equal([ 'Benjamin', 'Guillaume', ]);
+      users.forEach(user => expect(user).to.be.an.instanceOf(User));
+      expect(getNames(await User.query().find())).to.deep.equal([ 'Anna', 'Benjamin', 'Guillaume', 'Kathy', ]);
+      expect(await User.query().name.is('Nobody').find()).to.deep.equal([]);
+    },
+  },
+  {
+    feature: FEATURES.FIND,
+    title: 'Should find one instance, or null if none match',
+    run: async ({ User, }) => {
+      const user = await User.query()
+        .name.is('Kathy')
+        .findOne();
+
+      expect(user).to.be.an.instanceOf(User);
+      expect(user.name).to.equal('Kathy');
+      expect(await User.query().name.is('Nobody').findOne()).to.equal(null);
+    },
+  },
+  {
+    feature: FEATURES.COUNT,
+    title: 'Should count the rows matching the query',
+    run: async ({ User, }) => {
+      expect(await User.query().count()).to.equal(USERS_COUNT);
+      expect(await User.query().gender.is('M').count()).to.equal(MALES_COUNT);
+      expect(await User.query().name.is('Nobody').count()).to.equal(0);
+    },
+  },
+  {
+    feature: FEATURES.EXISTS,
+    title: 'Should check if a row match the query',
+    run: async ({ User, }) => {
+      expect(await User.query().name.is('Kathy').exists()).to.equal(true);
+      expect(await User.query().name.is('Nobody').exists()).to.equal(false);
+    },
+  },
+  {
+    feature: FEATURES.DISTINCT,
+    title: 'Should get the distinct values of a field',
+    run: async ({ User, }) => {
+      expect((await User.query().gender.distinct()).sort()).to.deep.equal([ 'F', 'M', ]);
+      expect(await User.query().weight.greaterThan(WEIGHT.KATHY).gender.distinct()).to.deep.equal([ 'M', ]);
+    },
+  },
+  {
+    feature: FEATURES.AGGREGATE,
+    title: 'Should aggregate the rows of each group',
+    run: async ({ User, }) => {
+      const rows = await User.query()
+        .groupBy('gender')
+        .weight.avg('averageWeight')
+        .weight.max()
+        .aggregate();
+
+      expect(rows.sort((rowA, rowB) => rowA.gender.localeCompare(rowB.gender))).to.deep.equal([
+        {
+          gender: 'F',
+          averageWeight: WEIGHT.KATHY,
+          maxWeight: WEIGHT.KATHY,
+        },
+        {
+          gender: 'M',
+          averageWeight: (WEIGHT.GUILLAUME + WEIGHT.BENJAMIN) / MALES_COUNT,
+          maxWeight: WEIGHT.GUILLAUME,
+        },
+      ]);
+    },
+  },
+  {
+    feature: FEATURES.AGGREGATE,
+    title: 'Should aggregate the rows matching the query, without group',
+    run: async ({ Invoice, }) => {
+      const rows = await Invoice.query()
+        .amount.greaterThan(AMOUNT.SMALL)
+        .amount.sum('total')
+        .amount.min()
+        .aggregate();
+
+      expect(rows).to.deep.equal([
+        {
+          total: (AMOUNT.LARGE * LARGE_INVOICES_COUNT) + AMOUNT.MEDIUM,
+          minAmount: AMOUNT.MEDIUM,
+        },
+      ]);
+    },
+  },
+];
@@ -0,0 +1,43 @@
+'use strict';
+
+const { expect, } = require('chai');
+
+const FEATURES = require('../features');
+const { getNames, getOrderedNames, readStream, } = require('./helpers');
+
+module.exports = [
+  {
+    feature: FEATURES.STREAM,
+    title: 'Should stream the instances matching the query',
+    run: async ({ User, }) => {
+      const users = await readStream(await User.query()
+        .gender.is('M')
+        .stream());
+
+      expect(getNames(users)).to.deep.equal([ 'Benjamin', 'Guillaume', ]);
+      users.forEach(user => expect(user).to.be.an.instanceOf(User));
+    },
+  },
+  {
+    feature: FEATURES.STREAM,
+    title: 'Should stream the sorted instances',
+    run: async ({ User, }) => {
+      const users = await readStream(await User.query()
+        .name.useAsSortDesc()
+        .stream());
+
+      expect(getOrderedNames(users)).to.deep.equal([ 'Kathy', 'Guillaume', 'Benjamin', 'Anna', ]);
+    },
+  },
+  {
+    feature: FEATURES.STREAM,
+    title: 'Should end the stream of a query matching no row',
+    run: async ({ User, }) => {
+      const users = await readStream(await User.query()
+        .name.is('Nobody')
+        .stream());
+
+      expect(users).to.deep.equal([]);
+    },
+  },
+];
@@ -0,0 +1,56 @@
+'use strict';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+chai.use(chaiAsPromised);
+
+const { expect, } = chai;
+
+const FEATURES = require('../features');
+const { WEIGHT, } = require('../fixtures');
+const { getNames, } = require('./helpers');
+
+// The weight set to Kathy in the transaction :
+const TRANSACTION_WEIGHT = 40;
+
+module.exports = [
+  {
+    feature: FEATURES.TRANSACTION,
+    title: 'Should commit the writes of the transaction',
+    run: async ({ ilorm, User, }) => {
+      await ilorm.transaction(async transaction => {
+        await User.query()
+          .transaction(transaction)
+          .name.is('Kathy')
+          .weight.set(TRANSACTION_WEIGHT)
+          .update();
+
+        await new User({ name: 'Paul', }).save({ transaction, });
+      });
+
+      expect((await User.query().name.is('Kathy').findOne()).weight).to.equal(TRANSACTION_WEIGHT);
+      expect(getNames(await User.query().name.is('Paul').find())).to.deep.equal([ 'Paul', ]);
+    },
+  },
+  {
+    feature: FEATURES.TRANSACTION,
+    title: 'Should rollback the writes of the transaction if the handler throw',
+    run: async ({ ilorm, User, }) => {
+      await expect(ilorm.transaction(async transaction => {
+        await User.query()
+          .transaction(transaction)
+          .name.is('Kathy')
+          .weight.set(TRANSACTION_WEIGHT)
+          .update();
+
+        await new User({ name: 'Paul', }).save({ transaction, });
+
+        throw new Error('Rollback');
+      })).to.be.rejectedWith('Rollback');
+
+      expect((await User.query().name.is('Kathy').findOne()).weight).to.equal(WEIGHT.KATHY);
+      expect(await User.query().name.is('Paul').find()).to.deep.equal([]);
+    },
+  },
+];
@@ -0,0 +1,52 @@
+'use strict';
+
+const { expect, } = require('chai');
+
+const FEATURES = require('../features');
+const { WEIGHT, } = require('../fixtures');
+
+// The weight of the created user :
+const PAUL_WEIGHT = 90;
+
+module.exports = [
+  {
+    feature: FEATURES.UPSERT,
+    title: 'Should create the row if none match, else update it',
+    run: async ({ User, }) => {
+      const isCreated = await User.query()
+        .name.is('Paul')
+        .weight.set(PAUL_WEIGHT)
+        .upsert();
+      const isUpdateCreated = await User.query()
+        .name.is('Kathy')
+        .weight.add(1)
+        .upsert();
+
+      const paul = await User.query().name.is('Paul').findOne();
+      const kathy = await User.query().name.is('Kathy').findOne();
+
+      expect(isCreated).to.equal(true);
+      expect(paul.weight).to.equal(PAUL_WEIGHT);
+      expect(isUpdateCreated).to.equal(false);
+      expect(kathy.weight).to.equal(WEIGHT.KATHY + 1);
+    },
+  },
+  {
+    feature: FEATURES.UPSERT,
+    title: 'Should find the instance, or create it with findOrCreate',
+    run: async ({ User, }) => {
+      const { created, instance, } = await User.findOrCreate({ name: 'Paul', }, { weight: PAUL_WEIGHT, });
+      const { created: isCreatedAgain, instance: foundInstance, } = await User.findOrCreate({ name: 'Paul', }, {
+        weight: PAUL_WEIGHT + 1,
+      });
+      const { created: isKathyCreated, } = await User.findOrCreate({ name: 'Kathy', });
+
+      expect(created).to.equal(true);
+      expect(instance.weight).to.equal(PAUL_WEIGHT);
+      expect(isCreatedAgain).to.equal(false);
+      expect(foundInstance.weight).to.equal(PAUL_WEIGHT);
+      expect(String(foundInstance.getPrimary())).to.equal(String(instance.getPrimary()));
+      expect(isKathyCreated).to.equal(false);
+    },
+  },
+];
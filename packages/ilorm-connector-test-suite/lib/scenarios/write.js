@@ -0,0 +1,171 @@
+'use strict';
+
+const { expect, } = require('chai');
+
+const FEATURES = require('../features');
+const { AMOUNT, LARGE_INVOICES_COUNT, MALES_COUNT, UNKNOWN_AMOUNT, WEIGHT, } = require('../fixtures');
+const { getAmounts, getNames, } = require('./helpers');
+
+// The values set or added by the updates :
+const SET_WEIGHT = 90;
+const ADDED_WEIGHT = 5;
+const ANNA_WEIGHT = 50;
+
+/**
+ * Get the weight of each user, by name
+ * A missing weight is loaded as null or undefined (depending on the database), it is compared as null.
+ * @param {Model} User The model of the users
+ * @returns {Promise.<Object.<String, Number|null>>} The weights
+ */
+const getWeights = async User => (await User.query().find()).reduce((weights, { name, weight, }) => {
+  weights[name] = weight === undefined ? null : weight;
+
+  return weights;
+}, {});
+
+module.exports = [
+  {
+    feature: FEATURES.UPDATE,
+    title: 'Should set the value of the matching rows',
+    run: async ({ User, }) => {
+      const updatedRows = await User.query()
+        .gender.is('M')
+        .weight.set(SET_WEIGHT)
+        .update();
+
+      expect(updatedRows).to.equal(MALES_COUNT);
+      expect(await getWeights(User)).to.deep.equal({
+        Guillaume: SET_WEIGHT,
+        Kathy: WEIGHT.KATHY,
+        Benjamin: SET_WEIGHT,
+        Anna: null,
+      });
+    },
+  },
+  {
+    feature: FEATURES.UPDATE,
+    title: 'Should add to the value of the matching rows',
+    run: async ({ User, }) => {
+      const updatedRows = await User.query()
+        .weight.greaterThan(WEIGHT.KATHY)
+        .weight.add(ADDED_WEIGHT)
+        .update();
+
+      expect(updatedRows).to.equal(MALES_COUNT);
+      expect(await getWeights(User)).to.deep.equal({
+        Guillaume: WEIGHT.GUILLAUME + ADDED_WEIGHT,
+        Kathy: WEIGHT.KATHY,
+        Benjamin: WEIGHT.BENJAMIN + ADDED_WEIGHT,
+        Anna: null,
+      });
+    },
+  },
+  {
+    feature: FEATURES.UPDATE,
+    title: 'Should apply every update of the query',
+    run: async ({ User, }) => {
+      await User.query()
+        .name.is('Kathy')
+        .gender.set('X')
+        .weight.add(1)
+        .birthday.set(new Date('1993-01-01'))
+        .update();
+
+      const user = await User.query().name.is('Kathy').findOne();
+
+      expect(user.gender).to.equal('X');
+      expect(user.weight).to.equal(WEIGHT.KATHY + 1);
+      expect(user.birthday).to.deep.equal(new Date('1993-01-01'));
+    },
+  },
+  {
+    feature: FEATURES.UPDATE_ONE,
+    title: 'Should update only one of the matching rows',
+    run: async ({ User, }) => {
+      const isUpdated = await User.query()
+        .gender.is('M')
+        .weight.set(SET_WEIGHT)
+        .updateOne();
+      const isUnmatchedUpdated = await User.query()
+        .name.is('Nobody')
+        .weight.set(SET_WEIGHT)
+        .updateOne();
+
+      expect(isUpdated).to.equal(true);
+      expect(isUnmatchedUpdated).to.equal(false);
+      expect(await User.query().weight.is(SET_WEIGHT).find()).to.have.lengthOf(1);
+    },
+  },
+  {
+    feature: FEATURES.SAVE,
+    title: 'Should save the changes of a loaded instance',
+    run: async ({ User, users, }) => {
+      const user = await User.getById(users.Kathy.getPrimary());
+
+      user.weight = WEIGHT.KATHY + 1;
+      await user.save();
+
+      expect(await getWeights(User)).to.deep.equal({
+        Guillaume: WEIGHT.GUILLAUME,
+        Kathy: WEIGHT.KATHY + 1,
+        Benjamin: WEIGHT.BENJAMIN,
+        Anna: null,
+      });
+    },
+  },
+  {
+    feature: FEATURES.SAVE,
+    title: 'Should save the changes of a created instance',
+    run: async ({ User, users, }) => {
+      const { Anna, } = users;
+
+      Anna.weight = ANNA_WEIGHT;
+      await Anna.save();
+
+      Anna.gender = 'X';
+      await Anna.save();
+
+      const user = await User.query().name.is('Anna').findOne();
+
+      expect(user.weight).to.equal(ANNA_WEIGHT);
+      expect(user.gender).to.equal('X');
+    },
+  },
+  {
+    feature: FEATURES.REMOVE,
+    title: 'Should remove the matching rows',
+    run: async ({ Invoice, }) => {
+      const removedRows = await Invoice.query()
+        .amount.is(AMOUNT.LARGE)
+        .remove();
+
+      expect(removedRows).to.equal(LARGE_INVOICES_COUNT);
+      expect(getAmounts(await Invoice.query().find())).to.deep.equal([ AMOUNT.SMALL, AMOUNT.MEDIUM, ]);
+    },
+  },
+  {
+    feature: FEATURES.REMOVE,
+    title: 'Should remove an instance',
+    run: async ({ User, users, }) => {
+      await users.Guillaume.remove();
+
+      expect(getNames(await User.query().find())).to.deep.equal([ 'Anna', 'Benjamin', 'Kathy', ]);
+    },
+  },
+  {
+    feature: FEATURES.REMOVE_ONE,
+    title: 'Should remove only one of the matching rows',
+    run: async ({ Invoice, }) => {
+      const isRemoved = await Invoice.query()
+        .amount.is(AMOUNT.LARGE)
+        .removeOne();
+      const isUnmatchedRemoved = await Invoice.query()
+        .amount.is(UNKNOWN_AMOUNT)
+        .removeOne();
+
+      expect(isRemoved).to.equal(true);
+      expect(isUnmatchedRemoved).to.equal(false);
+      expect(getAmounts(await Invoice.query().find())).to.deep.equal([ AMOUNT.SMALL, AMOUNT.MEDIUM, AMOUNT.LARGE, ]);
+    },
+  },
+];
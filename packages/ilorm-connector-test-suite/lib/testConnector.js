@@ -0,0 +1,109 @@
+'use strict';
+
+const FEATURES = require('./features');
+const initModels = require('./initModels');
+const Report = require('./report.class');
+const scenarios = require('./scenarios');
+
+/**
+ * Print the report on the standard output
+ * @param {Report} report The report of the suite
+ * @returns {void} Return nothing
+ */
+const printOnStdout = report => {
+  process.stdout.write(`${report.toString()}\n`);
+};
+
+/**
+ * Declare the mocha test of a scenario, its result is saved in the report
+ * The scenario of a feature not supported by the connector is declared as pending.
+ * @param {Object} options The options of the suite
+ * @param {Report} report The report of the suite
+ * @param {Object} scenario The scenario to declare
+ * @returns {void} Return nothing
+ */
+const declareScenario = ({ options, report, scenario: { feature, title, run, }, }) => {
+  if (!report.isSupported(feature)) {
+    it.skip(`${title} (not supported)`);
+
+    return;
+  }
+
+  it(title, async () => {
+    try {
+      await run(await initModels(options));
+    } catch (err) {
+      report.addResult(feature, false);
+
+      throw err;
+    }
+
+    report.addResult(feature, true);
+  });
+};
+
+/**
+ * Declare the scenarios of the feature in a mocha describe
+ * @param {Object} options The options of the suite
+ * @param {Report} report The report of the suite
+ * @param {String} feature The feature to check
+ * @returns {void} Return nothing
+ */
+const declareFeature = ({ options, report, feature, }) => {
+  describe(feature, () => {
+    scenarios
+      .filter(scenario => scenario.feature === feature)
+      .forEach(scenario => declareScenario({
+        options,
+        report,
+        scenario,
+      }));
+  });
+};
+
+/**
+ * Declare the scenarios of each feature in a mocha describe, the report is printed once every scenario is run.
+ * Each scenario is run on new models, with the users and the invoices created again.
+ * @param {String} name The name of the tested connector
+ * @param {Object} plugin The ilorm plugin of the connector (given to ilorm.use)
+ * @param {Function} createConnector Called with the name of the collection (or table), return the connector instance
+ * (or a promise resolving it)
+ * @param {Function} [createUniqueIndex] Called with `{ Model, fields }` once the users model is declared, create the
+ * unique index needed by the upsert (if the connector need one)
+ * @param {Array.<String>} [unsupportedFeatures=[]] The features the connector does not support, from FEATURES
+ * @param {Function} [printReport] Called with the report at the end of the suite (print it on the standard output
+ * per default)
+ * @returns {Report} The report, filled while the scenarios are run
+ */
+const testConnector = ({
+  name,
+  plugin,
+  createConnector,
+  createUniqueIndex,
+  unsupportedFeatures,
+  printReport = printOnStdout,
+}) => {
+  const report = new Report({
+    name,
+    unsupportedFeatures,
+  });
+  const options = {
+    plugin,
+    createConnector,
+    createUniqueIndex,
+  };
+
+  describe(`${name} conformance`, () => {
+    after(() => printReport(report));
+
+    Object.keys(FEATURES).forEach(key => declareFeature({
+      options,
+      report,
+      feature: FEATURES[key],
+    }));
+  });
+
+  return report;
+};
+
+module.exports = testConnector;
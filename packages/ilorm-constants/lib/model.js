@@ -12,8 +12,24 @@ module.exports = {
   // Change the behavior of a save during an update process
   LIST_UPDATED_FIELDS: Symbol('listUpdatedFields'),
 
+  // Value of every field of the current instance when it was loaded from (or last saved in) the database
+  // Used to know which field really changed since the load
+  ORIGINAL_VALUES: Symbol('originalValues'),
+
+  // Related instances loaded with query.populate(), the key is the populated field or model name
+  POPULATED: Symbol('populated'),
+
   // Current schema binded with the model
   SCHEMA: Symbol('schema'),
 
+  // Name of every lifecycle hook which could be declared on a model
+  HOOKS: {
+    BEFORE_SAVE: 'beforeSave',
+    AFTER_SAVE: 'afterSave',
+    BEFORE_REMOVE: 'beforeRemove',
+    AFTER_REMOVE: 'afterRemove',
+    AFTER_LOAD: 'afterLoad',
+  },
+
 };
 
@@ -2,9 +2,18 @@
 
 module.exports = {
   FIELDS: {
+    // Declare aggregates (sum, avg, min, max) computed by the query :
+    AGGREGATE: Symbol('aggregate'),
+
     // The target connector of the query :
     CONNECTOR: Symbol('connector'),
 
+    // Declare the fields used to group the aggregates :
+    GROUP_BY: Symbol('groupBy'),
+
+    // The identity map the instances are loaded into (if not given by the async scope) :
+    IDENTITY_MAP: Symbol('identityMap'),
+
     // Declare the number of element to query during the run of the query
     LIMIT: Symbol('limit'),
 
@@ -14,9 +23,18 @@ module.exports = {
     // The linked model :
     MODEL: Symbol('model'),
 
+    // Paths of the references to load with the query result :
+    POPULATE: Symbol('populate'),
+
     // The current query state (the query will be run on the connector) :
     QUERY: Symbol('query'),
 
+    // Current query state if you enable branch and (every branch match) :
+    QUERY_AND: Symbol('queryAnd'),
+
+    // Current query state if you enable branch not (none of the branches match) :
+    QUERY_NOT: Symbol('queryNot'),
+
     // Current query state if you enable branch or :
     QUERY_OR: Symbol('queryOr'),
 
@@ -32,6 +50,12 @@ module.exports = {
     // Declare sort
     SORT: Symbol('sort'),
 
+    // The transaction the query is run into :
+    TRANSACTION: Symbol('transaction'),
+
+    // The default scopes to not apply (true for every default scope) :
+    UNSCOPED: Symbol('unscoped'),
+
     // The current update state (the update will be run on the connector) :
     UPDATE: Symbol('update'),
   },
@@ -61,6 +85,13 @@ module.exports = {
     GREATER_THAN: 'greaterThan',
     LOWER_THAN: 'lowerThan',
 
+    // String :
+    CONTAINS: 'contains',
+    STARTS_WITH: 'startsWith',
+    ENDS_WITH: 'endsWith',
+    MATCHES: 'matches',
+    IS_CASE_INSENSITIVE: 'isCaseInsensitive',
+
     // Reference :
     LINKED_WITH: 'linkedWith',
 
@@ -75,5 +106,14 @@ module.exports = {
     // Select
     SELECT_ONLY: 'selectOnly',
     SELECT: 'select',
+
+    // Run the query and return the unique values of the field :
+    DISTINCT: 'distinct',
+
+    // Aggregate (number or date) :
+    AGGREGATE_SUM: 'sum',
+    AGGREGATE_AVG: 'avg',
+    AGGREGATE_MIN: 'min',
+    AGGREGATE_MAX: 'max',
   },
 };
@@ -0,0 +1,21 @@
+'use strict';
+
+/**
+ * Error thrown when an instance is saved while the row was updated (or removed) since the load of the instance
+ */
+class ConcurrencyError extends Error {
+  /**
+   * Create a new concurrency error
+   * @param {Model} instance The instance which could not be saved
+   * @param {Number} version The version of the instance when it was loaded
+   */
+  constructor(instance, version) {
+    super(`The instance of ${instance.constructor.getName()} was modified since its load (version ${version}).`);
+
+    this.name = 'ConcurrencyError';
+    this.instance = instance;
+    this.version = version;
+  }
+}
+
+module.exports = ConcurrencyError;
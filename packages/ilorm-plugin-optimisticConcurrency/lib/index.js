@@ -0,0 +1,34 @@
+'use strict';
+
+const ConcurrencyError = require('./concurrencyError.class');
+const modelFactory = require('./model.factory');
+const queryFactory = require('./query.factory');
+const schemaFactory = require('./schema.factory');
+
+const DEFAULT_OPTIONS = {
+  versionField: 'version',
+};
+
+/**
+ * Create the plugin with a specific configurations
+ * @param {Object} paramsOptions Change the behavior of the plugin
+ * @param {String} paramsOptions.versionField field used to store the version of the instance
+ * @return {Object} Return the plugin
+ */
+const optimisticConcurrency = paramsOptions => {
+  const options = Object.assign({}, DEFAULT_OPTIONS, paramsOptions);
+
+  return {
+    plugins: {
+      core: {
+        modelFactory: modelFactory(options),
+        queryFactory: queryFactory(options),
+        schemaFactory: schemaFactory(options),
+      },
+    },
+  };
+};
+
+optimisticConcurrency.ConcurrencyError = ConcurrencyError;
+
+module.exports = optimisticConcurrency;
@@ -0,0 +1,71 @@
+'use strict';
+
+const { IS_NEW, ORIGINAL_VALUES, } = require('ilorm-constants').MODEL;
+const ConcurrencyError = require('./concurrencyError.class');
+
+/**
+ * Create a VersionModel class
+ * @param {String} versionField field used to store the version of the instance
+ * @param {Model} Model The model to extends
+ * @returns {VersionModel} The new model
+ */
+const injectModel = ({ versionField, }) => Model => class VersionModel extends Model {
+  /**
+   * Return the version of the instance when it was loaded (or last saved)
+   * An instance created before the plugin have no version, it's targeted with a null version.
+   * @returns {Number|null} The loaded version
+   */
+  getLoadedVersion() {
+    const loadedVersion = this[ORIGINAL_VALUES][versionField];
+
+    return loadedVersion === undefined ? null : loadedVersion;
+  }
+
+  /**
+   * Target the instance only if the version in the database is still the loaded version
+   * @returns {Query} Return the query to use to target the current instance
+   */
+  getQueryInstance() {
+    const query = super.getQueryInstance();
+
+    if (!this[IS_NEW]) {
+      query[versionField].is(this.getLoadedVersion());
+    }
+
+    return query;
+  }
+
+  /**
+   * Increment the version of the instance at each update
+   * @param {Object} [options] Options of the save
+   * @returns {Promise.<Model>} Resolve the saved instance, reject with a ConcurrencyError if the row was updated
+   * since the load of the instance
+   */
+  async save(options) {
+    const isUpdate = !this[IS_NEW] && this.isModified();
+
+    if (isUpdate) {
+      this[versionField] = (this.getLoadedVersion() || 0) + 1;
+    }
+
+    try {
+      return await super.save(options);
+    } catch (err) {
+      if (isUpdate) {
+        this.revert(versionField);
+      }
+
+      throw err;
+    }
+  }
+
+  /**
+   * No row match the loaded version, the row was updated (or removed) by someone else
+   * @returns {void} Throw every time
+   */
+  handleUnmatchedUpdate() {
+    throw new ConcurrencyError(this, this.getLoadedVersion());
+  }
+};
+
+module.exports = injectModel;
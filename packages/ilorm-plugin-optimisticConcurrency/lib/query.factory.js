@@ -0,0 +1,28 @@
+'use strict';
+
+const { UPDATE, } = require('ilorm-constants').QUERY.FIELDS;
+
+/**
+ * Create a VersionQuery class
+ * @param {String} versionField field used to store the version of the instance
+ * @param {Query} Query The query to extends
+ * @returns {VersionQuery} The new Query
+ */
+const injectQuery = ({ versionField, }) => Query => class VersionQuery extends Query {
+  /**
+   * Increment the version of every row updated by query.update(), query.updateOne() or query.upsert()
+   * A version explicitly updated in the query is kept.
+   * @returns {void} Return nothing
+   */
+  prepareUpdate() {
+    const isVersionUpdated = this[UPDATE].some(({ field, }) => field === versionField);
+
+    if (!isVersionUpdated) {
+      this[versionField].add(1);
+    }
+
+    return super.prepareUpdate();
+  }
+};
+
+module.exports = injectQuery;
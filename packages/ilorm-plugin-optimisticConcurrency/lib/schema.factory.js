@@ -0,0 +1,26 @@
+'use strict';
+
+/**
+ * Create a VersionSchema class
+ * @param {String} versionField field used to store the version of the instance
+ * @param {Schema} Schema The schema to extends
+ * @returns {VersionSchema} The new schema
+ */
+const injectSchema = ({ versionField, }) => Schema => class VersionSchema extends Schema {
+
+  /**
+   * Constructor for Schema
+   * Add a version field (incremented at each update of the instance), the given schema is not modified.
+   * @param {Object} schema The given schema
+   * @param {Object} options Options to apply to the schema
+   */
+  constructor(schema, options) {
+    super(schema[versionField] ? schema : Object.assign({}, schema, {
+      [versionField]: Schema.number()
+        .default(0)
+        .required(),
+    }), options);
+  }
+};
+
+module.exports = injectSchema;
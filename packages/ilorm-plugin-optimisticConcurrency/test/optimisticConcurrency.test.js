@@ -0,0 +1,120 @@
+/* eslint-disable */
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+chai.use(chaiAsPromised);
+
+const { expect, } = chai;
+
+const fixture = require('ilorm-connector-memory/fixture');
+const ilormOptimisticConcurrency = require('../index');
+
+const { ConcurrencyError, } = ilormOptimisticConcurrency;
+
+const initModel = pluginOptions => {
+  const { Model, getRows, } = fixture.initModel({
+    plugins: [ ilormOptimisticConcurrency(pluginOptions), ],
+    schema: Schema => ({
+      id: Schema.number(),
+      name: Schema.string(),
+    }),
+  });
+
+  return {
+    User: Model,
+    getRows,
+  };
+};
+
+describe('ilorm-plugin-optimisticConcurrency', () => {
+  describe('test/optimisticConcurrency', () => {
+    it('Should add a version field to the schema, set to 0 at the creation', async () => {
+      const { User, getRows, } = initModel();
+      const user = new User({ id: 1, name: 'Thibauld', });
+
+      await user.save();
+
+      expect(User.getSchema().definition.version).to.exist;
+      expect(getRows()).to.be.deep.equal([ { id: 1, name: 'Thibauld', version: 0, }, ]);
+    });
+
+    it('Should increment the version at each update', async () => {
+      const { User, getRows, } = initModel();
+
+      await new User({ id: 1, name: 'Thibauld', }).save();
+
+      const user = await User.query().id.is(1).findOne();
+
+      user.name = 'Guillaume';
+      await user.save();
+      user.name = 'Smith';
+      await user.save();
+
+      expect(user.version).to.be.equal(2);
+      expect(getRows()[0]).to.be.deep.equal({ id: 1, name: 'Smith', version: 2, });
+    });
+
+    it('Should throw a ConcurrencyError when the instance was updated since its load', async () => {
+      const { User, getRows, } = initModel();
+
+      await new User({ id: 1, name: 'Thibauld', }).save();
+
+      const firstWorkerUser = await User.query().id.is(1).findOne();
+      const secondWorkerUser = await User.query().id.is(1).findOne();
+
+      firstWorkerUser.name = 'Guillaume';
+      await firstWorkerUser.save();
+
+      secondWorkerUser.name = 'Smith';
+      await expect(secondWorkerUser.save()).to.be.rejectedWith(ConcurrencyError);
+
+      expect(secondWorkerUser.version).to.be.equal(0);
+      expect(getRows()[0]).to.be.deep.equal({ id: 1, name: 'Guillaume', version: 1, });
+    });
+
+    it('Should not modify the schema given to the model', async () => {
+      const { ilorm, } = fixture.initIlorm({ plugins: [ ilormOptimisticConcurrency(), ], });
+      const definition = {
+        name: ilorm.Schema.string(),
+      };
+
+      new ilorm.Schema(definition);
+
+      expect(definition).to.have.all.keys('name');
+    });
+
+    it('Should increment the version of the rows updated by a query', async () => {
+      const { User, getRows, } = initModel();
+
+      await new User({ id: 1, name: 'Thibauld', }).save();
+      await new User({ id: 2, name: 'Guillaume', }).save();
+
+      await User.query().name.set('Smith').update();
+      await User.query().id.is(1).name.set('John').updateOne();
+      await User.query().id.is(2).name.set('Doe').upsert();
+
+      expect(getRows()).to.be.deep.equal([
+        { id: 1, name: 'John', version: 2, },
+        { id: 2, name: 'Doe', version: 2, },
+      ]);
+    });
+
+    it('Should keep the version explicitly set by the query update', async () => {
+      const { User, getRows, } = initModel();
+
+      await new User({ id: 1, name: 'Thibauld', }).save();
+      await User.query().id.is(1).version.set(10).updateOne();
+
+      expect(getRows()[0].version).to.be.equal(10);
+    });
+
+    it('Should use the configured version field', async () => {
+      const { User, getRows, } = initModel({ versionField: 'revision', });
+
+      await new User({ id: 1, name: 'Thibauld', }).save();
+
+      expect(getRows()[0].revision).to.be.equal(0);
+    });
+  });
+});
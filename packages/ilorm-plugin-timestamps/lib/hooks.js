@@ -0,0 +1,35 @@
+'use strict';
+
+const { IS_NEW, } = require('ilorm-constants').MODEL;
+const isEnabled = require('./isEnabled');
+
+/**
+ * Create the lifecycle hooks of the plugin
+ * @param {String} createdAtField field used to store the creation date
+ * @param {String} updatedAtField field used to store the last update date
+ * @returns {Object} The hooks to declare on ilorm
+ */
+const hooksFactory = ({ createdAtField, updatedAtField, }) => ({
+
+  /**
+   * Set the creation date on a new instance, and bump the update date on every save
+   * The hook run only if the instance is created or really updated (save skip an instance without change).
+   * @param {Model} instance The saved instance
+   * @returns {void} Return nothing
+   */
+  beforeSave: instance => {
+    if (!isEnabled(instance.constructor)) {
+      return;
+    }
+
+    const now = new Date();
+
+    if (instance[IS_NEW] && !instance[createdAtField]) {
+      instance[createdAtField] = now;
+    }
+
+    instance[updatedAtField] = now;
+  },
+});
+
+module.exports = hooksFactory;
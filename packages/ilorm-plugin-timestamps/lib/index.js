@@ -0,0 +1,31 @@
+'use strict';
+
+const hooks = require('./hooks');
+const query = require('./query.factory');
+const schema = require('./schema.factory');
+
+const DEFAULT_OPTIONS = {
+  createdAtField: 'createdAt',
+  updatedAtField: 'updatedAt',
+};
+
+/**
+ * Create the plugin with a specific configurations
+ * @param {Object} paramsOptions Change the behavior of the plugin
+ * @param {String} paramsOptions.createdAtField field used to store the creation date
+ * @param {String} paramsOptions.updatedAtField field used to store the last update date
+ * @return {Object} Return the plugin
+ */
+module.exports = paramsOptions => {
+  const options = Object.assign({}, DEFAULT_OPTIONS, paramsOptions);
+
+  return {
+    plugins: {
+      core: {
+        queryFactory: query(options),
+        schemaFactory: schema(options),
+      },
+      hooks: hooks(options),
+    },
+  };
+};
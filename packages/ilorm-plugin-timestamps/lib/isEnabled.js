@@ -0,0 +1,15 @@
+'use strict';
+
+/**
+ * Check if the timestamps are enabled for the given model
+ * A model could opt-out with the plugins options : newModel({ pluginsOptions: { timestamps: false } })
+ * @param {Model} Model The model to check
+ * @returns {Boolean} Return true if the model handle the timestamps
+ */
+const isEnabled = Model => {
+  const pluginsOptions = Model.getPluginsOptions() || {};
+
+  return pluginsOptions.timestamps !== false;
+};
+
+module.exports = isEnabled;
@@ -0,0 +1,30 @@
+'use strict';
+
+const { FIELDS, } = require('ilorm-constants').QUERY;
+const { MODEL, UPDATE, } = FIELDS;
+const isEnabled = require('./isEnabled');
+
+/**
+ * Create a TimestampsQuery class
+ * @param {String} updatedAtField field used to store the last update date
+ * @param {Query} Query The query to extends
+ * @returns {TimestampsQuery} The new Query
+ */
+const injectQuery = ({ updatedAtField, }) => Query => class TimestampsQuery extends Query {
+  /**
+   * Bump the update date of every row updated by query.update() or query.updateOne()
+   * An update date explicitly set in the query is kept.
+   * @returns {void} Return nothing
+   */
+  prepareUpdate() {
+    const isUpdatedAtSet = this[UPDATE].some(({ field, }) => field === updatedAtField);
+
+    if (isEnabled(this[MODEL]) && !isUpdatedAtSet) {
+      this[updatedAtField].set(new Date());
+    }
+
+    return super.prepareUpdate();
+  }
+};
+
+module.exports = injectQuery;
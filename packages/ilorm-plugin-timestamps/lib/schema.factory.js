@@ -0,0 +1,38 @@
+'use strict';
+
+const isEnabled = require('./isEnabled');
+
+/**
+ * Create a TimestampsSchema class
+ * @param {String} createdAtField field used to store the creation date
+ * @param {String} updatedAtField field used to store the last update date
+ * @param {Schema} Schema The schema to extends
+ * @returns {TimestampsSchema} The new schema
+ */
+const injectSchema = ({ createdAtField, updatedAtField, }) => Schema => class TimestampsSchema extends Schema {
+
+  /**
+   * Bind the schema with the model
+   * Add the createdAt and updatedAt fields (dates set by the plugin), only if the model handle the timestamps.
+   * The schema could be shared by other models, the fields are added to a copy bound instead.
+   * @param {InternalModel} InternalModel The model to bind with the schema
+   * @returns {TimestampsSchema} The schema used by the model
+   */
+  bindWithModel({ InternalModel, }) {
+    const missingFields = isEnabled(InternalModel) ?
+      [ createdAtField, updatedAtField, ].filter(field => !this.definition[field]) :
+      [];
+
+    if (missingFields.length === 0) {
+      return super.bindWithModel({ InternalModel, });
+    }
+
+    const schema = this.constructor.copy(this);
+
+    missingFields.forEach(field => schema.addField(field, this.constructor.date()));
+
+    return schema.bindWithModel({ InternalModel, });
+  }
+};
+
+module.exports = injectSchema;
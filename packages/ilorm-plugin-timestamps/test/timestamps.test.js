@@ -0,0 +1,133 @@
+/* eslint-disable */
+
+const { expect, } = require('chai');
+
+const fixture = require('ilorm-connector-memory/fixture');
+const ilormMemory = require('ilorm-connector-memory');
+const ilormTimestamps = require('../index');
+
+const initModel = ({ pluginOptions, pluginsOptions, } = {}) => {
+  const { Model, getRows, } = fixture.initModel({
+    plugins: [ ilormTimestamps(pluginOptions), ],
+    pluginsOptions,
+    schema: Schema => ({
+      id: Schema.number(),
+      name: Schema.string(),
+    }),
+  });
+
+  return {
+    User: Model,
+    getRows,
+  };
+};
+
+describe('ilorm-plugin-timestamps', () => {
+  describe('test/timestamps', () => {
+    it('Should set createdAt and updatedAt at the creation', async () => {
+      const { User, getRows, } = initModel();
+      const user = new User({ id: 1, name: 'Thibauld', });
+
+      await user.save();
+
+      expect(User.getSchema().definition.createdAt).to.exist;
+      expect(User.getSchema().definition.updatedAt).to.exist;
+      expect(user.createdAt).to.be.instanceOf(Date);
+      expect(user.updatedAt).to.be.equal(user.createdAt);
+      expect(getRows()[0].createdAt).to.be.deep.equal(user.createdAt);
+    });
+
+    it('Should bump only updatedAt at the update of an instance', async () => {
+      const { User, getRows, } = initModel();
+      const createdAt = new Date('2020-01-01');
+
+      await new User({ id: 1, name: 'Thibauld', createdAt, updatedAt: createdAt, }).save();
+
+      const user = await User.query().id.is(1).findOne();
+
+      user.name = 'Guillaume';
+      await user.save();
+
+      expect(getRows()[0].createdAt).to.be.deep.equal(createdAt);
+      expect(getRows()[0].updatedAt).to.be.above(createdAt);
+    });
+
+    it('Should bump updatedAt with query.update() and query.updateOne()', async () => {
+      const { User, getRows, } = initModel();
+      const createdAt = new Date('2020-01-01');
+
+      await new User({ id: 1, name: 'Thibauld', createdAt, }).save();
+      getRows()[0].updatedAt = createdAt;
+
+      await User.query().id.is(1).name.set('Guillaume').update();
+      expect(getRows()[0].updatedAt).to.be.above(createdAt);
+
+      getRows()[0].updatedAt = createdAt;
+
+      await User.query().id.is(1).name.set('Smith').updateOne();
+      expect(getRows()[0].updatedAt).to.be.above(createdAt);
+    });
+
+    it('Should keep the updatedAt explicitly set in the query', async () => {
+      const { User, getRows, } = initModel();
+      const updatedAt = new Date('2020-01-01');
+
+      await new User({ id: 1, name: 'Thibauld', }).save();
+      await User.query().id.is(1).updatedAt.set(updatedAt).update();
+
+      expect(getRows()[0].updatedAt).to.be.deep.equal(updatedAt);
+    });
+
+    it('Should use the configured fields', async () => {
+      const { User, getRows, } = initModel({
+        pluginOptions: { createdAtField: 'created', updatedAtField: 'modified', },
+      });
+
+      await new User({ id: 1, name: 'Thibauld', }).save();
+
+      expect(getRows()[0].created).to.be.instanceOf(Date);
+      expect(getRows()[0].modified).to.be.instanceOf(Date);
+      expect(getRows()[0].createdAt).to.be.undefined;
+    });
+
+    it('Should not set the timestamps of a model which opt-out', async () => {
+      const { User, getRows, } = initModel({
+        pluginsOptions: { timestamps: false, },
+      });
+
+      await new User({ id: 1, name: 'Thibauld', }).save();
+      await User.query().id.is(1).name.set('Guillaume').update();
+
+      expect(getRows()[0]).to.be.deep.equal({ id: 1, name: 'Guillaume', });
+      expect(User.getSchema().properties).to.deep.equal([ 'id', 'name', ]);
+      expect(User.getSchema().definition.createdAt).to.be.undefined;
+    });
+
+    it('Should add the fields to a copy of a schema shared with other models', () => {
+      const { ilorm, } = fixture.initIlorm({ plugins: [ ilormTimestamps(), ], });
+      const { Schema, } = ilorm;
+      const MemoryConnector = ilormMemory.fromMemory({});
+      const schema = new Schema({
+        name: Schema.string(),
+      });
+
+      const User = ilorm.newModel({
+        name: 'user',
+        schema,
+        connector: new MemoryConnector({ collectionName: 'user', }),
+      });
+      const Guest = ilorm.newModel({
+        name: 'guest',
+        schema,
+        connector: new MemoryConnector({ collectionName: 'guest', }),
+        pluginsOptions: { timestamps: false, },
+      });
+
+      expect(User.getSchema().properties).to.include.members([ 'name', 'createdAt', 'updatedAt', ]);
+      expect(User.getSchema().definition.createdAt).to.be.instanceOf(Schema.date().constructor);
+      expect(Guest.getSchema()).to.be.equal(schema);
+      expect(schema.properties).to.not.include.members([ 'createdAt', ]);
+      expect(schema.definition).to.not.have.any.keys('createdAt', 'updatedAt');
+    });
+  });
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const { OPERATIONS, } = require('ilorm-constants').QUERY;
+const { compareValues, copyValue, isMissing, } = require('./values');
+
+/**
+ * Sum the values
+ * @param {Array.<Number>} values The values to sum
+ * @returns {Number} The sum
+ */
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+/**
+ * Keep the value which is first once sorted by the comparison
+ * @param {Function} isBetter Called with the comparison of a value with the current best value
+ * @returns {Function} The aggregate, which return null if there is no value
+ */
+const pickValue = isBetter => values => values.reduce((best, value) => (
+  best === null || isBetter(compareValues(value, best)) ? value : best
+), null);
+
+const aggregateConversion = {
+  [OPERATIONS.AGGREGATE_SUM]: sum,
+  [OPERATIONS.AGGREGATE_AVG]: values => (values.length > 0 ? sum(values) / values.length : null),
+  [OPERATIONS.AGGREGATE_MIN]: pickValue(comparison => comparison < 0),
+  [OPERATIONS.AGGREGATE_MAX]: pickValue(comparison => comparison > 0),
+};
+
+/**
+ * Group the rows by the group by fields, the rows with the same values are in the same group
+ * @param {Array.<Object>} rows The rows to group
+ * @param {Array.<String>} groupBy The group by fields
+ * @returns {Array.<Array.<Object>>} The rows of each group
+ */
+const groupRows = (rows, groupBy) => {
+  const groups = new Map();
+
+  rows.forEach(row => {
+    // A date is grouped by its timestamp, as the database do:
+    const groupKey = JSON.stringify(groupBy.map(field => row[field]));
+
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, []);
+    }
+
+    groups.get(groupKey).push(row);
+  });
+
+  return Array.from(groups.values());
+};
+
+/**
+ * Aggregate the rows with the group by fields and the aggregates declared on the query
+ * The missing values are ignored by the aggregates, as the database do.
+ * @param {Query} query The ilorm query declaring the aggregates
+ * @param {Array.<Object>} rows The rows matching the query
+ * @returns {Array.<Object>} One row per group, with the group fields and the aggregated values
+ */
+const aggregateRows = (query, rows) => {
+  let aggregatedRows = [];
+
+  query.queryBuilder({
+    onAggregate: ({ groupBy, aggregates, }) => {
+      aggregatedRows = groupRows(rows, groupBy).map(groupedRows => {
+        const aggregatedRow = {};
+
+        groupBy.forEach(field => {
+          aggregatedRow[field] = copyValue(groupedRows[0][field]);
+        });
+
+        aggregates.forEach(({ field, operator, alias, }) => {
+          const values = groupedRows
+            .map(row => row[field])
+            .filter(value => !isMissing(value));
+
+          aggregatedRow[alias] = copyValue(aggregateConversion[operator](values));
+        });
+
+        return aggregatedRow;
+      });
+    },
+  });
+
+  return aggregatedRows;
+};
+
+module.exports = aggregateRows;
@@ -0,0 +1,108 @@
+'use strict';
+
+const { SORT_BEHAVIOR, } = require('ilorm-constants').QUERY;
+const createMatcher = require('./matchQuery');
+const { compareValues, copyValue, } = require('./values');
+
+const ASCENDING = 1;
+const DESCENDING = -1;
+
+/**
+ * Sort, skip and limit the rows, with the options of the query
+ * @param {Query} query The ilorm query declaring the options
+ * @param {Array.<Object>} rows The rows to order and slice
+ * @returns {Array.<Object>} A new array with the resulting rows
+ */
+const applyOptionsOnRows = (query, rows) => {
+  const sorts = [];
+  const options = {};
+
+  query.queryBuilder({
+    onSort: ({ key, behavior, }) => {
+      sorts.push({
+        key,
+        direction: behavior === SORT_BEHAVIOR.ASCENDING ? ASCENDING : DESCENDING,
+      });
+    },
+    onOptions: ({ skip, limit, }) => {
+      options.skip = skip;
+      options.limit = limit;
+    },
+  });
+
+  const { skip = 0, limit, } = options;
+  const sortedRows = rows.slice().sort((row, otherRow) => {
+    for (const { key, direction, } of sorts) {
+      const comparison = compareValues(row[key], otherRow[key]);
+
+      if (comparison !== 0) {
+        return comparison * direction;
+      }
+    }
+
+    return 0;
+  });
+
+  return sortedRows.slice(skip, limit === undefined ? undefined : skip + limit);
+};
+
+/**
+ * Filter the stored rows which match the conditions of the query (operators and groups of branches)
+ * The stored rows are returned (not a copy), to be updated or removed.
+ * @param {Query} query The ilorm query to run
+ * @param {Array.<Object>} rows The rows of the collection
+ * @returns {Array.<Object>} The rows matching the query
+ */
+const filterRows = (query, rows) => (query ? rows.filter(createMatcher(query)) : rows.slice());
+
+/**
+ * Find the stored rows which match the query, sorted, skipped and limited by the query options
+ * The stored rows are returned (not a copy), to be updated or removed.
+ * @param {Query} query The ilorm query to run
+ * @param {Array.<Object>} rows The rows of the collection
+ * @returns {Array.<Object>} The rows matching the query
+ */
+const findRows = (query, rows) => {
+  if (!query) {
+    return rows.slice();
+  }
+
+  return applyOptionsOnRows(query, filterRows(query, rows));
+};
+
+/**
+ * Copy a row to return it, with only the selected fields if the query select some fields
+ * @param {Query} query The ilorm query declaring the selected fields
+ * @param {Object} row The stored row
+ * @returns {Object} The copy of the row
+ */
+const selectRow = (query, row) => {
+  const fields = [];
+
+  if (query) {
+    query.queryBuilder({
+      onSelect: ({ field, }) => {
+        fields.push(field);
+      },
+    });
+  }
+
+  if (fields.length === 0) {
+    return copyValue(row);
+  }
+
+  return fields.reduce((selectedRow, field) => {
+    if (row[field] !== undefined) {
+      selectedRow[field] = copyValue(row[field]);
+    }
+
+    return selectedRow;
+  }, {});
+};
+
+module.exports = {
+  applyOptionsOnRows,
+  filterRows,
+  findRows,
+  selectRow,
+};
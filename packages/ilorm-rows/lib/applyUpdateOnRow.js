@@ -0,0 +1,81 @@
+'use strict';
+
+const { OPERATIONS, } = require('ilorm-constants').QUERY;
+const { copyValue, } = require('./values');
+
+const operations = {
+  [OPERATIONS.SET]: (row, key, value) => {
+    row[key] = copyValue(value);
+  },
+  [OPERATIONS.ADD]: (row, key, value) => {
+    row[key] = (row[key] || 0) + value;
+  },
+};
+
+/**
+ * Check if the query declare at least one update
+ * @param {Query} query The ilorm query to check
+ * @returns {Boolean} Return true if the query declare an update
+ */
+const hasUpdate = query => {
+  let isUpdating = false;
+
+  query.updateBuilder({
+    onOperator: () => {
+      isUpdating = true;
+    },
+  });
+
+  return isUpdating;
+};
+
+/**
+ * Apply the update of the query on a stored row
+ * @param {Query} query The ilorm query declaring the update
+ * @param {Object} row The stored row to update
+ * @param {Object} [rawUpdate={}] Fields to set in addition of the query update (used by the instance save)
+ * @returns {void} Return nothing
+ */
+const applyUpdateOnRow = (query, row, rawUpdate = {}) => {
+  const updates = [];
+
+  // Every operator is checked before to update the row, to never apply half of the update:
+  query.updateBuilder({
+    onOperator: (key, operator, value) => {
+      if (!operations[operator]) {
+        throw new Error(`connector.memory: UNDEFINED OPERATOR : ${operator}`);
+      }
+
+      updates.push(() => operations[operator](row, key, value));
+    },
+  });
+
+  Object.keys(rawUpdate).forEach(key => operations[OPERATIONS.SET](row, key, rawUpdate[key]));
+  updates.forEach(update => update());
+};
+
+/**
+ * Create the row inserted by an upsert if no row match : the raw insert, the is filters and the update of the query
+ * @param {Query} query The ilorm query to upsert
+ * @param {Object} [rawInsert={}] Fields to set only if the row is created
+ * @returns {Object} The row to insert
+ */
+const getUpsertedRow = (query, rawInsert = {}) => {
+  const row = copyValue(rawInsert);
+
+  query.queryBuilder({
+    onOperator: (key, operator, value) => {
+      row[key] = copyValue(value);
+    },
+  });
+
+  applyUpdateOnRow(query, row);
+
+  return row;
+};
+
+module.exports = {
+  applyUpdateOnRow,
+  getUpsertedRow,
+  hasUpdate,
+};
@@ -0,0 +1,27 @@
+'use strict';
+
+const { Readable, } = require('stream');
+
+/**
+ * Create a readable stream of objects, emitting every row
+ * @param {Array.<Object>} rows The rows to emit
+ * @returns {Readable} The stream
+ */
+const createRowStream = rows => {
+  let index = 0;
+
+  return new Readable({
+    objectMode: true,
+
+    /**
+     * Emit the next row, or end the stream
+     * @returns {void} Return nothing
+     */
+    read() {
+      this.push(index < rows.length ? rows[index] : null);
+      index += 1;
+    },
+  });
+};
+
+module.exports = createRowStream;
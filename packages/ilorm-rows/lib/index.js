@@ -0,0 +1,20 @@
+'use strict';
+
+const aggregateRows = require('./aggregateRows');
+const { applyOptionsOnRows, filterRows, findRows, selectRow, } = require('./applyQueryOnRows');
+const { applyUpdateOnRow, getUpsertedRow, hasUpdate, } = require('./applyUpdateOnRow');
+const createRowStream = require('./createRowStream');
+const values = require('./values');
+
+// Evaluate the queries on plain rows, for the connectors which could not run every query natively:
+module.exports = Object.assign({
+  aggregateRows,
+  applyOptionsOnRows,
+  applyUpdateOnRow,
+  createRowStream,
+  filterRows,
+  findRows,
+  getUpsertedRow,
+  hasUpdate,
+  selectRow,
+}, values);
@@ -0,0 +1,100 @@
+'use strict';
+
+const { OPERATIONS, } = require('ilorm-constants').QUERY;
+const { compareValues, isEqual, isMissing, } = require('./values');
+
+const NOT_FOUND = -1;
+
+/**
+ * Get the primary key of a linked element (an instance or directly its primary key)
+ * @param {Model|*} element The element linked with the field
+ * @returns {*} The primary key of the element
+ */
+const getLinkedPrimary = element => {
+  if (element && typeof element.queryBuilder === 'function') {
+    throw new Error('connector.memory: linkedWith on a field could not use a query, use query.linkedWith instead.');
+  }
+
+  return element && typeof element.getPrimary === 'function' ? element.getPrimary() : element;
+};
+
+/**
+ * Check if the value of the row is a string matching the predicate
+ * @param {Function} predicate Called with the string value of the row and the value of the query
+ * @returns {Function} The operation checking the row value
+ */
+const stringOperation = predicate => (rowValue, value) => typeof rowValue === 'string' && predicate(rowValue, value);
+
+/**
+ * Check if the value of the row is present and compared with the query value as expected
+ * @param {Function} isExpected Called with the result of the comparison (-1, 0, 1)
+ * @returns {Function} The operation checking the row value
+ */
+const comparisonOperation = isExpected => (rowValue, value) => !isMissing(rowValue) &&
+  isExpected(compareValues(rowValue, value));
+
+const operations = {
+  [OPERATIONS.IS]: isEqual,
+  [OPERATIONS.IS_NOT]: (rowValue, value) => !isEqual(rowValue, value),
+  [OPERATIONS.IS_IN]: (rowValue, values) => values.some(value => isEqual(rowValue, value)),
+  [OPERATIONS.IS_NOT_IN]: (rowValue, values) => !values.some(value => isEqual(rowValue, value)),
+
+  // Between exclude the bounds, as the other connectors:
+  [OPERATIONS.BETWEEN]: (rowValue, { min, max, }) => !isMissing(rowValue) &&
+    compareValues(rowValue, min) > 0 && compareValues(rowValue, max) < 0,
+  [OPERATIONS.GREATER_THAN]: comparisonOperation(comparison => comparison > 0),
+  [OPERATIONS.LOWER_THAN]: comparisonOperation(comparison => comparison < 0),
+  [OPERATIONS.GREATER_OR_EQUAL_THAN]: comparisonOperation(comparison => comparison >= 0),
+  [OPERATIONS.LOWER_OR_EQUAL_THAN]: comparisonOperation(comparison => comparison <= 0),
+
+  [OPERATIONS.CONTAINS]: stringOperation((rowValue, value) => rowValue.includes(value)),
+  [OPERATIONS.STARTS_WITH]: stringOperation((rowValue, value) => rowValue.startsWith(value)),
+  [OPERATIONS.ENDS_WITH]: stringOperation((rowValue, value) => rowValue.endsWith(value)),
+
+  // search ignore the global flag (and the lastIndex) of the RegExp:
+  [OPERATIONS.MATCHES]: stringOperation((rowValue, value) => rowValue.search(value) !== NOT_FOUND),
+  [OPERATIONS.IS_CASE_INSENSITIVE]: stringOperation((rowValue, value) => (
+    rowValue.toLowerCase() === String(value).toLowerCase()
+  )),
+
+  [OPERATIONS.LINKED_WITH]: (rowValue, value) => [].concat(value)
+    .some(element => isEqual(rowValue, getLinkedPrimary(element))),
+};
+
+/**
+ * Create a function checking if a row match the conditions of the query (operators and groups of branches)
+ * @param {Query} query The ilorm query to evaluate
+ * @returns {Function} Called with a row, return true if the row match the query
+ */
+const createMatcher = query => {
+  const conditions = [];
+
+  query.queryBuilder({
+    onOperator: (key, operator, value) => {
+      if (!operations[operator]) {
+        throw new Error(`connector.memory: UNDEFINED OPERATOR : ${operator}`);
+      }
+
+      conditions.push(row => operations[operator](row[key], value));
+    },
+    onOr: arrayOfQuery => {
+      const branches = arrayOfQuery.map(createMatcher);
+
+      conditions.push(row => branches.some(branch => branch(row)));
+    },
+    onAnd: arrayOfQuery => {
+      const branches = arrayOfQuery.map(createMatcher);
+
+      conditions.push(row => branches.every(branch => branch(row)));
+    },
+    onNot: arrayOfQuery => {
+      const branches = arrayOfQuery.map(createMatcher);
+
+      conditions.push(row => !branches.some(branch => branch(row)));
+    },
+  });
+
+  return row => conditions.every(condition => condition(row));
+};
+
+module.exports = createMatcher;
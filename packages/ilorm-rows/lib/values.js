@@ -0,0 +1,90 @@
+'use strict';
+
+const LOWER = -1;
+const EQUAL = 0;
+const GREATER = 1;
+
+/**
+ * Check if the value is missing (null or undefined), a missing value match only the null filter
+ * @param {*} value The value to check
+ * @returns {Boolean} Return true if the value is missing
+ */
+const isMissing = value => value === null || value === undefined;
+
+/**
+ * Convert a value to a primitive which could be compared (a date is converted to its timestamp)
+ * @param {*} value The value to convert
+ * @returns {*} The primitive value
+ */
+const toPrimitive = value => (value instanceof Date ? value.getTime() : value);
+
+/**
+ * Check if two values are equals, dates are compared by their timestamp
+ * @param {*} value The value stored in the row
+ * @param {*} expected The value of the query
+ * @returns {Boolean} Return true if the values are equals
+ */
+const isEqual = (value, expected) => {
+  if (isMissing(value) || isMissing(expected)) {
+    return isMissing(value) && isMissing(expected);
+  }
+
+  return toPrimitive(value) === toPrimitive(expected);
+};
+
+/**
+ * Compare two values, as the sort of a database : the missing values are lower than every other value
+ * @param {*} value The first value
+ * @param {*} otherValue The second value
+ * @returns {Number} -1 if value is lower than otherValue, 1 if it's greater, 0 if they are equals
+ */
+const compareValues = (value, otherValue) => {
+  if (isMissing(value) || isMissing(otherValue)) {
+    if (isMissing(value) && isMissing(otherValue)) {
+      return EQUAL;
+    }
+
+    return isMissing(value) ? LOWER : GREATER;
+  }
+
+  const primitive = toPrimitive(value);
+  const otherPrimitive = toPrimitive(otherValue);
+
+  if (primitive < otherPrimitive) {
+    return LOWER;
+  }
+
+  return primitive > otherPrimitive ? GREATER : EQUAL;
+};
+
+/**
+ * Copy a value, every row returned or stored by the connector is a copy, to never share the stored rows
+ * @param {*} value The value to copy
+ * @returns {*} The copy
+ */
+const copyValue = value => {
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(copyValue);
+  }
+
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.keys(value).reduce((copy, key) => {
+      copy[key] = copyValue(value[key]);
+
+      return copy;
+    }, {});
+  }
+
+  return value;
+};
+
+module.exports = {
+  compareValues,
+  copyValue,
+  isEqual,
+  isMissing,
+};
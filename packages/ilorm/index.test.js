@@ -10,4 +10,34 @@ describe('ilorm', () => {
     expect(lib.Schema).to.be.a('function');
   });
 
+  it('Should overload the class built by a field factory with a plugin', () => {
+    const ilorm = new lib.constructor();
+
+    ilorm.use({
+      plugins: {
+        core: {
+          schemaFactory: Schema => class extends Schema {},
+          schemaFields: {
+            numberFieldFactory: NumberField => class extends NumberField {
+              getColumnType() {
+                return 'integer';
+              }
+            },
+          },
+        },
+      },
+    });
+
+    const { Schema, } = ilorm;
+    const schema = new Schema({
+      age: Schema.number(),
+      name: Schema.string(),
+    });
+
+    expect(schema.definition.age).to.be.an.instanceOf(Schema.Types.Number);
+    expect(schema.definition.age.getColumnType()).to.equal('integer');
+    expect(schema.definition.age.castValue('42')).to.equal(42);
+    expect(schema.definition.name.getColumnType).to.be.undefined;
+  });
+
 });
\ No newline at end of file
@@ -0,0 +1,21 @@
+'use strict';
+
+/**
+ * Error thrown when several items of a batch failed, every failure is kept
+ */
+class BatchError extends Error {
+  /**
+   * Create a new batch error
+   * @param {Array.<{index: Number, error: Error}>} errors List of every failed item, with its index in the batch
+   */
+  constructor(errors) {
+    const messages = errors.map(({ index, error, }) => `${index}: ${error.message}`).join(', ');
+
+    super(`${errors.length} items of the batch failed : ${messages}`);
+
+    this.name = 'BatchError';
+    this.errors = errors;
+  }
+}
+
+module.exports = BatchError;
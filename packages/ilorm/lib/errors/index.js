@@ -0,0 +1,9 @@
+'use strict';
+
+const BatchError = require('./batchError.class');
+const ValidationError = require('./validationError.class');
+
+module.exports = {
+  BatchError,
+  ValidationError,
+};
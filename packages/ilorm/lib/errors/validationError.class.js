@@ -0,0 +1,21 @@
+'use strict';
+
+/**
+ * Error thrown when an instance does not respect the schema of its model
+ */
+class ValidationError extends Error {
+  /**
+   * Create a new validation error
+   * @param {Array.<{field: String, messages: Array.<String>}>} errors List of every field in error
+   */
+  constructor(errors) {
+    const fieldList = errors.map(({ field, }) => field).join(', ');
+
+    super(`Validation failed on fields : ${fieldList}`);
+
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+module.exports = ValidationError;
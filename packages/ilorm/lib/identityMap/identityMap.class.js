@@ -0,0 +1,165 @@
+'use strict';
+
+const asyncHooks = require('async_hooks');
+
+// Keep the identity map of the current scope across every async call of the scope (created at the first scope):
+let scopeStorage;
+
+/**
+ * Get the storage of the current scope, AsyncLocalStorage is only available since Node 12.17
+ * @returns {AsyncLocalStorage|null} The storage, or null if the Node version does not support it
+ */
+const getScopeStorage = () => {
+  if (scopeStorage === undefined) {
+    scopeStorage = asyncHooks.AsyncLocalStorage ? new asyncHooks.AsyncLocalStorage() : null;
+  }
+
+  return scopeStorage;
+};
+
+/**
+ * Class representing an identity map : inside a scope, the same row (model and primary key) is always loaded
+ * as the same instance.
+ */
+class IdentityMap {
+  /**
+   * Create a new empty identity map
+   */
+  constructor() {
+    this.modelsInstances = new Map();
+  }
+
+  /**
+   * Run the handler in a new scope, with its own identity map
+   * Without AsyncLocalStorage, the identity map need to be given to the queries and the models explicitly.
+   * @param {Function} handler The function to run in the scope, called with the identity map of the scope
+   * @returns {*} The handler result
+   */
+  static run(handler) {
+    const identityMap = new IdentityMap();
+    const storage = getScopeStorage();
+
+    return storage ? storage.run(identityMap, () => handler(identityMap)) : handler(identityMap);
+  }
+
+  /**
+   * Check if the identity map of a scope is found by the operations run in the scope without being given
+   * @returns {Boolean} Return true if the Node version support AsyncLocalStorage
+   */
+  static isImplicit() {
+    return getScopeStorage() !== null;
+  }
+
+  /**
+   * Get the identity map of the current scope
+   * @returns {IdentityMap|null} The identity map, or null outside of a scope
+   */
+  static getCurrent() {
+    const storage = getScopeStorage();
+
+    return (storage && storage.getStore()) || null;
+  }
+
+  /**
+   * Get the identity map to use, the one given explicitly or the one of the current scope
+   * @param {IdentityMap} [identityMap] The identity map given to the query or the model operation
+   * @returns {IdentityMap|null} The identity map, or null outside of a scope
+   */
+  static resolve(identityMap) {
+    return identityMap || IdentityMap.getCurrent();
+  }
+
+  /**
+   * Convert a primary key to the key of the map, a composite primary key (plain object) is identified by its values
+   * @param {*} primary The primary key
+   * @returns {String} The key of the map
+   */
+  static getPrimaryKey(primary) {
+    if (primary && Object.getPrototypeOf(primary) === Object.prototype) {
+      return JSON.stringify(Object.keys(primary)
+        .sort()
+        .map(key => [ key, primary[key], ]));
+    }
+
+    return String(primary);
+  }
+
+  /**
+   * Get the key used to identify the instance in the map
+   * @param {Model} instance The instance to identify
+   * @returns {String|null} The primary key, or null if the instance could not be identified
+   */
+  static getInstanceKey(instance) {
+    let primary;
+
+    // The models of a connector without primary key are never tracked:
+    try {
+      primary = instance.getPrimary();
+    } catch (err) {
+      return null;
+    }
+
+    return primary === undefined || primary === null ? null : IdentityMap.getPrimaryKey(primary);
+  }
+
+  /**
+   * Get the instances of a model
+   * @param {Model} Model The model class
+   * @returns {Map.<String, Model>} The instances of the model, by primary key
+   */
+  getModelInstances(Model) {
+    const modelName = Model.getName();
+
+    if (!this.modelsInstances.has(modelName)) {
+      this.modelsInstances.set(modelName, new Map());
+    }
+
+    return this.modelsInstances.get(modelName);
+  }
+
+  /**
+   * Get the instance already loaded with the given primary key
+   * @param {Model} Model The model class
+   * @param {*} primary The primary key
+   * @returns {Model|null} The instance, or null if not loaded in the scope
+   */
+  get(Model, primary) {
+    return this.getModelInstances(Model).get(IdentityMap.getPrimaryKey(primary)) || null;
+  }
+
+  /**
+   * Track the instance, if an instance with the same primary key is already tracked it's returned instead
+   * @param {Model} instance The instance to track
+   * @returns {Model} The instance tracked by the identity map
+   */
+  add(instance) {
+    const key = IdentityMap.getInstanceKey(instance);
+
+    if (key === null) {
+      return instance;
+    }
+
+    const modelInstances = this.getModelInstances(instance.constructor);
+
+    if (!modelInstances.has(key)) {
+      modelInstances.set(key, instance);
+    }
+
+    return modelInstances.get(key);
+  }
+
+  /**
+   * Stop tracking the instance (after a remove)
+   * @param {Model} instance The instance to forget
+   * @returns {void} Return nothing
+   */
+  delete(instance) {
+    const key = IdentityMap.getInstanceKey(instance);
+
+    if (key !== null) {
+      this.getModelInstances(instance.constructor).delete(key);
+    }
+  }
+}
+
+module.exports = IdentityMap;
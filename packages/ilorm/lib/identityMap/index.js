@@ -0,0 +1,7 @@
+'use strict';
+
+const IdentityMap = require('./identityMap.class');
+
+module.exports = {
+  IdentityMap,
+};
@@ -0,0 +1,152 @@
+/* eslint-disable */
+
+const { expect, } = require('chai');
+const { spy, } = require('sinon');
+
+const IdentityMap = require('../identityMap.class');
+const { initModel, } = require('ilorm-connector-memory/fixture');
+
+const initUserModel = () => {
+  const { ilorm, Model, connector, getRows, } = initModel({
+    rows: [
+      { id: 1, name: 'Thibauld', },
+      { id: 2, name: 'Guillaume', },
+    ],
+    schema: Schema => ({
+      id: Schema.number(),
+      name: Schema.string(),
+    }),
+  });
+
+  spy(connector, 'getById');
+
+  return {
+    ilorm,
+    User: Model,
+    connector,
+    rows: getRows(),
+  };
+};
+
+// The scope is found implicitly only with AsyncLocalStorage (Node 12.17 and later):
+const itWithImplicitScope = IdentityMap.isImplicit() ? it : it.skip;
+
+describe('ilorm', () => {
+  describe('identityMap', () => {
+    describe('identityMap.class', () => {
+      itWithImplicitScope('Should return the same instance for the same row inside a scope', async () => {
+        const { ilorm, User, connector, } = initUserModel();
+
+        await ilorm.scope(async () => {
+          const [ thibauld, ] = await User.query().find();
+          const thibauldById = await User.getById(1);
+          const guillaume = await User.getById(2);
+          const [ , guillaumeFromQuery, ] = await User.query().find();
+
+          expect(thibauldById).to.be.equal(thibauld);
+          expect(guillaumeFromQuery).to.be.equal(guillaume);
+          expect(connector.getById.notCalled).to.be.equal(true);
+        });
+      });
+
+      it('Should identify a composite primary key by its values', () => {
+        const { User, } = initUserModel();
+        const identityMap = new IdentityMap();
+        const membership = new User({ id: 1, name: 'Thibauld', });
+
+        membership.getPrimary = () => ({ userId: 1, groupId: 2, });
+
+        expect(identityMap.add(membership)).to.be.equal(membership);
+        expect(identityMap.get(User, { groupId: 2, userId: 1, })).to.be.equal(membership);
+        expect(identityMap.get(User, { groupId: 3, userId: 1, })).to.be.equal(null);
+      });
+
+      it('Should keep independent instances outside of a scope and between scopes', async () => {
+        const { ilorm, User, } = initUserModel();
+
+        expect(await User.getById(1)).to.not.be.equal(await User.getById(1));
+
+        const [ instanceA, instanceB, ] = await Promise.all([
+          ilorm.scope(() => User.getById(1)),
+          ilorm.scope(() => User.getById(1)),
+        ]);
+
+        expect(instanceA).to.not.be.equal(instanceB);
+        expect(IdentityMap.getCurrent()).to.be.equal(null);
+      });
+
+      itWithImplicitScope('Should track the created instances and forget the removed instances', async () => {
+        const { ilorm, User, connector, } = initUserModel();
+
+        await ilorm.scope(async () => {
+          const user = new User({ id: 3, name: 'Smith', });
+
+          await user.save();
+
+          expect(await User.getById(3)).to.be.equal(user);
+
+          await user.remove();
+
+          expect(IdentityMap.getCurrent().get(User, 3)).to.be.equal(null);
+        });
+
+        expect(connector.getById.notCalled).to.be.equal(true);
+      });
+
+      itWithImplicitScope('Should refresh the fields not modified since the load with the row loaded again', async () => {
+        const { ilorm, User, rows, } = initUserModel();
+
+        await ilorm.scope(async () => {
+          const [ thibauld, guillaume, ] = await User.query().find();
+
+          guillaume.name = 'Guillaume D.';
+          rows[0].name = 'Thibauld M.';
+          rows[1].name = 'Guillaume M.';
+
+          await User.query().find();
+
+          expect(thibauld.name).to.be.equal('Thibauld M.');
+          expect(thibauld.isModified()).to.be.equal(false);
+          expect(guillaume.name).to.be.equal('Guillaume D.');
+          expect(guillaume.isModified('name')).to.be.equal(true);
+        });
+      });
+
+      it('Should use the identity map given explicitly to the operations', async () => {
+        const { User, connector, } = initUserModel();
+        const identityMap = new IdentityMap();
+
+        const thibauld = await User.getById(1, { identityMap, });
+        const [ thibauldFromQuery, ] = await User.query()
+          .identityMap(identityMap)
+          .find();
+        const user = new User({ id: 3, name: 'Smith', });
+
+        await user.save({ identityMap, });
+
+        expect(thibauldFromQuery).to.be.equal(thibauld);
+        expect(await User.getById(3, { identityMap, })).to.be.equal(user);
+        expect(connector.getById.calledOnce).to.be.equal(true);
+
+        await user.remove({ identityMap, });
+
+        expect(identityMap.get(User, 3)).to.be.equal(null);
+      });
+
+      it('Should give the identity map of the scope to the handler', async () => {
+        const { ilorm, } = initUserModel();
+
+        await ilorm.scope(identityMap => {
+          expect(identityMap).to.be.an.instanceOf(IdentityMap);
+          expect(IdentityMap.getCurrent()).to.be.equal(IdentityMap.isImplicit() ? identityMap : null);
+        });
+      });
+
+      it('Should resolve the handler result of the scope', async () => {
+        const { ilorm, } = initUserModel();
+
+        expect(await ilorm.scope(() => 'result')).to.be.equal('result');
+      });
+    });
+  });
+});
@@ -1,8 +1,11 @@
 'use strict';
 
-const { baseModelClassFactory, modelFactory, } = require('./model');
+const { baseModelClassFactory, Hooks, modelFactory, Scopes, } = require('./model');
 const { BaseSchema, } = require('./schema');
+const Errors = require('./errors');
+const { IdentityMap, } = require('./identityMap');
 const { baseQueryClassFactory, } = require('./query');
+const { Transaction, } = require('./transaction');
 const {
   baseSchemaField,
   booleanFieldFactory,
@@ -10,6 +13,7 @@ const {
   numberFieldFactory,
   referenceFieldFactory,
   stringFieldFactory,
+  virtualFieldFactory,
 } = require('./schemaField');
 
 /**
@@ -32,6 +36,18 @@ class Ilorm {
      */
     this.modelsRelationsIndex = new Map();
 
+    /**
+     * Lifecycle hooks declared by plugins, run on every model before the model own hooks
+     * @type {Hooks}
+     */
+    this.hooks = new Hooks();
+
+    /**
+     * Named scopes declared by plugins, available on the query of every model
+     * @type {Scopes}
+     */
+    this.scopes = new Scopes();
+
     // Base Class used by the framework:
     this.BaseModel = baseModelClassFactory(this);
     this.BaseQuery = baseQueryClassFactory(this);
@@ -42,12 +58,16 @@ class Ilorm {
       numberFieldFactory,
       referenceFieldFactory,
       stringFieldFactory,
+      virtualFieldFactory,
     };
     this.Schema = Object.assign(BaseSchema, this.getSchemaFields());
+    this.Errors = Errors;
 
     // Little hack to permit destructuring library:
     this.declareModel = this.declareModel.bind(this);
     this.newModel = this.newModel.bind(this);
+    this.scope = this.scope.bind(this);
+    this.transaction = this.transaction.bind(this);
     this.use = this.use.bind(this);
   }
 
@@ -79,6 +99,7 @@ class Ilorm {
       }),
       SchemaField: this.SchemaFields.Base,
       String: this.SchemaFields.stringFieldFactory(this.SchemaFields.Base),
+      Virtual: this.SchemaFields.virtualFieldFactory(this.SchemaFields.Base),
     };
 
     return {
@@ -88,27 +109,70 @@ class Ilorm {
       number: (...params) => new Types.Number(...params),
       reference: (...params) => new Types.Reference(...params),
       string: (...params) => new Types.String(...params),
+      virtual: (...params) => new Types.Virtual(...params),
     };
   }
 
   /**
    * Create a new modem
    * @param {Connector} connector the connector to use in the model
+   * @param {Object} hooks The lifecycle hooks of the model
+   *  (beforeSave, afterSave, beforeRemove, afterRemove, afterLoad)
    * @param {String} name The model name
    * @param {Object} pluginsOptions Different kind of options to give to the model
    * @param {Schema} schema The schema linked with the model
+   * @param {Object} scopes The named scopes of the model, key is the scope name, value a function called with the
+   *  query and the scope parameters, or an object { handler, isDefault } to declare a default scope
    * @returns {Model} Return a Model class to use
    */
-  newModel({ connector, name, pluginsOptions, schema, }) {
+  newModel({ connector, hooks, name, pluginsOptions, schema, scopes, }) {
     return modelFactory({
       connector,
+      hooks,
       ilorm: this,
       name,
       pluginsOptions,
       schema,
+      scopes,
     });
   }
 
+  /**
+   * Run the handler in an identity map scope : inside the scope, loading the same row (getById, find, stream...)
+   * always return the same instance, and getById does not query the database for an already loaded instance.
+   * Before Node 12.17, the identity map given to the handler need to be given to each query and model operation.
+   * @param {Function} handler Async function to run in the scope (a request handler for example), called with the
+   *  identity map of the scope
+   * @returns {Promise.<*>} Resolve the handler result
+   */
+  scope(handler) {
+    return IdentityMap.run(identityMap => Promise.resolve(identityMap).then(handler));
+  }
+
+  /**
+   * Run the handler in a transaction, every operation done with the transaction is commit at the end of the handler
+   * or rollback if the handler throw.
+   * With a connector without transaction support the transaction is emulated and not atomic : the write operations
+   * are run one after another at the commit, and resolve a DeferredResult (read it with result.afterCommit).
+   * @param {Function} handler Async function called with the transaction to give to models and queries
+   * @returns {Promise.<*>} Resolve the handler result after the commit
+   */
+  async transaction(handler) {
+    const transaction = new Transaction();
+
+    try {
+      const result = await handler(transaction);
+
+      await transaction.commit();
+
+      return result;
+    } catch (err) {
+      await transaction.rollback();
+
+      throw err;
+    }
+  }
+
   /**
    * Bind a plugin to the ilorm context
    * @param {Object} plugins Plugins to bind to ilorm
@@ -116,6 +180,16 @@ class Ilorm {
    */
   use({ plugins, }) {
 
+    // Handle lifecycle hooks shared by every model ;
+    if (plugins.hooks) {
+      this.hooks.addAll(plugins.hooks);
+    }
+
+    // Handle named scopes shared by every model ;
+    if (plugins.scopes) {
+      this.scopes.addAll(plugins.scopes);
+    }
+
     // Handle core plugins ;
     if (plugins.core) {
       const {
@@ -123,12 +197,22 @@ class Ilorm {
         queryFactory,
         schemaFactory,
         schemaFieldFactory,
+        schemaFields,
       } = plugins.core;
 
       // Overload base class:
       if (schemaFieldFactory) {
         this.SchemaFields.Base = schemaFieldFactory(this.SchemaFields.Base);
       }
+
+      // Overload the class built by a field factory (ie: { numberFieldFactory: NumberField => class extends ... }):
+      if (schemaFields) {
+        Object.keys(schemaFields).forEach(factoryName => {
+          const parentFactory = this.SchemaFields[factoryName];
+
+          this.SchemaFields[factoryName] = params => schemaFields[factoryName](parentFactory(params), params);
+        });
+      }
       if (schemaFactory) {
         this.Schema = Object.assign(schemaFactory(this.Schema), this.getSchemaFields());
       }
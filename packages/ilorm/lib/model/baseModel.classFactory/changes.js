@@ -0,0 +1,178 @@
+'use strict';
+
+const { LIST_UPDATED_FIELDS, ORIGINAL_VALUES, } = require('ilorm-constants').MODEL;
+
+/**
+ * Check if the value is a plain javascript object (and not an instance of a class like ObjectId)
+ * @param {*} value The value to check
+ * @returns {Boolean} Return true if the value is a plain object
+ */
+const isPlainObject = value => value !== null && typeof value === 'object' &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Copy a value to keep it unchanged even if the instance value is mutated in place
+ * Only Date, Array and plain object are copied, others values are kept as reference.
+ * @param {*} value The value to copy
+ * @returns {*} The copy of the value
+ */
+const cloneValue = value => {
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(cloneValue);
+  }
+
+  if (isPlainObject(value)) {
+    return Object.keys(value).reduce((copy, key) => {
+      copy[key] = cloneValue(value[key]);
+
+      return copy;
+    }, {});
+  }
+
+  return value;
+};
+
+/**
+ * Check if two values are the same (deep comparison of Date, Array and plain object)
+ * @param {*} valueA The first value to compare
+ * @param {*} valueB The second value to compare
+ * @returns {Boolean} Return true if the two values are the same
+ */
+const isSameValue = (valueA, valueB) => {
+  if (valueA === valueB) {
+    return true;
+  }
+
+  if (valueA instanceof Date && valueB instanceof Date) {
+    return valueA.getTime() === valueB.getTime();
+  }
+
+  if (Array.isArray(valueA) && Array.isArray(valueB)) {
+    return valueA.length === valueB.length && valueA.every((item, index) => isSameValue(item, valueB[index]));
+  }
+
+  if (isPlainObject(valueA) && isPlainObject(valueB)) {
+    const keys = Object.keys(valueA);
+
+    return keys.length === Object.keys(valueB).length && keys.every(key => isSameValue(valueA[key], valueB[key]));
+  }
+
+  // Value like ObjectId implement their own comparison:
+  if (valueA && typeof valueA.equals === 'function') {
+    return valueA.equals(valueB);
+  }
+
+  return false;
+};
+
+/**
+ * Get every field which could have been changed since the load (assigned or loaded fields)
+ * @param {Model} instance The instance to check
+ * @returns {Array.<String>} The list of fields
+ */
+const getCandidateFields = instance => Array.from(new Set(
+  instance[LIST_UPDATED_FIELDS].concat(Object.keys(instance[ORIGINAL_VALUES]))
+));
+
+/**
+ * Get every field which changed since the load of the instance
+ * @param {Model} instance The instance to check
+ * @returns {Object} The changes, key is the field, value an object with the oldValue and the newValue
+ */
+const getChanges = instance => getCandidateFields(instance).reduce((changes, field) => {
+  const oldValue = instance[ORIGINAL_VALUES][field];
+  const newValue = instance[field];
+
+  if (!isSameValue(oldValue, newValue)) {
+    changes[field] = {
+      oldValue,
+      newValue,
+    };
+  }
+
+  return changes;
+}, {});
+
+/**
+ * Check if a field (or any field if no field is given) changed since the load of the instance
+ * @param {Model} instance The instance to check
+ * @param {String} [field] The field to check
+ * @returns {Boolean} Return true if the field was modified
+ */
+const isModified = (instance, field) => {
+  if (field === undefined) {
+    return Object.keys(getChanges(instance)).length > 0;
+  }
+
+  return !isSameValue(instance[ORIGINAL_VALUES][field], instance[field]);
+};
+
+/**
+ * Restore the loaded value of a field (or every field if no field is given)
+ * @param {Model} instance The instance to revert
+ * @param {String} [field] The field to revert
+ * @returns {Model} The instance reverted
+ */
+const revert = (instance, field) => {
+  const fields = field === undefined ? getCandidateFields(instance) : [ field, ];
+
+  fields.forEach(revertedField => {
+    const originalValue = instance[ORIGINAL_VALUES][revertedField];
+
+    if (originalValue === undefined) {
+      delete instance[revertedField];
+    } else {
+      instance[revertedField] = cloneValue(originalValue);
+    }
+  });
+
+  instance[LIST_UPDATED_FIELDS] = instance[LIST_UPDATED_FIELDS]
+    .filter(updatedField => !fields.includes(updatedField));
+
+  return instance;
+};
+
+/**
+ * Use the current values of the instance as reference values (after a load or a save)
+ * @param {Model} instance The instance to reset
+ * @returns {Model} The instance
+ */
+const resetChanges = instance => {
+  instance[ORIGINAL_VALUES] = Object.keys(instance).reduce((originalValues, field) => {
+    originalValues[field] = cloneValue(instance[field]);
+
+    return originalValues;
+  }, {});
+  instance[LIST_UPDATED_FIELDS] = [];
+
+  return instance;
+};
+
+/**
+ * Update the instance with the values of the same row loaded again, except the fields modified since the load
+ * @param {Model} instance The instance to refresh
+ * @param {Model} loadedInstance The instance created from the row loaded again
+ * @returns {Model} The instance refreshed
+ */
+const refresh = (instance, loadedInstance) => {
+  Object.keys(loadedInstance)
+    .filter(field => !isModified(instance, field))
+    .forEach(field => {
+      instance[field] = loadedInstance[field];
+      instance[ORIGINAL_VALUES][field] = cloneValue(loadedInstance[field]);
+    });
+
+  return instance;
+};
+
+module.exports = {
+  getChanges,
+  isModified,
+  refresh,
+  resetChanges,
+  revert,
+};
@@ -0,0 +1,129 @@
+'use strict';
+
+const { HOOKS, IS_NEW, } = require('ilorm-constants').MODEL;
+const { resetChanges, } = require('./changes');
+const runInTransaction = require('./runInTransaction');
+
+const DEFAULT_BATCH_SIZE = 1000;
+
+/**
+ * Split a list of items in batches of the given size
+ * @param {Array} items The items to split
+ * @param {Number} batchSize The max number of items per batch
+ * @returns {Array.<Array>} The list of batches
+ */
+const toBatches = (items, batchSize) => items.reduce((batches, item, index) => {
+  if (index % batchSize === 0) {
+    batches.push([]);
+  }
+
+  batches[batches.length - 1].push(item);
+
+  return batches;
+}, []);
+
+/**
+ * Instantiate a raw object, apply the schema defaults, run the beforeSave hooks then validate the instance
+ * @param {Model} Model The model to instantiate
+ * @param {Object} rawObject The raw object to instantiate
+ * @returns {Promise.<Model>} The instance ready to be created
+ */
+const prepareInstance = async (Model, rawObject) => {
+  const instance = new Model(rawObject);
+
+  await Model.getSchema().applyDefaults(instance);
+  await Model.getHooks().run(HOOKS.BEFORE_SAVE, instance);
+  await Model.getSchema().validate(instance);
+
+  return instance;
+};
+
+/**
+ * Create a batch of instances with one call to the connector, then run the afterSave hooks
+ * @param {Model} Model The model of the instances
+ * @param {Array.<Object>} batch The items of the batch, with their index and instance
+ * @param {Transaction} [transaction] The transaction to use to create the instances
+ * @returns {Promise.<Array.<Object>>} The items of the batch, with an error if the creation failed
+ */
+const createBatch = async (Model, batch, transaction) => {
+  const connector = Model.getConnector();
+  const instances = batch.map(({ instance, }) => instance);
+
+  try {
+    await runInTransaction(transaction, connector, () => connector.create(instances, { transaction, }));
+  } catch (error) {
+    return batch.map(({ index, }) => ({
+      index,
+      error,
+    }));
+  }
+
+  return Promise.all(batch.map(async ({ index, instance, }) => {
+    instance[IS_NEW] = false;
+    resetChanges(instance);
+
+    try {
+      await Model.getHooks().run(HOOKS.AFTER_SAVE, instance);
+    } catch (error) {
+      return {
+        index,
+        instance,
+        error,
+      };
+    }
+
+    return {
+      index,
+      instance,
+    };
+  }));
+};
+
+/**
+ * Validate then create many instances in the database, the instances are sent to the connector by batches.
+ * An invalid item (or an item of a failed batch) is reported in the errors, the others items are still created.
+ * @param {Model} Model The model of the instances to create
+ * @param {Array.<Object>} rawObjects The raw objects to create
+ * @param {Number} [batchSize=1000] The max number of instances sent in one call to the connector
+ * @param {Transaction} [transaction] The transaction to use to create the instances
+ * @returns {Promise.<Object>} The created instances, and the errors with the index of the failed raw object
+ */
+const createManyMethod = async (Model, rawObjects, { batchSize = DEFAULT_BATCH_SIZE, transaction, } = {}) => {
+  const preparedItems = await Promise.all(rawObjects.map(async (rawObject, index) => {
+    try {
+      return {
+        index,
+        instance: await prepareInstance(Model, rawObject),
+      };
+    } catch (error) {
+      return {
+        index,
+        error,
+      };
+    }
+  }));
+
+  const validItems = preparedItems.filter(({ error, }) => !error);
+
+  // Batches are created one after the other, to not flood the database:
+  const createdItems = await toBatches(validItems, batchSize).reduce(async (previousBatches, batch) => {
+    const results = await previousBatches;
+
+    return results.concat(await createBatch(Model, batch, transaction));
+  }, Promise.resolve([]));
+
+  const items = preparedItems
+    .filter(({ error, }) => error)
+    .concat(createdItems)
+    .sort((itemA, itemB) => itemA.index - itemB.index);
+
+  return {
+    instances: items.filter(({ instance, }) => instance).map(({ instance, }) => instance),
+    errors: items.filter(({ error, }) => error).map(({ index, error, }) => ({
+      index,
+      error,
+    })),
+  };
+};
+
+module.exports = createManyMethod;
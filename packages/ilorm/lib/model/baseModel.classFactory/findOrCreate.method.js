@@ -0,0 +1,70 @@
+'use strict';
+
+const { HOOKS, } = require('ilorm-constants').MODEL;
+const { Transaction, } = require('../../transaction');
+const upsertMethod = require('../../query/baseQuery.classFactory/upsert.method');
+
+/**
+ * Create a query filtering the model with an is operation per field of the filter
+ * @param {Model} Model The model to query
+ * @param {Object} filter The values identifying the instance
+ * @param {Transaction} [transaction] The transaction to use
+ * @returns {Query} The query
+ */
+const getFilterQuery = (Model, filter, transaction) => {
+  const query = Model.query();
+
+  Object.keys(filter).forEach(field => query[field].is(filter[field]));
+
+  return transaction ? query.transaction(transaction) : query;
+};
+
+/**
+ * Find the instance matching the filter, or create it with the filter and the defaults values
+ * The creation is an upsert : if another process create the instance between the find and the creation, the
+ * existing instance is returned. The beforeSave hooks and the validation are run on the instance to create.
+ * Refused with a transaction emulated by a connector without transaction support : the creation would be deferred to
+ * the commit, and the instance could not be returned.
+ * @param {Model} Model The model of the instance
+ * @param {Object} filter The values identifying the instance, need a unique index on these fields
+ * @param {Object} [defaults={}] The values of the created instance, in addition of the filter
+ * @param {Transaction} [transaction] The transaction to use
+ * @returns {Promise.<Object>} The instance, and created set to true if the instance was created
+ */
+const findOrCreateMethod = async (Model, filter, { defaults = {}, transaction, } = {}) => {
+  if (transaction && !Transaction.isSupportedBy(Model.getConnector())) {
+    throw new Error('findOrCreate cannot be run in a transaction emulated by a connector without transaction ' +
+      'support, the instance is created only at the commit.');
+  }
+
+  const instance = await getFilterQuery(Model, filter, transaction).findOne();
+
+  if (instance) {
+    return {
+      instance,
+      created: false,
+    };
+  }
+
+  const newInstance = new Model(Object.assign({}, defaults, filter));
+
+  await Model.getSchema().applyDefaults(newInstance);
+  await Model.getHooks().run(HOOKS.BEFORE_SAVE, newInstance);
+  await Model.getSchema().validate(newInstance);
+
+  const created = await upsertMethod(getFilterQuery(Model, filter, transaction), {
+    rawInsert: await newInstance.getJson(),
+  });
+  const savedInstance = await getFilterQuery(Model, filter, transaction).findOne();
+
+  if (created) {
+    await Model.getHooks().run(HOOKS.AFTER_SAVE, savedInstance);
+  }
+
+  return {
+    instance: savedInstance,
+    created,
+  };
+};
+
+module.exports = findOrCreateMethod;
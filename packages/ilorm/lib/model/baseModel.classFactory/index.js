@@ -0,0 +1,286 @@
+'use strict';
+
+const MainStream = require('../main.stream');
+const { queryFactory, queryFromJSON, } = require('../../query');
+const createManyMethod = require('./createMany.method');
+const findOrCreateMethod = require('./findOrCreate.method');
+const removeMethod = require('./remove.method');
+const saveMethod = require('./save.method');
+const { getChanges, isModified, revert, } = require('./changes');
+const { defineInstanceProperties, getVirtualField, } = require('./instanceProperties');
+const UnboundModel = require('./unboundModel.class');
+const { getByIdMethod, instantiateMethod, } = require('./load.method');
+
+const { LIST_UPDATED_FIELDS, POPULATED, } = require('ilorm-constants').MODEL;
+
+/**
+ * Inject ilorm to the class to bind current ilorm with BaseModel
+ * @param {Ilorm} ilorm The ilorm context
+ * @returns {BaseModel} Return the baseModel to use
+ */
+const injectIlorm = ilorm => {
+  /**
+   * Class representing a Model
+   */
+  class BaseModel extends UnboundModel {
+    /**
+     * Construct a new instance of the model
+     * @param {Object} [rawInstance={}] object to use as initial data of the model instance
+     */
+    constructor(rawInstance = {}) {
+      super();
+      defineInstanceProperties(this);
+
+      const instance = new Proxy(this, {
+        get: (instance, property, receiver) => instance.get(property, receiver),
+        set: (instance, property, value) => instance.set(property, value),
+        deleteProperty: (instance, property) => instance.deleteProperty(property),
+      });
+
+      for (const property of Object.keys(rawInstance)) {
+        instance[property] = rawInstance[property];
+      }
+
+      return instance;
+    }
+
+    /**
+     * Get a duplex stream linked with the model
+     * Could be use to write data from a stream into the linked database
+     * Could be use to read all data from the linked database
+     * @return {DuplexStream} The duplexstream to use
+     */
+    static stream() {
+      return new MainStream({
+        Model: this,
+      });
+    }
+
+    /**
+     * Declare a lifecycle hook on the model
+     * @param {String} hookName The name of the hook (beforeSave, afterSave, beforeRemove, afterRemove, afterLoad)
+     * @param {Function} handler Async function called with the instance, throw to abort the operation
+     * @return {Model} Return the model to chain declaration
+     */
+    static addHook(hookName, handler) {
+      this.getHooks().add(hookName, handler);
+
+      return this;
+    }
+
+    /**
+     * Instantiate a raw json object to an instance representing the data model
+     * @param {Object} rawObject the raw object to instantiate
+     * @param {Object} [options] Options of the instantiation
+     * @param {IdentityMap} [options.identityMap] The identity map given by ilorm.scope, if not found implicitly
+     * @Returns {Model} The model instance
+     */
+    static instantiate(rawObject = {}, options) {
+      return instantiateMethod(ilorm.modelsIndex.get(this.getName()), rawObject, options);
+    }
+
+    /**
+     * Get the instance of the model linked with the given id
+     * @param {ID} id The id of the target model
+     * @param {Object} [options] Options of the load
+     * @param {IdentityMap} [options.identityMap] The identity map given by ilorm.scope, if not found implicitly
+     * @return {Model} A model instance
+     */
+    static getById(id, options) {
+      return getByIdMethod(this, id, options);
+    }
+
+    /**
+     * Validate then create many instances in the database, sent to the connector by batches
+     * @param {Array.<Object>} rawObjects The raw objects to create
+     * @param {Object} [options] Options of the creation
+     * @param {Number} [options.batchSize=1000] The max number of instances sent in one call to the connector
+     * @param {Transaction} [options.transaction] The transaction to use to create the instances
+     * @return {Promise.<Object>} The created instances, and the errors with the index of the failed raw object
+     */
+    static createMany(rawObjects, options) {
+      return createManyMethod(ilorm.modelsIndex.get(this.getName()), rawObjects, options);
+    }
+
+    /**
+     * Find the instance matching the filter, or create it with the filter and the defaults values in one upsert
+     * @param {Object} filter The values identifying the instance (ie: { email }), need a unique index on these fields
+     * @param {Object} [defaults={}] The values of the created instance, in addition of the filter
+     * @param {Object} [options] Options of the operation
+     * @param {Transaction} [options.transaction] The transaction to use, refused if emulated by the connector
+     * @return {Promise.<Object>} The instance, and created set to true if the instance was created
+     */
+    static findOrCreate(filter, defaults, { transaction, } = {}) {
+      return findOrCreateMethod(ilorm.modelsIndex.get(this.getName()), filter, {
+        defaults,
+        transaction,
+      });
+    }
+
+    /**
+     * Create a query targeting the model
+     * @return {Query} return the query binded with the model
+     */
+    static query() {
+      const Query = queryFactory({
+        ilorm,
+        model: ilorm.modelsIndex.get(this.getName()),
+      });
+
+      return new Query();
+    }
+
+    /**
+     * Create a query targeting the model from a json created by query.toJSON()
+     * Every field and operator of the json is checked against the schema of the model.
+     * @param {Object} json The json representing the query
+     * @return {Query} return the query binded with the model
+     */
+    static queryFromJSON(json) {
+      return queryFromJSON(this.query(), json);
+    }
+
+    /**
+     * Remove the current instance from the database, running beforeRemove and afterRemove hooks
+     * @param {Object} [options] Options of the remove
+     * @param {Transaction} [options.transaction] The transaction to use to remove the instance
+     * @param {IdentityMap} [options.identityMap] The identity map given by ilorm.scope, if not found implicitly
+     * @return {Promise.<*>} The result of the connector removeOne
+     */
+    remove(options) {
+      return removeMethod(this, options);
+    }
+
+    /**
+     * Validate then save the current instance in db, running beforeSave and afterSave hooks
+     * Only the fields which changed since the load of the instance are sent to the database.
+     * @param {Object} [options] Options of the save
+     * @param {Transaction} [options.transaction] The transaction to use to save the instance
+     * @param {IdentityMap} [options.identityMap] The identity map given by ilorm.scope, if not found implicitly
+     * @return {Promise.<Model>} Resolve the saved instance, reject with a ValidationError if the instance is invalid
+     */
+    save(options) {
+      return saveMethod(this, options);
+    }
+
+    /**
+     * Check if a field changed since the load of the instance
+     * @param {String} [field] The field to check, if missing check every field
+     * @returns {Boolean} Return true if the field was modified
+     */
+    isModified(field) {
+      return isModified(this, field);
+    }
+
+    /**
+     * Return every field which changed since the load of the instance
+     * @returns {Object} The changes, key is the field, value an object with the oldValue and the newValue
+     */
+    getChanges() {
+      return getChanges(this);
+    }
+
+    /**
+     * Restore the value a field had at the load of the instance
+     * @param {String} [field] The field to revert, if missing revert every field
+     * @returns {Model} Return the current instance
+     */
+    revert(field) {
+      return revert(this, field);
+    }
+
+    /**
+     * Return the related instances loaded by query.populate()
+     * The reference field keep the stored id (saved as it), the related instances are only available here.
+     * @param {String} key The populated reference field or model name
+     * @returns {Model|Array.<Model>|null} The referenced instance, or the list of instances referencing this one
+     */
+    getPopulated(key) {
+      return this[POPULATED][key];
+    }
+
+    /**
+     * Generate the query used by save and remove to target the current instance in the database
+     * Per default it's the primary query, a plugin could overload it to add conditions (a version for example)
+     * @returns {Query} Return the query to use to target the current instance
+     */
+    getQueryInstance() {
+      return this.getQueryPrimary();
+    }
+
+    /**
+     * Called by save when the connector matched no row with the instance query (removed row, stale version...)
+     * Per default the save is ignored, a plugin could overload it to throw an error
+     * @returns {Model} Return the current instance
+     */
+    handleUnmatchedUpdate() {
+      return this;
+    }
+
+    /**
+     * Return json associated with the current instance
+     * @param {Object} [options] Options of the conversion
+     * @param {Boolean} [options.virtuals=false] Set to true to include the virtual fields values
+     * @return {Object} The json associated with the instance
+     */
+    getJson(options) {
+      const schema = this.constructor.getSchema();
+
+      return schema.initInstance(this, options);
+    }
+
+    /**
+     * Traps handler for get a property
+     * When you try to get a property on an Ilorm model this method will be called
+     * The value of a virtual field is computed from the instance.
+     * @param {*} property The property of the model to get
+     * @param {Model} [receiver=this] The proxy of the instance, given to the virtual fields
+     * @return {*} Return the value of the model property
+     */
+    get(property, receiver = this) {
+      const virtualField = getVirtualField(this, property);
+
+      return virtualField ? virtualField.getValue(receiver) : this[property];
+    }
+
+    /**
+     * Traps handler for set a property
+     * When you try to set the value of property on an Ilorm Model this method will be called.
+     * @param {*} property The property of the model to set
+     * @param {*} value The value you want to associate
+     * @return {Boolean} Return true if the assignment was a success, false if not
+     */
+    set(property, value) {
+      if (getVirtualField(this, property)) {
+        throw new Error(`The virtual field ${property} could not be set.`);
+      }
+
+      // Use to remember which field as been update (case of a loaded instance), use after to update it at save ;
+      if (typeof property !== 'symbol' && !this[LIST_UPDATED_FIELDS].includes(property)) {
+        this[LIST_UPDATED_FIELDS].push(property);
+      }
+
+      // Basic trap behavior when you set a property to an instance:
+      this[property] = value;
+
+      return true;
+    }
+
+
+    /**
+     * Traps handler for delete a property
+     * When you try to delete a property on an Ilorm model this method will be called
+     * @param {*} property The property of the model to delete
+     * @return {*} Return the value of the model property
+     */
+    deleteProperty(property) {
+      delete this[property];
+
+      return true;
+    }
+  }
+
+  return BaseModel;
+};
+
+module.exports = injectIlorm;
@@ -0,0 +1,49 @@
+'use strict';
+
+const {
+  IS_NEW,
+  LIST_UPDATED_FIELDS,
+  ORIGINAL_VALUES,
+  POPULATED,
+  SCHEMA,
+} = require('ilorm-constants').MODEL;
+
+/**
+ * Define the internal (non enumerable) properties of a new instance
+ * @param {Model} instance The instance to init
+ * @returns {Model} The instance
+ */
+const defineInstanceProperties = instance => Object.defineProperties(instance, {
+  [IS_NEW]: {
+    value: true,
+    writable: true,
+  },
+  [LIST_UPDATED_FIELDS]: {
+    value: [],
+    writable: true,
+  },
+  [ORIGINAL_VALUES]: {
+    value: {},
+    writable: true,
+  },
+  [POPULATED]: {
+    value: {},
+  },
+});
+
+/**
+ * Get the virtual field of the instance schema with the given name
+ * @param {Model} instance The instance to check
+ * @param {String|Symbol} property The name of the property
+ * @returns {VirtualField|null} The virtual field, or null if the property is not a virtual field
+ */
+const getVirtualField = (instance, property) => {
+  const schema = instance.constructor[SCHEMA];
+
+  return schema ? schema.getVirtualField(property) : null;
+};
+
+module.exports = {
+  defineInstanceProperties,
+  getVirtualField,
+};
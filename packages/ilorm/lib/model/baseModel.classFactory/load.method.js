@@ -0,0 +1,59 @@
+'use strict';
+
+const { HOOKS, IS_NEW, } = require('ilorm-constants').MODEL;
+const { IdentityMap, } = require('../../identityMap');
+const { refresh, resetChanges, } = require('./changes');
+
+/**
+ * Instantiate a raw json object loaded from the database
+ * Inside an ilorm.scope, the instance already loaded with the same primary key is returned instead, refreshed with
+ * the loaded values of the fields not modified since its load.
+ * @param {Model} Model The model class to instantiate
+ * @param {Object} rawObject The raw object to instantiate
+ * @param {IdentityMap} [identityMap] The identity map of the scope, if not found with the async scope
+ * @returns {Model} The model instance
+ */
+const instantiateMethod = (Model, rawObject, { identityMap, } = {}) => {
+  const instance = new Model(rawObject);
+  const scopeIdentityMap = IdentityMap.resolve(identityMap);
+
+  instance[IS_NEW] = false;
+
+  // Remember loaded values, to only update changed fields at save:
+  resetChanges(instance);
+
+  if (!scopeIdentityMap) {
+    return instance;
+  }
+
+  const trackedInstance = scopeIdentityMap.add(instance);
+
+  return trackedInstance === instance ? instance : refresh(trackedInstance, instance);
+};
+
+/**
+ * Get the instance of the model linked with the given id
+ * Inside an ilorm.scope, an instance already loaded is returned without querying the database.
+ * @param {Model} Model The model class
+ * @param {ID} id The id of the target model
+ * @param {IdentityMap} [identityMap] The identity map of the scope, if not found with the async scope
+ * @returns {Promise.<Model>} The model instance
+ */
+const getByIdMethod = async (Model, id, { identityMap, } = {}) => {
+  const scopeIdentityMap = IdentityMap.resolve(identityMap);
+  const trackedInstance = scopeIdentityMap && scopeIdentityMap.get(Model, id);
+
+  if (trackedInstance) {
+    return trackedInstance;
+  }
+
+  const rawInstance = await Model.getConnector().getById(id);
+  const instance = Model.instantiate(rawInstance, { identityMap, });
+
+  return Model.getHooks().run(HOOKS.AFTER_LOAD, instance);
+};
+
+module.exports = {
+  getByIdMethod,
+  instantiateMethod,
+};
@@ -0,0 +1,42 @@
+'use strict';
+
+const { HOOKS, IS_NEW, } = require('ilorm-constants').MODEL;
+const { IdentityMap, } = require('../../identityMap');
+const runInTransaction = require('./runInTransaction');
+
+/**
+ * Remove the instance from the database, running beforeRemove and afterRemove hooks
+ * @param {Model} instance The instance to remove
+ * @param {Transaction} [transaction] The transaction to use to remove the instance
+ * @param {IdentityMap} [identityMap] The identity map of the scope, if not found with the async scope
+ * @returns {Promise.<*>} The result of the connector removeOne
+ */
+const removeMethod = async (instance, { transaction, identityMap, } = {}) => {
+  if (instance[IS_NEW]) {
+    throw new Error('Can not remove an unsaved instance');
+  }
+
+  const Model = instance.constructor;
+  const connector = Model.getConnector();
+  const hooks = Model.getHooks();
+
+  await hooks.run(HOOKS.BEFORE_REMOVE, instance);
+
+  const query = instance.getQueryInstance();
+
+  if (transaction) {
+    query.transaction(transaction);
+  }
+
+  const result = await runInTransaction(transaction, connector, () => connector.removeOne(query));
+
+  if (IdentityMap.resolve(identityMap)) {
+    IdentityMap.resolve(identityMap).delete(instance);
+  }
+
+  await hooks.run(HOOKS.AFTER_REMOVE, instance);
+
+  return result;
+};
+
+module.exports = removeMethod;
@@ -0,0 +1,18 @@
+'use strict';
+
+/**
+ * Run a write operation of the instance on the connector, inside the transaction if one is given
+ * @param {Transaction} [transaction] The transaction given by ilorm.transaction
+ * @param {Connector} connector The connector targeted by the operation
+ * @param {Function} operation The function to run, return a promise
+ * @returns {Promise.<*>} The operation result
+ */
+const runInTransaction = (transaction, connector, operation) => {
+  if (!transaction) {
+    return operation();
+  }
+
+  return transaction.run(connector, operation);
+};
+
+module.exports = runInTransaction;
@@ -0,0 +1,75 @@
+'use strict';
+
+const { HOOKS, IS_NEW, } = require('ilorm-constants').MODEL;
+const { IdentityMap, } = require('../../identityMap');
+const { getChanges, resetChanges, } = require('./changes');
+const runInTransaction = require('./runInTransaction');
+
+/**
+ * Validate then save the instance in the database, running beforeSave and afterSave hooks
+ * A new instance is created, a loaded instance only send the fields which changed since the load.
+ * @param {Model} instance The instance to save
+ * @param {Transaction} [transaction] The transaction to use to save the instance
+ * @param {IdentityMap} [identityMap] The identity map of the scope, if not found with the async scope
+ * @returns {Promise.<Model>} Resolve the saved instance, reject with a ValidationError if the instance is invalid
+ */
+const saveMethod = async (instance, { transaction, identityMap, } = {}) => {
+  const Model = instance.constructor;
+  const connector = Model.getConnector();
+  const hooks = Model.getHooks();
+
+  // If it's a new instance, save it into database:
+  if (instance[IS_NEW]) {
+    await hooks.run(HOOKS.BEFORE_SAVE, instance);
+    await Model.getSchema().validate(instance);
+    await runInTransaction(transaction, connector, () => connector.create(instance, { transaction, }));
+
+    instance[IS_NEW] = false;
+    resetChanges(instance);
+
+    // The created instance is now loaded in the current scope (if any):
+    if (IdentityMap.resolve(identityMap)) {
+      IdentityMap.resolve(identityMap).add(instance);
+    }
+
+    return hooks.run(HOOKS.AFTER_SAVE, instance);
+  }
+
+  // Check if nothing require an update (skip the round trip to the database):
+  if (Object.keys(getChanges(instance)).length === 0) {
+    resetChanges(instance);
+
+    return instance;
+  }
+
+  // If something need to be updated, never send an invalid instance to the database:
+  await hooks.run(HOOKS.BEFORE_SAVE, instance);
+  await Model.getSchema().validate(instance);
+
+  // The changes are computed after the hooks, which could update the instance:
+  const changes = getChanges(instance);
+  const update = Object.keys(changes).reduce((finalUpdate, field) => {
+    finalUpdate[field] = changes[field].newValue;
+
+    return finalUpdate;
+  }, {});
+
+  const query = instance.getQueryInstance();
+
+  if (transaction) {
+    query.transaction(transaction);
+  }
+
+  const isUpdated = await runInTransaction(transaction, connector, () => connector.updateOne(query, update));
+
+  // The connector resolve false if no row match the instance query:
+  if (isUpdated === false) {
+    await instance.handleUnmatchedUpdate();
+  }
+
+  resetChanges(instance);
+
+  return hooks.run(HOOKS.AFTER_SAVE, instance);
+};
+
+module.exports = saveMethod;
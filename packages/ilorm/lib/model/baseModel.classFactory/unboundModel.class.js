@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * Class representing a Model not bound yet with its schema, connector, name...
+ * The model factory and the connector model overload every method of this class.
+ */
+class UnboundModel {
+  /**
+   * Return the schema associated with the current model
+   * @param {Schema} schema the schema returned by the function
+   * @return {Schema} the schema associate with the model
+   */
+  static getSchema() {
+    throw new Error('Missing Schema binding with the Model');
+  }
+
+  /**
+   * Return the unique name of the model
+   * @return {String} The model name
+   */
+  static getName() {
+    throw new Error('Missing Name binding with the Model');
+  }
+
+  /**
+   * Get the connector associate with the model
+   * @return {Connector} The connector associate with the current model
+   */
+  static getConnector() {
+    throw new Error('Missing connector binding with the Model');
+  }
+
+  /**
+   * Get the connector associate with the model
+   * @return {Object} The plugins options associate with the current model
+   */
+  static getPluginsOptions() {
+    throw new Error('Missing plugins options binding with the Model');
+  }
+
+  /**
+   * Get the lifecycle hooks registry associate with the model
+   * @return {Hooks} The hooks associate with the current model
+   */
+  static getHooks() {
+    throw new Error('Missing hooks binding with the Model');
+  }
+
+  /**
+   * Generate a query targeting the primary key of the instance
+   * @returns {Object} Return the query to use to target the current instance
+   */
+  getQueryPrimary() {
+    throw new Error('Missing overload by the connector model');
+  }
+
+  /**
+   * Return a unique key to identify the current instance
+   * @returns {Void} Current primary key
+   */
+  getPrimary() {
+    throw new Error('Missing overload by the connector model');
+  }
+}
+
+module.exports = UnboundModel;
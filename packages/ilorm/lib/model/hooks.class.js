@@ -0,0 +1,87 @@
+'use strict';
+
+const { HOOKS, } = require('ilorm-constants').MODEL;
+
+const HOOK_NAMES = Object.keys(HOOKS).map(key => HOOKS[key]);
+
+/**
+ * Class representing the lifecycle hooks registry of a model
+ * Every hook is an async function called with the model instance. Hooks are run in order of declaration, a hook
+ * which throw (or reject) abort the operation.
+ */
+class Hooks {
+  /**
+   * Create a new registry of hooks
+   * @param {Object} [hooks={}] Hooks to declare, key is the hook name, value a function or an array of functions
+   * @param {Hooks} [parent=null] Registry which hooks will be run before the hooks of the current registry
+   */
+  constructor({ hooks = {}, parent = null, } = {}) {
+    this.parent = parent;
+    this.handlers = new Map();
+
+    HOOK_NAMES.forEach(hookName => this.handlers.set(hookName, []));
+
+    this.addAll(hooks);
+  }
+
+  /**
+   * Declare a new hook
+   * @param {String} hookName The name of the hook (beforeSave, afterSave, beforeRemove, afterRemove, afterLoad)
+   * @param {Function} handler The function to call with the instance
+   * @returns {Hooks} Return the registry to chain declaration
+   */
+  add(hookName, handler) {
+    if (!this.handlers.has(hookName)) {
+      throw new Error(`Unknown hook ${hookName}, valid hooks are : ${HOOK_NAMES.join(', ')}`);
+    }
+
+    if (typeof handler !== 'function') {
+      throw new Error(`The hook ${hookName} need to be a function`);
+    }
+
+    this.handlers.get(hookName).push(handler);
+
+    return this;
+  }
+
+  /**
+   * Declare a list of hooks
+   * @param {Object} hooks Hooks to declare, key is the hook name, value a function or an array of functions
+   * @returns {Hooks} Return the registry to chain declaration
+   */
+  addAll(hooks) {
+    Object.keys(hooks).forEach(hookName => {
+      [].concat(hooks[hookName]).forEach(handler => this.add(hookName, handler));
+    });
+
+    return this;
+  }
+
+  /**
+   * Get every handler associated with the given hook, starting with the parent registry handlers
+   * @param {String} hookName The name of the hook
+   * @returns {Array.<Function>} The list of handler to run
+   */
+  getHandlers(hookName) {
+    const parentHandlers = this.parent ? this.parent.getHandlers(hookName) : [];
+
+    return parentHandlers.concat(this.handlers.get(hookName) || []);
+  }
+
+  /**
+   * Run in order every handler of the given hook
+   * @param {String} hookName The name of the hook to run
+   * @param {Model} instance The instance to give to every handler
+   * @returns {Promise.<Model>} Resolve the instance when every handler is done, reject if a handler abort
+   */
+  async run(hookName, instance) {
+    await this.getHandlers(hookName).reduce(async (previousHandler, handler) => {
+      await previousHandler;
+      await handler(instance);
+    }, Promise.resolve());
+
+    return instance;
+  }
+}
+
+module.exports = Hooks;
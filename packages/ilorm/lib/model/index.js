@@ -1,10 +1,14 @@
 'use strict';
 
 const baseModelClassFactory = require('./baseModel.classFactory');
+const Hooks = require('./hooks.class');
 const modelFactory = require('./model.factory');
+const Scopes = require('./scopes.class');
 
 module.exports = {
   baseModelClassFactory,
+  Hooks,
   modelFactory,
+  Scopes,
 };
 
@@ -1,6 +1,7 @@
 'use strict';
 
 const { Duplex, } = require('stream');
+const { BatchError, } = require('../errors');
 
 /**
  * DuplexStream linked with the model to fast insert data from an input stream or to read all data from the
@@ -30,8 +31,39 @@ class MainStream extends Duplex {
   async _write(rawInstance, encoding, callback) {
     const instance = new this.Model(rawInstance);
 
-    await instance.save();
-    callback();
+    // The save run the model hooks, a hook which abort the save emit an error on the stream:
+    try {
+      await instance.save();
+    } catch (err) {
+      return callback(err);
+    }
+
+    return callback();
+  }
+
+  /**
+   * Method to implement the write of many buffered objects, they are created in batches
+   * Every item is created, even if some items failed. A single failure is emitted as it, several failures are
+   * emitted together as a BatchError.
+   * @param {Array.<Object>} chunks The buffered chunks, each one with the raw object to save
+   * @param {Function} callback Called back when the function have finish
+   * @return {Promise<void>} Resolve when finish
+   * @private
+   */
+  async _writev(chunks, callback) {
+    let errors;
+
+    try {
+      ({ errors, } = await this.Model.createMany(chunks.map(({ chunk, }) => chunk)));
+    } catch (err) {
+      return callback(err);
+    }
+
+    if (errors.length > 1) {
+      return callback(new BatchError(errors));
+    }
+
+    return callback(errors.length > 0 ? errors[0].error : undefined);
   }
 
   /**
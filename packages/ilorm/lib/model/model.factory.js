@@ -1,27 +1,76 @@
 'use strict';
 
 const assert = require('assert');
-
+const Hooks = require('./hooks.class');
+const Scopes = require('./scopes.class');
 
 const {
   SCHEMA,
 } = require('ilorm-constants').MODEL;
 
 
+/**
+ * Check the scope names could be used as query methods, without hiding a field of the schema or a query method
+ * @param {Scopes} scopes The scopes of the model
+ * @param {Schema} schema The schema used by the model
+ * @param {Query} BaseQuery The base query class of the ilorm context
+ * @returns {void} Return nothing
+ */
+const checkScopeNames = ({ scopes, schema, BaseQuery, }) => {
+  scopes.getNames().forEach(scopeName => {
+    if (schema.definition[scopeName] || scopeName in BaseQuery.prototype) {
+      throw new Error(`The scope ${scopeName} could not be declared, a field or a query method use the same name.`);
+    }
+  });
+};
+
 /**
  * Create a new Model class with the given parameter
  * @param {Connector} connector The connector used by the model
+ * @param {Object} hooks The lifecycle hooks of the model
+ *  (beforeSave, afterSave, beforeRemove, afterRemove, afterLoad)
  * @param {Ilorm} ilorm the current ilorm context instance
  * @param {String|Symbol} name The name of the model
  * @param {Object} pluginsOptions Add special plugin configuration
  * @param {Schema} schema The schema used by the model
+ * @param {Object} scopes The named scopes of the model (key is the scope name, value a function or
+ *  { handler, isDefault })
  * @returns {Model} The new model to use in project
  */
-const modelFactory = ({ connector = null, ilorm, name = Symbol('Model'), pluginsOptions = {}, schema, }) => {
-  const { BaseModel, modelsIndex, } = ilorm;
+const modelFactory = ({
+  connector = null,
+  hooks = {},
+  ilorm,
+  name = Symbol('Model'),
+  pluginsOptions = {},
+  schema,
+  scopes = {},
+}) => {
+  const { BaseModel, BaseQuery, modelsIndex, } = ilorm;
 
   assert(schema, 'IlormError: In the model factory the schema can not be undefined');
 
+  // Hooks declared by plugins on the ilorm context are run before the model hooks:
+  const modelHooks = new Hooks({
+    hooks,
+    parent: ilorm.hooks,
+  });
+
+  // Scopes declared by plugins are available on every model, the model could overload them:
+  const modelScopes = new Scopes({
+    scopes,
+    parent: ilorm.scopes,
+  });
+
+  checkScopeNames({
+    scopes: modelScopes,
+    schema,
+    BaseQuery,
+  });
+
+  // Replaced by the schema bound with the model (a plugin could bind a completed copy):
+  let modelSchema = schema;
+
   /**
    * The InternalModel it's a class created dynamically in function of the schema, the connector and the name
    * given by the model.
@@ -40,7 +89,7 @@ const modelFactory = ({ connector = null, ilorm, name = Symbol('Model'), plugins
      * @returns {Schema} The schema of the model
      */
     static getSchema() {
-      return schema;
+      return modelSchema;
     }
 
     /**
@@ -58,13 +107,34 @@ const modelFactory = ({ connector = null, ilorm, name = Symbol('Model'), plugins
     static getPluginsOptions() {
       return pluginsOptions;
     }
+
+    /**
+     * Return the lifecycle hooks registry associated with the model
+     * @returns {Hooks} The hooks of the model
+     */
+    static getHooks() {
+      return modelHooks;
+    }
+
+    /**
+     * Return the named scopes registry associated with the model
+     * @returns {Scopes} The scopes of the model
+     */
+    static getScopes() {
+      return modelScopes;
+    }
   }
 
-  InternalModel[SCHEMA] = schema;
+  // The schema is bound before the connector model, a plugin could complete the schema in function of the model:
+  modelSchema = schema.bindWithModel({
+    InternalModel,
+  });
+
+  InternalModel[SCHEMA] = modelSchema;
 
   const connectorModelParams = {
     name,
-    schema,
+    schema: modelSchema,
     ParentModel: InternalModel,
   };
 
@@ -76,10 +146,6 @@ const modelFactory = ({ connector = null, ilorm, name = Symbol('Model'), plugins
 
   modelsIndex.set(name, ConnectorModel);
 
-  schema.bindWithModel({
-    InternalModel,
-  });
-
   return ConnectorModel;
 };
 
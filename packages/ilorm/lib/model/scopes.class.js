@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * Class representing the named scopes registry of a model
+ * A scope is a function called with the query and the parameters given to the scope method, used to share filters.
+ * A default scope is applied on every query of the model, except if the query is unscoped.
+ */
+class Scopes {
+  /**
+   * Create a new registry of scopes
+   * @param {Object} [scopes={}] Scopes to declare, key is the scope name, value a function or { handler, isDefault }
+   * @param {Scopes} [parent=null] Registry which scopes are available too, the current registry could overload them
+   */
+  constructor({ scopes = {}, parent = null, } = {}) {
+    this.parent = parent;
+    this.scopes = new Map();
+
+    this.addAll(scopes);
+  }
+
+  /**
+   * Declare a new scope
+   * @param {String} name The name of the scope, used as query method
+   * @param {Function|Object} scope The function to call with the query, or an object { handler, isDefault }
+   * @returns {Scopes} Return the registry to chain declaration
+   */
+  add(name, scope) {
+    const { handler, isDefault = false, } = typeof scope === 'function' ? { handler: scope, } : scope || {};
+
+    if (typeof handler !== 'function') {
+      throw new Error(`The scope ${name} need to be a function`);
+    }
+
+    this.scopes.set(name, {
+      name,
+      handler,
+      isDefault,
+    });
+
+    return this;
+  }
+
+  /**
+   * Declare a list of scopes
+   * @param {Object} scopes Scopes to declare, key is the scope name, value a function or { handler, isDefault }
+   * @returns {Scopes} Return the registry to chain declaration
+   */
+  addAll(scopes) {
+    Object.keys(scopes).forEach(name => this.add(name, scopes[name]));
+
+    return this;
+  }
+
+  /**
+   * Get a scope by its name, from the current registry or its parent
+   * @param {String} name The name of the scope
+   * @returns {Object|undefined} The scope ({ name, handler, isDefault }), undefined if not declared
+   */
+  get(name) {
+    if (this.scopes.has(name)) {
+      return this.scopes.get(name);
+    }
+
+    return this.parent ? this.parent.get(name) : undefined;
+  }
+
+  /**
+   * Get the name of every scope available, starting with the parent registry scopes
+   * @returns {Array.<String>} The scope names
+   */
+  getNames() {
+    const parentNames = this.parent ? this.parent.getNames() : [];
+
+    return parentNames.concat(Array.from(this.scopes.keys()).filter(name => !parentNames.includes(name)));
+  }
+
+  /**
+   * Get every default scope, applied on each query which is not unscoped
+   * @returns {Array.<Object>} The default scopes
+   */
+  getDefaults() {
+    return this.getNames()
+      .map(name => this.get(name))
+      .filter(({ isDefault, }) => isDefault);
+  }
+}
+
+module.exports = Scopes;
@@ -37,6 +37,7 @@ describe('ilorm', () => {
           expect(BaseModel.getSchema).to.throw('Missing Schema binding with the Model');
           expect(BaseModel.getName).to.throw('Missing Name binding with the Model');
           expect(BaseModel.getPluginsOptions).to.throw('Missing plugins options binding with the Model');
+          expect(BaseModel.getHooks).to.throw('Missing hooks binding with the Model');
           expect(modelInstance.getQueryPrimary).to.throw('Missing overload by the connector model');
           expect(modelInstance.getPrimary).to.throw('Missing overload by the connector model');
         });
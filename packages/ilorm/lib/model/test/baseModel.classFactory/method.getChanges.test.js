@@ -0,0 +1,135 @@
+/* eslint-disable */
+
+const assert = require('assert');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const { spy, stub } = require('sinon');
+
+chai.use(chaiAsPromised);
+
+const { expect } = chai;
+
+const baseModelClassFactory = require('../../baseModel.classFactory');
+const Hooks = require('../../hooks.class');
+
+const fakeIlorm = {
+  modelsIndex: new Map(),
+};
+
+const fakeConnector = {
+  create: spy(),
+  updateOne: spy(),
+};
+
+class FakeModel extends baseModelClassFactory(fakeIlorm) {
+  static getName() {
+    return 'fakeModel';
+  }
+
+  static getConnector() {
+    return fakeConnector;
+  }
+
+  static getSchema() {
+    return {
+      validate: stub().resolves(),
+    };
+  }
+
+  static getHooks() {
+    return new Hooks();
+  }
+
+  getQueryPrimary() {
+    return 'FAKE_PRIMARY';
+  }
+}
+
+fakeIlorm.modelsIndex.set('fakeModel', FakeModel);
+
+describe('ilorm', () => {
+  describe('model', () => {
+    describe('baseModel.classFactory', () => {
+      describe('Method - isModified / getChanges / revert', () => {
+        it('A loaded instance should not be modified', () => {
+          const instance = FakeModel.instantiate({
+            firstName: 'Guillaume',
+            birthday: new Date(0),
+          });
+
+          expect(instance.isModified()).to.be.equal(false);
+          expect(instance.isModified('firstName')).to.be.equal(false);
+          expect(instance.getChanges()).to.be.deep.equal({});
+        });
+
+        it('Should track only values which really changed', () => {
+          const instance = FakeModel.instantiate({
+            firstName: 'Guillaume',
+            lastName: 'Daix',
+            birthday: new Date(0),
+            address: { city: 'Paris' },
+          });
+
+          instance.firstName = 'Smith';
+          instance.firstName = 'John';
+          instance.lastName = 'Daix';
+          instance.birthday = new Date(0);
+          instance.address.city = 'Lyon';
+
+          expect(instance.isModified('firstName')).to.be.equal(true);
+          expect(instance.isModified('lastName')).to.be.equal(false);
+          expect(instance.isModified('birthday')).to.be.equal(false);
+          expect(instance.getChanges()).to.be.deep.equal({
+            firstName: { oldValue: 'Guillaume', newValue: 'John' },
+            address: { oldValue: { city: 'Paris' }, newValue: { city: 'Lyon' } },
+          });
+        });
+
+        it('Should revert one or every field to the loaded value', () => {
+          const instance = FakeModel.instantiate({
+            firstName: 'Guillaume',
+            address: { city: 'Paris' },
+          });
+
+          instance.firstName = 'John';
+          instance.address.city = 'Lyon';
+          instance.nickname = 'Johnny';
+
+          instance.revert('firstName');
+
+          expect(instance.firstName).to.be.equal('Guillaume');
+          expect(Object.keys(instance.getChanges()).sort()).to.be.deep.equal([ 'address', 'nickname' ]);
+
+          instance.revert();
+
+          expect(instance.address).to.be.deep.equal({ city: 'Paris' });
+          expect(instance.nickname).to.be.equal(undefined);
+          expect(instance.isModified()).to.be.equal(false);
+        });
+
+        it('save should only send changed fields, and skip the database if nothing changed', async () => {
+          fakeConnector.updateOne.resetHistory();
+
+          const instance = FakeModel.instantiate({
+            firstName: 'Guillaume',
+            lastName: 'Daix',
+          });
+
+          instance.lastName = 'Daix';
+          await instance.save();
+
+          expect(fakeConnector.updateOne.notCalled).to.be.equal(true);
+
+          instance.firstName = 'John';
+          await instance.save();
+
+          assert(fakeConnector.updateOne.calledOnceWith('FAKE_PRIMARY', {
+            firstName: 'John',
+          }));
+          expect(instance.isModified()).to.be.equal(false);
+          expect(instance.getChanges()).to.be.deep.equal({});
+        });
+      });
+    });
+  });
+});
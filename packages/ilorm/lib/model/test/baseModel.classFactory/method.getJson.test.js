@@ -0,0 +1,49 @@
+/* eslint-disable */
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const { spy, } = require('sinon');
+
+chai.use(chaiAsPromised);
+
+const { expect, } = chai;
+
+const { ValidationError, } = require('../../../errors');
+const { initModel, } = require('ilorm-connector-memory/fixture');
+
+describe('ilorm', () => {
+  describe('model', () => {
+    describe('baseModel.classFactory', () => {
+      describe('Method - getJson', () => {
+        it('Should serialize a loaded row which is not valid anymore, without running the validators', async () => {
+          const validator = spy(value => value > 0);
+          const { Model: User, } = initModel({
+            rows: [
+              { id: 1, name: null, weight: -5, birthday: '1990-03-01T00:00:00.000Z', },
+            ],
+            schema: Schema => ({
+              name: Schema.string().required(),
+              weight: Schema.number().validator(validator),
+              birthday: Schema.date(),
+            }),
+          });
+
+          const user = await User.query().id.is(1).findOne();
+
+          expect(await user.getJson()).to.be.deep.equal({
+            id: 1,
+            name: null,
+            weight: -5,
+            birthday: new Date('1990-03-01'),
+          });
+          expect(validator.called).to.be.equal(false);
+
+          user.weight = -6;
+
+          await expect(user.save()).to.be.rejectedWith(ValidationError);
+          expect(validator.called).to.be.equal(true);
+        });
+      });
+    });
+  });
+});
@@ -11,6 +11,7 @@ chai.use(chaiAsPromised);
 const { expect } = chai;
 
 const baseModelClassFactory = require('../../baseModel.classFactory');
+const Hooks = require('../../hooks.class');
 const { IS_NEW, } = require('ilorm-constants').MODEL;
 
 
@@ -18,11 +19,17 @@ const fakeConnector = {
   removeOne: spy(),
 };
 
+const fakeHooks = new Hooks();
+
 class FakeModel extends baseModelClassFactory({}) {
   static getConnector() {
     return fakeConnector;
   }
 
+  static getHooks() {
+    return fakeHooks;
+  }
+
   getQueryPrimary() {
     return 'FAKE_PRIMARY';
   }
@@ -50,6 +57,46 @@ describe('ilorm', () => {
 
           assert(fakeConnector.removeOne.calledWith('FAKE_PRIMARY'));
         });
+
+        it('remove should run beforeRemove and afterRemove hooks, and could be aborted', async () => {
+          fakeConnector.removeOne.resetHistory();
+
+          const beforeRemove = spy();
+          const afterRemove = spy();
+          let abort = false;
+
+          class HookModel extends FakeModel {
+            static getHooks() {
+              return new Hooks({
+                hooks: {
+                  beforeRemove: [
+                    beforeRemove,
+                    () => {
+                      if (abort) {
+                        throw new Error('Aborted by hook');
+                      }
+                    },
+                  ],
+                  afterRemove,
+                },
+              });
+            }
+          }
+
+          const instance = new HookModel();
+          instance[IS_NEW] = false;
+
+          await instance.remove();
+
+          assert(beforeRemove.calledWith(instance));
+          assert(beforeRemove.calledBefore(fakeConnector.removeOne));
+          assert(afterRemove.calledAfter(fakeConnector.removeOne));
+
+          abort = true;
+
+          await expect(instance.remove()).to.be.rejectedWith('Aborted by hook');
+          expect(fakeConnector.removeOne.calledOnce).to.be.equal(true);
+        });
       });
     });
   });
@@ -3,7 +3,7 @@
 const assert = require('assert');
 const chai = require('chai');
 const chaiAsPromised = require('chai-as-promised');
-const { spy } = require('sinon');
+const { spy, stub } = require('sinon');
 
 
 chai.use(chaiAsPromised);
@@ -11,6 +11,7 @@ chai.use(chaiAsPromised);
 const { expect } = chai;
 
 const baseModelClassFactory = require('../../baseModel.classFactory');
+const Hooks = require('../../hooks.class');
 const { IS_NEW, } = require('ilorm-constants').MODEL;
 
 const fakeConnector = {
@@ -18,11 +19,25 @@ const fakeConnector = {
   updateOne: spy(),
 };
 
+const fakeSchema = {
+  validate: stub().resolves(),
+};
+
+const fakeHooks = new Hooks();
+
 class FakeModel extends baseModelClassFactory({}) {
   static getConnector() {
     return fakeConnector;
   }
 
+  static getHooks() {
+    return fakeHooks;
+  }
+
+  static getSchema() {
+    return fakeSchema;
+  }
+
   getQueryPrimary() {
     return 'FAKE_PRIMARY';
   }
@@ -75,6 +90,119 @@ describe('ilorm', () => {
           expect(fakeConnector.create.notCalled).to.be.equal(true);
           expect(fakeConnector.updateOne.notCalled).to.be.equal(true);
         });
+
+        it('save should validate the instance before sending it to the connector', async () => {
+          fakeConnector.create.resetHistory();
+          fakeSchema.validate.resetHistory();
+
+          const instance = new FakeModel();
+
+          await instance.save();
+
+          assert(fakeSchema.validate.calledWith(instance));
+          assert(fakeSchema.validate.calledBefore(fakeConnector.create));
+        });
+
+        it('save should not call the connector if the instance is invalid', async () => {
+          fakeConnector.create.resetHistory();
+          fakeConnector.updateOne.resetHistory();
+          fakeSchema.validate.rejects(new Error('Invalid instance'));
+
+          const instance = new FakeModel();
+
+          await expect(instance.save()).to.be.rejectedWith('Invalid instance');
+
+          instance[IS_NEW] = false;
+          instance.property = 'new value';
+
+          await expect(instance.save()).to.be.rejectedWith('Invalid instance');
+
+          expect(fakeConnector.create.notCalled).to.be.equal(true);
+          expect(fakeConnector.updateOne.notCalled).to.be.equal(true);
+
+          fakeSchema.validate.resolves();
+        });
+
+        it('save should run beforeSave and afterSave hooks in order around the connector call', async () => {
+          fakeConnector.create.resetHistory();
+
+          const calls = [];
+          const hooks = new Hooks({
+            hooks: {
+              beforeSave: [
+                async instance => {
+                  calls.push('beforeSave 1');
+                  instance.updatedBy = 'hook';
+                },
+                () => calls.push('beforeSave 2'),
+              ],
+              afterSave: instance => calls.push(`afterSave ${instance[IS_NEW]}`),
+            },
+          });
+
+          class HookModel extends FakeModel {
+            static getHooks() {
+              return hooks;
+            }
+          }
+
+          const instance = new HookModel();
+
+          await instance.save();
+
+          expect(calls).to.be.deep.equal([ 'beforeSave 1', 'beforeSave 2', 'afterSave false' ]);
+          expect(instance.updatedBy).to.be.equal('hook');
+          assert(fakeConnector.create.calledOnce);
+        });
+
+        it('save should be aborted if a beforeSave hook throw', async () => {
+          fakeConnector.create.resetHistory();
+
+          const afterSave = spy();
+
+          class HookModel extends FakeModel {
+            static getHooks() {
+              return new Hooks({
+                hooks: {
+                  beforeSave: () => Promise.reject(new Error('Aborted by hook')),
+                  afterSave,
+                },
+              });
+            }
+          }
+
+          const instance = new HookModel();
+
+          await expect(instance.save()).to.be.rejectedWith('Aborted by hook');
+
+          expect(instance[IS_NEW]).to.be.equal(true);
+          expect(fakeConnector.create.notCalled).to.be.equal(true);
+          expect(afterSave.notCalled).to.be.equal(true);
+        });
+
+        it('save should call handleUnmatchedUpdate if the connector matched no row', async () => {
+          const handleUnmatchedUpdate = spy();
+
+          class UnmatchedModel extends FakeModel {
+            static getConnector() {
+              return {
+                updateOne: () => Promise.resolve(false),
+              };
+            }
+
+            handleUnmatchedUpdate() {
+              handleUnmatchedUpdate(this);
+            }
+          }
+
+          const instance = new UnmatchedModel();
+          instance[IS_NEW] = false;
+          instance.property = 'new value';
+
+          await instance.save();
+
+          assert(handleUnmatchedUpdate.calledOnceWith(instance));
+        });
       });
     });
   });
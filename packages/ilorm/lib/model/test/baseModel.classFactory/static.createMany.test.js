@@ -0,0 +1,101 @@
+/* eslint-disable */
+
+const { expect, } = require('chai');
+const { spy, } = require('sinon');
+
+const { ValidationError, } = require('../../../errors');
+const { IS_NEW, } = require('ilorm-constants').MODEL;
+const { initModel, } = require('ilorm-connector-memory/fixture');
+
+const initUserModel = ({ rows, hooks, } = {}) => {
+  const { Model, connector, getRows, } = initModel({
+    rows,
+    hooks,
+    schema: Schema => ({
+      name: Schema.string().required(),
+      role: Schema.string().default('member'),
+    }),
+  });
+
+  spy(connector, 'create');
+
+  return {
+    User: Model,
+    connector,
+    getRows,
+  };
+};
+
+describe('ilorm', () => {
+  describe('model', () => {
+    describe('baseModel.classFactory', () => {
+      describe('Static - createMany', () => {
+        it('Should create the instances in batches, with the schema default values', async () => {
+          const { User, connector, } = initUserModel();
+
+          const { instances, errors, } = await User.createMany([
+            { name: 'Thibauld', },
+            { name: 'Guillaume', role: 'admin', },
+            { name: 'Smith', },
+          ], { batchSize: 2, });
+
+          expect(errors).to.be.deep.equal([]);
+          expect(connector.create.callCount).to.be.equal(2);
+          expect(connector.create.firstCall.args[0]).to.have.lengthOf(2);
+          expect(connector.create.secondCall.args[0]).to.have.lengthOf(1);
+          expect(instances.map(instance => instance.role)).to.be.deep.equal([ 'member', 'admin', 'member', ]);
+          expect(instances.every(instance => instance instanceof User && instance[IS_NEW] === false)).to.be.equal(true);
+          expect(instances[0].isModified()).to.be.equal(false);
+        });
+
+        it('Should report every invalid item and still create the valid ones', async () => {
+          const { User, connector, } = initUserModel();
+
+          const { instances, errors, } = await User.createMany([
+            { name: 'Thibauld', },
+            { role: 'admin', },
+          ]);
+
+          expect(instances.map(instance => instance.name)).to.be.deep.equal([ 'Thibauld', ]);
+          expect(connector.create.calledOnce).to.be.equal(true);
+          expect(errors).to.have.lengthOf(1);
+          expect(errors[0].index).to.be.equal(1);
+          expect(errors[0].error).to.be.an.instanceOf(ValidationError);
+        });
+
+        it('Should report every item of a batch the connector failed to create', async () => {
+          const { User, getRows, } = initUserModel({
+            rows: [ { id: 1, name: 'Smith', role: 'member', }, ],
+          });
+
+          const { instances, errors, } = await User.createMany([
+            { id: 2, name: 'Thibauld', },
+            { id: 1, name: 'Smith', },
+          ], { batchSize: 1, });
+
+          expect(instances.map(instance => instance.name)).to.be.deep.equal([ 'Thibauld', ]);
+          expect(errors).to.have.lengthOf(1);
+          expect(errors[0].index).to.be.equal(1);
+          expect(errors[0].error.message).to.be.equal('connector.memory: The id 1 already exists in the collection user.');
+          expect(getRows()).to.have.lengthOf(2);
+        });
+
+        it('Should run the save hooks on every instance', async () => {
+          const beforeSave = spy();
+          const afterSave = spy();
+          const { User, } = initUserModel({
+            hooks: {
+              beforeSave,
+              afterSave,
+            },
+          });
+
+          await User.createMany([ { name: 'Thibauld', }, { name: 'Smith', }, ]);
+
+          expect(beforeSave.callCount).to.be.equal(2);
+          expect(afterSave.callCount).to.be.equal(2);
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,59 @@
+/* eslint-disable */
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const { spy, } = require('sinon');
+
+chai.use(chaiAsPromised);
+
+const { expect } = chai;
+
+const Hooks = require('../hooks.class');
+
+describe('ilorm', () => {
+  describe('model', () => {
+    describe('hooks.class', () => {
+      it('Should run every handler in order, parent handlers first', async () => {
+        const calls = [];
+        const parent = new Hooks({
+          hooks: {
+            afterLoad: () => calls.push('parent'),
+          },
+        });
+        const hooks = new Hooks({
+          hooks: {
+            afterLoad: [
+              () => new Promise(resolve => setTimeout(() => resolve(calls.push('model 1')), 10)),
+              () => calls.push('model 2'),
+            ],
+          },
+          parent,
+        });
+
+        const instance = {};
+
+        expect(await hooks.run('afterLoad', instance)).to.be.equal(instance);
+        expect(calls).to.be.deep.equal([ 'parent', 'model 1', 'model 2' ]);
+      });
+
+      it('Should stop the run at the first handler which throw', async () => {
+        const lastHandler = spy();
+        const hooks = new Hooks()
+          .add('beforeSave', () => {
+            throw new Error('Abort');
+          })
+          .add('beforeSave', lastHandler);
+
+        await expect(hooks.run('beforeSave', {})).to.be.rejectedWith('Abort');
+        expect(lastHandler.notCalled).to.be.equal(true);
+      });
+
+      it('Should refuse unknown hook or invalid handler', () => {
+        const hooks = new Hooks();
+
+        expect(() => hooks.add('beforeNothing', () => {})).to.throw('Unknown hook beforeNothing');
+        expect(() => hooks.add('afterSave', 'notAFunction')).to.throw('The hook afterSave need to be a function');
+      });
+    });
+  });
+});
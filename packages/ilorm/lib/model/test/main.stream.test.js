@@ -3,6 +3,7 @@
 const { expect, } = require('chai');
 const { spy, } = require('sinon');
 
+const { BatchError, } = require('../../errors');
 const MainStream = require('../main.stream');
 
 describe('ilorm', () => {
@@ -28,6 +29,62 @@ describe('ilorm', () => {
 
       });
 
+      it('Should create the buffered elements in one batch', done => {
+        const createManySpy = spy(() => Promise.resolve({ instances: [], errors: [], }));
+
+        class FakeModel {
+          static createMany(rawObjects) {
+            return createManySpy(rawObjects);
+          }
+        };
+
+        const currentStream = new MainStream({
+          Model: FakeModel,
+        });
+
+        currentStream.cork();
+        currentStream.write({ id: 1, });
+        currentStream.write({ id: 2, });
+        currentStream.uncork();
+
+        currentStream.end(() => {
+          expect(createManySpy.calledOnce).to.be.equal(true);
+          expect(createManySpy.firstCall.args[0]).to.be.deep.equal([ { id: 1, }, { id: 2, }, ]);
+          done();
+        });
+      });
+
+      it('Should emit every failure of the batch', done => {
+        const firstError = new Error('Duplicated id 1');
+        const secondError = new Error('Duplicated id 3');
+
+        class FakeModel {
+          static createMany() {
+            return Promise.resolve({
+              instances: [ { id: 2, }, ],
+              errors: [ { index: 0, error: firstError, }, { index: 2, error: secondError, }, ],
+            });
+          }
+        };
+
+        const currentStream = new MainStream({
+          Model: FakeModel,
+        });
+
+        currentStream.on('error', err => {
+          expect(err).to.be.instanceOf(BatchError);
+          expect(err.message).to.be.equal('2 items of the batch failed : 0: Duplicated id 1, 2: Duplicated id 3');
+          expect(err.errors).to.be.deep.equal([ { index: 0, error: firstError, }, { index: 2, error: secondError, }, ]);
+          done();
+        });
+
+        currentStream.cork();
+        currentStream.write({ id: 1, });
+        currentStream.write({ id: 2, });
+        currentStream.write({ id: 3, });
+        currentStream.uncork();
+      });
+
       it('Should create a stream targeting every element from the database when read', done => {
         let readCounter = 0;
 
@@ -17,7 +17,9 @@ const fakeConnector = {
   modelFactory: ({ ParentModel }) => ParentModel,
 };
 const fakeSchema = {
-  bindWithModel: () => {},
+  bindWithModel() {
+    return this;
+  },
   getProxy: () => ({})
 };
 
@@ -51,6 +53,26 @@ describe('ilorm', () => {
 
         expect(instance).to.be.instanceOf(Model);
       });
+
+      it('Should bind the model hooks with the ilorm hooks', () => {
+        const Hooks = require('../hooks.class');
+        const beforeSave = () => {};
+        const pluginBeforeSave = () => {};
+
+        const Model = ModelFactory({
+          connector: fakeConnector,
+          hooks: {
+            beforeSave,
+          },
+          ilorm: Object.assign({}, fakeIlorm, {
+            hooks: new Hooks().add('beforeSave', pluginBeforeSave),
+          }),
+          schema: fakeSchema,
+        });
+
+        expect(Model.getHooks()).to.be.instanceOf(Hooks);
+        expect(Model.getHooks().getHandlers('beforeSave')).to.be.deep.equal([ pluginBeforeSave, beforeSave ]);
+      });
     });
   });
 });
@@ -0,0 +1,31 @@
+'use strict';
+
+const { FIELDS, SELECT_BEHAVIOR, } = require('ilorm-constants').QUERY;
+const { IDENTITY_MAP, MODEL, SELECT, } = FIELDS;
+
+/**
+ * Create the applySelectBehaviorOnConnectorResult method from a query instance
+ * @param {BaseQuery} query The query to use to create the method
+ * @returns {Function} The method converting raw result from connector to instance or selected field
+ */
+const applySelectBehaviorMethod = query => rawResult => {
+  // Without raw result, you return null to show the absence of value :
+  if (!rawResult) {
+    return null;
+  }
+
+  // Classic way, without select, you only instantiate the child model :
+  if (query[SELECT].behavior === SELECT_BEHAVIOR.ALL) {
+    return query[MODEL].instantiate(rawResult, { identityMap: query[IDENTITY_MAP], });
+  }
+
+  // queryField.selectOnly() will return only the field value :
+  if (query[SELECT].behavior === SELECT_BEHAVIOR.ONE) {
+    return rawResult[query[SELECT].fields[0]];
+  }
+
+  // queryField.select() it's the connector work to choose the select field :
+  return rawResult;
+};
+
+module.exports = applySelectBehaviorMethod;
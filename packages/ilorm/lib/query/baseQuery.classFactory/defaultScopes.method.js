@@ -0,0 +1,25 @@
+'use strict';
+
+const { MODEL, UNSCOPED, } = require('ilorm-constants').QUERY.FIELDS;
+
+/**
+ * Apply the default scopes of the model on the query, except the ones removed with query.unscoped()
+ * The default scopes are applied only once, even if the query is run many times.
+ * @param {Query} query The query to apply the default scopes on
+ * @returns {void} Return nothing
+ */
+const applyDefaultScopesMethod = query => {
+  const unscoped = query[UNSCOPED] || [];
+
+  if (unscoped === true) {
+    return;
+  }
+
+  query[MODEL].getScopes().getDefaults()
+    .filter(({ name, }) => !unscoped.includes(name))
+    .forEach(({ handler, }) => handler(query));
+
+  query[UNSCOPED] = true;
+};
+
+module.exports = applyDefaultScopesMethod;
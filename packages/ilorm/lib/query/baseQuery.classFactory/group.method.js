@@ -0,0 +1,41 @@
+'use strict';
+
+/**
+ * Declare a group of branches (or, and, not) on the query
+ * @param {BaseQuery} query The query where the group is declared
+ * @param {Symbol} field The query field storing the groups (QUERY_OR, QUERY_AND or QUERY_NOT)
+ * @param {Function} handler be called back with a branch parameter using to create new branch
+ * @returns {Query} Return the query to chain call
+ */
+const groupMethod = ({ query, field, handler, }) => {
+  const groupClause = [];
+
+  /**
+   * The branch function could be invoked to each branch you want to describe
+   * @returns {Query} The query to use to explain what your branch do
+   */
+  const branch = () => {
+    const branchQuery = new query.constructor();
+
+    groupClause.push(branchQuery);
+
+    return branchQuery;
+  };
+
+  handler(branch);
+
+  // A group without branch does not change the query:
+  if (groupClause.length === 0) {
+    return query;
+  }
+
+  if (!query[field]) {
+    query[field] = [];
+  }
+
+  query[field].push(groupClause);
+
+  return query;
+};
+
+module.exports = groupMethod;
@@ -1,14 +1,19 @@
 'use strict';
 
 const { FIELDS, SELECT_BEHAVIOR, } = require('ilorm-constants').QUERY;
-const { CONNECTOR, LIMIT, LINKED_WITH, MODEL, SELECT, SKIP, UPDATE, } = FIELDS;
+const { HOOKS, } = require('ilorm-constants').MODEL;
+const { AGGREGATE, CONNECTOR, GROUP_BY, MODEL, SCHEMA, SELECT, } = FIELDS;
 
-const queryBuilderMethod = require('./queryBuilder.method');
 const proxyFactory = require('./proxyFactory');
+const QueryRunner = require('./queryRunner.class');
 
-const orMethod = require('./or.method');
+const applySelectBehaviorMethod = require('./applySelectBehavior.method');
+const linkedWithMethod = require('./linkedWith.method');
+const paginateMethod = require('./paginate.method');
+const populateMethod = require('./populate.method');
 const streamMethod = require('./stream.method');
 const restrictToModelMethod = require('./restrictToModel.method');
+const upsertMethod = require('./upsert.method');
 
 /**
  * Instantiate the BaseQuery by injecting the ilorm instance
@@ -16,15 +21,19 @@ const restrictToModelMethod = require('./restrictToModel.method');
  * @returns {BaseQuery} Return BaseQuery class
  */
 const injectIlorm = ilorm => {
+  const populateInstances = populateMethod(ilorm);
+
   /**
    * Class representing a queryBuilder
    * It's used by the framework to build query
    */
-  class BaseQuery {
+  class BaseQuery extends QueryRunner {
     /**
      * Init the query object
      */
     constructor() {
+      super();
+
       return proxyFactory(this);
     }
 
@@ -39,28 +48,11 @@ const injectIlorm = ilorm => {
 
     /**
      * Declare field as linked with another query, model or ID.
-     * @param {Model|Query} relatedElement Specify an element which be linked with the query result
+     * @param {Model|Array.<Model>|Query} relatedElement Specify an element which be linked with the query result
      * @returns {Query} Return the query to make additional link or filters
      */
     linkedWith(relatedElement) {
-      let query;
-
-      // It's a query:
-      if (relatedElement && relatedElement[MODEL]) {
-        query = relatedElement;
-      }
-
-      // It's a model:
-      if (!query && relatedElement && relatedElement.getName) {
-        return this.restrictToModel(relatedElement);
-      }
-      if (!query) {
-        throw new Error('linkedWith parameter is not valid, need to be an instanceof Query or Model');
-      }
-
-      this[LINKED_WITH] = query;
-
-      return this;
+      return linkedWithMethod(this)(relatedElement);
     }
 
     /**
@@ -69,8 +61,11 @@ const injectIlorm = ilorm => {
      */
     async findOne() {
       const rawResult = await this.runQuery('findOne');
+      const result = await this.loadConnectorResult(rawResult);
 
-      return this.applySelectBehaviorOnConnectorResult(rawResult);
+      await populateInstances(this, [ result, ]);
+
+      return result;
     }
 
     /**
@@ -79,64 +74,61 @@ const injectIlorm = ilorm => {
      */
     async find() {
       const rawResultList = await this.runQuery('find');
+      const results = await Promise.all(rawResultList.map(rawResult => this.loadConnectorResult(rawResult)));
 
-      return rawResultList.map(rawResult => this.applySelectBehaviorOnConnectorResult(rawResult));
+      return populateInstances(this, results);
     }
 
     /**
-     * Apply the primary key of the current query
-     * @param {Mixed} primary The key to apply
-     * @returns {Void} Return nothing
+     * Load a page of instances, using the query sort followed by the primary key as cursor (keyset pagination)
+     * @param {Object} [options] Options of the page
+     * @param {String} [options.after] The cursor returned with the previous page
+     * @param {Number} [options.size=20] The number of instances of the page
+     * @returns {Promise.<Object>} The page : { items, nextCursor, hasMore }, nextCursor is null on the last page
      */
-    restrictToPrimary() {
-      throw new Error('Required to be overload by connector query class');
+    paginate(options) {
+      return paginateMethod(this, options);
     }
 
     /**
-     * Convert raw result from connector find or findOne to instance or selected field
+     * Convert raw result from connector and run the afterLoad hooks on instantiated model
      * @param {Object} rawResult The raw result to convert
-     * @returns {Object|null} The result in function of select behavior
+     * @returns {Promise.<Object|null>} The result in function of select behavior
      */
-    applySelectBehaviorOnConnectorResult(rawResult) {
-      // Without raw result, you return null to show the absence of value :
-      if (!rawResult) {
-        return null;
-      }
-
-      // Classic way, without select, you only instantiate the child model :
-      if (this[SELECT].behavior === SELECT_BEHAVIOR.ALL) {
-        return this[MODEL].instantiate(rawResult);
-      }
+    loadConnectorResult(rawResult) {
+      const result = this.applySelectBehaviorOnConnectorResult(rawResult);
 
-      // queryField.selectOnly() will return only the field value :
-      if (this[SELECT].behavior === SELECT_BEHAVIOR.ONE) {
-        return rawResult[this[SELECT].fields[0]];
+      if (!result || this[SELECT].behavior !== SELECT_BEHAVIOR.ALL) {
+        return Promise.resolve(result);
       }
 
-      // queryField.select() it's the connector work to choose the select field :
-      return rawResult;
+      return this[MODEL].getHooks().run(HOOKS.AFTER_LOAD, result);
     }
 
     /**
-     * Declare the number of element to skip (the query will ignore this element).
-     * @param {Number} nbElementToSkip The number of element to skip
-     * @returns {Query} Return the query to make additional link or filters
+     * Apply the primary key of the current query
+     * @param {Mixed} primary The key to apply
+     * @returns {Void} Return nothing
      */
-    skip(nbElementToSkip) {
-      this[SKIP] = nbElementToSkip;
-
-      return this;
+    restrictToPrimary() {
+      throw new Error('Required to be overload by connector query class');
     }
 
     /**
-     * Declare the number of element to query (the query will only returns this elements).
-     * @param {Number} nbElementToQuery The number of element to get
-     * @returns {Query} Return the query to make additional link or filters
+     * Return the fields of the primary key of the model, used to order the query (pagination)
+     * @returns {Array.<String>} The primary key fields
      */
-    limit(nbElementToQuery) {
-      this[LIMIT] = nbElementToQuery;
+    getPrimaryKeys() {
+      throw new Error('Required to be overload by connector query class');
+    }
 
-      return this;
+    /**
+     * Convert raw result from connector find or findOne to instance or selected field
+     * @param {Object} rawResult The raw result to convert
+     * @returns {Object|null} The result in function of select behavior
+     */
+    applySelectBehaviorOnConnectorResult(rawResult) {
+      return applySelectBehaviorMethod(this)(rawResult);
     }
 
     /**
@@ -148,120 +140,102 @@ const injectIlorm = ilorm => {
     }
 
     /**
-     * Remove instance which match the query
-     * @returns {*} TODO
+     * Get the unique values of a field for the rows which match the query
+     * Could be declared on the field too : query.country.distinct()
+     * @param {String} field The field to get the values of
+     * @returns {Promise.<Array.<*>>} The unique values
      */
-    remove() {
-      return this.runQuery('remove');
-    }
+    distinct(field) {
+      if (!this[SCHEMA].definition[field]) {
+        return Promise.reject(new Error(`The property ${field} does not exists in the defined schema.`));
+      }
 
-    /**
-     * Remove one instance which match the query
-     * @returns {*} TODO
-     */
-    removeOne() {
-      return this.runQuery('removeOne');
+      return this.runQuery('distinct', field);
     }
 
     /**
-     * Update one or more element which match the query, with the current update state
-     * @returns {*} TODO
+     * Check if at least one row match the query, the connector stop at the first matching row
+     * @returns {Promise.<Boolean>} Return true if a row match the query
      */
-    update() {
-      return this.runUpdate('update');
+    exists() {
+      return this.runQuery('exists');
     }
 
     /**
-     * Update one element which match the query, with the current update state
-     * @returns {*} TODO
+     * Aggregate the rows which match the query, grouped by the fields declared with groupBy()
+     * Aggregates are declared on the fields : query.age.avg('averageAge')
+     * @returns {Promise.<Array.<Object>>} One plain row per group, with the group by fields and the aggregated values
      */
-    updateOne() {
-      return this.runUpdate('updateOne');
+    aggregate() {
+      if (this[AGGREGATE].length === 0 && this[GROUP_BY].length === 0) {
+        return Promise.reject(new Error('Declare at least one aggregate or one group by field to run an aggregate.'));
+      }
+
+      return this.runQuery('aggregate');
     }
 
     /**
-     * Run specific query operation on the current query
-     * @param {String} connectorOperation The operation to run
-     * @returns {Promise.<*>} The result of the operation
+     * Convert the query to the native query of the connector (mongo filter, SQL...), without running it
+     * The query is prepared as before a run (default scopes, filters of the plugins), to show what find() would run.
+     * @returns {Promise.<Object>} The native query, the format depends on the connector
      */
-    async runQuery(connectorOperation) {
-      await this.prepareQuery();
-
-      if (this[LINKED_WITH]) {
-        this.restrictToModel(await this[LINKED_WITH].find());
+    async toNative() {
+      if (typeof this[CONNECTOR].toNative !== 'function') {
+        throw new Error('The connector of the model does not implement toNative.');
       }
 
-      return this[CONNECTOR][connectorOperation](this);
+      await this.prepareQuery();
+
+      return this[CONNECTOR].toNative(this);
     }
 
     /**
-     * Run specific update operation on the current query
-     * @param {String} connectorOperation The operation to run
-     * @returns {Promise.<*>} The result of the operation
+     * Run the explain plan of the database on the query
+     * @returns {Promise.<*>} The explain plan, the format depends on the connector
      */
-    async runUpdate(connectorOperation) {
-      await this.prepareQuery();
-      await this.prepareUpdate();
-
-      if (this[LINKED_WITH]) {
-        this.restrictToModel(await this[LINKED_WITH].find());
-      }
-
-      return this[CONNECTOR][connectorOperation](this);
+    explain() {
+      return this.runQuery('explain');
     }
 
     /**
-     * Helper to convert ilorm query object to query on the Connector side
-     * @param {Function} onOr This function will be called if the user have calling an or on this query
-     * @param {Function} onOperator This function will be called per every key operator value combination
-     * @param {Function} onOptions This function will be called to put skip and limit to the child query
-     * @param {Function} onSelect This function will be called to handle select specific fields from the database
-     * @returns {void} Return nothing
+     * Remove instance which match the query
+     * @returns {*} TODO
      */
-    queryBuilder({ onOr, onOperator, onOptions, onSelect, onSort, }) {
-      return queryBuilderMethod(this)({
-        onOr,
-        onOperator,
-        onOptions,
-        onSelect,
-        onSort,
-      });
+    remove() {
+      return this.runQuery('remove');
     }
 
     /**
-     * Helper to convert ilorm query object to query on the Connector side
-     * @param {Function} onOperator This function will be called per every key operator value combination
-     * @returns {void} Return nothing
+     * Remove one instance which match the query
+     * @returns {*} TODO
      */
-    updateBuilder({ onOperator, }) {
-      if (onOperator) {
-        for (const { field, operator, value, } of this[UPDATE]) {
-          onOperator(field, operator, value);
-        }
-      }
+    removeOne() {
+      return this.runQuery('removeOne');
     }
 
     /**
-     * Utility method called before each query, could be used to change query behavior
-     * @returns {void} Return nothing, only change the internal state of query
+     * Update one or more element which match the query, with the current update state
+     * @returns {*} TODO
      */
-    async prepareQuery() {
+    update() {
+      return this.runUpdate('update');
     }
 
     /**
-     * Utility method called before each update, could be used to change update behavior
-     * @returns {void} Return nothing, only change the internal state of query
+     * Update one element which match the query, with the current update state
+     * @returns {*} TODO
      */
-    prepareUpdate() {
+    updateOne() {
+      return this.runUpdate('updateOne');
     }
 
     /**
-     * Declare or field
-     * @param {Function} handler be called back with a branch parameter using to create new branch
-     * @returns {Query} Return current query to chain call
+     * Update the element which match the query, or create it if none match (filters need to be is operations)
+     * The created element contains the filtered values and the updated values.
+     * @returns {Promise.<Boolean>} Return true if the element was created, false if it was updated
      */
-    or(handler) {
-      return orMethod(this)(handler);
+    upsert() {
+      return upsertMethod(this);
     }
 
     /**
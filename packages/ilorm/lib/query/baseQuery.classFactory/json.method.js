@@ -0,0 +1,287 @@
+'use strict';
+
+const { FIELDS, OPERATIONS, SELECT_BEHAVIOR, SORT_BEHAVIOR, } = require('ilorm-constants').QUERY;
+const {
+  AGGREGATE, GROUP_BY, LIMIT, LINKED_WITH, POPULATE, QUERY, QUERY_AND, QUERY_NOT, QUERY_OR, SCHEMA, SELECT, SKIP, SORT,
+  UNSCOPED, UPDATE,
+} = FIELDS;
+
+// The json key of each group, the key is also the name of the query method declaring the group:
+const GROUPS = {
+  or: QUERY_OR,
+  and: QUERY_AND,
+  not: QUERY_NOT,
+};
+
+const SORT_ORDERS = {
+  asc: SORT_BEHAVIOR.ASCENDING,
+  desc: SORT_BEHAVIOR.DESCENDING,
+};
+
+const SELECT_BEHAVIORS = {
+  all: SELECT_BEHAVIOR.ALL,
+  multiple: SELECT_BEHAVIOR.MULTIPLE,
+  one: SELECT_BEHAVIOR.ONE,
+};
+
+/**
+ * Find the json name of a symbol from its conversion table
+ * @param {Object} conversion The conversion table (json name => symbol)
+ * @param {Symbol} symbol The symbol to convert
+ * @returns {String} The json name
+ */
+const getJsonName = (conversion, symbol) => Object.keys(conversion).find(name => conversion[name] === symbol);
+
+/**
+ * Copy an operation of the query (filter or update)
+ * A RegExp (matches operation) is converted to its source and flags, JSON.stringify could not serialize it.
+ * @param {String} field The field of the operation
+ * @param {String} operator The operator of the operation
+ * @param {*} value The value of the operation
+ * @returns {Object} The operation
+ */
+const copyOperation = ({ field, operator, value, }) => ({
+  field,
+  operator,
+  value: value instanceof RegExp ? {
+    source: value.source,
+    flags: value.flags,
+  } : value,
+});
+
+/**
+ * Convert the query to a portable json object
+ * The groups (or, and, not) are converted to an array of groups, each group is an array of branches.
+ * The query linked with another query (linkedWith) could not be converted.
+ * @param {BaseQuery} query The query to convert
+ * @returns {Object} The json representing the query
+ */
+const toJSON = query => {
+  if (query[LINKED_WITH]) {
+    throw new Error('Could not convert to JSON a query linked with another query.');
+  }
+
+  const json = {
+    query: query[QUERY].map(copyOperation),
+    update: query[UPDATE].map(copyOperation),
+    sort: query[SORT].map(({ key, behavior, }) => ({
+      field: key,
+      order: getJsonName(SORT_ORDERS, behavior),
+    })),
+    select: {
+      behavior: getJsonName(SELECT_BEHAVIORS, query[SELECT].behavior),
+      fields: query[SELECT].fields.slice(),
+    },
+    populate: query[POPULATE].slice(),
+    groupBy: query[GROUP_BY].slice(),
+    aggregates: query[AGGREGATE].map(({ field, operator, alias, }) => ({
+      field,
+      operator,
+      alias,
+    })),
+  };
+
+  Object.keys(GROUPS).forEach(groupName => {
+    json[groupName] = (query[GROUPS[groupName]] || []).map(branches => branches.map(toJSON));
+  });
+
+  if (query[SKIP] !== undefined) {
+    json.skip = query[SKIP];
+  }
+
+  if (query[LIMIT] !== undefined) {
+    json.limit = query[LIMIT];
+  }
+
+  // true (every default scope) or the list of the default scopes removed:
+  if (query[UNSCOPED]) {
+    json.unscoped = query[UNSCOPED] === true ? true : query[UNSCOPED].slice();
+  }
+
+  return json;
+};
+
+/**
+ * Get the query operations of a field, after checking the field and the operator against the schema
+ * @param {BaseQuery} query The query to fill
+ * @param {String} field The field of the operation
+ * @param {String} operator The operator to apply on the field
+ * @returns {Function} The operation to call
+ */
+const getOperation = ({ query, field, operator, }) => {
+  const schemaField = query[SCHEMA].definition[field];
+
+  if (!schemaField) {
+    throw new Error(`The property ${field} does not exists in the defined schema.`);
+  }
+
+  const operation = schemaField.getQueryOperations({
+    query,
+    name: field,
+  })[operator];
+
+  if (typeof operation !== 'function') {
+    throw new Error(`The operation ${operator} could not be applied on the property ${field}.`);
+  }
+
+  return operation;
+};
+
+/**
+ * Cast a json value with the schema field (ie: a date serialized to a string)
+ * @param {SchemaField} schemaField The schema field of the value
+ * @param {String} operator The operator of the value
+ * @param {*} value The json value
+ * @returns {*} The value casted
+ */
+const castJsonValue = (schemaField, operator, value) => {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => castJsonValue(schemaField, operator, item));
+  }
+
+  if (operator === OPERATIONS.MATCHES && typeof value === 'object') {
+    return new RegExp(value.source, value.flags);
+  }
+
+  if (operator === OPERATIONS.BETWEEN) {
+    return {
+      min: castJsonValue(schemaField, null, value.min),
+      max: castJsonValue(schemaField, null, value.max),
+    };
+  }
+
+  return schemaField.castValue(value);
+};
+
+/**
+ * Apply the operations (filters or updates) of a json on the query
+ * @param {BaseQuery} query The query to fill
+ * @param {Array.<Object>} operations The json operations
+ * @returns {void} Return nothing
+ */
+const applyOperations = (query, operations = []) => {
+  operations.forEach(({ field, operator, value, }) => {
+    const operation = getOperation({
+      query,
+      field,
+      operator,
+    });
+    const castedValue = castJsonValue(query[SCHEMA].definition[field], operator, value);
+
+    if (operator === OPERATIONS.BETWEEN) {
+      operation(castedValue.min, castedValue.max);
+    } else {
+      operation(castedValue);
+    }
+  });
+};
+
+/**
+ * Apply the sort, select and aggregates of a json on the query
+ * @param {BaseQuery} query The query to fill
+ * @param {Object} json The json created by toJSON
+ * @returns {void} Return nothing
+ */
+const applyOptions = (query, { sort = [], select, aggregates = [], }) => {
+  sort.forEach(({ field, order, }) => {
+    if (!SORT_ORDERS[order]) {
+      throw new Error(`Invalid sort order ${order} on the property ${field}.`);
+    }
+
+    const operator = order === 'asc' ? OPERATIONS.SORT_ASCENDING : OPERATIONS.SORT_DESCENDING;
+
+    getOperation({
+      query,
+      field,
+      operator,
+    })();
+  });
+
+  if (select && SELECT_BEHAVIORS[select.behavior] !== SELECT_BEHAVIOR.ALL) {
+    const operator = SELECT_BEHAVIORS[select.behavior] === SELECT_BEHAVIOR.ONE ?
+      OPERATIONS.SELECT_ONLY :
+      OPERATIONS.SELECT;
+
+    select.fields.forEach(field => getOperation({
+      query,
+      field,
+      operator,
+    })());
+  }
+
+  aggregates.forEach(({ field, operator, alias, }) => getOperation({
+    query,
+    field,
+    operator,
+  })(alias));
+};
+
+/**
+ * Fill the query with a json created by toJSON, every field and operator is checked against the schema
+ * @param {BaseQuery} query The query to fill
+ * @param {Object} json The json representing the query
+ * @returns {BaseQuery} The query
+ */
+const fromJSON = (query, json) => {
+  if (!json || typeof json !== 'object') {
+    throw new Error('The JSON of a query need to be an object.');
+  }
+
+  applyOperations(query, json.query);
+  applyOperations(query, json.update);
+  applyOptions(query, json);
+
+  Object.keys(GROUPS).forEach(groupName => {
+    (json[groupName] || []).forEach(branchesJson => applyGroup({
+      query,
+      groupName,
+      branchesJson,
+    }));
+  });
+
+  if (json.populate) {
+    query.populate(json.populate);
+  }
+
+  if (json.groupBy) {
+    query.groupBy(...json.groupBy);
+  }
+
+  if (json.skip !== undefined) {
+    query.skip(json.skip);
+  }
+
+  if (json.limit !== undefined) {
+    query.limit(json.limit);
+  }
+
+  if (json.unscoped) {
+    query.unscoped(...json.unscoped === true ? [] : json.unscoped);
+  }
+
+  return query;
+};
+
+/**
+ * Declare a group (or, and, not) on the query from its json branches
+ * Declared after fromJSON (and hoisted), each branch is filled by fromJSON.
+ * @param {BaseQuery} query The query to fill
+ * @param {String} groupName The name of the group (or, and, not)
+ * @param {Array.<Object>} branchesJson The json of each branch of the group
+ * @returns {void} Return nothing
+ */
+function applyGroup({ query, groupName, branchesJson, }) {
+  query[groupName](branch => {
+    branchesJson.forEach(branchJson => fromJSON(branch(), branchJson));
+  });
+}
+
+module.exports = {
+  fromJSON,
+  getOperation,
+  toJSON,
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+const { LINKED_WITH, MODEL, } = require('ilorm-constants').QUERY.FIELDS;
+
+/**
+ * Create the linkedWith method from a query instance
+ * @param {BaseQuery} query The query to use to create the method linkedWith
+ * @returns {Function} The linkedWith method to use
+ */
+const linkedWithMethod = query => relatedElement => {
+  // It's a query:
+  if (relatedElement && relatedElement[MODEL]) {
+    query[LINKED_WITH] = relatedElement;
+
+    return query;
+  }
+
+  // It's an instance (or a list of instances):
+  const [ firstElement, ] = [].concat(relatedElement);
+
+  if (firstElement && firstElement.constructor && typeof firstElement.constructor.getName === 'function') {
+    return query.restrictToModel(relatedElement);
+  }
+
+  throw new Error('linkedWith parameter is not valid, need to be an instanceof Query or Model');
+};
+
+module.exports = linkedWithMethod;
@@ -0,0 +1,196 @@
+'use strict';
+
+const { FIELDS, OPERATIONS, SELECT_BEHAVIOR, SORT_BEHAVIOR, } = require('ilorm-constants').QUERY;
+const { SCHEMA, SELECT, SORT, } = FIELDS;
+const declareOperation = require('../../schemaField/helpers/declareOperation');
+
+const CURSOR_ENCODING = 'base64';
+const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * Copy the state of the query to a new query of the same model, the paginated query is never changed (the sort,
+ * the cursor branch, the limit and the default scopes are declared on the copy)
+ * @param {BaseQuery} query The query to copy
+ * @returns {BaseQuery} The copy of the query
+ */
+const copyQuery = query => {
+  const copy = new query.constructor();
+
+  Reflect.ownKeys(query).forEach(key => {
+    const value = query[key];
+    const copyDescriptor = Object.getOwnPropertyDescriptor(copy, key);
+
+    // The state declared by the query constructor (filters, sort, select...) is not writable, it's filled instead:
+    if (copyDescriptor && !copyDescriptor.writable) {
+      if (Array.isArray(value)) {
+        copy[key].push(...value);
+      } else {
+        Object.assign(copy[key], value);
+      }
+    } else {
+      copy[key] = Array.isArray(value) ? [ ...value, ] : value;
+    }
+  });
+
+  return copy;
+};
+
+/**
+ * Get the keys used to order the pages, the sort of the query followed by the primary keys
+ * The primary keys missing in the sort are added to the query sort, to get a stable order.
+ * @param {BaseQuery} query The paginated query
+ * @returns {Array.<Object>} The keys with their sort behavior
+ */
+const getPaginationKeys = query => {
+  const keys = query[SORT].map(({ key, behavior, }) => ({
+    key,
+    behavior,
+  }));
+
+  query.getPrimaryKeys()
+    .filter(primaryKey => !keys.some(({ key, }) => key === primaryKey))
+    .forEach(primaryKey => {
+      const sort = {
+        key: primaryKey,
+        behavior: SORT_BEHAVIOR.ASCENDING,
+      };
+
+      query[SORT].push(sort);
+      keys.push(sort);
+    });
+
+  return keys;
+};
+
+/**
+ * Check every pagination key could be compared with the cursor values : a null value is never greater or lower than
+ * another value, and the databases do not sort the null values at the same place. Only the required fields and the
+ * primary keys could be used.
+ * @param {BaseQuery} query The paginated query
+ * @param {Array.<Object>} keys The pagination keys
+ * @returns {void} Return nothing
+ */
+const checkPaginationKeys = (query, keys) => {
+  const primaryKeys = query.getPrimaryKeys();
+  const nullableKey = keys.find(({ key, }) => {
+    const field = query[SCHEMA].definition[key];
+
+    return !primaryKeys.includes(key) && !(field && field.isRequired());
+  });
+
+  if (nullableKey) {
+    throw new Error(`Could not paginate with the sort of the field ${nullableKey.key} which is not required, ` +
+      'a null value could not be compared with the cursor.');
+  }
+};
+
+/**
+ * Encode the values of the pagination keys of the last item to an opaque cursor
+ * @param {Array.<*>} values The values of the pagination keys
+ * @returns {String} The cursor
+ */
+const encodeCursor = values => Buffer.from(JSON.stringify(values)).toString(CURSOR_ENCODING);
+
+/**
+ * Decode a cursor created by encodeCursor, every value is casted with its schema field (date, object id...)
+ * @param {BaseQuery} query The paginated query
+ * @param {String} cursor The cursor to decode
+ * @param {Array.<Object>} keys The pagination keys
+ * @returns {Array.<*>} The values of the pagination keys
+ */
+const decodeCursor = ({ query, cursor, keys, }) => {
+  let values = null;
+
+  try {
+    values = JSON.parse(Buffer.from(cursor, CURSOR_ENCODING).toString());
+  } catch (err) {
+    values = null;
+  }
+
+  if (!Array.isArray(values) || values.length !== keys.length) {
+    throw new Error('Invalid pagination cursor, the cursor does not match the sort of the query.');
+  }
+
+  return values.map((value, index) => {
+    const field = query[SCHEMA].definition[keys[index].key];
+
+    return field && value !== null ? field.castValue(value) : value;
+  });
+};
+
+/**
+ * Restrict the query to the items after the cursor values, a branch per key :
+ * (key1 > value1) OR (key1 = value1 AND key2 > value2) OR ...
+ * @param {BaseQuery} query The paginated query
+ * @param {Array.<Object>} keys The pagination keys
+ * @param {Array.<*>} values The values of the pagination keys
+ * @returns {void} Return nothing
+ */
+const restrictAfterCursor = ({ query, keys, values, }) => {
+  query.or(branch => {
+    keys.forEach(({ key, behavior, }, index) => {
+      const branchQuery = branch();
+
+      keys.slice(0, index).forEach(({ key: previousKey, }, previousIndex) => {
+        declareOperation({
+          query: branchQuery,
+          key: previousKey,
+          operation: OPERATIONS.IS,
+        })(values[previousIndex]);
+      });
+
+      declareOperation({
+        query: branchQuery,
+        key,
+        operation: behavior === SORT_BEHAVIOR.ASCENDING ? OPERATIONS.GREATER_THAN : OPERATIONS.LOWER_THAN,
+      })(values[index]);
+    });
+  });
+};
+
+/**
+ * Load a page of the query, ordered by the query sort and the primary keys
+ * The sort fields need to be required (a null value could not be compared with the cursor).
+ * The query is not changed, it could be paginated again (ie: with the cursor of the next page).
+ * @param {BaseQuery} paginatedQuery The query to paginate
+ * @param {String} [after] The cursor returned with the previous page
+ * @param {Number} [size=20] The number of items of the page
+ * @returns {Promise.<Object>} The items of the page, the cursor of the next page and hasMore
+ */
+const paginateMethod = async (paginatedQuery, { after, size = DEFAULT_PAGE_SIZE, } = {}) => {
+  if (paginatedQuery[SELECT].behavior !== SELECT_BEHAVIOR.ALL) {
+    throw new Error('Could not paginate a query which select specific fields.');
+  }
+
+  const query = copyQuery(paginatedQuery);
+
+  const keys = getPaginationKeys(query);
+
+  checkPaginationKeys(query, keys);
+
+  if (after) {
+    restrictAfterCursor({
+      query,
+      keys,
+      values: decodeCursor({
+        query,
+        cursor: after,
+        keys,
+      }),
+    });
+  }
+
+  // Load one more item to know if there is a next page:
+  const results = await query.limit(size + 1).find();
+  const items = results.slice(0, size);
+  const hasMore = results.length > size;
+  const lastItem = items[items.length - 1];
+
+  return {
+    items,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(keys.map(({ key, }) => lastItem[key])) : null,
+  };
+};
+
+module.exports = paginateMethod;
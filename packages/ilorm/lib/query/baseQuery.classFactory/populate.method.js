@@ -0,0 +1,173 @@
+'use strict';
+
+const relationshipFactory = require('../../model/relation.classFactory');
+const { POPULATED, } = require('ilorm-constants').MODEL;
+const { FIELDS, SELECT_BEHAVIOR, } = require('ilorm-constants').QUERY;
+const { MODEL, POPULATE, SELECT, } = FIELDS;
+
+const PATH_SEPARATOR = '.';
+
+/**
+ * Convert a list of populate paths to a tree of paths
+ * ['author.company', 'author.group', 'comment'] => { author: { company: {}, group: {} }, comment: {} }
+ * @param {Array.<String>} paths The paths to convert
+ * @returns {Object} The tree of paths
+ */
+const toPathsTree = paths => paths.reduce((tree, path) => {
+  path.split(PATH_SEPARATOR).reduce((node, key) => {
+    if (!node[key]) {
+      node[key] = {};
+    }
+
+    return node[key];
+  }, tree);
+
+  return tree;
+}, {});
+
+/**
+ * Inject ilorm in the populate helpers
+ * @param {Ilorm} ilorm The ilorm context
+ * @returns {Function} Return the function used to populate instances
+ */
+const injectIlorm = ilorm => {
+  const relationship = relationshipFactory(ilorm);
+
+  /**
+   * Get the value of a relation side from an instance
+   * @param {Model} instance The instance to read
+   * @param {String|Symbol} reference The reference field or Primary
+   * @returns {*} The value of the reference
+   */
+  const getReferenceValue = (instance, reference) => (reference === relationship.Primary ?
+    instance.getPrimary() :
+    instance[reference]);
+
+  /**
+   * Find the relation described by a populate key
+   * The key is a reference field of the model (the referenced instance is loaded), or the name of a model which
+   * reference the model (every referencing instance is loaded).
+   * @param {Model} Model The model of the instances to populate
+   * @param {String} key The populate key
+   * @returns {Object} The related model, the reference of Model side and the reference of the related model side
+   */
+  const getPopulateRelation = (Model, key) => {
+    const field = Model.getSchema().definition[key];
+
+    if (field && typeof field.getReferencedModelName === 'function') {
+      return {
+        RelatedModel: ilorm.modelsIndex.get(field.getReferencedModelName()),
+        referenceA: key,
+        referenceB: relationship.Primary,
+      };
+    }
+
+    if (!ilorm.modelsIndex.has(key)) {
+      throw new Error(`Could not populate ${key}, it's not a reference field of ${Model.getName()} or a model name.`);
+    }
+
+    const { referenceA, referenceB, } = relationship.getRelation({
+      modelSource: Model.getName(),
+      modelReference: key,
+    });
+
+    return {
+      RelatedModel: ilorm.modelsIndex.get(key),
+      referenceA,
+      referenceB,
+    };
+  };
+
+  /**
+   * Load the related instances of a populate key, with one query for every instances
+   * @param {Model} Model The model of the instances to populate
+   * @param {Array.<Model>} instances The instances to populate
+   * @param {String} key The populate key
+   * @returns {Promise.<Object>} The related model and every related instances loaded
+   */
+  const populateKey = async ({ Model, instances, key, }) => {
+    const { RelatedModel, referenceA, referenceB, } = getPopulateRelation(Model, key);
+    const values = instances
+      .map(instance => getReferenceValue(instance, referenceA))
+      .filter(value => value !== undefined && value !== null);
+
+    const query = RelatedModel.query();
+
+    if (referenceB === relationship.Primary) {
+      query.restrictToPrimary(values);
+    } else {
+      query[referenceB].isIn(values);
+    }
+
+    const relatedInstances = values.length > 0 ? await query.find() : [];
+    const relatedInstancesByValue = new Map();
+
+    relatedInstances.forEach(relatedInstance => {
+      const value = String(getReferenceValue(relatedInstance, referenceB));
+
+      relatedInstancesByValue.set(value, (relatedInstancesByValue.get(value) || []).concat(relatedInstance));
+    });
+
+    // A reference to a primary key target one instance, any other reference could target many instances.
+    // The related instances are stored aside, the reference field keep the id saved by instance.save():
+    instances.forEach(instance => {
+      const related = relatedInstancesByValue.get(String(getReferenceValue(instance, referenceA))) || [];
+
+      instance[POPULATED][key] = referenceB === relationship.Primary ? related[0] || null : related;
+    });
+
+    return {
+      RelatedModel,
+      relatedInstances,
+    };
+  };
+
+  /**
+   * Populate every key of a paths tree, then the nested keys on the related instances
+   * @param {Model} Model The model of the instances to populate
+   * @param {Array.<Model>} instances The instances to populate
+   * @param {Object} tree The paths tree to populate
+   * @returns {Promise.<Array.<Model>>} The instances populated
+   */
+  const populateTree = async ({ Model, instances, tree, }) => {
+    await Promise.all(Object.keys(tree).map(async key => {
+      const { RelatedModel, relatedInstances, } = await populateKey({
+        Model,
+        instances,
+        key,
+      });
+
+      if (relatedInstances.length > 0 && Object.keys(tree[key]).length > 0) {
+        await populateTree({
+          Model: RelatedModel,
+          instances: relatedInstances,
+          tree: tree[key],
+        });
+      }
+    }));
+
+    return instances;
+  };
+
+  /**
+   * Load the references declared with query.populate() and attach them to the instances loaded by the query
+   * @param {BaseQuery} query The query which loaded the instances
+   * @param {Array.<Model|null>} results The results of the query
+   * @returns {Promise.<Array.<Model|null>>} The results, related instances are available with instance.getPopulated()
+   */
+  return (query, results) => {
+    const instances = results.filter(result => result);
+
+    if (query[SELECT].behavior !== SELECT_BEHAVIOR.ALL || query[POPULATE].length === 0 || instances.length === 0) {
+      return Promise.resolve(results);
+    }
+
+    return populateTree({
+      Model: query[MODEL],
+      instances,
+      tree: toPathsTree(query[POPULATE]),
+    }).then(() => results);
+  };
+};
+
+module.exports = injectIlorm;
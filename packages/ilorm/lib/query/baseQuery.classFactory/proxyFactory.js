@@ -1,9 +1,22 @@
 'use strict';
 
-const { SCHEMA, } = require('ilorm-constants').QUERY.FIELDS;
+const { MODEL, SCHEMA, } = require('ilorm-constants').QUERY.FIELDS;
+
+/**
+ * Create the method applying a named scope of the model on the query
+ * @param {Query} query The query to apply the scope on
+ * @param {Function} handler The handler of the scope
+ * @returns {Function} The scope method, return the query to chain call
+ */
+const scopeMethod = (query, { handler, }) => (...params) => {
+  handler(query, ...params);
+
+  return query;
+};
 
 /**
  * Create a proxy used to create dynamically properties of the model on the query.
+ * The named scopes of the model are methods of the query too.
  * @param {Object} query to overload
  * @returns {Proxy} The query with the proxy on it
  */
@@ -13,6 +26,12 @@ const proxyFactory = query => new Proxy(query, {
       return preQuery[propertyName];
     }
 
+    const scope = query[MODEL].getScopes().get(propertyName);
+
+    if (scope) {
+      return scopeMethod(query, scope);
+    }
+
     const propertyDefinition = query[SCHEMA].definition[propertyName];
 
     if (!propertyDefinition) {
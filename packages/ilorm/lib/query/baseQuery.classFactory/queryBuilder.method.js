@@ -1,6 +1,8 @@
 'use strict';
 
-const { LIMIT, QUERY, QUERY_OR, SELECT, SKIP, SORT, } = require('ilorm-constants').QUERY.FIELDS;
+const {
+  AGGREGATE, GROUP_BY, LIMIT, QUERY, QUERY_AND, QUERY_NOT, QUERY_OR, SELECT, SKIP, SORT,
+} = require('ilorm-constants').QUERY.FIELDS;
 
 /**
  * Call onOperator if exists, per each operator bind with the current query
@@ -32,14 +34,15 @@ const handleOptions = (queryClass, onOptions) => {
 };
 
 /**
- * Call onOr if exists, per each or branch on the current query
+ * Call the group handler if exists, per each group (or, and, not) of the given kind on the current query
  * @param {BaseQuery} queryClass The query class to use
- * @param {Function} onOr The function handler to call
+ * @param {Symbol} field The query field storing the groups
+ * @param {Function} onGroup The function handler to call
  * @returns {void} return nothing
  */
-const handleOr = (queryClass, onOr) => {
-  if (onOr && queryClass[QUERY_OR]) {
-    queryClass[QUERY_OR].forEach(onOr);
+const handleGroup = (queryClass, field, onGroup) => {
+  if (onGroup && queryClass[field]) {
+    queryClass[field].forEach(onGroup);
   }
 };
 
@@ -72,15 +75,35 @@ const handleSort = (queryClass, onSort) => {
   }
 };
 
+/**
+ * Call onAggregate if exists, with the group by fields and the aggregates declared on the current query
+ * @param {BaseQuery} queryClass The query class to use
+ * @param {Function} onAggregate The function handler to call
+ * @returns {void} return nothing
+ */
+const handleAggregate = (queryClass, onAggregate) => {
+  if (onAggregate && (queryClass[AGGREGATE].length > 0 || queryClass[GROUP_BY].length > 0)) {
+    onAggregate({
+      groupBy: queryClass[GROUP_BY],
+      aggregates: queryClass[AGGREGATE],
+    });
+  }
+};
+
 /**
  * Bind query builder function to the queryClass
  * @param {BaseQuery} queryClass The query class to bind the function
  * @returns {Function} Return a query builder
  */
-const bindQueryBuilder = queryClass => ({ onOperator, onOptions, onOr, onSelect, onSort, }) => {
+const bindQueryBuilder = queryClass => ({
+  onAggregate, onAnd, onNot, onOperator, onOptions, onOr, onSelect, onSort,
+}) => {
+  handleAggregate(queryClass, onAggregate);
   handleOnOperator(queryClass, onOperator);
   handleOptions(queryClass, onOptions);
-  handleOr(queryClass, onOr);
+  handleGroup(queryClass, QUERY_OR, onOr);
+  handleGroup(queryClass, QUERY_AND, onAnd);
+  handleGroup(queryClass, QUERY_NOT, onNot);
   handleSelect(queryClass, onSelect);
   handleSort(queryClass, onSort);
 };
@@ -0,0 +1,233 @@
+'use strict';
+
+const { FIELDS, SELECT_BEHAVIOR, } = require('ilorm-constants').QUERY;
+const {
+  AGGREGATE, GROUP_BY, IDENTITY_MAP, LIMIT, MODEL, POPULATE, QUERY, QUERY_AND, QUERY_NOT, QUERY_OR, SCHEMA, SELECT,
+  SKIP, SORT, TRANSACTION, UNSCOPED, UPDATE,
+} = FIELDS;
+
+const groupMethod = require('./group.method');
+const queryBuilderMethod = require('./queryBuilder.method');
+const { toJSON, } = require('./json.method');
+const whereMethod = require('./where.method');
+
+/**
+ * Class declaring the options of a query (skip, limit, transaction...) and the builders used by the connectors
+ * Every method only change the internal state of the query, nothing is run on the database.
+ */
+class QueryOptions {
+  /**
+   * Init the state of the query, own by each query (a branch of a or does not share the state of its parent)
+   */
+  constructor() {
+    Object.defineProperties(this, {
+      [QUERY]: { value: [], },
+      [UPDATE]: { value: [], },
+      [SORT]: { value: [], },
+      [POPULATE]: { value: [], },
+      [AGGREGATE]: { value: [], },
+      [GROUP_BY]: { value: [], },
+      [SELECT]: {
+        value: {
+          behavior: SELECT_BEHAVIOR.ALL,
+          fields: [],
+        },
+      },
+    });
+  }
+
+  /**
+   * Run the query in the given transaction
+   * @param {Transaction} transaction The transaction given by ilorm.transaction
+   * @returns {Query} Return the query to make additional link or filters
+   */
+  transaction(transaction) {
+    this[TRANSACTION] = transaction;
+
+    return this;
+  }
+
+  /**
+   * Load the instances of the query in the identity map of the scope
+   * Only needed if the Node version does not find the scope implicitly (without AsyncLocalStorage, before 12.17).
+   * @param {IdentityMap} identityMap The identity map given by ilorm.scope
+   * @returns {Query} Return the query to make additional link or filters
+   */
+  identityMap(identityMap) {
+    this[IDENTITY_MAP] = identityMap;
+
+    return this;
+  }
+
+  /**
+   * Declare references to load with the query result, one additional query is run per reference.
+   * A path is a reference field of the model, or the name of a model referencing it, nested with a dot.
+   * @param {String|Array.<String>} paths The paths to populate (ie: 'author', 'author.company')
+   * @returns {Query} Return the query to make additional link or filters
+   */
+  populate(paths) {
+    this[POPULATE].push(...[].concat(paths));
+
+    return this;
+  }
+
+  /**
+   * Declare the number of element to skip (the query will ignore this element).
+   * @param {Number} nbElementToSkip The number of element to skip
+   * @returns {Query} Return the query to make additional link or filters
+   */
+  skip(nbElementToSkip) {
+    this[SKIP] = nbElementToSkip;
+
+    return this;
+  }
+
+  /**
+   * Declare the number of element to query (the query will only returns this elements).
+   * @param {Number} nbElementToQuery The number of element to get
+   * @returns {Query} Return the query to make additional link or filters
+   */
+  limit(nbElementToQuery) {
+    this[LIMIT] = nbElementToQuery;
+
+    return this;
+  }
+
+  /**
+   * Declare the fields used to group the rows of query.aggregate()
+   * @param {...String} fields The fields to group by
+   * @returns {Query} Return the query to make additional link or filters
+   */
+  groupBy(...fields) {
+    for (const field of fields) {
+      if (!this[SCHEMA].definition[field]) {
+        throw new Error(`The property ${field} does not exists in the defined schema.`);
+      }
+
+      this[GROUP_BY].push(field);
+    }
+
+    return this;
+  }
+
+  /**
+   * Declare the filters of a plain object, useful when the filters come from a configuration or a HTTP request
+   * A value filter the field with is, an array with isIn, an object declare a filter per operator :
+   * query.where({ age: { greaterThan: 18 }, status: [ 'active', 'pending' ] })
+   * @param {Object} where The filters, each key is a field of the schema
+   * @returns {Query} Return the query to make additional link or filters
+   */
+  where(where) {
+    return whereMethod(this, where);
+  }
+
+  /**
+   * Remove the default scopes of the model from the query
+   * @param {...String} [scopeNames] The default scopes to remove, every default scope if missing
+   * @returns {Query} Return the query to make additional link or filters
+   */
+  unscoped(...scopeNames) {
+    if (scopeNames.length === 0 || this[UNSCOPED] === true) {
+      this[UNSCOPED] = true;
+
+      return this;
+    }
+
+    for (const scopeName of scopeNames) {
+      if (!this[MODEL].getScopes().get(scopeName)) {
+        throw new Error(`The scope ${scopeName} is not declared on the model.`);
+      }
+    }
+
+    this[UNSCOPED] = (this[UNSCOPED] || []).concat(scopeNames);
+
+    return this;
+  }
+
+  /**
+   * Declare or field
+   * @param {Function} handler be called back with a branch parameter using to create new branch
+   * @returns {Query} Return current query to chain call
+   */
+  or(handler) {
+    return groupMethod({
+      query: this,
+      field: QUERY_OR,
+      handler,
+    });
+  }
+
+  /**
+   * Declare a group where every branch need to match, could be nested in a or, and or not branch
+   * @param {Function} handler be called back with a branch parameter using to create new branch
+   * @returns {Query} Return current query to chain call
+   */
+  and(handler) {
+    return groupMethod({
+      query: this,
+      field: QUERY_AND,
+      handler,
+    });
+  }
+
+  /**
+   * Declare a negated group, the query match only if none of the branches match
+   * @param {Function} handler be called back with a branch parameter using to create new branch
+   * @returns {Query} Return current query to chain call
+   */
+  not(handler) {
+    return groupMethod({
+      query: this,
+      field: QUERY_NOT,
+      handler,
+    });
+  }
+
+  /**
+   * Convert the query to a portable json object (filters, or branches, updates, sort, select, skip and limit)
+   * The json could be logged, used as cache key or sent to another service, and restored with Model.queryFromJSON().
+   * @returns {Object} The json representing the query
+   */
+  toJSON() {
+    return toJSON(this);
+  }
+
+  /**
+   * Helper to convert ilorm query object to query on the Connector side
+   * @param {Function} onAggregate This function will be called with the group by fields and the aggregates
+   * @param {Function} onAnd This function will be called per every and group of the query
+   * @param {Function} onNot This function will be called per every not group of the query
+   * @param {Function} onOr This function will be called if the user have calling an or on this query
+   * @param {Function} onOperator This function will be called per every key operator value combination
+   * @param {Function} onOptions This function will be called to put skip and limit to the child query
+   * @param {Function} onSelect This function will be called to handle select specific fields from the database
+   * @returns {void} Return nothing
+   */
+  queryBuilder({ onAggregate, onAnd, onNot, onOr, onOperator, onOptions, onSelect, onSort, }) {
+    return queryBuilderMethod(this)({
+      onAggregate,
+      onAnd,
+      onNot,
+      onOr,
+      onOperator,
+      onOptions,
+      onSelect,
+      onSort,
+    });
+  }
+
+  /**
+   * Helper to convert ilorm query object to query on the Connector side
+   * @param {Function} onOperator This function will be called per every key operator value combination
+   * @returns {void} Return nothing
+   */
+  updateBuilder({ onOperator, }) {
+    if (onOperator) {
+      for (const { field, operator, value, } of this[UPDATE]) {
+        onOperator(field, operator, value);
+      }
+    }
+  }
+}
+
+module.exports = QueryOptions;
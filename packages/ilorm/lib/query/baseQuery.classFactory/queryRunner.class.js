@@ -0,0 +1,64 @@
+'use strict';
+
+const { LINKED_WITH, } = require('ilorm-constants').QUERY.FIELDS;
+
+const applyDefaultScopesMethod = require('./defaultScopes.method');
+const QueryOptions = require('./queryOptions.class');
+const runOperationMethod = require('./runOperation.method');
+
+/**
+ * Class running the query on the connector, after the preparation of the query (default scopes, plugins...)
+ */
+class QueryRunner extends QueryOptions {
+  /**
+   * Run specific query operation on the current query
+   * @param {String} connectorOperation The operation to run
+   * @param {...*} params Additional parameters given to the connector operation (ie: the field of distinct)
+   * @returns {Promise.<*>} The result of the operation
+   */
+  async runQuery(connectorOperation, ...params) {
+    await this.prepareQuery();
+
+    if (this[LINKED_WITH]) {
+      this.restrictToModel(await this[LINKED_WITH].find());
+    }
+
+    return runOperationMethod(this, connectorOperation, params);
+  }
+
+  /**
+   * Run specific update operation on the current query
+   * @param {String} connectorOperation The operation to run
+   * @returns {Promise.<*>} The result of the operation
+   */
+  async runUpdate(connectorOperation) {
+    await this.prepareQuery();
+    await this.prepareUpdate();
+
+    if (this[LINKED_WITH]) {
+      this.restrictToModel(await this[LINKED_WITH].find());
+    }
+
+    return runOperationMethod(this, connectorOperation);
+  }
+
+  /**
+   * Utility method called before each query, could be used to change query behavior
+   * Apply the default scopes of the model, if the query is not unscoped.
+   * @returns {Promise} Resolve nothing, only change the internal state of query
+   */
+  prepareQuery() {
+    applyDefaultScopesMethod(this);
+
+    return Promise.resolve();
+  }
+
+  /**
+   * Utility method called before each update, could be used to change update behavior
+   * @returns {void} Return nothing, only change the internal state of query
+   */
+  prepareUpdate() {
+  }
+}
+
+module.exports = QueryRunner;
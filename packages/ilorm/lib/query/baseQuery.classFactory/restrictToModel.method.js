@@ -15,6 +15,13 @@ const restrictToModelMethod = (query, ilorm) => {
   return relatedModel => {
     const relatedModelList = [].concat(relatedModel);
 
+    // Without related instance (ie: a linked query matching no row), the query could not match any row:
+    if (relatedModelList.length === 0) {
+      query.restrictToPrimary([]);
+
+      return query;
+    }
+
     const reference = relationship.getRelation({
       modelReference: relatedModelList[0].constructor.getName(),
       modelSource: query[MODEL].getName(),
@@ -0,0 +1,32 @@
+'use strict';
+
+const { CONNECTOR, TRANSACTION, } = require('ilorm-constants').QUERY.FIELDS;
+
+// Operations which write in the database, deferred to the commit when the transaction is emulated:
+const WRITE_OPERATIONS = [
+  'remove',
+  'removeOne',
+  'update',
+  'updateOne',
+  'upsert',
+];
+
+/**
+ * Run the connector operation with the query, inside the query transaction if the query use one
+ * @param {BaseQuery} query The query to run
+ * @param {String} connectorOperation The connector operation to run
+ * @param {Array.<*>} [params=[]] Additional parameters given to the connector operation
+ * @returns {Promise.<*>} The result of the operation
+ */
+const runOperationMethod = (query, connectorOperation, params = []) => {
+  const connector = query[CONNECTOR];
+  const transaction = query[TRANSACTION];
+
+  if (transaction && WRITE_OPERATIONS.includes(connectorOperation)) {
+    return transaction.run(connector, () => connector[connectorOperation](query, ...params));
+  }
+
+  return connector[connectorOperation](query, ...params);
+};
+
+module.exports = runOperationMethod;
@@ -1,80 +1,9 @@
 'use strict';
 
-const { Readable, Transform, } = require('stream');
+const { Transform, } = require('stream');
 
-const { CONNECTOR, LINKED_WITH, MODEL, } = require('ilorm-constants').QUERY.FIELDS;
-
-const WAIT_TTL = 100;
-
-/**
- * Stream used to restrict query to another query
- */
-class LinkedStream extends Readable {
-  /**
-   * Create a LinkedStream object
-   * @param {Query} query The query used as primary target
-   * @param {Stream} filterStream Input stream of model which restrict query result
-   */
-  constructor({ query, filterStream, }) {
-    super({
-      objectMode: true,
-    });
-
-    this.filterStream = filterStream;
-    this.query = query;
-
-    this.filterStream.on('data', async filterModel => {
-      this.currentFilterModel = filterModel;
-
-      this.filterStream.pause();
-      this.currentStream = await this.query.restrictToModel(this.currentFilterModel).stream();
-    });
-
-    this.filterStream.on('end', () => {
-      this.filterStream = null;
-    });
-  }
-
-  /**
-   * Method required per Readable interface to create a valid Read stream
-   * @returns {Promise} Return nothing really interesting
-   * @private
-   */
-  _read() {
-    if (!this.currentStream) {
-      return new Promise(resolve => {
-        setTimeout(() => resolve(this._read()), WAIT_TTL);
-      });
-    }
-    const instance = this.currentStream.read();
-
-    if (instance) {
-      return this.push(instance);
-    }
-
-    if (this.filterStream === null) {
-      return this.push(null);
-    }
-
-    this.filterStream.resume();
-    this.currentStream = null;
-
-    return this._read();
-  }
-
-  /**
-   * Create a LinkedStream object
-   * @param {Query} query The query used as primary target
-   * @param {Stream} filterStream Input stream of model which restrict query result
-   * @returns {LinkedStream} The created linked stream
-   */
-  static createLinkedStream({ query, filterStream, }) {
-    return new LinkedStream({
-      query,
-      filterStream,
-    });
-  }
-}
+const { CONNECTOR, IDENTITY_MAP, LINKED_WITH, MODEL, } = require('ilorm-constants').QUERY.FIELDS;
+const { HOOKS, } = require('ilorm-constants').MODEL;
 
 /**
  * Transform stream to instantiate instance from the db source stream
@@ -83,17 +12,19 @@ class InstantiateStream extends Transform {
   /**
    * Defined by the model
    * @param {Model} Model The model to instantiate per each database entry
+   * @param {IdentityMap} [identityMap] The identity map given to the query
    */
-  constructor(Model) {
+  constructor(Model, identityMap) {
     super({
       objectMode: true,
     });
 
     this.Model = Model;
+    this.identityMap = identityMap;
   }
 
   /**
-   * Transform method of the Transform stream, overload to instantiate model instance.
+   * Transform method of the Transform stream, overload to instantiate model instance (and run afterLoad hooks).
    * @param {Object} rawInstance the model from the database
    * @param {String} encoding The encoding of the database source
    * @param {Function} callback Function called back from the result database
@@ -101,7 +32,10 @@ class InstantiateStream extends Transform {
    * @private
    */
   _transform(rawInstance, encoding, callback) {
-    callback(null, this.Model.instantiate(rawInstance));
+    const instance = this.Model.instantiate(rawInstance, { identityMap: this.identityMap, });
+
+    this.Model.getHooks().run(HOOKS.AFTER_LOAD, instance)
+      .then(loadedInstance => callback(null, loadedInstance), callback);
   }
 }
 
@@ -113,24 +47,15 @@ class InstantiateStream extends Transform {
 const streamMethod = async query => {
   await query.prepareQuery();
 
+  // As the other operations, the query is restricted to the instances of the linked query:
   if (query[LINKED_WITH]) {
-    const stream = await query[LINKED_WITH].stream();
-
-    delete query[LINKED_WITH];
-
-    const readStream = await LinkedStream.createLinkedStream({
-      query,
-      filterStream: stream,
-    });
-
-    return readStream
-      .pipe(new InstantiateStream(query[MODEL]));
+    query.restrictToModel(await query[LINKED_WITH].find());
   }
 
   const rawStream = await query[CONNECTOR].stream(query);
 
   return rawStream
-    .pipe(new InstantiateStream(query[MODEL]));
+    .pipe(new InstantiateStream(query[MODEL], query[IDENTITY_MAP]));
 };
 
 module.exports = streamMethod;
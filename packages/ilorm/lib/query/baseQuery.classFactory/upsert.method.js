@@ -0,0 +1,46 @@
+'use strict';
+
+const { FIELDS, OPERATIONS, } = require('ilorm-constants').QUERY;
+const { LINKED_WITH, QUERY, QUERY_AND, QUERY_NOT, QUERY_OR, UPDATE, } = FIELDS;
+const runOperationMethod = require('./runOperation.method');
+
+/**
+ * Check the query only filter with is operations, the filtered values are used to create the row
+ * @param {BaseQuery} query The query to upsert
+ * @returns {Boolean} Return true if the query could be used by an upsert
+ */
+const isUpsertQuery = query => query[QUERY].length > 0 &&
+  query[QUERY].every(({ operator, }) => operator === OPERATIONS.IS) &&
+  [ QUERY_OR, QUERY_AND, QUERY_NOT, ].every(group => !query[group] || query[group].length === 0) &&
+  !query[LINKED_WITH];
+
+/**
+ * Update the row which match the query, or create it if none match, in one atomic operation of the connector
+ * The created row contains the values of the is filters, the values of the update and the raw insert.
+ * The query is checked once prepared : the default scopes and the plugins filters need to be is operations too.
+ * @param {BaseQuery} query The query to upsert
+ * @param {Object} [rawInsert] Fields to set only if the row is created, the query update is optional with it
+ * @returns {Promise.<Boolean>} Resolve true if the row was created, false if it was updated
+ */
+const upsertMethod = async (query, { rawInsert, } = {}) => {
+  await query.prepareQuery();
+
+  if (!isUpsertQuery(query)) {
+    throw new Error('An upsert need a query filtering only with is operations (ie: query.email.is(email)).');
+  }
+
+  // Without update (findOrCreate), an existing row is only read, the update preparation (updatedAt...) is skipped:
+  if (rawInsert) {
+    return runOperationMethod(query, 'upsert', [ rawInsert, ]);
+  }
+
+  if (query[UPDATE].length === 0) {
+    throw new Error('Declare at least one update to run an upsert.');
+  }
+
+  await query.prepareUpdate();
+
+  return runOperationMethod(query, 'upsert');
+};
+
+module.exports = upsertMethod;
@@ -0,0 +1,130 @@
+'use strict';
+
+const { FIELDS, OPERATIONS, } = require('ilorm-constants').QUERY;
+const { getOperation, } = require('./json.method');
+
+// The operations which could be used in a where, every other operation (set, sort, select...) is not a filter :
+const FILTER_OPERATIONS = [
+  OPERATIONS.IS,
+  OPERATIONS.IS_NOT,
+  OPERATIONS.IS_IN,
+  OPERATIONS.IS_NOT_IN,
+  OPERATIONS.BETWEEN,
+  OPERATIONS.GREATER_OR_EQUAL_THAN,
+  OPERATIONS.LOWER_OR_EQUAL_THAN,
+  OPERATIONS.GREATER_THAN,
+  OPERATIONS.LOWER_THAN,
+  OPERATIONS.CONTAINS,
+  OPERATIONS.STARTS_WITH,
+  OPERATIONS.ENDS_WITH,
+  OPERATIONS.MATCHES,
+  OPERATIONS.IS_CASE_INSENSITIVE,
+];
+
+// The operations which need a list of values :
+const LIST_OPERATIONS = [
+  OPERATIONS.IS_IN,
+  OPERATIONS.IS_NOT_IN,
+];
+
+/**
+ * Check if the value is a plain object of operators ({ greaterThan: 18 }), and not a value (date, regex...)
+ * An object without prototype (ie: built by querystring.parse) is a plain object too.
+ * @param {*} value The value to check
+ * @returns {Boolean} Return true if the value is a plain object
+ */
+const isPlainObject = value => value !== null && typeof value === 'object' &&
+  [ Object.prototype, null, ].includes(Object.getPrototypeOf(value));
+
+/**
+ * Get the bounds of a between, given as [min, max] or { min, max }
+ * @param {String} field The filtered field
+ * @param {*} value The value of the between
+ * @returns {Array} The min and the max
+ */
+const getBetweenBounds = (field, value) => {
+  if (Array.isArray(value)) {
+    return value;
+  }
+
+  if (!isPlainObject(value)) {
+    throw new Error(`The operator between on the property ${field} need [min, max] or { min, max } as value.`);
+  }
+
+  return [ value.min, value.max, ];
+};
+
+/**
+ * Declare a filter of the where on the query, after checking the field and the operator
+ * @param {BaseQuery} query The query to fill
+ * @param {String} field The field to filter
+ * @param {String} operator The operator to apply on the field
+ * @param {*} value The value of the filter, [min, max] or { min, max } for between, an array for isIn and isNotIn
+ * @returns {void} Return nothing
+ */
+const applyFilter = ({ query, field, operator, value, }) => {
+  if (!query[FIELDS.SCHEMA].definition[field]) {
+    throw new Error(`The property ${field} does not exists in the defined schema.`);
+  }
+
+  if (!FILTER_OPERATIONS.includes(operator)) {
+    throw new Error(`Unknown operator ${operator} on the property ${field}, valid operators are : ` +
+      `${FILTER_OPERATIONS.join(', ')}.`);
+  }
+
+  if (LIST_OPERATIONS.includes(operator) && !Array.isArray(value)) {
+    throw new Error(`The operator ${operator} on the property ${field} need an array as value.`);
+  }
+
+  const operation = getOperation({
+    query,
+    field,
+    operator,
+  });
+
+  if (operator === OPERATIONS.BETWEEN) {
+    const [ min, max, ] = getBetweenBounds(field, value);
+
+    operation(min, max);
+  } else {
+    operation(value);
+  }
+};
+
+/**
+ * Declare the filters of a plain object on the query, each key is a field of the schema :
+ * - a value filter the field with is, an array with isIn,
+ * - an object declare a filter per operator ({ age: { greaterThan: 18, lowerThan: 30 } }).
+ * @param {BaseQuery} query The query to fill
+ * @param {Object} where The filters to declare
+ * @returns {BaseQuery} The query
+ */
+const whereMethod = (query, where) => {
+  if (!isPlainObject(where)) {
+    throw new Error('The where of a query need to be an object.');
+  }
+
+  Object.keys(where).forEach(field => {
+    const value = where[field];
+
+    if (isPlainObject(value)) {
+      Object.keys(value).forEach(operator => applyFilter({
+        query,
+        field,
+        operator,
+        value: value[operator],
+      }));
+    } else {
+      applyFilter({
+        query,
+        field,
+        operator: Array.isArray(value) ? OPERATIONS.IS_IN : OPERATIONS.IS,
+        value,
+      });
+    }
+  });
+
+  return query;
+};
+
+module.exports = whereMethod;
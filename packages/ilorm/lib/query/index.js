@@ -2,8 +2,10 @@
 
 const baseQueryClassFactory = require('./baseQuery.classFactory');
 const queryFactory = require('./query.factory');
+const { fromJSON, } = require('./baseQuery.classFactory/json.method');
 
 module.exports = {
   baseQueryClassFactory,
   queryFactory,
+  queryFromJSON: fromJSON,
 };
@@ -1,8 +1,6 @@
 'use strict';
 
-const { FIELDS, SELECT_BEHAVIOR, } = require('ilorm-constants').QUERY;
-const { SCHEMA, MODEL, CONNECTOR, QUERY, UPDATE, SORT, SELECT, } = FIELDS;
-
+const { CONNECTOR, MODEL, SCHEMA, } = require('ilorm-constants').QUERY.FIELDS;
 
 /**
  * Create a property option object (Object.defineProperty)
@@ -15,15 +13,6 @@ const { SCHEMA, MODEL, CONNECTOR, QUERY, UPDATE, SORT, SELECT, } = FIELDS;
  */
 const defineProperty = variable => ({ value: variable, });
 
-/**
- * Create select base in the query class.
- * @returns {Object} Create an object to store the select options on the current query.
- */
-const selectBaseFactory = () => ({
-  behavior: SELECT_BEHAVIOR.ALL,
-  fields: [],
-});
-
 /**
  * Create a new Query class from the given context
  * @param {Ilorm} ilorm The ilorm context
@@ -43,10 +32,6 @@ const queryFactory = ({ ilorm, model, }) => {
   Object.defineProperties(InternalQuery.prototype, {
     [SCHEMA]: defineProperty(schema),
     [CONNECTOR]: defineProperty(connector),
-    [QUERY]: defineProperty([]),
-    [UPDATE]: defineProperty([]),
-    [SORT]: defineProperty([]),
-    [SELECT]: defineProperty(selectBaseFactory()),
     [MODEL]: defineProperty(model),
   });
 
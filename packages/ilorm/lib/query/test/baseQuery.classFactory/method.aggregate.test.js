@@ -0,0 +1,93 @@
+/* eslint-disable */
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const { spy, } = require('sinon');
+
+chai.use(chaiAsPromised);
+
+const { expect, } = chai;
+
+const { initModel, } = require('ilorm-connector-memory/fixture');
+
+const initUserModel = () => {
+  const { Model, connector, } = initModel({
+    schema: Schema => ({
+      country: Schema.string(),
+      weight: Schema.number(),
+      birthday: Schema.date(),
+    }),
+    connectorMethods: {
+      aggregate: spy(query => {
+        const declared = {};
+
+        query.queryBuilder({
+          onAggregate: ({ groupBy, aggregates, }) => {
+            declared.groupBy = groupBy;
+            declared.aggregates = aggregates;
+          },
+          onOperator: (field, operator, value) => {
+            declared.filter = { field, operator, value, };
+          },
+        });
+
+        return Promise.resolve([ declared, ]);
+      }),
+    },
+  });
+
+  return {
+    User: Model,
+    connector,
+  };
+};
+
+describe('ilorm', () => {
+  describe('query', () => {
+    describe('baseQuery.classFactory', () => {
+      describe('aggregate', () => {
+        it('Should give the group by fields and the aggregates to the connector', async () => {
+          const { User, } = initUserModel();
+
+          const [ declared, ] = await User.query()
+            .country.isNot('France')
+            .groupBy('country')
+            .weight.sum()
+            .weight.avg('averageWeight')
+            .birthday.min()
+            .aggregate();
+
+          expect(declared).to.deep.equal({
+            filter: { field: 'country', operator: 'isNot', value: 'France', },
+            groupBy: [ 'country', ],
+            aggregates: [
+              { field: 'weight', operator: 'sum', alias: 'sumWeight', },
+              { field: 'weight', operator: 'avg', alias: 'averageWeight', },
+              { field: 'birthday', operator: 'min', alias: 'minBirthday', },
+            ],
+          });
+        });
+
+        it('Should reject if no aggregate or group by field is declared', async () => {
+          const { User, connector, } = initUserModel();
+
+          await expect(User.query().aggregate()).to.be.rejectedWith(Error);
+          expect(connector.aggregate.notCalled).to.be.true;
+        });
+
+        it('Should throw if the group by field is not in the schema', () => {
+          const { User, } = initUserModel();
+
+          expect(() => User.query().groupBy('unknown')).to.throw('The property unknown does not exists in the defined schema.');
+        });
+
+        it('Should not expose sum or avg on a date field', () => {
+          const { User, } = initUserModel();
+
+          expect(User.query().birthday.sum).to.be.undefined;
+          expect(User.query().birthday.max).to.be.a('function');
+        });
+      });
+    });
+  });
+});
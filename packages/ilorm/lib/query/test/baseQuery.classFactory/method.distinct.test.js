@@ -0,0 +1,73 @@
+/* eslint-disable */
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const { spy, } = require('sinon');
+
+chai.use(chaiAsPromised);
+
+const { expect, } = chai;
+
+const { initModel, } = require('ilorm-connector-memory/fixture');
+
+const initUserModel = () => {
+  const { Model, connector, } = initModel({
+    rows: [
+      { id: 1, name: 'Smith', country: 'France', },
+      { id: 2, name: 'Smith', country: 'Spain', },
+      { id: 3, name: 'John', country: 'Italy', },
+    ],
+    schema: Schema => ({
+      name: Schema.string(),
+      country: Schema.string(),
+    }),
+    scopes: {
+      active: {
+        handler: query => query.name.isNot(null),
+        isDefault: true,
+      },
+    },
+  });
+
+  spy(connector, 'distinct');
+  spy(connector, 'exists');
+
+  return {
+    User: Model,
+    connector,
+  };
+};
+
+describe('ilorm', () => {
+  describe('query', () => {
+    describe('baseQuery.classFactory', () => {
+      describe('distinct / exists', () => {
+        it('Should run the connector distinct with the field declared on the query', async () => {
+          const { User, connector, } = initUserModel();
+          const query = User.query().name.is('Smith');
+
+          expect(await query.country.distinct()).to.be.deep.equal([ 'France', 'Spain', ]);
+          expect(connector.distinct.calledOnce).to.be.equal(true);
+          expect(connector.distinct.firstCall.args[0]).to.be.equal(query);
+          expect(connector.distinct.firstCall.args[1]).to.be.equal('country');
+        });
+
+        it('Should reject the distinct of an unknown field', async () => {
+          const { User, } = initUserModel();
+
+          await expect(User.query().distinct('age'))
+            .to.be.rejectedWith('The property age does not exists in the defined schema.');
+        });
+
+        it('Should run the connector exists with the prepared query', async () => {
+          const { User, connector, } = initUserModel();
+          const query = User.query().country.is('France');
+
+          expect(await query.exists()).to.be.equal(true);
+          expect(connector.exists.calledOnceWith(query)).to.be.equal(true);
+          expect(query.toJSON().query).to.have.lengthOf(2);
+        });
+      });
+    });
+  });
+});
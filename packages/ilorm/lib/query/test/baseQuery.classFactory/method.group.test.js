@@ -0,0 +1,74 @@
+/* eslint-disable */
+
+const { expect, } = require('chai');
+
+const { QUERY, } = require('ilorm-constants').QUERY.FIELDS;
+const { initModel, } = require('ilorm-connector-memory/fixture');
+
+const initUserModel = () => initModel({
+  rows: [
+    { id: 1, name: 'Thibauld', weight: 70, },
+    { id: 2, name: 'Guillaume', weight: 80, },
+    { id: 3, name: 'Smith', weight: 90, },
+    { id: 4, name: 'John', weight: 60, },
+  ],
+  schema: Schema => ({
+    id: Schema.number(),
+    name: Schema.string(),
+    weight: Schema.number(),
+  }),
+}).Model;
+
+const findIds = async query => (await query.find()).map(user => user.id);
+
+describe('ilorm', () => {
+  describe('query', () => {
+    describe('baseQuery.classFactory', () => {
+      describe('or / and / not', () => {
+        it('Should keep the branch conditions out of the parent query', () => {
+          const User = initUserModel();
+          const query = User.query()
+            .or(branch => {
+              branch().name.is('Smith');
+            });
+
+          expect(query[QUERY]).to.have.lengthOf(0);
+        });
+
+        it('Should exclude the rows matching a not group', async () => {
+          const User = initUserModel();
+
+          expect(await findIds(User.query()
+            .not(branch => {
+              branch().name.is('Smith');
+              branch().weight.greaterThan(75);
+            }))).to.deep.equal([ 1, 4, ]);
+        });
+
+        it('Should nest and groups in or branches, and or groups in not branches', async () => {
+          const User = initUserModel();
+
+          expect(await findIds(User.query()
+            .or(branch => {
+              branch().and(andBranch => {
+                andBranch().weight.greaterThan(65);
+                andBranch().not(notBranch => {
+                  notBranch().or(orBranch => {
+                    orBranch().name.is('Guillaume');
+                    orBranch().name.is('Smith');
+                  });
+                });
+              });
+              branch().name.is('John');
+            }))).to.deep.equal([ 1, 4, ]);
+        });
+
+        it('Should ignore a group without branch', async () => {
+          const User = initUserModel();
+
+          expect(await findIds(User.query().not(() => null))).to.deep.equal([ 1, 2, 3, 4, ]);
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/* eslint-disable */
+
+const { expect, } = require('chai');
+
+const { QUERY, } = require('ilorm-constants').QUERY.FIELDS;
+const { initModel, } = require('ilorm-connector-memory/fixture');
+
+const initUserModel = () => initModel({
+  schema: Schema => ({
+    name: Schema.string(),
+    weight: Schema.number(),
+    birthday: Schema.date(),
+    fullName: Schema.virtual(user => user.name),
+  }),
+}).Model;
+
+describe('ilorm', () => {
+  describe('query', () => {
+    describe('baseQuery.classFactory', () => {
+      describe('toJSON / queryFromJSON', () => {
+        it('Should round-trip the query through a JSON string', () => {
+          const User = initUserModel();
+          const query = User.query()
+            .name.isIn([ 'Smith', 'Doe', ])
+            .birthday.between(new Date('1990-01-01'), new Date('2000-01-01'))
+            .or(branch => {
+              branch().weight.greaterThan(80);
+              branch().weight.lowerThan(50);
+            })
+            .not(branch => {
+              branch().and(andBranch => {
+                andBranch().name.is('Smith');
+                andBranch().weight.is(80);
+              });
+            })
+            .weight.set(70)
+            .weight.useAsSortDesc()
+            .name.select()
+            .weight.select()
+            .skip(10)
+            .limit(5);
+
+          const json = JSON.parse(JSON.stringify(query));
+          const restoredQuery = User.queryFromJSON(json);
+
+          expect(restoredQuery.toJSON()).to.deep.equal(query.toJSON());
+          expect(restoredQuery[QUERY][1].value.min).to.be.instanceOf(Date);
+          expect(json.update).to.deep.equal([ { field: 'weight', operator: 'set', value: 70, }, ]);
+          expect(json.sort).to.deep.equal([ { field: 'weight', order: 'desc', }, ]);
+          expect(json.select).to.deep.equal({ behavior: 'multiple', fields: [ 'name', 'weight', ], });
+          expect(json.skip).to.equal(10);
+          expect(json.limit).to.equal(5);
+          expect(json.or[0]).to.have.lengthOf(2);
+          expect(json.not[0][0].and[0]).to.have.lengthOf(2);
+        });
+
+        it('Should reject an unknown field', () => {
+          const User = initUserModel();
+
+          expect(() => User.queryFromJSON({
+            query: [ { field: 'unknown', operator: 'is', value: 1, }, ],
+          })).to.throw('The property unknown does not exists in the defined schema.');
+        });
+
+        it('Should reject an operator not available on the field', () => {
+          const User = initUserModel();
+
+          expect(() => User.queryFromJSON({
+            query: [ { field: 'name', operator: 'greaterThan', value: 'a', }, ],
+          })).to.throw('The operation greaterThan could not be applied on the property name.');
+        });
+
+        it('Should reject a virtual field', () => {
+          const User = initUserModel();
+
+          expect(() => User.queryFromJSON({
+            query: [ { field: 'fullName', operator: 'is', value: 'Smith', }, ],
+          })).to.throw('The virtual field fullName could not be used in a query.');
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/* eslint-disable */
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+chai.use(chaiAsPromised);
+
+const { expect, } = chai;
+
+const { initModel, } = require('ilorm-connector-memory/fixture');
+
+const initUserModel = () => initModel({
+  rows: [
+    { id: 1, name: 'Thibauld', weight: 70, },
+    { id: 2, name: 'Guillaume', weight: 80, },
+    { id: 3, name: 'Smith', weight: 70, },
+    { id: 4, name: 'John', weight: 60, },
+    { id: 5, name: 'Jane', weight: 80, },
+  ],
+  schema: Schema => ({
+    id: Schema.number(),
+    name: Schema.string(),
+    weight: Schema.number().required(),
+  }),
+}).Model;
+
+describe('ilorm', () => {
+  describe('query', () => {
+    describe('baseQuery.classFactory', () => {
+      describe('paginate', () => {
+        it('Should load the pages in the order of the primary key', async () => {
+          const User = initUserModel();
+
+          const firstPage = await User.query().paginate({ size: 2, });
+
+          expect(firstPage.items.map(user => user.id)).to.deep.equal([ 1, 2, ]);
+          expect(firstPage.hasMore).to.be.true;
+
+          const secondPage = await User.query().paginate({ after: firstPage.nextCursor, size: 2, });
+
+          expect(secondPage.items.map(user => user.id)).to.deep.equal([ 3, 4, ]);
+
+          const lastPage = await User.query().paginate({ after: secondPage.nextCursor, size: 2, });
+
+          expect(lastPage.items.map(user => user.id)).to.deep.equal([ 5, ]);
+          expect(lastPage.hasMore).to.be.false;
+          expect(lastPage.nextCursor).to.be.null;
+        });
+
+        it('Should use the sort of the query, then the primary key to split equal values', async () => {
+          const User = initUserModel();
+          const ids = [];
+          let page = { nextCursor: null, };
+
+          do {
+            page = await User.query()
+              .weight.useAsSortDesc()
+              .paginate({ after: page.nextCursor, size: 2, });
+
+            ids.push(...page.items.map(user => user.id));
+          } while (page.hasMore);
+
+          expect(ids).to.deep.equal([ 2, 5, 1, 3, 4, ]);
+        });
+
+        it('Should paginate the same query many times without changing it', async () => {
+          const User = initUserModel();
+          const query = User.query()
+            .weight.greaterThan(60)
+            .weight.useAsSortDesc();
+          const json = query.toJSON();
+
+          const firstPage = await query.paginate({ size: 2, });
+          const secondPage = await query.paginate({ after: firstPage.nextCursor, size: 2, });
+
+          expect(firstPage.items.map(user => user.id)).to.deep.equal([ 2, 5, ]);
+          expect(secondPage.items.map(user => user.id)).to.deep.equal([ 1, 3, ]);
+          expect(secondPage.hasMore).to.be.false;
+          expect(query.toJSON()).to.deep.equal(json);
+        });
+
+        it('Should reject a sort on a field which is not required', async () => {
+          const User = initUserModel();
+
+          await expect(User.query().name.useAsSortAsc().paginate())
+            .to.be.rejectedWith('Could not paginate with the sort of the field name which is not required, ' +
+              'a null value could not be compared with the cursor.');
+        });
+
+        it('Should reject an invalid cursor', async () => {
+          const User = initUserModel();
+
+          await expect(User.query().paginate({ after: 'invalid', })).to.be.rejectedWith('Invalid pagination cursor');
+        });
+      });
+    });
+  });
+});
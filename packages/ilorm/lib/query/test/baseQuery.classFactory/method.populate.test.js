@@ -0,0 +1,119 @@
+/* eslint-disable */
+
+const { expect, } = require('chai');
+const { spy, } = require('sinon');
+
+const { initIlorm, } = require('ilorm-connector-memory/fixture');
+
+const initModels = () => {
+  const { declareModel, } = initIlorm({
+    collections: {
+      company: [
+        { id: 1, name: 'Ilorm Inc', },
+      ],
+      user: [
+        { id: 10, name: 'Thibauld', company: 1, },
+        { id: 11, name: 'Guillaume', company: 1, },
+      ],
+      post: [
+        { id: 100, title: 'First post', author: 10, },
+        { id: 101, title: 'Second post', author: 10, },
+        { id: 102, title: 'Third post', author: 11, },
+        { id: 103, title: 'Anonymous post', },
+      ],
+    },
+  });
+
+  const { Model: Company, connector: companyConnector, } = declareModel({
+    name: 'company',
+    schema: Schema => ({
+      name: Schema.string(),
+    }),
+  });
+  const { Model: User, connector: userConnector, } = declareModel({
+    name: 'user',
+    schema: Schema => ({
+      name: Schema.string(),
+      company: Schema.reference('company'),
+    }),
+  });
+  const { Model: Post, } = declareModel({
+    name: 'post',
+    schema: Schema => ({
+      title: Schema.string(),
+      author: Schema.reference('user'),
+    }),
+  });
+
+  spy(companyConnector, 'find');
+  spy(userConnector, 'find');
+
+  return {
+    Company,
+    Post,
+    User,
+    companyConnector,
+    userConnector,
+  };
+};
+
+describe('ilorm', () => {
+  describe('query', () => {
+    describe('baseQuery.classFactory', () => {
+      describe('Method - populate', () => {
+        it('Should load the referenced instances with one query per relation', async () => {
+          const { Post, User, userConnector, } = initModels();
+
+          const posts = await Post.query()
+            .populate('author')
+            .find();
+
+          expect(userConnector.find.calledOnce).to.be.equal(true);
+          expect(posts.map(post => post.getPopulated('author') && post.getPopulated('author').name))
+            .to.be.deep.equal([ 'Thibauld', 'Thibauld', 'Guillaume', null, ]);
+          expect(posts[0].getPopulated('author')).to.be.an.instanceOf(User);
+          expect(posts[0].author).to.be.equal(10);
+          expect(posts[0].isModified()).to.be.equal(false);
+        });
+
+        it('Should load every instance referencing the result when populating a model name', async () => {
+          const { User, } = initModels();
+
+          const user = await User.query()
+            .id.is(10)
+            .populate('post')
+            .findOne();
+
+          expect(user.getPopulated('post').map(post => post.title)).to.be.deep.equal([ 'First post', 'Second post', ]);
+        });
+
+        it('Should populate nested paths', async () => {
+          const { Post, companyConnector, } = initModels();
+
+          const posts = await Post.query()
+            .populate('author.company')
+            .find();
+
+          expect(companyConnector.find.calledOnce).to.be.equal(true);
+          expect(posts[2].getPopulated('author').getPopulated('company').name).to.be.equal('Ilorm Inc');
+        });
+
+        it('Should throw when the path is not a reference or a related model', async () => {
+          const { Post, } = initModels();
+
+          let error;
+
+          try {
+            await Post.query()
+              .populate('title')
+              .find();
+          } catch (err) {
+            error = err;
+          }
+
+          expect(error.message).to.be.equal('Could not populate title, it\'s not a reference field of post or a model name.');
+        });
+      });
+    });
+  });
+});
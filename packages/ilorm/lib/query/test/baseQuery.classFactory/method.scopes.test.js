@@ -0,0 +1,123 @@
+/* eslint-disable */
+
+const { expect, } = require('chai');
+
+const { initModel, } = require('ilorm-connector-memory/fixture');
+
+const initUserModel = ({ scopes, pluginScopes, } = {}) => initModel({
+  rows: [
+    { id: 1, name: 'Thibauld', weight: 70, isActive: true, },
+    { id: 2, name: 'Guillaume', weight: 80, isActive: false, },
+    { id: 3, name: 'Smith', weight: 90, isActive: true, },
+  ],
+  plugins: pluginScopes ? [ { plugins: { scopes: pluginScopes, }, }, ] : [],
+  schema: Schema => ({
+    id: Schema.number(),
+    name: Schema.string(),
+    weight: Schema.number(),
+    isActive: Schema.boolean(),
+  }),
+  scopes,
+}).Model;
+
+const findIds = async query => (await query.find()).map(user => user.id);
+
+describe('ilorm', () => {
+  describe('query', () => {
+    describe('baseQuery.classFactory', () => {
+      describe('scopes', () => {
+        it('Should chain the named scopes of the model with their parameters', async () => {
+          const User = initUserModel({
+            scopes: {
+              active: query => query.isActive.is(true),
+              heavierThan: (query, weight) => query.weight.greaterThan(weight),
+            },
+          });
+
+          expect(await findIds(User.query().active().heavierThan(75))).to.be.deep.equal([ 3, ]);
+          expect(await findIds(User.query().heavierThan(75))).to.be.deep.equal([ 2, 3, ]);
+        });
+
+        it('Should apply the default scopes, except on an unscoped query', async () => {
+          const User = initUserModel({
+            scopes: {
+              active: {
+                handler: query => query.isActive.is(true),
+                isDefault: true,
+              },
+              light: {
+                handler: query => query.weight.lowerThan(85),
+                isDefault: true,
+              },
+            },
+          });
+
+          expect(await findIds(User.query())).to.be.deep.equal([ 1, ]);
+          expect(await findIds(User.query().unscoped())).to.be.deep.equal([ 1, 2, 3, ]);
+          expect(await findIds(User.query().unscoped('light'))).to.be.deep.equal([ 1, 3, ]);
+        });
+
+        it('Should apply the default scopes only once when the query is run many times', async () => {
+          const User = initUserModel({
+            scopes: {
+              active: {
+                handler: query => query.isActive.is(true),
+                isDefault: true,
+              },
+            },
+          });
+          const query = User.query();
+
+          await query.find();
+          await query.find();
+
+          expect(query.toJSON().query).to.have.lengthOf(1);
+          expect(query.toJSON().unscoped).to.be.equal(true);
+        });
+
+        it('Should declare the scopes of the plugins on every model, the model could overload them', async () => {
+          const pluginScopes = {
+            active: query => query.isActive.is(true),
+            named: (query, name) => query.name.is(name),
+          };
+          const User = initUserModel({
+            pluginScopes,
+            scopes: {
+              named: (query, name) => query.name.is(name.toUpperCase()),
+            },
+          });
+
+          expect(await findIds(User.query().active())).to.be.deep.equal([ 1, 3, ]);
+          expect(await findIds(User.query().named('Smith'))).to.be.deep.equal([]);
+        });
+
+        it('Should restore the unscoped state from the json', () => {
+          const User = initUserModel({
+            scopes: {
+              active: {
+                handler: query => query.isActive.is(true),
+                isDefault: true,
+              },
+            },
+          });
+
+          expect(User.queryFromJSON(User.query().unscoped('active').toJSON()).toJSON().unscoped)
+            .to.be.deep.equal([ 'active', ]);
+        });
+
+        it('Should throw if a scope use the name of a field or of a query method', () => {
+          expect(() => initUserModel({ scopes: { weight: query => query, }, }))
+            .to.throw('The scope weight could not be declared, a field or a query method use the same name.');
+          expect(() => initUserModel({ scopes: { find: query => query, }, }))
+            .to.throw('The scope find could not be declared, a field or a query method use the same name.');
+        });
+
+        it('Should throw if an unknown scope is unscoped', () => {
+          const User = initUserModel();
+
+          expect(() => User.query().unscoped('active')).to.throw('The scope active is not declared on the model.');
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/* eslint-disable */
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const { spy, } = require('sinon');
+
+chai.use(chaiAsPromised);
+
+const { expect, } = chai;
+
+const { initModel, } = require('ilorm-connector-memory/fixture');
+
+const initUserModel = ({ connectorMethods, scopes, } = {}) => {
+  const { Model, connector, } = initModel({
+    rows: [
+      { id: 1, name: 'Smith', },
+      { id: 2, name: 'John', },
+    ],
+    schema: Schema => ({
+      name: Schema.string(),
+    }),
+    connectorMethods,
+    scopes,
+  });
+
+  spy(connector, 'find');
+
+  return {
+    User: Model,
+    connector,
+  };
+};
+
+describe('ilorm', () => {
+  describe('query', () => {
+    describe('baseQuery.classFactory', () => {
+      describe('toNative / explain', () => {
+        it('Should return the native query of the connector without running the query', async () => {
+          const { User, connector, } = initUserModel();
+
+          expect(await User.query().name.is('Smith').toNative()).to.deep.equal({
+            collection: 'user',
+            rows: [ { id: 1, name: 'Smith', }, ],
+            hasUpdate: false,
+          });
+          expect(connector.find.notCalled).to.be.true;
+        });
+
+        it('Should apply the default scopes as find()', async () => {
+          const { User, } = initUserModel({
+            scopes: {
+              smiths: {
+                handler: query => query.name.is('Smith'),
+                isDefault: true,
+              },
+            },
+          });
+
+          expect((await User.query().toNative()).rows).to.deep.equal([ { id: 1, name: 'Smith', }, ]);
+          expect((await User.query().unscoped().toNative()).rows).to.have.lengthOf(2);
+        });
+
+        it('Should reject if the connector does not implement toNative', async () => {
+          const { User, } = initUserModel({
+            connectorMethods: { toNative: undefined, },
+          });
+
+          await expect(User.query().toNative())
+            .to.be.rejectedWith('The connector of the model does not implement toNative.');
+        });
+
+        it('Should resolve the explain plan of the connector', async () => {
+          const explain = spy(() => Promise.resolve({ plan: 'COLLSCAN', }));
+          const { User, } = initUserModel({
+            connectorMethods: { explain, },
+          });
+          const query = User.query().name.is('Smith');
+
+          await expect(query.explain()).to.eventually.deep.equal({ plan: 'COLLSCAN', });
+          expect(explain.calledOnce).to.be.true;
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/* eslint-disable */
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+chai.use(chaiAsPromised);
+
+const { expect, } = chai;
+
+const { initModel, } = require('ilorm-connector-memory/fixture');
+
+const initUserModel = (hooks, scopes) => {
+  const { ilorm, Model, getRows, } = initModel({
+    hooks,
+    scopes,
+    schema: Schema => ({
+      email: Schema.string().required(),
+      name: Schema.string().required(),
+      logins: Schema.number().default(0),
+    }),
+  });
+
+  return {
+    ilorm,
+    User: Model,
+    getRows,
+  };
+};
+
+describe('ilorm', () => {
+  describe('query', () => {
+    describe('baseQuery.classFactory', () => {
+      describe('upsert / findOrCreate', () => {
+        it('Should create the row with the filters and the update, then update it', async () => {
+          const { User, getRows, } = initUserModel();
+
+          expect(await User.query().email.is('smith@test.com').name.set('Smith').logins.add(1).upsert()).to.be.equal(true);
+          expect(await User.query().email.is('smith@test.com').logins.add(1).upsert()).to.be.equal(false);
+          expect(getRows()).to.be.deep.equal([ { id: 1, email: 'smith@test.com', name: 'Smith', logins: 2, }, ]);
+        });
+
+        it('Should reject an upsert which does not filter only with is operations', async () => {
+          const { User, } = initUserModel();
+          const error = 'An upsert need a query filtering only with is operations (ie: query.email.is(email)).';
+
+          await expect(User.query().name.set('Smith').upsert()).to.be.rejectedWith(error);
+          await expect(User.query().email.isNot('smith@test.com').name.set('Smith').upsert()).to.be.rejectedWith(error);
+        });
+
+        it('Should check the upsert query once the default scopes are applied', async () => {
+          const { User, getRows, } = initUserModel(undefined, {
+            smith: {
+              handler: query => query.name.is('Smith'),
+              isDefault: true,
+            },
+            active: {
+              handler: query => query.logins.greaterThan(0),
+              isDefault: true,
+            },
+          });
+
+          await expect(User.query().email.is('smith@test.com').logins.add(1).upsert())
+            .to.be.rejectedWith('An upsert need a query filtering only with is operations');
+          expect(await User.query().unscoped('active').email.is('smith@test.com').logins.add(1).upsert())
+            .to.be.equal(true);
+          expect(getRows()).to.be.deep.equal([ { id: 1, email: 'smith@test.com', name: 'Smith', logins: 1, }, ]);
+        });
+
+        it('Should reject an upsert without update', async () => {
+          const { User, } = initUserModel();
+
+          await expect(User.query().email.is('smith@test.com').upsert())
+            .to.be.rejectedWith('Declare at least one update to run an upsert.');
+        });
+
+        it('Should create the instance with the filter, the defaults and the schema defaults', async () => {
+          const { User, getRows, } = initUserModel();
+          const { instance, created, } = await User.findOrCreate({ email: 'smith@test.com', }, { name: 'Smith', });
+
+          expect(created).to.be.equal(true);
+          expect(instance).to.be.instanceOf(User);
+          expect(instance.name).to.be.equal('Smith');
+          expect(getRows()).to.be.deep.equal([ { id: 1, email: 'smith@test.com', name: 'Smith', logins: 0, }, ]);
+        });
+
+        it('Should find the existing instance without updating it', async () => {
+          const { User, getRows, } = initUserModel();
+
+          getRows().push({ id: 1, email: 'smith@test.com', name: 'Smith', logins: 3, });
+
+          const { instance, created, } = await User.findOrCreate({ email: 'smith@test.com', }, { name: 'John', });
+
+          expect(created).to.be.equal(false);
+          expect(instance.name).to.be.equal('Smith');
+          expect(getRows()).to.have.lengthOf(1);
+        });
+
+        it('Should validate and run the beforeSave hooks on the instance to create', async () => {
+          const { User, getRows, } = initUserModel({
+            beforeSave: instance => {
+              if (instance.name) {
+                instance.name = instance.name.toUpperCase();
+              }
+            },
+          });
+
+          await expect(User.findOrCreate({ email: 'smith@test.com', })).to.be.rejectedWith(/name/);
+
+          const { instance, } = await User.findOrCreate({ email: 'smith@test.com', }, { name: 'Smith', });
+
+          expect(instance.name).to.be.equal('SMITH');
+          expect(getRows()).to.have.lengthOf(1);
+        });
+
+        it('Should refuse to run in a transaction emulated by a connector without transaction support', async () => {
+          const { ilorm, User, getRows, } = initUserModel();
+
+          await expect(ilorm.transaction(transaction => User.findOrCreate({ email: 'smith@test.com', }, {
+            name: 'Smith',
+          }, { transaction, }))).to.be.rejectedWith('findOrCreate cannot be run in a transaction emulated');
+          expect(getRows()).to.have.lengthOf(0);
+        });
+      });
+    });
+  });
+});
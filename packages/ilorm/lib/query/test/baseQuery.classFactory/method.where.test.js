@@ -0,0 +1,130 @@
+/* eslint-disable */
+
+const { expect, } = require('chai');
+
+const { OPERATIONS, } = require('ilorm-constants').QUERY;
+const { initModel, } = require('ilorm-connector-memory/fixture');
+
+const initUserModel = () => initModel({
+  schema: Schema => ({
+    name: Schema.string(),
+    age: Schema.number(),
+    status: Schema.string(),
+    birthday: Schema.date(),
+  }),
+}).Model;
+
+const getOperations = query => {
+  const operations = [];
+
+  query.queryBuilder({
+    onOperator: (field, operator, value) => operations.push({ field, operator, value, }),
+  });
+
+  return operations;
+};
+
+describe('ilorm', () => {
+  describe('query', () => {
+    describe('baseQuery.classFactory', () => {
+      describe('where', () => {
+        it('Should declare is for a value, isIn for an array and a filter per operator for an object', () => {
+          const User = initUserModel();
+          const birthday = new Date('2000-01-01');
+          const query = User.query().where({
+            name: 'Smith',
+            status: [ 'active', 'pending', ],
+            age: { greaterThan: 18, lowerOrEqualThan: 30, },
+            birthday,
+          });
+
+          expect(getOperations(query)).to.be.deep.equal([
+            { field: 'name', operator: OPERATIONS.IS, value: 'Smith', },
+            { field: 'status', operator: OPERATIONS.IS_IN, value: [ 'active', 'pending', ], },
+            { field: 'age', operator: OPERATIONS.GREATER_THAN, value: 18, },
+            { field: 'age', operator: OPERATIONS.LOWER_OR_EQUAL_THAN, value: 30, },
+            { field: 'birthday', operator: OPERATIONS.IS, value: birthday, },
+          ]);
+        });
+
+        it('Should declare between with an array or an object', () => {
+          const User = initUserModel();
+          const query = User.query()
+            .where({ age: { between: [ 18, 30, ], }, })
+            .where({ age: { between: { min: 40, max: 50, }, }, });
+
+          expect(getOperations(query)).to.be.deep.equal([
+            { field: 'age', operator: OPERATIONS.BETWEEN, value: { min: 18, max: 30, }, },
+            { field: 'age', operator: OPERATIONS.BETWEEN, value: { min: 40, max: 50, }, },
+          ]);
+        });
+
+        it('Should accept an object without prototype', () => {
+          const User = initUserModel();
+          const where = Object.assign(Object.create(null), {
+            name: 'Smith',
+            age: Object.assign(Object.create(null), { greaterThan: '18', }),
+          });
+
+          expect(getOperations(User.query().where(where))).to.be.deep.equal([
+            { field: 'name', operator: OPERATIONS.IS, value: 'Smith', },
+            { field: 'age', operator: OPERATIONS.GREATER_THAN, value: '18', },
+          ]);
+        });
+
+        it('Should throw on a value which could not be used by the operator', () => {
+          const User = initUserModel();
+
+          expect(() => User.query().where({ age: { between: null, }, }))
+            .to.throw('The operator between on the property age need [min, max] or { min, max } as value.');
+          expect(() => User.query().where({ age: { between: 18, }, }))
+            .to.throw('The operator between on the property age need [min, max] or { min, max } as value.');
+          expect(() => User.query().where({ status: { isIn: 'active', }, }))
+            .to.throw('The operator isIn on the property status need an array as value.');
+        });
+
+        it('Should be usable in a branch of a group', () => {
+          const User = initUserModel();
+          const query = User.query().or(branch => {
+            branch().where({ name: 'Smith', });
+            branch().where({ age: { lowerThan: 18, }, });
+          });
+
+          expect(query.toJSON().or[0].map(branch => branch.query)).to.be.deep.equal([
+            [ { field: 'name', operator: OPERATIONS.IS, value: 'Smith', }, ],
+            [ { field: 'age', operator: OPERATIONS.LOWER_THAN, value: 18, }, ],
+          ]);
+        });
+
+        it('Should throw on an unknown field', () => {
+          const User = initUserModel();
+
+          expect(() => User.query().where({ email: 'smith@test.com', }))
+            .to.throw('The property email does not exists in the defined schema.');
+        });
+
+        it('Should throw on an unknown operator, or an operator which is not a filter', () => {
+          const User = initUserModel();
+
+          expect(() => User.query().where({ age: { biggerThan: 18, }, }))
+            .to.throw(/^Unknown operator biggerThan on the property age, valid operators are : is, isNot/);
+          expect(() => User.query().where({ age: { set: 18, }, }))
+            .to.throw(/^Unknown operator set on the property age/);
+        });
+
+        it('Should throw on an operator which could not be applied on the field', () => {
+          const User = initUserModel();
+
+          expect(() => User.query().where({ age: { contains: '1', }, }))
+            .to.throw('The operation contains could not be applied on the property age.');
+        });
+
+        it('Should throw if the where is not an object', () => {
+          const User = initUserModel();
+
+          expect(() => User.query().where('name = Smith')).to.throw('The where of a query need to be an object.');
+        });
+      });
+    });
+  });
+});
@@ -1,5 +1,7 @@
 'use strict';
 
+const { ValidationError, } = require('../errors');
+
 const UNDEFINED_PROPERTIES_POLICY = {
   KEEP: 'keep',
   ERROR: 'error',
@@ -43,21 +45,56 @@ class BaseSchema {
       });
     });
     this.undefinedPropertyPolicy = options.undefinedPropertyPolicy;
+    this.virtuals = this.properties.filter(property => this.definition[property].isVirtual());
+  }
+
+  /**
+   * Get the virtual field (computed from the instance) with the given name
+   * @param {String|Symbol} property The name of the field
+   * @returns {VirtualField|null} The virtual field, or null if the property is not a virtual field
+   */
+  getVirtualField(property) {
+    return this.virtuals.includes(property) ? this.definition[property] : null;
   }
 
   /**
    * Create a copy of schema from the given instance
    * @param {BaseSchema} schema The schema to copy
-   * @returns {BaseSchema} The copy of the schema
+   * @returns {BaseSchema} The copy of the schema, a field added to the copy is not added to the given schema
    */
   static copy(schema) {
-    return new this(schema.definition, schema.options);
+    return new this({ ...schema.definition, }, schema.options);
+  }
+
+  /**
+   * Get every field stored in the database (every field except the virtual fields)
+   * @returns {Array.<String>} The list of stored fields
+   */
+  getStoredProperties() {
+    return this.properties.filter(property => !this.virtuals.includes(property));
+  }
+
+  /**
+   * Add a field to the schema after its creation (ie: a field added by a plugin when the model is known)
+   * @param {String} property The name of the field
+   * @param {BaseField} field The field to add
+   * @returns {Void} Return nothing
+   */
+  addField(property, field) {
+    this.definition[property] = field;
+    this.definition[property]._name = property;
+    this.properties.push(property);
+
+    if (field.isVirtual()) {
+      this.virtuals.push(property);
+    }
   }
 
   /**
    * Bind current schema with the current model
+   * A plugin completing the schema in function of the model bind a completed copy instead, the schema could be shared.
    * @param {InternalModel} InternalModel The model to bind with the schema
-   * @returns {Void} Return nothing
+   * @returns {BaseSchema} The schema used by the model
    */
   bindWithModel({ InternalModel, }) {
     this.properties.forEach(property => {
@@ -66,6 +103,8 @@ class BaseSchema {
         property,
       });
     });
+
+    return this;
   }
 
   /**
@@ -100,16 +139,34 @@ class BaseSchema {
     return rawObject;
   }
 
+  /**
+   * Set the default value of every field not set on the instance
+   * @param {Object} instance The instance (or raw json object) to fill
+   * @returns {Promise.<Object>} Resolve the instance
+   */
+  async applyDefaults(instance) {
+    await Promise.all(this.getStoredProperties()
+      .map(property => this.definition[property].initDefault(instance, property)));
+
+    return instance;
+  }
+
   /**
    * Create a new instance from a model, respecting the given schema
    * @param {Object} modelInstance the object to use as a model
+   * @param {Object} [options] Options of the conversion
+   * @param {Boolean} [options.virtuals=false] Set to true to include the virtual fields values
    * @returns {Object} Create a new object respecting the schema
    */
-  async initInstance(modelInstance = {}) {
+  async initInstance(modelInstance = {}, { virtuals = false, } = {}) {
     const instance = {};
-    
-    const initAllFields = this.properties.map(async property => {
-      const value = await this.definition[property].init(modelInstance, property);
+    const properties = virtuals ? this.properties : this.getStoredProperties();
+
+    const initAllFields = properties.map(async property => {
+      const field = this.definition[property];
+      const value = field.isVirtual() ?
+        await field.getValue(modelInstance) :
+        await field.init(modelInstance, property);
 
       if (value !== undefined) {
         instance[property] = value;
@@ -123,13 +180,43 @@ class BaseSchema {
     return instance;
   }
 
+  /**
+   * Check every field of the instance and throw a ValidationError listing all invalid fields
+   * @param {Object} instance The instance (or raw json object) to check
+   * @returns {Promise.<Object>} Resolve the instance if valid, reject with a ValidationError otherwise
+   */
+  async validate(instance) {
+    const fieldsErrors = await Promise.all(this.getStoredProperties().map(async field => ({
+      field,
+      messages: await this.definition[field].getValidationErrors(instance[field]),
+    })));
+
+    const errors = fieldsErrors.filter(({ messages, }) => messages.length > 0);
+
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    return instance;
+  }
+
   /**
    * Check if a json object valid the given schema
-   * TODO
-   * @return {null} null;
+   * @param {Object} instance The instance (or raw json object) to check
+   * @return {Promise.<Boolean>} Return true if the instance is valid
    */
-  isValid() {
-    return null;
+  async isValid(instance) {
+    try {
+      await this.validate(instance);
+    } catch (err) {
+      if (err instanceof ValidationError) {
+        return false;
+      }
+
+      throw err;
+    }
+
+    return true;
   }
 
   /**
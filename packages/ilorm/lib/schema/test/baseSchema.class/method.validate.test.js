@@ -0,0 +1,68 @@
+/* eslint-disable */
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+chai.use(chaiAsPromised);
+
+const { expect } = chai;
+
+const Ilorm = require('../../../ilorm.class');
+
+describe('ilorm', () => {
+  describe('schema', () => {
+    describe('baseSchema.class', () => {
+      describe('Method - validate', () => {
+        const { Schema, Errors, } = new Ilorm();
+
+        const userSchema = new Schema({
+          firstName: Schema.string().required(),
+          age: Schema.number(),
+          birthday: Schema.date(),
+          email: Schema.string()
+            .validator(value => value.includes('@'), 'email need an @'),
+        });
+
+        it('Should resolve the instance if every field is valid', async () => {
+          const user = {
+            firstName: 'Guillaume',
+            age: 25,
+            email: 'guillaume@ilorm.com',
+          };
+
+          expect(await userSchema.validate(user)).to.be.equal(user);
+          expect(await userSchema.isValid(user)).to.be.equal(true);
+        });
+
+        it('Should reject with a ValidationError listing every invalid field', async () => {
+          const user = {
+            age: 'not a number',
+            birthday: 'not a date',
+            email: 'invalid email',
+          };
+
+          const error = await userSchema.validate(user).catch(err => err);
+
+          expect(error).to.be.an.instanceOf(Errors.ValidationError);
+          expect(error.errors.map(({ field }) => field)).to.be.deep.equal([ 'firstName', 'age', 'birthday', 'email' ]);
+          expect(error.errors[0].messages).to.be.deep.equal([ 'Field firstName is required.' ]);
+          expect(error.errors[3].messages).to.be.deep.equal([ 'email need an @' ]);
+          expect(await userSchema.isValid(user)).to.be.equal(false);
+        });
+
+        it('Should support asynchronous validators with a default message', async () => {
+          const schema = new Schema({
+            nickname: Schema.string().validator(async value => value !== 'admin'),
+          });
+
+          await expect(schema.validate({ nickname: 'admin' }))
+            .to.be.rejectedWith(Errors.ValidationError, 'Validation failed on fields : nickname');
+
+          const error = await schema.validate({ nickname: 'admin' }).catch(err => err);
+
+          expect(error.errors[0].messages).to.be.deep.equal([ 'Invalid value for field nickname.' ]);
+        });
+      });
+    });
+  });
+});
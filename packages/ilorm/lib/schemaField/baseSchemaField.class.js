@@ -24,6 +24,7 @@ class BaseSchemaField {
     this._isRequired = false;
     this._default = undefined;
     this._name = null;
+    this._validators = [];
   }
 
   /**
@@ -31,42 +32,86 @@ class BaseSchemaField {
    * @param {*} value The value to check
    * @return {boolean} Return true if the given value is valid of the current field
    */
-  async isValid(value) { // eslint-disable-line
-    return true;
+  async isValid(value) {
+    const errors = await this.getValidationErrors(value);
+
+    return errors.length === 0;
+  }
+
+  /**
+   * Return every error of the given value (required, type and custom validators)
+   * @param {*} value The value to check
+   * @return {Promise.<Array.<String>>} The list of error messages, empty if the value is valid
+   */
+  async getValidationErrors(value) {
+    // A required field with a default value will be filled at the creation of the instance:
+    if (value === undefined || value === null) {
+      return this._isRequired && this._default === undefined ? [ `Field ${this._name} is required.`, ] : [];
+    }
+
+    try {
+      this.castValue(value);
+    } catch (err) {
+      return [ err.message, ];
+    }
+
+    const validatorsResult = await Promise.all(this._validators.map(({ validator, }) => validator(value)));
+
+    return this._validators
+      .filter((validator, index) => !validatorsResult[index])
+      .map(({ message, }) => message || `Invalid value for field ${this._name}.`);
   }
 
   /**
    * Init the given instance field
+   * The value is only casted, the validation run at save (a stored row which became invalid could still be loaded
+   * and serialized). A value which could not be casted is kept as it.
    * @param {Object} instance instance to init
    * @param {String} field field to init
-   * @return {*} The initied field value
+   * @return {Promise.<*>} The initied field value
    */
-  async init(instance, field) {
+  init(instance, field) {
     const value = instance[field];
 
-    if (value !== undefined) {
-      if (!await this.isValid(value)) {
-        throw new Error(`Invalid ${value} for field ${this._name}`);
-      }
-
-      return value;
+    if (value === null) {
+      return Promise.resolve(value);
     }
 
-    if (this._default) {
-      return undefined;
+    if (value !== undefined) {
+      try {
+        return Promise.resolve(this.castValue(value));
+      } catch (err) {
+        return Promise.resolve(value);
+      }
     }
 
-    if (typeof this._default === 'function') {
-      instance[field] = await this._default();
+    return this.initDefault(instance, field);
+  }
 
+  /**
+   * Set the default value of the field on the given instance if the field is not set
+   * @param {Object} instance instance to init
+   * @param {String} field field to init
+   * @return {*} The field value
+   */
+  async initDefault(instance, field) {
+    if (instance[field] !== undefined || this._default === undefined) {
       return instance[field];
     }
 
-    instance[field] = this._default;
+    instance[field] = typeof this._default === 'function' ? await this._default() : this._default;
 
     return instance[field];
   }
 
+  /**
+   * Check if the field is computed from the others fields of the instance (virtual field)
+   * @returns {Boolean} Return true if the field is virtual
+   */
+  isVirtual() {
+    return false;
+  }
+
   /**
    * Declare the field as required
    * @param {boolean} [isRequired=true] define the field as required or not
@@ -78,6 +123,29 @@ class BaseSchemaField {
     return this;
   }
 
+  /**
+   * Check if the field is required
+   * @returns {Boolean} Return true if the field is required
+   */
+  isRequired() {
+    return this._isRequired;
+  }
+
+  /**
+   * Add a custom validator to the field
+   * @param {Function} validator Function called with the value, return (or resolve) true if the value is valid
+   * @param {String} [message] The error message to use if the validator fail
+   * @return {SchemaField} Return the field (to chainable definition)
+   */
+  validator(validator, message) {
+    this._validators.push({
+      validator,
+      message,
+    });
+
+    return this;
+  }
+
   /**
    * Calling at schema binding with model.
    * Could be use to implement specific link between Model class and SchemaField.
@@ -108,28 +176,29 @@ class BaseSchemaField {
         query,
         operation: OPERATIONS.SET,
         field: FIELDS.UPDATE,
-        key: name || this.name,
+        key: name || this._name,
       }),
       [OPERATIONS.SELECT]: declareSelect({
         query,
         operation: OPERATIONS.SELECT,
-        key: name || this.name,
+        key: name || this._name,
       }),
       [OPERATIONS.SELECT_ONLY]: declareSelect({
         query,
         operation: OPERATIONS.SELECT_ONLY,
-        key: name || this.name,
+        key: name || this._name,
       }),
       [OPERATIONS.SORT_ASCENDING]: declareSort({
         query,
         operation: OPERATIONS.SORT_ASCENDING,
-        key: name || this.name,
+        key: name || this._name,
       }),
       [OPERATIONS.SORT_DESCENDING]: declareSort({
         query,
         operation: OPERATIONS.SORT_DESCENDING,
-        key: name || this.name,
+        key: name || this._name,
       }),
+      [OPERATIONS.DISTINCT]: () => query.distinct(name || this._name),
     };
 
     SCHEMA_FIELDS_OPERATIONS
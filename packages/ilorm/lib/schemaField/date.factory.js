@@ -1,6 +1,7 @@
 'use strict';
 
 const { OPERATIONS, } = require('ilorm-constants').QUERY;
+const declareAggregate = require('./helpers/declareAggregate');
 
 const DATE_OPERATIONS = [
   OPERATIONS.BETWEEN,
@@ -10,6 +11,11 @@ const DATE_OPERATIONS = [
   OPERATIONS.LOWER_OR_EQUAL_THAN,
 ];
 
+const DATE_AGGREGATES = [
+  OPERATIONS.AGGREGATE_MIN,
+  OPERATIONS.AGGREGATE_MAX,
+];
+
 /**
  * Generate DateField class from SchemaField
  * @param {SchemaField} SchemaField to overload
@@ -28,10 +34,20 @@ const getDateField = SchemaField => {
      * @return {Object} The query operations
      */
     getQueryOperations({ query, additionalOperations = [], }) {
-      return super.getQueryOperations({
+      const queryOperations = super.getQueryOperations({
         query,
         additionalOperations: DATE_OPERATIONS.concat(additionalOperations),
       });
+
+      DATE_AGGREGATES.forEach(operation => {
+        queryOperations[operation] = declareAggregate({
+          query,
+          operation,
+          key: this._name,
+        });
+      });
+
+      return queryOperations;
     }
 
     /**
@@ -44,7 +60,13 @@ const getDateField = SchemaField => {
         return value;
       }
 
-      return new Date(value);
+      const result = new Date(value);
+
+      if (isNaN(result.getTime())) {
+        throw new Error(`${value} is not a valid date.`);
+      }
+
+      return result;
     }
   }
 
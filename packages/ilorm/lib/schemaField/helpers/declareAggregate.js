@@ -0,0 +1,30 @@
+'use strict';
+
+const { FIELDS, } = require('ilorm-constants').QUERY;
+
+/**
+ * Declare an aggregate (sum, avg, min, max) computed by the query on the given key
+ * @param {Object} query The query where the aggregate is declared
+ * @param {String} key The property field linked with the aggregate
+ * @param {String} operation The aggregate to compute
+ * @returns {Function} Return a function to declare the aggregate with an optional alias
+ */
+const declareAggregateFactory = ({ query = {}, key, operation, }) => (
+
+  /**
+   * Add the aggregate to the query, the result is stored in the alias field of each aggregated row
+   * @param {String} [alias] The name of the result field (per default the operation and the key, ie: sumWeight)
+   * @returns {Object} Return the query to chain declaration
+   */
+  (alias = `${operation}${key.charAt(0).toUpperCase()}${key.slice(1)}`) => {
+    query[FIELDS.AGGREGATE].push({
+      field: key,
+      operator: operation,
+      alias,
+    });
+
+    return query;
+  }
+);
+
+module.exports = declareAggregateFactory;
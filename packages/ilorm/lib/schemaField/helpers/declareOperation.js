@@ -1,6 +1,6 @@
 'use strict';
 
-const { QUERY, } = require('ilorm-constants').QUERY.FIELDS;
+const { FIELDS, OPERATIONS, } = require('ilorm-constants').QUERY;
 
 /**
  * Declare an operation linked with the query
@@ -10,18 +10,23 @@ const { QUERY, } = require('ilorm-constants').QUERY.FIELDS;
  * @param {String} [field=Query] The field to update in the query instance
  * @returns {Function} Return a function to apply input to the given context
  */
-const declareOperationFactory = ({ query = {}, key, operation, field = QUERY, }) => (
+const declareOperationFactory = ({ query = {}, key, operation, field = FIELDS.QUERY, }) => (
 
 /**
  * Apply the params on the given query field (key, operation).
+ * The between operation take two params, stored as the min and max of the value.
  * @param {Object} params The params to apply
+ * @param {Object} [max] The max of the between operation
  * @returns {Object} Return the query item with the applied params
  */
-  params => {
+  (params, max) => {
     query[field].push({
       field: key,
       operator: operation,
-      value: params,
+      value: operation === OPERATIONS.BETWEEN ? {
+        min: params,
+        max,
+      } : params,
     });
 
     return query;
@@ -9,7 +9,7 @@ const { FIELDS, OPERATIONS, SORT_BEHAVIOR, } = require('ilorm-constants').QUERY;
  * @param {String} operation The operation to apply (ascending or descending)
  * @returns {function()} The function to use as sort
  */
-const declareOperationSort = (query = {}, key, operation) => {
+const declareOperationSort = ({ query = {}, key, operation, }) => {
   const behavior = operation === OPERATIONS.SORT_ASCENDING ? SORT_BEHAVIOR.ASCENDING : SORT_BEHAVIOR.DESCENDING;
 
   return () => {
@@ -17,6 +17,8 @@ const declareOperationSort = (query = {}, key, operation) => {
       key,
       behavior,
     });
+
+    return query;
   };
 };
 
@@ -6,6 +6,7 @@ const dateFieldFactory = require('./date.factory');
 const numberFieldFactory = require('./number.factory');
 const referenceFieldFactory = require('./reference.factory');
 const stringFieldFactory = require('./string.factory');
+const virtualFieldFactory = require('./virtual.factory');
 
 module.exports = {
   baseSchemaField,
@@ -14,5 +15,6 @@ module.exports = {
   numberFieldFactory,
   referenceFieldFactory,
   stringFieldFactory,
+  virtualFieldFactory,
 };
 
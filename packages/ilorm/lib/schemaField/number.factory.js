@@ -1,6 +1,7 @@
 'use strict';
 
 const { OPERATIONS, FIELDS, } = require('ilorm-constants').QUERY;
+const declareAggregate = require('./helpers/declareAggregate');
 const declareOperation = require('./helpers/declareOperation');
 
 const NUMBER_OPERATIONS = [
@@ -11,6 +12,13 @@ const NUMBER_OPERATIONS = [
   OPERATIONS.LOWER_OR_EQUAL_THAN,
 ];
 
+const NUMBER_AGGREGATES = [
+  OPERATIONS.AGGREGATE_SUM,
+  OPERATIONS.AGGREGATE_AVG,
+  OPERATIONS.AGGREGATE_MIN,
+  OPERATIONS.AGGREGATE_MAX,
+];
+
 /**
  * Generate NumberField class from SchemaField
  * @param {SchemaField} SchemaField to overload
@@ -41,6 +49,14 @@ const getNumberField = SchemaField => {
         field: FIELDS.UPDATE,
       });
 
+      NUMBER_AGGREGATES.forEach(operation => {
+        queryOperations[operation] = declareAggregate({
+          query,
+          operation,
+          key: this._name,
+        });
+      });
+
       return queryOperations;
     }
 
@@ -28,6 +28,14 @@ const getReferenceField = ({ ilorm, SchemaField, }) => {
       this[REFERENCE] = reference;
     }
 
+    /**
+     * Return the name of the model referenced by the field
+     * @returns {String} The referenced model name
+     */
+    getReferencedModelName() {
+      return this[REFERENCE];
+    }
+
     /**
      * Return the query operation associated with the given schema field
      * @param {Query} query the instance of query to use
@@ -44,7 +52,7 @@ const getReferenceField = ({ ilorm, SchemaField, }) => {
         query,
         operation: OPERATIONS.LINKED_WITH,
         field: FIELDS.QUERY,
-        key: this.name,
+        key: name || this._name,
       });
 
       return resultQueryOperations;
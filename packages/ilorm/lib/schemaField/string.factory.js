@@ -1,5 +1,15 @@
 'use strict';
 
+const { OPERATIONS, } = require('ilorm-constants').QUERY;
+
+const STRING_OPERATIONS = [
+  OPERATIONS.CONTAINS,
+  OPERATIONS.STARTS_WITH,
+  OPERATIONS.ENDS_WITH,
+  OPERATIONS.MATCHES,
+  OPERATIONS.IS_CASE_INSENSITIVE,
+];
+
 /**
  * Generate StringField class from SchemaField
  * @param {SchemaField} SchemaField to overload
@@ -10,6 +20,21 @@ const getStringField = SchemaField => {
    * Class representing a String field
    */
   class StringField extends SchemaField {
+
+    /**
+     * Return the query operation associated with the given schema field
+     * The matches operation take a RegExp (or a string pattern), every other operation take a plain string.
+     * @param {Query} query the instance of query to use
+     * @param {Array.<String>} additionalOperations Add operations to the field builder
+     * @return {Object} The query operations
+     */
+    getQueryOperations({ query, additionalOperations = [], }) {
+      return super.getQueryOperations({
+        query,
+        additionalOperations: STRING_OPERATIONS.concat(additionalOperations),
+      });
+    }
+
     /**
      * Cast a value to match the specific field or throw an exception
      * @param {Mixed} value the value to cast
@@ -0,0 +1,66 @@
+/* eslint-disable */
+
+const { expect } = require('chai');
+
+const { OPERATIONS, } = require('ilorm-constants').QUERY;
+const { initModel, } = require('ilorm-connector-memory/fixture');
+
+const initUserModel = () => initModel({
+  schema: Schema => ({
+    name: Schema.string(),
+    age: Schema.number(),
+  }),
+}).Model;
+
+const getOperations = query => {
+  const operations = [];
+
+  query.queryBuilder({
+    onOperator: (field, operator, value) => operations.push({ field, operator, value, }),
+  });
+
+  return operations;
+};
+
+describe('ilorm', () => {
+  describe('schemaField', () => {
+    describe('string.factory', () => {
+      it('Should declare the string operations on the query', () => {
+        const User = initUserModel();
+        const query = User.query()
+          .name.contains('ibau')
+          .name.startsWith('Thi')
+          .name.endsWith('uld')
+          .name.matches(/^thi/i)
+          .name.isCaseInsensitive('THIBAULD');
+
+        expect(getOperations(query)).to.be.deep.equal([
+          { field: 'name', operator: OPERATIONS.CONTAINS, value: 'ibau', },
+          { field: 'name', operator: OPERATIONS.STARTS_WITH, value: 'Thi', },
+          { field: 'name', operator: OPERATIONS.ENDS_WITH, value: 'uld', },
+          { field: 'name', operator: OPERATIONS.MATCHES, value: /^thi/i, },
+          { field: 'name', operator: OPERATIONS.IS_CASE_INSENSITIVE, value: 'THIBAULD', },
+        ]);
+      });
+
+      it('Should not declare the string operations on the other fields', () => {
+        const User = initUserModel();
+
+        expect(User.query().age.contains).to.be.undefined;
+        expect(User.query().age.startsWith).to.be.undefined;
+      });
+
+      it('Should convert the regex of the matches operation to json and back', () => {
+        const User = initUserModel();
+        const json = JSON.parse(JSON.stringify(User.query().name.matches(/^thi/i).toJSON()));
+
+        expect(json.query).to.be.deep.equal([
+          { field: 'name', operator: OPERATIONS.MATCHES, value: { source: '^thi', flags: 'i', }, },
+        ]);
+        expect(getOperations(User.queryFromJSON(json))).to.be.deep.equal([
+          { field: 'name', operator: OPERATIONS.MATCHES, value: /^thi/i, },
+        ]);
+      });
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/* eslint-disable */
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+chai.use(chaiAsPromised);
+
+const { expect } = chai;
+
+const Ilorm = require('../../ilorm.class');
+const { initModel, } = require('ilorm-connector-memory/fixture');
+
+const initUserModel = () => initModel({
+  schema: Schema => ({
+    firstName: Schema.string(),
+    lastName: Schema.string(),
+    fullName: Schema.virtual(user => `${user.firstName} ${user.lastName}`),
+    initials: Schema.virtual(user => user.fullName.split(' ').map(name => name[0]).join('')),
+    remoteName: Schema.virtual(async user => `remote ${user.firstName}`),
+  }),
+}).Model;
+
+describe('ilorm', () => {
+  describe('schemaField', () => {
+    describe('virtual.factory', () => {
+      it('Should compute the value of the virtual field from the instance', async () => {
+        const User = initUserModel();
+        const user = User.instantiate({ firstName: 'Thibauld', lastName: 'Smith', });
+
+        expect(user.fullName).to.be.equal('Thibauld Smith');
+        expect(user.initials).to.be.equal('TS');
+        expect(await user.remoteName).to.be.equal('remote Thibauld');
+
+        user.lastName = 'Doe';
+
+        expect(user.fullName).to.be.equal('Thibauld Doe');
+        expect(user.getChanges()).to.be.deep.equal({ lastName: { oldValue: 'Smith', newValue: 'Doe', }, });
+      });
+
+      it('Should include virtual fields in the json only if asked', async () => {
+        const User = initUserModel();
+        const user = User.instantiate({ firstName: 'Thibauld', lastName: 'Smith', });
+
+        expect(await user.getJson()).to.be.deep.equal({ firstName: 'Thibauld', lastName: 'Smith', });
+        expect(await user.getJson({ virtuals: true, })).to.be.deep.equal({
+          firstName: 'Thibauld',
+          lastName: 'Smith',
+          fullName: 'Thibauld Smith',
+          initials: 'TS',
+          remoteName: 'remote Thibauld',
+        });
+      });
+
+      it('Should not be possible to set a virtual field', () => {
+        const User = initUserModel();
+        const user = new User();
+
+        expect(() => { user.fullName = 'John Smith'; }).to.throw('The virtual field fullName could not be set.');
+      });
+
+      it('Should ignore virtual fields in the validation', async () => {
+        const User = initUserModel();
+
+        await expect(User.getSchema().validate(new User({ firstName: 'Thibauld', }))).to.be.fulfilled;
+      });
+
+      it('Should not be possible to query a virtual field', () => {
+        const User = initUserModel();
+
+        expect(() => User.query().fullName).to.throw('The virtual field fullName could not be used in a query.');
+      });
+
+      it('Should require a function to compute the value', () => {
+        const { Schema, } = new Ilorm();
+
+        expect(() => Schema.virtual()).to.throw('A virtual field need to be declared with a function computing its value.');
+      });
+    });
+  });
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * Generate VirtualField class from SchemaField
+ * @param {SchemaField} SchemaField to overload
+ * @returns {VirtualField} The new Virtual field
+ */
+const getVirtualField = SchemaField => {
+  /**
+   * Class representing a virtual field, the value is computed from the instance and never saved in the database
+   */
+  class VirtualField extends SchemaField {
+    /**
+     * Instantiate a new virtual field.
+     * @param {Function} compute Function called with the instance, return (or resolve) the value of the field
+     */
+    constructor(compute) {
+      super();
+
+      if (typeof compute !== 'function') {
+        throw new Error('A virtual field need to be declared with a function computing its value.');
+      }
+
+      this._compute = compute;
+    }
+
+    /**
+     * Check if the field is computed from the others fields of the instance
+     * @returns {Boolean} Return always true
+     */
+    isVirtual() {
+      return true;
+    }
+
+    /**
+     * Compute the value of the field for the given instance
+     * @param {Model} instance The instance to use to compute the value
+     * @returns {*|Promise.<*>} The value of the field, or a promise if the virtual is async
+     */
+    getValue(instance) {
+      return this._compute(instance);
+    }
+
+    /**
+     * A virtual field is never stored, nothing to init on the instance
+     * @returns {undefined} Return nothing
+     */
+    init() {
+      return Promise.resolve(undefined);
+    }
+
+    /**
+     * A virtual field is not stored in the database, so it can't be queried
+     * @param {String} name The name of the field
+     * @returns {void} Throw every time
+     */
+    getQueryOperations({ name, }) {
+      throw new Error(`The virtual field ${name || this._name} could not be used in a query.`);
+    }
+  }
+
+  return VirtualField;
+};
+
+module.exports = getVirtualField;
@@ -0,0 +1,63 @@
+'use strict';
+
+const RESOLVE = Symbol('resolve');
+const REJECT = Symbol('reject');
+
+const READ_ERROR = 'The result of a write deferred by an emulated transaction is known only after the commit, ' +
+  'use result.afterCommit to read it.';
+
+/**
+ * Result of a write operation deferred to the commit of an emulated transaction
+ * The operation is not run yet : using the result as a value (number, boolean or json) throw an error, the real
+ * result is resolved by afterCommit once the operation is run at the commit.
+ */
+class DeferredResult {
+  /**
+   * Create the result of a deferred operation, settled at the commit
+   */
+  constructor() {
+    this.afterCommit = new Promise((resolve, reject) => {
+      this[RESOLVE] = resolve;
+      this[REJECT] = reject;
+    });
+
+    // The result could be never read, a failed operation is already reported by the commit:
+    this.afterCommit.catch(() => null);
+  }
+
+  /**
+   * Resolve the result with the result of the operation run at the commit
+   * @param {*} result The result of the operation
+   * @returns {void} Return nothing
+   */
+  resolve(result) {
+    this[RESOLVE](result);
+  }
+
+  /**
+   * Reject the result, the operation failed or was never run
+   * @param {Error} error The reason of the failure
+   * @returns {void} Return nothing
+   */
+  reject(error) {
+    this[REJECT](error);
+  }
+
+  /**
+   * Called when the result is used as a primitive value (comparison, arithmetic, template string)
+   * @returns {void} Throw every time, the result is not known before the commit
+   */
+  [Symbol.toPrimitive]() {
+    throw new Error(READ_ERROR);
+  }
+
+  /**
+   * Called when the result is serialized as json
+   * @returns {void} Throw every time, the result is not known before the commit
+   */
+  toJSON() {
+    throw new Error(READ_ERROR);
+  }
+}
+
+module.exports = DeferredResult;
@@ -0,0 +1,9 @@
+'use strict';
+
+const DeferredResult = require('./deferredResult.class');
+const Transaction = require('./transaction.class');
+
+module.exports = {
+  DeferredResult,
+  Transaction,
+};
@@ -0,0 +1,141 @@
+/* eslint-disable */
+
+const assert = require('assert');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const { spy, stub, } = require('sinon');
+
+chai.use(chaiAsPromised);
+
+const { expect } = chai;
+
+const Ilorm = require('../../ilorm.class');
+const DeferredResult = require('../deferredResult.class');
+const Transaction = require('../transaction.class');
+
+const nativeConnectorFactory = () => {
+  class NativeConnector {
+    beginTransaction() {
+      return Promise.resolve('CONNECTOR_TRANSACTION');
+    }
+  }
+
+  NativeConnector.prototype.beginTransaction = spy(NativeConnector.prototype.beginTransaction);
+  NativeConnector.prototype.commitTransaction = spy();
+  NativeConnector.prototype.rollbackTransaction = spy();
+
+  return NativeConnector;
+};
+
+describe('ilorm', () => {
+  describe('transaction', () => {
+    describe('transaction.class', () => {
+      it('Should start only one connector transaction per connector class and commit it', async () => {
+        const NativeConnector = nativeConnectorFactory();
+        const usersConnector = new NativeConnector();
+        const groupsConnector = new NativeConnector();
+        const transaction = new Transaction();
+
+        expect(await transaction.getConnectorTransaction(usersConnector)).to.be.equal('CONNECTOR_TRANSACTION');
+        expect(await transaction.getConnectorTransaction(groupsConnector)).to.be.equal('CONNECTOR_TRANSACTION');
+        expect(await transaction.run(usersConnector, () => Promise.resolve('result'))).to.be.equal('result');
+
+        await transaction.commit();
+
+        assert(NativeConnector.prototype.beginTransaction.calledOnce);
+        assert(NativeConnector.prototype.commitTransaction.calledOnceWith('CONNECTOR_TRANSACTION'));
+        expect(NativeConnector.prototype.rollbackTransaction.notCalled).to.be.equal(true);
+        await expect(transaction.run(usersConnector, () => {})).to.be.rejectedWith('The transaction is already finished');
+      });
+
+      it('Should defer write operations of connectors without transaction support until the commit', async () => {
+        const transaction = new Transaction();
+        const operation = stub().resolves(2);
+
+        const result = await transaction.run({}, operation);
+
+        expect(result).to.be.an.instanceOf(DeferredResult);
+        expect(operation.notCalled).to.be.equal(true);
+        expect(() => result > 0).to.throw('known only after the commit');
+        expect(() => JSON.stringify({ result, })).to.throw('known only after the commit');
+
+        await transaction.commit();
+
+        expect(operation.calledOnce).to.be.equal(true);
+        expect(await result.afterCommit).to.be.equal(2);
+      });
+
+      it('Should keep the operations run before a failure, and never run the next ones', async () => {
+        const transaction = new Transaction();
+        const firstOperation = stub().resolves('first');
+        const failingOperation = stub().rejects(new Error('Write failed'));
+        const lastOperation = stub().resolves('last');
+
+        const firstResult = await transaction.run({}, firstOperation);
+        const failingResult = await transaction.run({}, failingOperation);
+        const lastResult = await transaction.run({}, lastOperation);
+
+        await expect(transaction.commit()).to.be.rejectedWith('Write failed');
+
+        expect(firstOperation.calledOnce).to.be.equal(true);
+        expect(failingOperation.calledOnce).to.be.equal(true);
+        expect(lastOperation.notCalled).to.be.equal(true);
+        expect(await firstResult.afterCommit).to.be.equal('first');
+        await expect(failingResult.afterCommit).to.be.rejectedWith('Write failed');
+        await expect(lastResult.afterCommit).to.be.rejectedWith('a previous operation of the transaction failed');
+      });
+
+      it('Should drop deferred operations and rollback connector transactions at rollback', async () => {
+        const NativeConnector = nativeConnectorFactory();
+        const transaction = new Transaction();
+        const operation = spy();
+
+        await transaction.getConnectorTransaction(new NativeConnector());
+        const result = await transaction.run({}, operation);
+        await transaction.rollback();
+        await transaction.rollback();
+
+        expect(operation.notCalled).to.be.equal(true);
+        await expect(result.afterCommit).to.be.rejectedWith('the transaction was rolled back');
+        assert(NativeConnector.prototype.rollbackTransaction.calledOnceWith('CONNECTOR_TRANSACTION'));
+      });
+    });
+
+    describe('ilorm.transaction', () => {
+      it('Should commit the transaction after the handler and return the handler result', async () => {
+        const ilorm = new Ilorm();
+        const commit = spy(Transaction.prototype, 'commit');
+
+        try {
+          const result = await ilorm.transaction(async transaction => {
+            expect(transaction).to.be.an.instanceOf(Transaction);
+
+            return 'result';
+          });
+
+          expect(result).to.be.equal('result');
+          expect(commit.calledOnce).to.be.equal(true);
+        } finally {
+          commit.restore();
+        }
+      });
+
+      it('Should rollback everything if the handler throw', async () => {
+        const ilorm = new Ilorm();
+        const NativeConnector = nativeConnectorFactory();
+        const deferredOperation = spy();
+
+        await expect(ilorm.transaction(async transaction => {
+          await transaction.getConnectorTransaction(new NativeConnector());
+          await transaction.run({}, deferredOperation);
+
+          throw new Error('Handler error');
+        })).to.be.rejectedWith('Handler error');
+
+        expect(deferredOperation.notCalled).to.be.equal(true);
+        expect(NativeConnector.prototype.commitTransaction.notCalled).to.be.equal(true);
+        assert(NativeConnector.prototype.rollbackTransaction.calledOnceWith('CONNECTOR_TRANSACTION'));
+      });
+    });
+  });
+});
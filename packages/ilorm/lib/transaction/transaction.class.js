@@ -0,0 +1,170 @@
+'use strict';
+
+const DeferredResult = require('./deferredResult.class');
+
+const NOT_RUN_AFTER_FAILURE = 'The operation was not run, a previous operation of the transaction failed.';
+
+/**
+ * Reject the result of every deferred operation which will not be run
+ * @param {Array.<Object>} deferredOperations The operations, with their deferred result
+ * @param {String} message The reason why the operations are not run
+ * @returns {void} Return nothing
+ */
+const rejectDeferredOperations = (deferredOperations, message) => {
+  deferredOperations.forEach(({ deferredResult, }) => deferredResult.reject(new Error(message)));
+};
+
+/**
+ * Run the deferred operations one after another, and settle their result
+ * If an operation fails, the next operations are not run : their result is rejected and the error is thrown.
+ * @param {Array.<Object>} deferredOperations The operations to run, with their deferred result
+ * @returns {Promise.<void>} Resolve when every operation is run
+ */
+const runDeferredOperations = async ([ deferredOperation, ...nextOperations ]) => {
+  if (!deferredOperation) {
+    return;
+  }
+
+  const { operation, deferredResult, } = deferredOperation;
+
+  try {
+    deferredResult.resolve(await operation());
+  } catch (err) {
+    deferredResult.reject(err);
+    rejectDeferredOperations(nextOperations, NOT_RUN_AFTER_FAILURE);
+
+    throw err;
+  }
+
+  await runDeferredOperations(nextOperations);
+};
+
+/**
+ * Class representing a transaction (unit of work) shared by every model and query which use it.
+ *
+ * Connectors which support transaction implement beginTransaction, commitTransaction and rollbackTransaction.
+ * The connector transaction is started at the first operation run on the connector, and kept for every connector
+ * sharing the same connector class (same database).
+ * With connectors without transaction support, the transaction is emulated : every write operation is deferred
+ * and run at the commit. The emulation is not atomic : the deferred operations are run one after another, if one
+ * fails the previous ones stay applied and the next ones are never run.
+ */
+class Transaction {
+  /**
+   * Create a new transaction
+   */
+  constructor() {
+    this.connectorTransactions = new Map();
+    this.deferredOperations = [];
+    this.isFinished = false;
+  }
+
+  /**
+   * Check if the connector handle natively the transaction
+   * @param {Connector} connector The connector to check
+   * @returns {Boolean} Return true if the connector implement transaction
+   */
+  static isSupportedBy(connector) {
+    return typeof connector.beginTransaction === 'function';
+  }
+
+  /**
+   * Get the connector transaction (knex transaction, mongo session...), start it if it's the first call
+   * @param {Connector} connector The connector which need its transaction
+   * @returns {Promise.<*>} The connector transaction
+   */
+  getConnectorTransaction(connector) {
+    if (this.isFinished) {
+      return Promise.reject(new Error('The transaction is already finished'));
+    }
+
+    const key = connector.constructor;
+
+    if (!this.connectorTransactions.has(key)) {
+      this.connectorTransactions.set(key, {
+        connector,
+        connectorTransaction: connector.beginTransaction(),
+      });
+    }
+
+    return this.connectorTransactions.get(key).connectorTransaction;
+  }
+
+  /**
+   * Run a write operation in the transaction
+   * The operation is run immediately if the connector support transaction, else deferred to the commit.
+   * @param {Connector} connector The connector targeted by the operation
+   * @param {Function} operation The function to run, return a promise
+   * @returns {Promise.<*>} The operation result, a DeferredResult (resolved at the commit) if the operation was
+   *  deferred
+   */
+  run(connector, operation) {
+    if (this.isFinished) {
+      return Promise.reject(new Error('The transaction is already finished'));
+    }
+
+    if (Transaction.isSupportedBy(connector)) {
+      return operation();
+    }
+
+    const deferredResult = new DeferredResult();
+
+    this.deferredOperations.push({
+      operation,
+      deferredResult,
+    });
+
+    return Promise.resolve(deferredResult);
+  }
+
+  /**
+   * Commit the transaction, run every deferred operation then commit every connector transaction
+   * The deferred operations are run in their declaration order. If one fails the commit is rejected with its error,
+   * the previous operations stay applied and the next ones are not run (their result is rejected).
+   * @returns {Promise.<void>} Resolve when every operation is commit
+   */
+  async commit() {
+    const { deferredOperations, } = this;
+
+    this.deferredOperations = [];
+
+    await runDeferredOperations(deferredOperations);
+
+    this.isFinished = true;
+
+    await Promise.all(Array.from(this.connectorTransactions.values())
+      .map(async ({ connector, connectorTransaction, }) => connector.commitTransaction(await connectorTransaction)));
+  }
+
+  /**
+   * Rollback the transaction, drop every deferred operation and rollback every connector transaction
+   * @returns {Promise.<void>} Resolve when every connector transaction is rollback
+   */
+  async rollback() {
+    // Nothing to rollback once the connector transactions are commit (or already rollback):
+    if (this.isFinished) {
+      return;
+    }
+
+    rejectDeferredOperations(this.deferredOperations, 'The operation was not run, the transaction was rolled back.');
+
+    this.deferredOperations = [];
+    this.isFinished = true;
+
+    await Promise.all(Array.from(this.connectorTransactions.values())
+      .map(async ({ connector, connectorTransaction, }) => {
+        let startedTransaction;
+
+        // A connector transaction which fail to start does not need to be rollback:
+        try {
+          startedTransaction = await connectorTransaction;
+        } catch (err) {
+          return null;
+        }
+
+        return connector.rollbackTransaction(startedTransaction);
+      }));
+  }
+}
+
+module.exports = Transaction;